@@ -1,11 +1,18 @@
-import { useState } from 'react'
 import { BrowserRouter, Routes, Route } from "react-router-dom";
+import AuthProvider from './context/AuthProvider';
+import { RequireAuth, RequireRole } from './components/RouteGuards';
+import UpdatePrompt from './components/UpdatePrompt';
+import OfflineSync from './components/OfflineSync';
 import LandingPage from './pages/LandingPage';
 import Dashboard from './pages/Dashboard';
 import AdminPanel from './pages/AdminPanel';
 import Archive from './pages/Archive';
+import Calendar from './pages/Calendar';
+import CheckIn from './pages/CheckIn';
+import Search from './pages/Search';
 import PostDetail from './pages/PostDetail';
 import ProfileSettings from './pages/ProfileSettings';
+import Notifications from './pages/Notifications';
 import SuperAdminDashboard from './pages/SuperAdminDashboard';
 
 function App() {
@@ -13,16 +20,32 @@ function App() {
   return (
     <>
       <BrowserRouter>
-        <Routes>
-          <Route path="/" element={<LandingPage />} />
-          <Route path="/dashboard" element={<Dashboard />} />
-          <Route path="/admin" element={<AdminPanel />} />
-          <Route path="/archive" element={<Archive />} />
-          <Route path="/post/:id" element={<PostDetail />} />
-          <Route path="/profile" element={<ProfileSettings />} />
-          <Route path="/super-admin-dashboard" element={<SuperAdminDashboard />} />
-        </Routes>
+        <AuthProvider>
+          <OfflineSync />
+          <Routes>
+            <Route path="/" element={<LandingPage />} />
+            <Route element={<RequireAuth returnAfterSignIn />}>
+              <Route path="/check-in" element={<CheckIn />} />
+            </Route>
+            <Route element={<RequireAuth />}>
+              <Route path="/dashboard" element={<Dashboard />} />
+              <Route path="/archive" element={<Archive />} />
+              <Route path="/calendar" element={<Calendar />} />
+              <Route path="/search" element={<Search />} />
+              <Route path="/post/:id" element={<PostDetail />} />
+              <Route path="/profile" element={<ProfileSettings />} />
+              <Route path="/notifications" element={<Notifications />} />
+              <Route element={<RequireRole roles={['admin']} />}>
+                <Route path="/admin" element={<AdminPanel />} />
+              </Route>
+              <Route element={<RequireRole roles={['super_admin']} />}>
+                <Route path="/super-admin-dashboard" element={<SuperAdminDashboard />} />
+              </Route>
+            </Route>
+          </Routes>
+        </AuthProvider>
       </BrowserRouter>
+      <UpdatePrompt />
     </>
   )
 }
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { acknowledgementsApi } from '..';
+import { useMemoryClient, STUDENT } from './memoryClient';
+
+const POST_ID = 'seed-post-enrollment';
+
+describe('acknowledgementsApi', () => {
+  useMemoryClient();
+
+  it('records an acknowledgement once', async () => {
+    expect(await acknowledgementsApi.getMine(POST_ID, STUDENT.id)).toBeNull();
+
+    await acknowledgementsApi.acknowledge(POST_ID, STUDENT.id);
+    const first = await acknowledgementsApi.getMine(POST_ID, STUDENT.id);
+    await acknowledgementsApi.acknowledge(POST_ID, STUDENT.id);
+
+    expect(await acknowledgementsApi.getMine(POST_ID, STUDENT.id)).toEqual(first);
+  });
+
+  it('lists who acknowledged, earliest first, with their emails', async () => {
+    await acknowledgementsApi.acknowledge(POST_ID, STUDENT.id);
+
+    const rows = await acknowledgementsApi.listForPost(POST_ID);
+    expect(rows.map((row) => row.users.email)).toEqual(['ccs-head@spc.edu', STUDENT.email]);
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { attachmentsApi } from '..';
+import { POST_ATTACHMENTS_BUCKET } from '../storageApi';
+import { useMemoryClient, CCS_ADMIN } from './memoryClient';
+
+const POST_ID = 'seed-post-hackathon';
+
+const upload = (name, type = 'text/plain') => ({ file: new File([name], name, { type }) });
+
+describe('attachmentsApi', () => {
+  const getClient = useMemoryClient();
+
+  const isStored = async (path) => {
+    const { data } = await getClient().storage.from(POST_ATTACHMENTS_BUCKET).remove([path]);
+    return data.length === 1;
+  };
+
+  it('uploads files under the uploader and records them in order', async () => {
+    await attachmentsApi.addAttachments(POST_ID, CCS_ADMIN.id, [upload('a.txt')]);
+    await attachmentsApi.addAttachments(POST_ID, CCS_ADMIN.id, [
+      { ...upload('b.png', 'image/png'), width: 40, height: 30 }
+    ], { startPosition: 1 });
+
+    const attachments = await attachmentsApi.listForPost(POST_ID);
+    expect(attachments.map((attachment) => [attachment.name, attachment.position])).toEqual([['a.txt', 0], ['b.png', 1]]);
+    expect(attachments[1]).toMatchObject({ mime_type: 'image/png', width: 40, height: 30 });
+    expect(attachments[0].path.startsWith(`${CCS_ADMIN.id}/`)).toBe(true);
+  });
+
+  it('removes an attachment and its file', async () => {
+    const [attachment] = await attachmentsApi.addAttachments(POST_ID, CCS_ADMIN.id, [upload('a.txt')]);
+
+    await attachmentsApi.removeAttachment(attachment);
+
+    expect(await attachmentsApi.listForPost(POST_ID)).toEqual([]);
+    expect(await isStored(attachment.path)).toBe(false);
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { authApi } from '..';
+import { useMemoryClient, STUDENT } from './memoryClient';
+
+describe('authApi', () => {
+  useMemoryClient();
+
+  it('signs in, reports the session and signs out', async () => {
+    const events = [];
+    const unsubscribe = authApi.onAuthStateChange((event) => events.push(event));
+
+    const user = await authApi.signIn({ email: STUDENT.email, password: 'password' });
+    expect(user.id).toBe(STUDENT.id);
+    expect((await authApi.getSession()).user.email).toBe(STUDENT.email);
+
+    await authApi.signOut();
+    expect(await authApi.getSession()).toBeNull();
+
+    unsubscribe();
+    expect(events).toEqual(['SIGNED_IN', 'SIGNED_OUT']);
+  });
+
+  it('refuses a wrong password', async () => {
+    await expect(authApi.signIn({ email: STUDENT.email, password: 'nope' })).rejects.toMatchObject({ message: 'Invalid login credentials' });
+  });
+
+  it('changes the password of the signed-in person', async () => {
+    await authApi.signIn({ email: STUDENT.email, password: 'password' });
+    await authApi.updatePassword('new-password');
+    await authApi.signOut();
+
+    await expect(authApi.signIn({ email: STUDENT.email, password: 'password' })).rejects.toThrow();
+    expect((await authApi.signIn({ email: STUDENT.email, password: 'new-password' })).id).toBe(STUDENT.id);
+  });
+
+  it('refuses a second sign-up with the same email', async () => {
+    await expect(authApi.signUp({ email: STUDENT.email, password: 'password', name: 'Again' }))
+      .rejects.toMatchObject({ code: 'user_already_exists' });
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { checkInApi } from '..';
+import { useMemoryClient, signInAs, STUDENT, CCS_ADMIN, COE_ADMIN } from './memoryClient';
+
+const EVENT_ID = 'seed-post-hackathon';
+
+describe('checkInApi', () => {
+  const getClient = useMemoryClient();
+
+  it('issues codes only to the event author', async () => {
+    await signInAs(getClient(), COE_ADMIN.email);
+    await expect(checkInApi.rotateCode(EVENT_ID)).rejects.toMatchObject({ code: '42501' });
+
+    await signInAs(getClient(), CCS_ADMIN.email);
+    const { code, expires_at: expiresAt } = await checkInApi.rotateCode(EVENT_ID);
+    expect(code).toMatch(/^[A-Z2-9]{6}$/);
+    expect(new Date(expiresAt).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('checks a person in once, whatever the case of the code', async () => {
+    await signInAs(getClient(), CCS_ADMIN.email);
+    const { code } = await checkInApi.rotateCode(EVENT_ID);
+
+    await signInAs(getClient(), STUDENT.email);
+    expect(await checkInApi.checkIn(code.toLowerCase())).toMatchObject({
+      post_id: EVENT_ID,
+      title: 'CCS Hackathon',
+      already_checked_in: false
+    });
+    expect((await checkInApi.checkIn(code)).already_checked_in).toBe(true);
+
+    expect(await checkInApi.countAttendance(EVENT_ID)).toBe(1);
+    const [attendance] = await checkInApi.listAttendance(EVENT_ID);
+    expect(attendance.users).toMatchObject({ name: 'Carlo Mendoza', email: STUDENT.email });
+  });
+
+  it('refuses unknown codes and signed-out people', async () => {
+    await expect(checkInApi.checkIn('ZZZZZZ')).rejects.toMatchObject({ code: '42501' });
+
+    await signInAs(getClient(), STUDENT.email);
+    await expect(checkInApi.checkIn('ZZZZZZ')).rejects.toMatchObject({ code: 'P0002' });
+  });
+});
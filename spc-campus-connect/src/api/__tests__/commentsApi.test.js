@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { commentsApi, notificationsApi } from '..';
+import { useMemoryClient, STUDENT, CCS_ADMIN, CCS_HEAD } from './memoryClient';
+
+const POST_ID = 'seed-post-enrollment';
+
+// The types of someone's notifications, newest first
+const notificationTypes = async (userId) => (
+  (await notificationsApi.listForUser(userId)).map((notification) => notification.type)
+);
+
+describe('commentsApi', () => {
+  useMemoryClient();
+
+  it("lists a post's comments, oldest first, with their writers", async () => {
+    const comments = await commentsApi.listForPost(POST_ID);
+
+    expect(comments.map((comment) => comment.id)).toEqual(['seed-comment-1', 'seed-comment-2']);
+    expect(comments[0].users).toMatchObject({ name: 'Carlo Mendoza', department: 'CCS', role: 'user' });
+  });
+
+  it('adds a comment as visible', async () => {
+    const added = await commentsApi.addComment({ postId: POST_ID, userId: STUDENT.id, content: 'Thank you!' });
+
+    expect(added.status).toBe('visible');
+    expect((await commentsApi.getComment(added.id)).content).toBe('Thank you!');
+  });
+
+  it('tells a replied-to writer it is a reply and mentioned people they were mentioned', async () => {
+    await commentsApi.addComment({
+      postId: POST_ID,
+      userId: CCS_HEAD.id,
+      parentId: 'seed-comment-1',
+      content: '@Juan Dela Cruz can you confirm?',
+      mentions: [CCS_ADMIN.id]
+    });
+
+    const [toStudent] = await notificationsApi.listForUser(STUDENT.id);
+    expect(toStudent.message).toBe('Maria Santos replied to your comment on "Enrollment for 2nd Semester"');
+    expect(await notificationTypes(CCS_ADMIN.id)).toEqual(['mention']);
+  });
+
+  it('keeps the old text as a revision when a comment is edited', async () => {
+    const updated = await commentsApi.updateComment('seed-comment-1', { content: 'Does this apply to transferees too?' });
+    expect(updated.status).toBe('visible');
+
+    const edited = await commentsApi.getComment('seed-comment-1');
+    expect(edited.content).toBe('Does this apply to transferees too?');
+    expect(edited.edited_at).not.toBeNull();
+
+    const revisions = await commentsApi.listRevisions('seed-comment-1');
+    expect(revisions.map((revision) => revision.content)).toEqual(['Is the deadline the same for irregular students?']);
+  });
+
+  it('notifies only the people newly mentioned in an edit', async () => {
+    await commentsApi.updateComment('seed-comment-2', {
+      content: '@Carlo Mendoza @Maria Santos Yes, same deadline for everyone.',
+      mentions: [STUDENT.id, CCS_HEAD.id]
+    });
+
+    expect(await notificationTypes(CCS_HEAD.id)).toEqual(['mention']);
+    expect(await notificationTypes(STUDENT.id)).toEqual([]);
+  });
+
+  it('gets one comment with its writer, or null once it is gone', async () => {
+    expect((await commentsApi.getComment('seed-comment-2')).users.name).toBe('Juan Dela Cruz');
+    expect(await commentsApi.getComment('missing')).toBeNull();
+  });
+
+  it('holds comments with a banned word and skips notifying the thread', async () => {
+    const added = await commentsApi.addComment({ postId: POST_ID, userId: STUDENT.id, content: 'This is a scam' });
+
+    expect(added.status).toBe('held');
+    expect(await notificationTypes(CCS_ADMIN.id)).toEqual([]);
+  });
+
+  it('deletes a comment with its replies', async () => {
+    await commentsApi.deleteComment('seed-comment-1');
+
+    expect(await commentsApi.listForPost(POST_ID)).toEqual([]);
+  });
+});
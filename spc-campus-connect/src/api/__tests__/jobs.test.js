@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { postsApi } from '..';
+import { runPostSchedule } from '../memory/jobs';
+import { useMemoryClient, newPost, hoursFromNow } from './memoryClient';
+
+describe('run_post_schedule', () => {
+  const getClient = useMemoryClient();
+
+  it('publishes due posts and archives expired posts and past events', async () => {
+    const due = await postsApi.createPost(newPost({ status: 'scheduled', publish_at: hoursFromNow(-1) }));
+    const later = await postsApi.createPost(newPost({ status: 'scheduled', publish_at: hoursFromNow(1) }));
+    const expired = await postsApi.createPost(newPost({ expires_at: hoursFromNow(-1) }));
+    const pastEvent = await postsApi.createPost(newPost({ type: 'event', event_date: hoursFromNow(-2) }));
+
+    runPostSchedule(getClient().db);
+
+    const statusOf = async (post) => (await postsApi.getPost(post.id)).status;
+    expect(await statusOf(due)).toBe('active');
+    expect(await statusOf(later)).toBe('scheduled');
+    expect(await statusOf(expired)).toBe('archived');
+    expect(await statusOf(pastEvent)).toBe('archived');
+  });
+});
@@ -0,0 +1,46 @@
+import { beforeEach, afterEach } from 'vitest';
+import { setClient } from '..';
+import { createMemoryClient } from '../memory/createMemoryClient';
+
+// Gives every test its own seeded memory backend behind getClient().
+// Returns a getter for the current test's client.
+export const useMemoryClient = () => {
+  let client = null;
+
+  beforeEach(() => {
+    client = createMemoryClient();
+    setClient(client);
+  });
+
+  afterEach(() => {
+    client.stopJobs();
+    setClient(null);
+  });
+
+  return () => client;
+};
+
+// Seed accounts share the password "password"
+export const signInAs = async (client, email) => {
+  const { error } = await client.auth.signInWithPassword({ email, password: 'password' });
+  if (error) throw error;
+};
+
+export const STUDENT = { id: 'seed-student', email: 'student@spc.edu' };
+export const CCS_ADMIN = { id: 'seed-ccs-admin', email: 'ccs-admin@spc.edu' };
+export const CCS_HEAD = { id: 'seed-ccs-head', email: 'ccs-head@spc.edu' };
+export const COE_ADMIN = { id: 'seed-coe-admin', email: 'coe-admin@spc.edu' };
+
+export const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+// A live CCS announcement by the CCS admin, with any column overridden
+export const newPost = (overrides = {}) => ({
+  title: 'Test post',
+  content: 'Something for the department',
+  type: 'announcement',
+  department: 'CCS',
+  author_id: CCS_ADMIN.id,
+  status: 'active',
+  publish_at: hoursFromNow(0),
+  ...overrides
+});
@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import { moderationApi, commentsApi, postsApi, notificationsApi, attachmentsApi } from '..';
+import { POST_ATTACHMENTS_BUCKET } from '../storageApi';
+import { useMemoryClient, signInAs, STUDENT, CCS_ADMIN, COE_ADMIN } from './memoryClient';
+
+const POST_ID = 'seed-post-enrollment';
+
+describe('moderationApi', () => {
+  const getClient = useMemoryClient();
+
+  const reportPost = (postId = 'seed-post-hackathon') => moderationApi.report({
+    postId,
+    department: 'CCS',
+    reporterId: STUDENT.id,
+    reason: ' Spam '
+  });
+
+  it('lists open reports with the reporter and what was reported', async () => {
+    await reportPost();
+
+    const [report] = await moderationApi.listOpenReports('CCS');
+    expect(report).toMatchObject({ reason: 'Spam', comment_id: null, reporter: { name: 'Carlo Mendoza' } });
+    expect(report.posts).toMatchObject({ title: 'CCS Hackathon', users: { name: 'Juan Dela Cruz' } });
+    expect(await moderationApi.listOpenReports('COE')).toEqual([]);
+  });
+
+  it('refuses a second open report from the same person', async () => {
+    await reportPost();
+
+    await expect(reportPost()).rejects.toMatchObject({ code: '23505' });
+  });
+
+  it('files a report for comments held by the filter', async () => {
+    const held = await commentsApi.addComment({ postId: POST_ID, userId: STUDENT.id, content: 'What a SCAM.' });
+
+    const [report] = await moderationApi.listOpenReports('CCS');
+    expect(report).toMatchObject({ comment_id: held.id, reporter_id: null, reason: 'Held for containing "scam"' });
+    expect(report.comments).toMatchObject({ status: 'held', users: { name: 'Carlo Mendoza' } });
+  });
+
+  it('restores a held comment, closing its reports and notifying the thread', async () => {
+    const held = await commentsApi.addComment({ postId: POST_ID, userId: STUDENT.id, content: 'What a scam' });
+    const [report] = await moderationApi.listOpenReports('CCS');
+
+    await signInAs(getClient(), CCS_ADMIN.email);
+    await moderationApi.moderate(report.id, 'restore');
+
+    expect((await commentsApi.getComment(held.id)).status).toBe('visible');
+    expect(await moderationApi.listOpenReports('CCS')).toEqual([]);
+    expect((await notificationsApi.listForUser(CCS_ADMIN.id)).map((notification) => notification.type)).toEqual(['comment']);
+  });
+
+  it('restores a held edit without notifying the thread again', async () => {
+    const added = await commentsApi.addComment({ postId: POST_ID, userId: STUDENT.id, content: 'Thanks!' });
+    await commentsApi.updateComment(added.id, { content: 'Thanks, scam' });
+    expect((await commentsApi.getComment(added.id)).status).toBe('held');
+    const [report] = await moderationApi.listOpenReports('CCS');
+
+    await signInAs(getClient(), CCS_ADMIN.email);
+    await moderationApi.moderate(report.id, 'restore');
+
+    expect((await commentsApi.getComment(added.id)).status).toBe('visible');
+    expect(await notificationsApi.listForUser(CCS_ADMIN.id)).toHaveLength(1);
+  });
+
+  it('hides a reported post until a moderator restores it', async () => {
+    await reportPost();
+    const [report] = await moderationApi.listOpenReports('CCS');
+
+    await signInAs(getClient(), CCS_ADMIN.email);
+    await moderationApi.moderate(report.id, 'hide');
+    expect((await postsApi.getPost('seed-post-hackathon')).status).toBe('hidden');
+    expect((await postsApi.listFeed()).posts.map((post) => post.id)).not.toContain('seed-post-hackathon');
+
+    await moderationApi.moderate(report.id, 'restore');
+    expect((await postsApi.getPost('seed-post-hackathon')).status).toBe('active');
+  });
+
+  it('restores a hidden post to the status it had before', async () => {
+    await signInAs(getClient(), CCS_ADMIN.email);
+    await postsApi.archivePost('seed-post-hackathon');
+    await signInAs(getClient(), STUDENT.email);
+    await reportPost();
+    const [report] = await moderationApi.listOpenReports('CCS');
+
+    await signInAs(getClient(), CCS_ADMIN.email);
+    await moderationApi.moderate(report.id, 'hide');
+    await moderationApi.moderate(report.id, 'restore');
+    expect((await postsApi.getPost('seed-post-hackathon')).status).toBe('archived');
+  });
+
+  it('deletes a reported post along with its attachment files', async () => {
+    const [attachment] = await attachmentsApi.addAttachments('seed-post-hackathon', CCS_ADMIN.id, [
+      { file: new File(['rules'], 'rules.txt', { type: 'text/plain' }) }
+    ]);
+    await reportPost();
+    const [report] = await moderationApi.listOpenReports('CCS');
+
+    await signInAs(getClient(), CCS_ADMIN.email);
+    await moderationApi.moderate(report.id, 'delete');
+
+    await expect(postsApi.getPost('seed-post-hackathon')).rejects.toMatchObject({ code: 'PGRST116' });
+    const { data } = await getClient().storage.from(POST_ATTACHMENTS_BUCKET).remove([attachment.path]);
+    expect(data).toEqual([]);
+  });
+
+  it('deletes a reported comment along with its reports', async () => {
+    await moderationApi.report({ postId: POST_ID, commentId: 'seed-comment-2', department: 'CCS', reporterId: STUDENT.id, reason: 'Rude' });
+    const [report] = await moderationApi.listOpenReports('CCS');
+
+    await signInAs(getClient(), CCS_ADMIN.email);
+    await moderationApi.moderate(report.id, 'delete');
+
+    expect(await commentsApi.getComment('seed-comment-2')).toBeNull();
+    expect(await moderationApi.listOpenReports('CCS')).toEqual([]);
+  });
+
+  it("only lets the department's moderators act", async () => {
+    await reportPost();
+    const [report] = await moderationApi.listOpenReports('CCS');
+
+    await signInAs(getClient(), COE_ADMIN.email);
+    await expect(moderationApi.moderate(report.id, 'hide')).rejects.toMatchObject({ code: '42501' });
+
+    await signInAs(getClient(), CCS_ADMIN.email);
+    await expect(moderationApi.moderate(report.id, 'ban')).rejects.toMatchObject({ code: '22023' });
+  });
+
+  it('manages banned words', async () => {
+    await moderationApi.addBannedWord({ department: 'CCS', word: ' spoiler ', createdBy: CCS_ADMIN.id });
+    await expect(moderationApi.addBannedWord({ department: 'CCS', word: 'scam', createdBy: CCS_ADMIN.id }))
+      .rejects.toMatchObject({ code: '23505' });
+
+    const words = await moderationApi.listBannedWords('CCS');
+    expect(words.map((row) => row.word)).toEqual(['scam', 'spoiler', 'stupid']);
+
+    await moderationApi.removeBannedWord(words[0].id);
+    const added = await commentsApi.addComment({ postId: POST_ID, userId: STUDENT.id, content: 'Not a scam' });
+    expect(added.status).toBe('visible');
+  });
+});
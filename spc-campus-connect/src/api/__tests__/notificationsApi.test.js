@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { notificationsApi, postsApi, commentsApi, usersApi, realtimeApi } from '..';
+import { useMemoryClient, newPost, STUDENT, CCS_ADMIN, CCS_HEAD, COE_ADMIN } from './memoryClient';
+
+// The types of someone's notifications, newest first
+const notificationTypes = async (userId) => (
+  (await notificationsApi.listForUser(userId)).map((notification) => notification.type)
+);
+
+describe('notificationsApi', () => {
+  useMemoryClient();
+
+  it('lists notifications newest first with who caused them', async () => {
+    await postsApi.createPost(newPost({ title: 'First' }));
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await postsApi.createPost(newPost({ title: 'Second' }));
+
+    const notifications = await notificationsApi.listForUser(STUDENT.id);
+    expect(notifications.map((notification) => notification.message)).toEqual([
+      'New announcement in CCS: Second',
+      'New announcement in CCS: First'
+    ]);
+    expect(notifications[0].actor.name).toBe('Juan Dela Cruz');
+  });
+
+  it('marks one or all notifications read', async () => {
+    await postsApi.createPost(newPost({ title: 'First' }));
+    await postsApi.createPost(newPost({ title: 'Second' }));
+    expect(await notificationsApi.countUnread(STUDENT.id)).toBe(2);
+
+    const [latest] = await notificationsApi.listForUser(STUDENT.id);
+    await notificationsApi.markRead(latest.id);
+    expect(await notificationsApi.countUnread(STUDENT.id)).toBe(1);
+
+    await notificationsApi.markAllRead(STUDENT.id);
+    expect(await notificationsApi.countUnread(STUDENT.id)).toBe(0);
+  });
+
+  it('tells the department about a live post, but not its author, other departments or pending accounts', async () => {
+    await postsApi.createPost(newPost({ title: 'Lab schedule' }));
+    await postsApi.createPost(newPost({ title: 'Not yet', status: 'archived' }));
+
+    expect(await notificationTypes(STUDENT.id)).toEqual(['new_post']);
+    expect(await notificationTypes(CCS_HEAD.id)).toEqual(['new_post']);
+    expect(await notificationTypes(CCS_ADMIN.id)).toEqual([]);
+    expect(await notificationTypes(COE_ADMIN.id)).toEqual([]);
+    expect(await notificationTypes('seed-pending')).toEqual([]);
+  });
+
+  it('tells the department when a draft is published, not while it is saved', async () => {
+    const draft = await postsApi.createPost(newPost({ title: 'Half written', status: 'draft' }));
+    await postsApi.updatePost(draft.id, { content: 'Nearly there' });
+    expect(await notificationTypes(STUDENT.id)).toEqual([]);
+
+    await postsApi.updatePost(draft.id, { status: 'active' });
+    expect(await notificationTypes(STUDENT.id)).toEqual(['new_post']);
+  });
+
+  it("tells a post's author and the rest of the thread about a comment", async () => {
+    await commentsApi.addComment({ postId: 'seed-post-enrollment', userId: CCS_HEAD.id, content: 'Noted, thanks.' });
+
+    const [toAuthor] = await notificationsApi.listForUser(CCS_ADMIN.id);
+    expect(toAuthor.message).toBe('Maria Santos commented on "Enrollment for 2nd Semester"');
+    expect(await notificationTypes(STUDENT.id)).toEqual(['comment']);
+    expect(await notificationTypes(CCS_HEAD.id)).toEqual([]);
+  });
+
+  it('tells people when their account is approved', async () => {
+    await usersApi.setAccountApproval('seed-pending', true, CCS_HEAD.id);
+
+    const [notification] = await notificationsApi.listForUser('seed-pending');
+    expect(notification).toMatchObject({ type: 'account_approved', actor_id: CCS_HEAD.id });
+  });
+
+  it("streams a person's new notifications to them", async () => {
+    const changes = [];
+    const unsubscribe = realtimeApi.onNotificationsChange(STUDENT.id, (change) => changes.push(change));
+
+    await postsApi.createPost(newPost({ title: 'Lab schedule' }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    unsubscribe();
+
+    expect(changes.map((change) => change.new.user_id)).toEqual([STUDENT.id]);
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import { postsApi, commentsApi, attachmentsApi } from '..';
+import { POST_ATTACHMENTS_BUCKET } from '../storageApi';
+import { useMemoryClient, newPost, hoursFromNow, CCS_ADMIN } from './memoryClient';
+
+describe('postsApi', () => {
+  const getClient = useMemoryClient();
+
+  describe('listFeed', () => {
+    it('lists active posts, newest first, with their stats and tags', async () => {
+      const { posts, nextCursor, total } = await postsApi.listFeed();
+
+      expect(posts.map((post) => post.id)).toEqual(['seed-post-hackathon', 'seed-post-enrollment', 'seed-post-seminar']);
+      expect(nextCursor).toBeNull();
+      expect(total).toBe(3);
+
+      const enrollment = posts[1];
+      expect(enrollment.comment_count).toBe(2);
+      expect(enrollment.users.name).toBe('Juan Dela Cruz');
+      expect(enrollment.tags.map((tag) => tag.name)).toEqual(['Enrollment']);
+      expect(enrollment).not.toHaveProperty('post_tags');
+    });
+
+    it('narrows to a department and a tag', async () => {
+      const coe = await postsApi.listFeed({ department: 'COE' });
+      expect(coe.posts.map((post) => post.id)).toEqual(['seed-post-seminar']);
+      expect(coe.total).toBe(1);
+
+      const tagged = await postsApi.listFeed({ tag: 'seed-tag-ccs-org' });
+      expect(tagged.posts.map((post) => post.id)).toEqual(['seed-post-hackathon']);
+    });
+
+    it('pages through older posts with nextCursor', async () => {
+      const first = await postsApi.listFeed({ limit: 2 });
+      expect(first.posts).toHaveLength(2);
+      expect(first.nextCursor).not.toBeNull();
+
+      const second = await postsApi.listFeed({ limit: 2, before: first.nextCursor });
+      expect(second.posts.map((post) => post.id)).toEqual(['seed-post-seminar']);
+      expect(second.nextCursor).toBeNull();
+    });
+
+    it('neither skips nor repeats posts published in the same instant', async () => {
+      const publishAt = hoursFromNow(-1);
+      await Promise.all([1, 2, 3, 4, 5].map((number) => (
+        postsApi.createPost(newPost({ title: `Tied ${number}`, publish_at: publishAt }))
+      )));
+
+      const seen = [];
+      let before = null;
+      do {
+        const page = await postsApi.listFeed({ department: 'CCS', limit: 2, before });
+        seen.push(...page.posts.map((post) => post.title));
+        before = page.nextCursor;
+      } while (before);
+
+      expect(seen.filter((title) => title.startsWith('Tied')).sort()).toEqual(['Tied 1', 'Tied 2', 'Tied 3', 'Tied 4', 'Tied 5']);
+      expect(new Set(seen).size).toBe(seen.length);
+    });
+
+    it('leaves out expired posts the schedule job has not archived yet', async () => {
+      await postsApi.createPost(newPost({ title: 'Expired', expires_at: hoursFromNow(-1) }));
+
+      const { posts } = await postsApi.listFeed();
+      expect(posts.map((post) => post.title)).not.toContain('Expired');
+    });
+  });
+
+  it('keeps comment counts and activity times current as comments come and go', async () => {
+    await commentsApi.addComment({ postId: 'seed-post-hackathon', userId: CCS_ADMIN.id, content: 'Teams close Friday.' });
+
+    const hackathon = (await postsApi.listFeed()).posts.find((post) => post.id === 'seed-post-hackathon');
+    expect(hackathon.comment_count).toBe(1);
+    expect(hackathon.last_activity_at).toBe(hackathon.last_comment_at);
+    expect(hackathon.last_comment_at > hackathon.created_at).toBe(true);
+
+    const [comment] = await commentsApi.listForPost('seed-post-hackathon');
+    await commentsApi.deleteComment(comment.id);
+
+    const mine = await postsApi.listByAuthor(CCS_ADMIN.id);
+    expect(mine.find((post) => post.id === 'seed-post-hackathon')).toMatchObject({ comment_count: 0, last_comment_at: null });
+  });
+
+  it("lists an author's posts whatever their status", async () => {
+    const posts = await postsApi.listByAuthor(CCS_ADMIN.id);
+
+    expect(posts.map((post) => post.status).sort()).toEqual(['active', 'active', 'archived', 'scheduled']);
+  });
+
+  it('lists archived posts by department', async () => {
+    const posts = await postsApi.listArchived({ department: 'CCS' });
+
+    expect(posts.map((post) => post.id)).toEqual(['seed-post-orientation']);
+  });
+
+  it('lists events in a date range, soonest first', async () => {
+    const events = await postsApi.listEvents({ from: new Date(), to: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) });
+
+    expect(events.map((event) => event.id)).toEqual(['seed-post-seminar', 'seed-post-hackathon']);
+    expect(events[0].users.name).toBe('Ana Reyes');
+  });
+
+  it('searches titles, content and comments', async () => {
+    const results = await postsApi.searchPosts({ query: 'irregular' });
+
+    expect(results.map((result) => result.id)).toEqual(['seed-post-enrollment']);
+    expect(results[0].comment_headline).toContain('<mark>irregular</mark>');
+  });
+
+  it('gets a post with its author, tags and attachments', async () => {
+    const post = await postsApi.getPost('seed-post-hackathon');
+
+    expect(post.users).toMatchObject({ name: 'Juan Dela Cruz', role: 'admin' });
+    expect(post.tags.map((tag) => tag.id)).toEqual(['seed-tag-ccs-org']);
+    expect(post.post_attachments).toEqual([]);
+  });
+
+  it('creates posts as active unless told otherwise', async () => {
+    const unstated = newPost({ title: 'Lab schedule' });
+    delete unstated.status;
+    await postsApi.createPost(unstated);
+    await postsApi.createPost(newPost({ title: 'Draft notes', status: 'archived' }));
+
+    const titles = (await postsApi.listFeed()).posts.map((post) => post.title);
+    expect(titles).toContain('Lab schedule');
+    expect(titles).not.toContain('Draft notes');
+  });
+
+  it('publishes, archives and restores posts', async () => {
+    await postsApi.publishPost('seed-post-intramurals');
+    expect((await postsApi.getPost('seed-post-intramurals')).status).toBe('active');
+
+    await postsApi.archivePost('seed-post-intramurals');
+    expect((await postsApi.getPost('seed-post-intramurals')).status).toBe('archived');
+
+    await postsApi.restorePost('seed-post-intramurals');
+    const restored = await postsApi.getPost('seed-post-intramurals');
+    expect(restored.status).toBe('active');
+    expect(restored.expires_at).toBeNull();
+  });
+
+  it('deletes a post and its attachment files', async () => {
+    const post = await postsApi.createPost(newPost());
+    const [attachment] = await attachmentsApi.addAttachments(post.id, CCS_ADMIN.id, [
+      { file: new File(['hello'], 'notes.txt', { type: 'text/plain' }) }
+    ]);
+
+    await postsApi.deletePost(post.id);
+
+    await expect(postsApi.getPost(post.id)).rejects.toMatchObject({ code: 'PGRST116' });
+    const { data: leftOver } = await getClient().storage.from(POST_ATTACHMENTS_BUCKET).remove([attachment.path]);
+    expect(leftOver).toEqual([]);
+  });
+});
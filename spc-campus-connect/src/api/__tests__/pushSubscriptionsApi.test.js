@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { pushSubscriptionsApi } from '..';
+import { useMemoryClient, STUDENT } from './memoryClient';
+
+// The parts of a PushSubscription the api reads
+const subscription = (endpoint, auth = 'auth-key') => ({
+  toJSON: () => ({ endpoint, keys: { p256dh: 'p256dh-key', auth } })
+});
+
+describe('pushSubscriptionsApi', () => {
+  const getClient = useMemoryClient();
+
+  const listRows = async () => (await getClient().from('push_subscriptions').select('*')).data;
+
+  it('saves one row per endpoint and removes it again', async () => {
+    await pushSubscriptionsApi.saveSubscription(STUDENT.id, subscription('https://push.example/1'));
+    await pushSubscriptionsApi.saveSubscription(STUDENT.id, subscription('https://push.example/1', 'rotated'));
+
+    const rows = await listRows();
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ user_id: STUDENT.id, auth: 'rotated' });
+
+    await pushSubscriptionsApi.removeSubscription('https://push.example/1');
+    expect(await listRows()).toEqual([]);
+  });
+});
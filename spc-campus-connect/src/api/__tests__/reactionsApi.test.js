@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { reactionsApi, postsApi } from '..';
+import { useMemoryClient, CCS_HEAD } from './memoryClient';
+
+const POST_ID = 'seed-post-enrollment';
+
+describe('reactionsApi', () => {
+  useMemoryClient();
+
+  it('lists reactions on a post and its comments with who reacted', async () => {
+    const reactions = await reactionsApi.listForPost(POST_ID);
+
+    expect(reactions.map((reaction) => [reaction.comment_id, reaction.reaction])).toEqual([
+      [null, 'noted'],
+      [null, 'like'],
+      ['seed-comment-2', 'heart']
+    ]);
+    expect(reactions[0].users.name).toBe('Carlo Mendoza');
+  });
+
+  it('ignores reacting the same way twice', async () => {
+    await reactionsApi.addReaction({ postId: POST_ID, userId: CCS_HEAD.id, reaction: 'party' });
+    await reactionsApi.addReaction({ postId: POST_ID, userId: CCS_HEAD.id, reaction: 'party' });
+
+    const { posts } = await postsApi.listFeed();
+    expect(posts.find((post) => post.id === POST_ID).reaction_counts).toEqual({ noted: 1, like: 1, party: 1 });
+  });
+
+  it('removes a post reaction without touching the same one on a comment', async () => {
+    await reactionsApi.addReaction({ postId: POST_ID, commentId: 'seed-comment-2', userId: CCS_HEAD.id, reaction: 'like' });
+    await reactionsApi.removeReaction({ postId: POST_ID, userId: CCS_HEAD.id, reaction: 'like' });
+
+    const mine = (await reactionsApi.listForPost(POST_ID)).filter((reaction) => reaction.user_id === CCS_HEAD.id);
+    expect(mine.map((reaction) => reaction.comment_id)).toEqual(['seed-comment-2']);
+    expect(await reactionsApi.getReaction(mine[0].id)).toMatchObject({ reaction: 'like' });
+  });
+});
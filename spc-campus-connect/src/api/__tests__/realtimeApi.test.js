@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { realtimeApi, commentsApi, postsApi } from '..';
+import { useMemoryClient, STUDENT } from './memoryClient';
+
+// Changes arrive after the statement returns, like they do over the wire
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('realtimeApi', () => {
+  useMemoryClient();
+
+  it("delivers changes to one post's comments", async () => {
+    const changes = [];
+    const unsubscribe = realtimeApi.onPostCommentsChange('seed-post-hackathon', (change) => changes.push(change));
+
+    await commentsApi.addComment({ postId: 'seed-post-hackathon', userId: STUDENT.id, content: 'Count me in' });
+    await commentsApi.addComment({ postId: 'seed-post-enrollment', userId: STUDENT.id, content: 'Elsewhere' });
+    await nextTick();
+    const addedId = changes[0].new.id;
+    await commentsApi.updateComment(addedId, { content: 'Count us in' });
+    await nextTick();
+
+    expect(changes[0]).toMatchObject({ eventType: 'INSERT', new: { content: 'Count me in' } });
+    expect(changes[1]).toMatchObject({ eventType: 'UPDATE', old: { content: 'Count me in' }, new: { content: 'Count us in' } });
+    expect(changes.every((change) => change.new.post_id === 'seed-post-hackathon')).toBe(true);
+
+    unsubscribe();
+    const received = changes.length;
+    await commentsApi.deleteComment(addedId);
+    await nextTick();
+    expect(changes).toHaveLength(received);
+  });
+
+  it('delivers post updates with the row as it was', async () => {
+    const changes = [];
+    const unsubscribe = realtimeApi.onPostsChange((change) => changes.push(change));
+
+    await postsApi.archivePost('seed-post-hackathon');
+    await nextTick();
+    unsubscribe();
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ eventType: 'UPDATE', old: { status: 'active' }, new: { status: 'archived' } });
+  });
+
+  it('delivers deletes whatever the filter, like Supabase', async () => {
+    const changes = [];
+    const unsubscribe = realtimeApi.onPostChange('seed-post-hackathon', (change) => changes.push(change));
+
+    await postsApi.deletePost('seed-post-seminar');
+    await nextTick();
+    unsubscribe();
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ eventType: 'DELETE', old: { id: 'seed-post-seminar' } });
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { rsvpsApi, postsApi } from '..';
+import { useMemoryClient, newPost, hoursFromNow, STUDENT, CCS_HEAD } from './memoryClient';
+
+describe('rsvpsApi', () => {
+  useMemoryClient();
+
+  it("counts an event's answers", async () => {
+    expect(await rsvpsApi.getCounts('seed-post-hackathon')).toMatchObject({
+      capacity: 30,
+      going_count: 1,
+      waitlist_count: 0,
+      interested_count: 0
+    });
+  });
+
+  it('gives zero counts for posts that are not events', async () => {
+    expect(await rsvpsApi.getCounts('seed-post-enrollment')).toMatchObject({ going_count: 0, capacity: null });
+  });
+
+  it("changes and withdraws a person's answer", async () => {
+    await rsvpsApi.respond('seed-post-hackathon', STUDENT.id, 'interested');
+    expect(await rsvpsApi.getMine('seed-post-hackathon', STUDENT.id)).toMatchObject({ status: 'interested', place: null });
+    expect((await rsvpsApi.getCounts('seed-post-hackathon')).interested_count).toBe(1);
+
+    await rsvpsApi.withdraw('seed-post-hackathon', STUDENT.id);
+    expect(await rsvpsApi.getMine('seed-post-hackathon', STUDENT.id)).toBeNull();
+  });
+
+  it('waitlists people going past capacity, in the order they answered', async () => {
+    const event = await postsApi.createPost(newPost({ type: 'event', event_date: hoursFromNow(48), capacity: 1 }));
+
+    await rsvpsApi.respond(event.id, STUDENT.id, 'going');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await rsvpsApi.respond(event.id, CCS_HEAD.id, 'going');
+
+    expect(await rsvpsApi.getMine(event.id, STUDENT.id)).toMatchObject({ place: 1, waitlisted: false });
+    expect(await rsvpsApi.getMine(event.id, CCS_HEAD.id)).toMatchObject({ place: 2, waitlisted: true });
+    expect(await rsvpsApi.getCounts(event.id)).toMatchObject({ going_count: 1, waitlist_count: 1 });
+
+    const attendees = await rsvpsApi.listAttendees(event.id);
+    expect(attendees.map((attendee) => attendee.users.name)).toEqual(['Carlo Mendoza', 'Maria Santos']);
+  });
+});
@@ -0,0 +1,17 @@
+import { describe, it, expect } from 'vitest';
+import { storageApi } from '..';
+import { PROFILE_PICTURES_BUCKET } from '../storageApi';
+import { useMemoryClient, CCS_ADMIN } from './memoryClient';
+
+describe('storageApi', () => {
+  const getClient = useMemoryClient();
+
+  it('removes a profile picture by its public URL', async () => {
+    const url = await storageApi.uploadProfilePicture(CCS_ADMIN.id, new File(['me'], 'me.jpg', { type: 'image/jpeg' }));
+
+    await storageApi.removeProfilePicture(url);
+
+    const { data } = await getClient().storage.from(PROFILE_PICTURES_BUCKET).remove([url.split(`/${PROFILE_PICTURES_BUCKET}/`).pop()]);
+    expect(data).toEqual([]);
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { tagsApi, postsApi } from '..';
+import { useMemoryClient, CCS_ADMIN } from './memoryClient';
+
+describe('tagsApi', () => {
+  useMemoryClient();
+
+  it("lists a department's tags by name", async () => {
+    const tags = await tagsApi.listTags('COE');
+
+    expect(tags.map((tag) => tag.name)).toEqual(['Exams', 'Safety']);
+  });
+
+  it('creates, renames and deletes a tag', async () => {
+    const tag = await tagsApi.createTag({ department: 'CCS', name: '  Sports ', createdBy: CCS_ADMIN.id });
+    expect(tag).toMatchObject({ department: 'CCS', name: 'Sports' });
+
+    await tagsApi.renameTag(tag.id, 'Intramurals');
+    expect((await tagsApi.listTags('CCS')).map((row) => row.name)).toContain('Intramurals');
+
+    await tagsApi.deleteTag(tag.id);
+    expect((await tagsApi.listTags('CCS')).map((row) => row.id)).not.toContain(tag.id);
+  });
+
+  it("replaces a post's tags and drops deleted tags from posts", async () => {
+    await tagsApi.setPostTags('seed-post-enrollment', ['seed-tag-ccs-exams', 'seed-tag-ccs-scholarships']);
+    expect((await postsApi.getPost('seed-post-enrollment')).tags.map((tag) => tag.name)).toEqual(['Exams', 'Scholarships']);
+
+    await tagsApi.deleteTag('seed-tag-ccs-exams');
+    expect((await postsApi.getPost('seed-post-enrollment')).tags.map((tag) => tag.name)).toEqual(['Scholarships']);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { usersApi, authApi } from '..';
+import { useMemoryClient, CCS_HEAD } from './memoryClient';
+
+// Signs up like the landing page does; the signup trigger creates the account
+const signUp = async ({ email, name = 'New Person', department = 'COC', role = 'user' }) => {
+  const authUser = await authApi.signUp({ email, password: 'password', name, department, role });
+  return usersApi.getAccount(authUser.id);
+};
+
+describe('usersApi', () => {
+  const getClient = useMemoryClient();
+
+  it('creates students waiting for approval', async () => {
+    expect(await signUp({ email: 'new@spc.edu', name: 'New Person' })).toMatchObject({
+      name: 'New Person',
+      department: 'COC',
+      role: 'user',
+      is_approved: false
+    });
+  });
+
+  it("creates staff accounts only for the department's reserved email", async () => {
+    expect(await signUp({ email: 'coc-head@spc.edu', role: 'super_admin' })).toMatchObject({ role: 'super_admin', is_approved: true });
+    expect(await signUp({ email: 'coc-admin@spc.edu', role: 'admin' })).toMatchObject({ role: 'admin', is_approved: false });
+
+    await expect(signUp({ email: 'someone@spc.edu', department: 'COE', role: 'super_admin' }))
+      .rejects.toMatchObject({ code: 'unexpected_failure' });
+    await expect(authApi.signIn({ email: 'someone@spc.edu', password: 'password' })).rejects.toThrow();
+  });
+
+  it('refuses a second Admin for a department and unknown roles', async () => {
+    await expect(signUp({ email: 'ccs-admin2@spc.edu', department: 'CCS', role: 'owner' }))
+      .rejects.toMatchObject({ code: 'unexpected_failure' });
+
+    const { error } = await getClient()
+      .from('users')
+      .insert([{ id: 'second-admin', name: 'Second Admin', email: 'second@spc.edu', department: 'CCS', role: 'admin' }]);
+    expect(error).toMatchObject({ code: '23505' });
+  });
+
+  it("finds a department's Admin or Program Head", async () => {
+    expect(await usersApi.findDepartmentAccount('CCS', 'admin')).toEqual({ id: 'seed-ccs-admin' });
+    expect(await usersApi.findDepartmentAccount('COE', 'super_admin')).toBeNull();
+  });
+
+  it('lists accounts awaiting approval and approves them', async () => {
+    const pending = await usersApi.listDepartmentAccounts('CCS', { approved: false });
+    expect(pending.map((account) => account.id)).toEqual(['seed-pending']);
+
+    await usersApi.setAccountApproval('seed-pending', true, CCS_HEAD.id);
+    const approved = await usersApi.getAccount('seed-pending');
+    expect(approved).toMatchObject({ is_approved: true, approved_by: CCS_HEAD.id });
+    expect(usersApi.isAccountApproved(approved)).toBe(true);
+  });
+
+  it('updates and deletes accounts', async () => {
+    await usersApi.updateAccount('seed-pending', { name: 'Liza R. Ramos' });
+    expect((await usersApi.getAccount('seed-pending')).name).toBe('Liza R. Ramos');
+
+    await usersApi.deleteAccount('seed-pending');
+    expect(await usersApi.getAccount('seed-pending')).toBeNull();
+  });
+
+  it('lists approved people to mention', async () => {
+    const people = await usersApi.listMentionable('CCS');
+
+    expect(people.map((person) => person.name)).toEqual(['Carlo Mendoza', 'Juan Dela Cruz', 'Maria Santos']);
+  });
+});
@@ -0,0 +1,47 @@
+import { getClient } from './client';
+
+// The user's acknowledgement of a post, or null
+const getMine = async (postId, userId) => {
+  const { data, error } = await getClient()
+    .from('post_acknowledgements')
+    .select('*')
+    .eq('post_id', postId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Acknowledging twice keeps the first one
+const acknowledge = async (postId, userId) => {
+  const { error } = await getClient()
+    .from('post_acknowledgements')
+    .insert([{ post_id: postId, user_id: userId }]);
+
+  if (error && error.code !== '23505') throw error;
+};
+
+// Everyone who acknowledged, earliest first. Only the post's author gets
+// other people's rows back.
+const listForPost = async (postId) => {
+  const { data, error } = await getClient()
+    .from('post_acknowledgements')
+    .select(`
+      *,
+      users:user_id (name, email, department)
+    `)
+    .eq('post_id', postId)
+    .order('acknowledged_at', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+const acknowledgementsApi = {
+  getMine,
+  acknowledge,
+  listForPost
+};
+
+export default acknowledgementsApi;
@@ -0,0 +1,72 @@
+import { getClient } from './client';
+import storageApi from './storageApi';
+
+// Columns embedded with posts as `post_attachments (...)`
+export const ATTACHMENT_COLUMNS = 'id, post_id, path, url, name, mime_type, size, width, height, position';
+
+// Embeds come back in insertion order; the gallery follows `position`
+export const sortAttachments = (attachments = []) => (
+  [...attachments].sort((a, b) => a.position - b.position)
+);
+
+const listForPost = async (postId) => {
+  const { data, error } = await getClient()
+    .from('post_attachments')
+    .select(ATTACHMENT_COLUMNS)
+    .eq('post_id', postId)
+    .order('position', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+// Uploads files (already validated and resized) and records them against
+// the post, after any attachments it already has
+const addAttachments = async (postId, userId, uploads, { startPosition = 0 } = {}) => {
+  if (uploads.length === 0) return [];
+
+  const rows = [];
+  for (const [index, { file, width = null, height = null }] of uploads.entries()) {
+    const { path, url } = await storageApi.uploadPostAttachment(userId, file);
+    rows.push({
+      post_id: postId,
+      path,
+      url,
+      name: file.name,
+      mime_type: file.type,
+      size: file.size,
+      width,
+      height,
+      position: startPosition + index
+    });
+  }
+
+  const { data, error } = await getClient()
+    .from('post_attachments')
+    .insert(rows)
+    .select(ATTACHMENT_COLUMNS);
+
+  if (error) {
+    await storageApi.removePostAttachments(rows.map((row) => row.path));
+    throw error;
+  }
+  return data;
+};
+
+const removeAttachment = async (attachment) => {
+  const { error } = await getClient()
+    .from('post_attachments')
+    .delete()
+    .eq('id', attachment.id);
+
+  if (error) throw error;
+  await storageApi.removePostAttachments([attachment.path]);
+};
+
+const attachmentsApi = {
+  listForPost,
+  addAttachments,
+  removeAttachment
+};
+
+export default attachmentsApi;
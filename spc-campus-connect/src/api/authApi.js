@@ -0,0 +1,60 @@
+import { getClient } from './client';
+
+const getSession = async () => {
+  const { data: { session }, error } = await getClient().auth.getSession();
+  if (error) throw error;
+  return session;
+};
+
+// Returns an unsubscribe function
+const onAuthStateChange = (callback) => {
+  const { data } = getClient().auth.onAuthStateChange(callback);
+  return () => data?.subscription.unsubscribe();
+};
+
+const signIn = async ({ email, password }) => {
+  const { data, error } = await getClient().auth.signInWithPassword({ email, password });
+  if (error) throw error;
+  return data.user;
+};
+
+// The account row is created from this metadata by the
+// create_account_for_auth_user trigger, so it exists even before the email
+// is confirmed. role is one of usersApi's ROLES.
+const signUp = async ({ email, password, name, department, role = 'user' }) => {
+  const { data, error } = await getClient().auth.signUp({
+    email,
+    password,
+    options: {
+      data: {
+        full_name: name,
+        department,
+        role
+      },
+    },
+  });
+
+  if (error) throw error;
+  return data.user;
+};
+
+const signOut = async () => {
+  const { error } = await getClient().auth.signOut();
+  if (error) throw error;
+};
+
+const updatePassword = async (password) => {
+  const { error } = await getClient().auth.updateUser({ password });
+  if (error) throw error;
+};
+
+const authApi = {
+  getSession,
+  onAuthStateChange,
+  signIn,
+  signUp,
+  signOut,
+  updatePassword
+};
+
+export default authApi;
@@ -0,0 +1,58 @@
+import { getClient } from './client';
+
+// Codes are issued and redeemed by the rotate_check_in_code and check_in
+// database functions; the tables behind them aren't written directly.
+
+// A new code for the event's QR display: { code, expires_at }
+const rotateCode = async (postId) => {
+  const { data, error } = await getClient()
+    .rpc('rotate_check_in_code', { target_post_id: postId });
+
+  if (error) throw error;
+  return data[0];
+};
+
+// Records the signed-in user's attendance:
+// { post_id, title, checked_in_at, already_checked_in }
+const checkIn = async (code) => {
+  const { data, error } = await getClient()
+    .rpc('check_in', { check_in_code: code });
+
+  if (error) throw error;
+  return data[0];
+};
+
+const countAttendance = async (postId) => {
+  const { count, error } = await getClient()
+    .from('event_attendance')
+    .select('id', { count: 'exact', head: true })
+    .eq('post_id', postId);
+
+  if (error) throw error;
+  return count ?? 0;
+};
+
+// Everyone who checked in, earliest first. Only the event's author gets
+// other people's rows back.
+const listAttendance = async (postId) => {
+  const { data, error } = await getClient()
+    .from('event_attendance')
+    .select(`
+      *,
+      users:user_id (name, email, department)
+    `)
+    .eq('post_id', postId)
+    .order('checked_in_at', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+const checkInApi = {
+  rotateCode,
+  checkIn,
+  countAttendance,
+  listAttendance
+};
+
+export default checkInApi;
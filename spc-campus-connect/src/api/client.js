@@ -0,0 +1,34 @@
+import { createClient } from '@supabase/supabase-js';
+
+// VITE_API_BACKEND=memory runs the whole app against in-memory tables,
+// with no network and no Supabase project needed. The memory backend is
+// only downloaded in that case, so loadClient() must finish before the
+// first getClient().
+const USE_MEMORY_BACKEND = import.meta.env.VITE_API_BACKEND === 'memory';
+
+let client = null;
+
+export const loadClient = async () => {
+  if (!client && USE_MEMORY_BACKEND) {
+    const { createMemoryClient } = await import('./memory/createMemoryClient');
+    client = createMemoryClient({ persist: true });
+  }
+
+  return getClient();
+};
+
+export const getClient = () => {
+  if (client) return client;
+
+  if (USE_MEMORY_BACKEND) {
+    throw new Error('The memory backend is still loading; await loadClient() first');
+  }
+
+  client = createClient(import.meta.env.VITE_SUPABASE_URL, import.meta.env.VITE_SUPABASE_ANON_KEY);
+  return client;
+};
+
+// Swap the backend, e.g. for a fresh createMemoryClient() in tests
+export const setClient = (nextClient) => {
+  client = nextClient;
+};
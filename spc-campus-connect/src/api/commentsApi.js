@@ -0,0 +1,98 @@
+import { getClient } from './client';
+
+const listForPost = async (postId) => {
+  const { data, error } = await getClient()
+    .from('comments')
+    .select(`
+      *,
+      users:user_id (name, department, role, profile_picture)
+    `)
+    .eq('post_id', postId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+// A single comment with its author, e.g. one that just arrived over realtime
+const getComment = async (id) => {
+  const { data, error } = await getClient()
+    .from('comments')
+    .select(`
+      *,
+      users:user_id (name, department, role, profile_picture)
+    `)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// parentId makes it a reply; mentions are the ids of the people @named in it.
+// Resolves to the saved comment's { id, status }: 'held' when the banned-word
+// filter kept it back for a moderator.
+const addComment = async ({ postId, userId, content, parentId = null, mentions = [] }) => {
+  const { data, error } = await getClient()
+    .from('comments')
+    .insert([
+      {
+        post_id: postId,
+        user_id: userId,
+        parent_id: parentId,
+        content,
+        mentions
+      }
+    ])
+    .select('id, status')
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+// Only the text and its mentions change; the old text is kept as a revision.
+// Resolves to the comment's { id, status }, which an edit can leave 'held'.
+const updateComment = async (id, { content, mentions = [] }) => {
+  const { data, error } = await getClient()
+    .from('comments')
+    .update({ content, mentions })
+    .eq('id', id)
+    .select('id, status')
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+// Earlier versions of a comment, oldest first
+const listRevisions = async (commentId) => {
+  const { data, error } = await getClient()
+    .from('comment_revisions')
+    .select('id, content, written_at')
+    .eq('comment_id', commentId)
+    .order('written_at', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+const deleteComment = async (id) => {
+  const { error } = await getClient()
+    .from('comments')
+    .delete()
+    .eq('id', id);
+
+  if (error) throw error;
+};
+
+const commentsApi = {
+  listForPost,
+  getComment,
+  addComment,
+  updateComment,
+  listRevisions,
+  deleteComment
+};
+
+export default commentsApi;
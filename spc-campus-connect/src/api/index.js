@@ -0,0 +1,16 @@
+export { default as authApi } from './authApi';
+export { default as usersApi, ROLES, ROLE_LABELS } from './usersApi';
+export { default as postsApi } from './postsApi';
+export { default as commentsApi } from './commentsApi';
+export { default as storageApi } from './storageApi';
+export { default as attachmentsApi } from './attachmentsApi';
+export { default as tagsApi } from './tagsApi';
+export { default as reactionsApi } from './reactionsApi';
+export { default as moderationApi } from './moderationApi';
+export { default as rsvpsApi } from './rsvpsApi';
+export { default as checkInApi } from './checkInApi';
+export { default as acknowledgementsApi } from './acknowledgementsApi';
+export { default as notificationsApi } from './notificationsApi';
+export { default as pushSubscriptionsApi } from './pushSubscriptionsApi';
+export { default as realtimeApi } from './realtimeApi';
+export { loadClient, getClient, setClient } from './client';
@@ -0,0 +1,115 @@
+import { postgrestError } from './database';
+import { createAccountForAuthUser } from './triggers';
+
+const SESSION_KEY = 'spc-memory-session';
+
+const toAuthUser = (account) => ({
+  id: account.id,
+  email: account.email,
+  user_metadata: account.user_metadata || {}
+});
+
+const toSession = (account) => ({
+  access_token: `memory-token-${account.id}`,
+  token_type: 'bearer',
+  user: toAuthUser(account)
+});
+
+// Stand-in for supabase.auth. Credentials live in a private `auth_users`
+// table next to the public ones, the same split Supabase makes.
+export function createMemoryAuth(db, { persist = false } = {}) {
+  const storage = persist && typeof sessionStorage !== 'undefined' ? sessionStorage : null;
+  const listeners = new Set();
+  let session = storage ? JSON.parse(storage.getItem(SESSION_KEY) || 'null') : null;
+
+  if (!db.tables.auth_users) db.tables.auth_users = [];
+
+  const setSession = (event, nextSession) => {
+    session = nextSession;
+    if (storage) storage.setItem(SESSION_KEY, JSON.stringify(nextSession));
+    listeners.forEach((listener) => listener(event, session));
+  };
+
+  const findByEmail = (email) => {
+    return db.tables.auth_users.find((account) => account.email.toLowerCase() === email.toLowerCase());
+  };
+
+  return {
+    async getSession() {
+      return { data: { session }, error: null };
+    },
+
+    onAuthStateChange(callback) {
+      listeners.add(callback);
+      // supabase-js reports the current session to new listeners straight away
+      setTimeout(() => callback('INITIAL_SESSION', session), 0);
+
+      return {
+        data: {
+          subscription: {
+            unsubscribe: () => listeners.delete(callback)
+          }
+        }
+      };
+    },
+
+    async signInWithPassword({ email, password }) {
+      const account = findByEmail(email);
+      if (!account || account.password !== password) {
+        return { data: { user: null, session: null }, error: postgrestError('Invalid login credentials', 'invalid_credentials') };
+      }
+
+      const nextSession = toSession(account);
+      setSession('SIGNED_IN', nextSession);
+      return { data: { user: nextSession.user, session: nextSession }, error: null };
+    },
+
+    async signUp({ email, password, options = {} }) {
+      if (findByEmail(email)) {
+        return { data: { user: null, session: null }, error: postgrestError('User already registered', 'user_already_exists') };
+      }
+
+      const account = {
+        id: db.generateId(),
+        email,
+        password,
+        user_metadata: options.data || {}
+      };
+
+      // Like GoTrue, a failing signup trigger fails the signup without saying why
+      try {
+        createAccountForAuthUser({ new: account, old: {}, db });
+      } catch {
+        return { data: { user: null, session: null }, error: postgrestError('Database error saving new user', 'unexpected_failure') };
+      }
+
+      db.tables.auth_users.push(account);
+      db.persist();
+
+      // Behaves like a project with email confirmation turned off
+      const nextSession = toSession(account);
+      setSession('SIGNED_IN', nextSession);
+      return { data: { user: nextSession.user, session: nextSession }, error: null };
+    },
+
+    async signOut() {
+      setSession('SIGNED_OUT', null);
+      return { error: null };
+    },
+
+    async updateUser({ password, data }) {
+      if (!session) {
+        return { data: { user: null }, error: postgrestError('Auth session missing!', 'session_missing') };
+      }
+
+      const account = db.tables.auth_users.find((candidate) => candidate.id === session.user.id);
+      if (password) account.password = password;
+      if (data) account.user_metadata = { ...account.user_metadata, ...data };
+      db.persist();
+
+      const nextSession = toSession(account);
+      setSession('USER_UPDATED', nextSession);
+      return { data: { user: nextSession.user }, error: null };
+    }
+  };
+}
@@ -0,0 +1,50 @@
+import { createDatabase, postgrestError } from './database';
+import QueryBuilder from './queryBuilder';
+import { createMemoryAuth } from './auth';
+import { createMemoryStorage } from './storage';
+import { createMemoryRealtime } from './realtime';
+import { startJobs } from './jobs';
+import functions from './functions';
+import defaultSeed from './seed';
+
+// An offline client with the same surface as the supabase-js client the
+// api/ modules use: from(), rpc(), auth, storage and realtime channels. The
+// database's cron jobs (see jobs.js) run while the client exists.
+//
+// persist: keep data in localStorage and the session in sessionStorage,
+//          so the app survives reloads. Leave off for throwaway instances.
+export function createMemoryClient({ seed = defaultSeed, persist = false } = {}) {
+  const db = createDatabase({ seed, persistKey: persist ? 'spc-memory-db' : null });
+  const realtime = createMemoryRealtime(db);
+  const stopJobs = startJobs(db);
+  const auth = createMemoryAuth(db, { persist });
+
+  // Functions run as the signed-in user, like auth.uid() in Postgres
+  const rpc = async (name, args = {}) => {
+    if (!functions[name]) {
+      return { data: null, error: postgrestError(`Could not find the function public.${name}`, 'PGRST202') };
+    }
+
+    try {
+      const { data: { session } } = await auth.getSession();
+      return { data: functions[name](args, { db, userId: session?.user.id ?? null }), error: null };
+    } catch (error) {
+      return { data: null, error: error.message ? error : postgrestError(String(error)) };
+    }
+  };
+
+  return {
+    db,
+    auth,
+    storage: createMemoryStorage(),
+    from(table) {
+      return new QueryBuilder(db, table);
+    },
+    rpc,
+    channel: realtime.channel,
+    getChannels: realtime.getChannels,
+    removeChannel: realtime.removeChannel,
+    removeAllChannels: realtime.removeAllChannels,
+    stopJobs
+  };
+}
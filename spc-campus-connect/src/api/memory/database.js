@@ -0,0 +1,165 @@
+import schema from './schema';
+
+const generateId = () => {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  return `${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`;
+};
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Postgres compares ids by value; the app passes route params around as strings
+export const sameValue = (a, b) => {
+  if (a === null || a === undefined || b === null || b === undefined) return a === b;
+  return String(a) === String(b);
+};
+
+// A unique entry is a column list, or { columns, where } for a partial index
+const uniqueKey = (entry) => (Array.isArray(entry) ? { columns: entry, where: () => true } : entry);
+
+export const postgrestError = (message, code = 'PGRST000', details = null) => ({
+  message,
+  code,
+  details,
+  hint: null
+});
+
+// A tiny in-memory Postgres stand-in: tables of plain rows plus the
+// defaults, unique keys, foreign-key cascades, timestamp touches and views
+// declared in schema.js.
+// Every row change is also announced to subscribe() listeners, which is what
+// the memory realtime channels are built on.
+export function createDatabase({ seed = {}, persistKey = null } = {}) {
+  const storage = persistKey && typeof localStorage !== 'undefined' ? localStorage : null;
+  const saved = storage?.getItem(persistKey);
+  const tables = saved ? JSON.parse(saved) : clone(seed);
+  const listeners = new Set();
+
+  Object.entries(schema).forEach(([name, definition]) => {
+    if (!definition.view && !tables[name]) tables[name] = [];
+  });
+
+  const persist = () => {
+    if (storage) storage.setItem(persistKey, JSON.stringify(tables));
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  // Delivered after the statement returns, like changes arriving over the wire
+  const emit = (table, eventType, newRow, oldRow) => {
+    if (listeners.size === 0) return;
+    const change = { table, eventType, new: clone(newRow || {}), old: clone(oldRow || {}) };
+    setTimeout(() => listeners.forEach((listener) => listener(change)), 0);
+  };
+
+  const getTable = (name) => {
+    if (schema[name]?.view) {
+      throw postgrestError(`cannot change view "${name}"`, '55000');
+    }
+    if (!tables[name]) {
+      throw postgrestError(`relation "public.${name}" does not exist`, '42P01');
+    }
+    return tables[name];
+  };
+
+  // Runs after the statement has written its rows, like AFTER ... FOR EACH ROW
+  const runTriggers = (table, event, rows, oldRows = []) => {
+    const triggers = schema[table]?.triggers?.[event] || [];
+    rows.forEach((row, index) => {
+      triggers.forEach((trigger) => trigger({ new: clone(row), old: clone(oldRows[index] || {}), db: api }));
+    });
+  };
+
+  const withDefaults = (table, row) => {
+    const defaults = schema[table]?.defaults || {};
+    const filled = { id: generateId() };
+
+    Object.entries(defaults).forEach(([column, value]) => {
+      filled[column] = typeof value === 'function' ? value() : value;
+    });
+
+    return { ...filled, ...row };
+  };
+
+  // Rows as they are after the triggers ran, which may have changed them
+  // (Postgres returns what its BEFORE triggers left)
+  const current = (table, rows) => clone(rows.map((row) => (
+    tables[table].find((stored) => sameValue(stored.id, row.id)) || row
+  )));
+
+  const insert = (table, rows) => {
+    const target = getTable(table);
+    const inserted = rows.map((row) => withDefaults(table, row));
+
+    inserted.forEach((row, index) => {
+      if (target.some((existing) => sameValue(existing.id, row.id))) {
+        throw postgrestError(`duplicate key value violates unique constraint "${table}_pkey"`, '23505');
+      }
+
+      const others = [...target, ...inserted.slice(0, index)];
+      const clash = (schema[table]?.unique || []).map(uniqueKey).find(({ columns, where }) => (
+        where(row) && others.some((existing) => (
+          where(existing) && columns.every((column) => sameValue(existing[column], row[column]))
+        ))
+      ));
+      if (clash) {
+        throw postgrestError(`duplicate key value violates unique constraint "${table}_${clash.columns.join('_')}_key"`, '23505');
+      }
+    });
+
+    target.push(...inserted);
+    persist();
+    inserted.forEach((row) => emit(table, 'INSERT', row, null));
+    runTriggers(table, 'insert', inserted);
+    return current(table, inserted);
+  };
+
+  const update = (table, predicate, values) => {
+    const touch = schema[table]?.touch;
+    const updated = [];
+    const previous = [];
+
+    getTable(table).forEach((row, index, rows) => {
+      if (!predicate(row)) return;
+      rows[index] = { ...row, ...values, ...(touch ? { [touch]: new Date().toISOString() } : {}) };
+      updated.push(rows[index]);
+      previous.push(row);
+      emit(table, 'UPDATE', rows[index], row);
+    });
+
+    persist();
+    runTriggers(table, 'update', updated, previous);
+    return current(table, updated);
+  };
+
+  const cascadeDelete = (table, removed) => {
+    Object.entries(schema).forEach(([childTable, definition]) => {
+      Object.entries(definition.relations || {}).forEach(([column, relation]) => {
+        if (relation.table !== table || relation.onDelete !== 'cascade') return;
+        remove(childTable, (child) => removed.some((row) => sameValue(row.id, child[column])));
+      });
+    });
+  };
+
+  const remove = (table, predicate) => {
+    const rows = getTable(table);
+    const removed = rows.filter(predicate);
+    if (removed.length === 0) return [];
+
+    tables[table] = rows.filter((row) => !predicate(row));
+    removed.forEach((row) => emit(table, 'DELETE', null, row));
+    cascadeDelete(table, removed);
+    persist();
+    return clone(removed);
+  };
+
+  const select = (table) => {
+    if (schema[table]?.view) return schema[table].view(select);
+    return clone(getTable(table));
+  };
+
+  const api = { schema, select, insert, update, remove, persist, subscribe, generateId, tables };
+  return api;
+}
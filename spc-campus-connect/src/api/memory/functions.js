@@ -0,0 +1,209 @@
+import { postgrestError } from './database';
+
+// Database functions for the memory database, mirroring the ones in
+// supabase/migrations that the app calls with rpc(). Each receives the
+// call's arguments, the db and the signed-in user's id, and returns the
+// rows the function would.
+
+const CHECK_IN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CHECK_IN_CODE_TTL_MS = 45 * 1000;
+
+const randomCode = () => {
+  const bytes = new Uint8Array(6);
+  globalThis.crypto.getRandomValues(bytes);
+  return Array.from(bytes, (byte) => CHECK_IN_CODE_ALPHABET[byte % 32]).join('');
+};
+
+// rotate_check_in_code
+const rotateCheckInCode = ({ target_post_id: postId }, { db, userId }) => {
+  const post = db.select('posts').find((candidate) => candidate.id === postId);
+  if (!post || post.author_id !== userId || post.type !== 'event' || !['active', 'archived'].includes(post.status)) {
+    throw postgrestError("Only the event's author can run its check-in", '42501');
+  }
+
+  const now = new Date().toISOString();
+  db.remove('event_check_in_codes', (row) => row.expires_at <= now);
+
+  const live = new Set(db.select('event_check_in_codes').map((row) => row.code));
+  let code = randomCode();
+  while (live.has(code)) code = randomCode();
+
+  const [row] = db.insert('event_check_in_codes', [{
+    code,
+    post_id: postId,
+    expires_at: new Date(Date.now() + CHECK_IN_CODE_TTL_MS).toISOString()
+  }]);
+  return [{ code: row.code, expires_at: row.expires_at }];
+};
+
+// check_in
+const checkIn = ({ check_in_code: checkInCode }, { db, userId }) => {
+  if (!userId) throw postgrestError('Sign in to check in', '42501');
+
+  const now = new Date().toISOString();
+  const code = db.select('event_check_in_codes')
+    .find((row) => row.code === String(checkInCode).trim().toUpperCase() && row.expires_at > now);
+  if (!code) throw postgrestError('That check-in code is invalid or has expired', 'P0002');
+
+  const existing = db.select('event_attendance')
+    .find((row) => row.post_id === code.post_id && row.user_id === userId);
+  const recorded = existing || db.insert('event_attendance', [{ post_id: code.post_id, user_id: userId }])[0];
+  const post = db.select('posts').find((candidate) => candidate.id === code.post_id);
+
+  return [{
+    post_id: post.id,
+    title: post.title,
+    checked_in_at: recorded.checked_in_at,
+    already_checked_in: Boolean(existing)
+  }];
+};
+
+// Full-text search, loosely: words are lower-cased and crudely stemmed
+// instead of run through Postgres' English dictionary
+const STOP_WORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'or', 'the', 'to', 'with']);
+const WORD = /([\p{L}\p{N}]+)/u;
+
+const stem = (word) => (word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word);
+
+const toStems = (text) => (String(text ?? '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .filter((word) => !STOP_WORDS.has(word))
+  .map(stem);
+
+// websearch_to_tsquery: every word must appear, "-word" must not
+const parseSearchQuery = (query) => {
+  const include = [];
+  const exclude = [];
+  String(query ?? '').replace(/"/g, ' ').split(/\s+/).forEach((term) => {
+    const negated = term.startsWith('-');
+    toStems(negated ? term.slice(1) : term).forEach((word) => (negated ? exclude : include).push(word));
+  });
+  return { include, exclude };
+};
+
+const matchesQuery = (text, { include, exclude }) => {
+  const stems = new Set(toStems(text));
+  return include.length > 0 && include.every((word) => stems.has(word)) && !exclude.some((word) => stems.has(word));
+};
+
+const countMatches = (text, { include }) => toStems(text).filter((word) => include.includes(word)).length;
+
+// ts_headline: matching words wrapped in <mark>, cut down to maxWords words
+// around the first match unless maxWords is null
+const headline = (text, { include }, maxWords = null) => {
+  const parts = String(text ?? '').split(WORD);
+  const isMatch = (part, index) => index % 2 === 1 && include.includes(stem(part.toLowerCase()));
+  const marked = parts.map((part, index) => (isMatch(part, index) ? `<mark>${part}</mark>` : part));
+  if (maxWords === null) return marked.join('');
+
+  const first = Math.max(1, parts.findIndex(isMatch));
+  const start = Math.max(1, first - 8);
+  return marked.slice(start, start + maxWords * 2 - 1).join('').replace(/\s+/g, ' ').trim();
+};
+
+// search_posts
+const searchPosts = ({
+  search_query: searchQuery,
+  filter_department: department = null,
+  filter_type: type = null,
+  published_from: from = null,
+  published_to: to = null,
+  filter_statuses: statuses = ['active', 'archived'],
+  result_limit: limit = 50
+}, { db }) => {
+  const query = parseSearchQuery(searchQuery);
+  const comments = db.select('comments').filter((comment) => comment.status === 'visible');
+  const users = db.select('users');
+
+  return db.select('posts')
+    .filter((post) => ['active', 'archived'].includes(post.status) && statuses.includes(post.status))
+    .filter((post) => (!department || post.department === department) && (!type || post.type === type))
+    .filter((post) => (!from || post.publish_at >= from) && (!to || post.publish_at < to))
+    .map((post) => {
+      const commentHits = comments.filter((comment) => comment.post_id === post.id && matchesQuery(comment.content, query));
+      const postMatches = matchesQuery(`${post.title} ${post.content}`, query);
+      if (!postMatches && commentHits.length === 0) return null;
+
+      const rank = countMatches(post.title, query) + countMatches(post.content, query) * 0.4 + commentHits.length * 0.05;
+
+      return {
+        id: post.id,
+        title: post.title,
+        type: post.type,
+        department: post.department,
+        status: post.status,
+        event_date: post.event_date,
+        publish_at: post.publish_at,
+        author_name: users.find((user) => user.id === post.author_id)?.name ?? null,
+        rank,
+        title_headline: headline(post.title, query),
+        content_headline: headline(post.content, query, 25),
+        comment_headline: commentHits.length > 0 ? headline(commentHits[0].content, query, 20) : null,
+        comment_matches: commentHits.length
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.rank - a.rank || b.publish_at.localeCompare(a.publish_at))
+    .slice(0, Math.min(Math.max(limit, 1), 100));
+};
+
+// is_department_moderator
+const isDepartmentModerator = (db, userId, department) => {
+  const user = db.select('users').find((candidate) => candidate.id === userId);
+  return Boolean(user && ['admin', 'super_admin'].includes(user.role) && user.department === department);
+};
+
+// moderate_report: hide, restore or delete what a report is about. Returns
+// the storage paths of a deleted post's attachments.
+const moderateReport = ({ target_report_id: reportId, moderation_action: action }, { db, userId }) => {
+  const report = db.select('reports').find((row) => row.id === reportId);
+  if (!report || !isDepartmentModerator(db, userId, report.department)) {
+    throw postgrestError("Only the department's moderators can act on this report", '42501');
+  }
+
+  if (!['hide', 'restore', 'delete'].includes(action)) {
+    throw postgrestError(`Unknown moderation action: ${action}`, '22023');
+  }
+
+  const isTarget = (row) => row.id === (report.comment_id ?? report.post_id);
+  const table = report.comment_id ? 'comments' : 'posts';
+
+  if (action === 'delete') {
+    const paths = report.comment_id
+      ? []
+      : db.select('post_attachments').filter((row) => row.post_id === report.post_id).map((row) => row.path);
+    db.remove(table, isTarget);
+    return paths;
+  }
+
+  if (report.comment_id) {
+    db.update('comments', isTarget, { status: action === 'hide' ? 'hidden' : 'visible' });
+  } else {
+    const post = db.select('posts').find(isTarget);
+    if (action === 'hide' && post.status !== 'hidden') {
+      db.update('posts', isTarget, { status_before_hidden: post.status, status: 'hidden' });
+    } else if (action === 'restore' && post.status === 'hidden') {
+      db.update('posts', isTarget, { status: post.status_before_hidden ?? 'active', status_before_hidden: null });
+    }
+  }
+
+  db.update(
+    'reports',
+    (row) => row.post_id === report.post_id && row.comment_id === report.comment_id && row.status === 'open',
+    {
+      status: 'resolved',
+      resolution: action === 'hide' ? 'hidden' : 'restored',
+      resolved_by: userId,
+      resolved_at: new Date().toISOString()
+    }
+  );
+  return [];
+};
+
+const functions = {
+  rotate_check_in_code: rotateCheckInCode,
+  check_in: checkIn,
+  search_posts: searchPosts,
+  moderate_report: moderateReport
+};
+
+export default functions;
@@ -0,0 +1,32 @@
+// Scheduled jobs for the memory database, mirroring the pg_cron jobs in
+// supabase/migrations. createMemoryClient runs them once a minute.
+
+// run_post_schedule: publishes scheduled posts that are due and archives
+// active posts that have expired or whose event is over
+export const runPostSchedule = (db) => {
+  const now = new Date().toISOString();
+
+  db.update('posts', (post) => post.status === 'scheduled' && post.publish_at <= now, { status: 'active' });
+
+  db.update(
+    'posts',
+    (post) => post.status === 'active' && (
+      (post.expires_at && post.expires_at <= now)
+      || (post.type === 'event' && post.event_date && post.event_date < now)
+    ),
+    { status: 'archived' }
+  );
+};
+
+export const JOB_INTERVAL_MS = 60 * 1000;
+
+// Runs every job now and then on an interval; returns a function that stops them
+export const startJobs = (db) => {
+  const run = () => runPostSchedule(db);
+  run();
+
+  const timer = setInterval(run, JOB_INTERVAL_MS);
+  // Don't keep Node alive for throwaway clients
+  timer.unref?.();
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,348 @@
+import { sameValue, postgrestError } from './database';
+
+// Split "a, b (c, d), e" on top-level commas only
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text) {
+    if (char === '(') depth += 1;
+    if (char === ')') depth -= 1;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+};
+
+// Parses a PostgREST select string such as
+//   "*, users:author_id (name, department), comments(count)"
+const parseSelect = (columns) => {
+  const fields = [];
+  const embeds = [];
+
+  splitTopLevel(columns.replace(/\s+/g, ' ')).forEach((part) => {
+    const match = part.match(/^(?:(\w+):)?(\w+)(?:!\w+)?\s*\((.*)\)$/);
+    if (!match) {
+      fields.push(part);
+      return;
+    }
+
+    const [, alias, source, inner] = match;
+    embeds.push({ alias: alias || source, source, columns: inner });
+  });
+
+  return { fields, embeds };
+};
+
+const toRegex = (pattern) => {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/%/g, '.*').replace(/_/g, '.')}$`, 'i');
+};
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return a < b ? -1 : 1;
+};
+
+// Turns one PostgREST filter ("column.operator.value") into a row predicate,
+// as used inside .or(). Nested "and(...)" and "or(...)" groups are combined.
+const parseFilterExpression = (expression) => {
+  const [, group, inner] = expression.match(/^(and|or)\((.*)\)$/) || [];
+  if (group) {
+    const predicates = splitTopLevel(inner).map(parseFilterExpression);
+    return group === 'and'
+      ? (row) => predicates.every((predicate) => predicate(row))
+      : (row) => predicates.some((predicate) => predicate(row));
+  }
+
+  const [column, operator, ...rest] = expression.split('.');
+  const raw = rest.join('.');
+  const value = raw === 'null' ? null : raw === 'true' ? true : raw === 'false' ? false : raw;
+
+  const operators = {
+    eq: (row) => sameValue(row[column], value),
+    neq: (row) => !sameValue(row[column], value),
+    gt: (row) => row[column] !== null && row[column] > value,
+    gte: (row) => row[column] !== null && row[column] >= value,
+    lt: (row) => row[column] !== null && row[column] < value,
+    lte: (row) => row[column] !== null && row[column] <= value,
+    is: (row) => (row[column] ?? null) === value,
+    ilike: (row) => toRegex(String(value).replace(/\*/g, '%')).test(row[column] ?? ''),
+    in: (row) => raw.replace(/^\(|\)$/g, '').split(',').some((item) => sameValue(row[column], item))
+  };
+
+  if (!operators[operator]) {
+    throw postgrestError(`Unsupported filter operator: ${operator}`);
+  }
+
+  return operators[operator];
+};
+
+// Chainable, thenable stand-in for supabase-js' PostgrestQueryBuilder
+export default class QueryBuilder {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.columns = '*';
+    this.returning = false;
+    this.countMode = null;
+    this.headOnly = false;
+    this.payload = null;
+    this.upsertOptions = null;
+    this.predicates = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.rangeBounds = null;
+    this.singleMode = null;
+  }
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    if (this.action === 'select') {
+      this.countMode = count;
+      this.headOnly = head;
+    } else {
+      this.returning = true;
+    }
+    this.columns = columns;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  upsert(rows, { onConflict = 'id' } = {}) {
+    this.action = 'upsert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    this.upsertOptions = { onConflict: onConflict.split(',').map((column) => column.trim()) };
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  filter(predicate) {
+    this.predicates.push(predicate);
+    return this;
+  }
+
+  eq(column, value) {
+    return this.filter((row) => sameValue(row[column], value));
+  }
+
+  neq(column, value) {
+    return this.filter((row) => !sameValue(row[column], value));
+  }
+
+  gt(column, value) {
+    return this.filter((row) => row[column] !== null && row[column] > value);
+  }
+
+  gte(column, value) {
+    return this.filter((row) => row[column] !== null && row[column] >= value);
+  }
+
+  lt(column, value) {
+    return this.filter((row) => row[column] !== null && row[column] < value);
+  }
+
+  lte(column, value) {
+    return this.filter((row) => row[column] !== null && row[column] <= value);
+  }
+
+  in(column, values) {
+    return this.filter((row) => values.some((value) => sameValue(row[column], value)));
+  }
+
+  // Array columns: every one of values is in the row's array
+  contains(column, values) {
+    return this.filter((row) => values.every((value) => (row[column] || []).some((item) => sameValue(item, value))));
+  }
+
+  is(column, value) {
+    return this.filter((row) => (row[column] ?? null) === value);
+  }
+
+  ilike(column, pattern) {
+    const regex = toRegex(pattern);
+    return this.filter((row) => regex.test(row[column] ?? ''));
+  }
+
+  or(expressions) {
+    const predicates = splitTopLevel(expressions).map(parseFilterExpression);
+    return this.filter((row) => predicates.some((predicate) => predicate(row)));
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeBounds = [from, to];
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  matches(row) {
+    return this.predicates.every((predicate) => predicate(row));
+  }
+
+  embed(rows, table, columns) {
+    const { fields, embeds } = parseSelect(columns);
+    const relations = this.db.schema[table]?.relations || {};
+
+    return rows.map((row) => {
+      const projected = fields.includes('*') || fields.length === 0
+        ? { ...row }
+        : Object.fromEntries(fields.map((field) => [field, row[field] ?? null]));
+
+      embeds.forEach(({ alias, source, columns: inner }) => {
+        // Many-to-one: "users:author_id (name)" follows a foreign key on this row
+        if (relations[source]) {
+          const target = relations[source].table;
+          const parent = this.db.select(target).find((candidate) => sameValue(candidate.id, row[source]));
+          projected[alias] = parent ? this.embed([parent], target, inner)[0] : null;
+          return;
+        }
+
+        // One-to-many: "comments(count)" collects rows pointing back at this one
+        const childRelations = this.db.schema[source]?.relations || {};
+        const parentTable = this.db.schema[table]?.source || table;
+        const foreignKey = Object.keys(childRelations).find((column) => childRelations[column].table === parentTable);
+        if (!foreignKey) {
+          throw postgrestError(`Could not find a relationship between '${table}' and '${source}'`, 'PGRST200');
+        }
+
+        const children = this.db.select(source).filter((child) => sameValue(child[foreignKey], row.id));
+        projected[alias] = inner.trim() === 'count'
+          ? [{ count: children.length }]
+          : this.embed(children, source, inner);
+      });
+
+      return projected;
+    });
+  }
+
+  shape(rows) {
+    let result = [...rows];
+
+    if (this.orders.length > 0) {
+      result.sort((a, b) => {
+        for (const { column, ascending } of this.orders) {
+          const difference = compare(a[column], b[column]);
+          if (difference !== 0) return ascending ? difference : -difference;
+        }
+        return 0;
+      });
+    }
+
+    if (this.rangeBounds) {
+      result = result.slice(this.rangeBounds[0], this.rangeBounds[1] + 1);
+    }
+    if (this.limitCount !== null) {
+      result = result.slice(0, this.limitCount);
+    }
+
+    return result;
+  }
+
+  run() {
+    const matches = (row) => this.matches(row);
+
+    switch (this.action) {
+      case 'insert':
+        return this.db.insert(this.table, this.payload);
+
+      case 'upsert': {
+        const { onConflict } = this.upsertOptions;
+        return this.payload.flatMap((row) => {
+          const conflict = (existing) => onConflict.every((column) => sameValue(existing[column], row[column]));
+          const updated = this.db.update(this.table, conflict, row);
+          return updated.length > 0 ? updated : this.db.insert(this.table, [row]);
+        });
+      }
+
+      case 'update':
+        return this.db.update(this.table, matches, this.payload);
+
+      case 'delete':
+        return this.db.remove(this.table, matches);
+
+      default:
+        return this.db.select(this.table).filter(matches);
+    }
+  }
+
+  async execute() {
+    try {
+      const rows = this.run();
+      const count = this.countMode ? rows.length : null;
+
+      if (this.action !== 'select' && !this.returning) {
+        return { data: null, error: null, count };
+      }
+      if (this.headOnly) {
+        return { data: null, error: null, count };
+      }
+
+      const data = this.embed(this.shape(rows), this.table, this.columns);
+
+      if (this.singleMode) {
+        if (data.length === 0 && this.singleMode === 'maybe') {
+          return { data: null, error: null, count };
+        }
+        if (data.length !== 1) {
+          return {
+            data: null,
+            error: postgrestError('JSON object requested, multiple (or no) rows returned', 'PGRST116'),
+            count
+          };
+        }
+        return { data: data[0], error: null, count };
+      }
+
+      return { data, error: null, count };
+    } catch (error) {
+      return { data: null, error: error.message ? error : postgrestError(String(error)), count: null };
+    }
+  }
+
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject);
+  }
+}
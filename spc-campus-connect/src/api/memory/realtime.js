@@ -0,0 +1,88 @@
+import { sameValue } from './database';
+
+// Realtime postgres_changes filters look like "post_id=eq.42" or "id=in.(1,2)"
+const parseFilter = (filter) => {
+  if (!filter) return () => true;
+
+  const [, column, operator, raw] = filter.match(/^(\w+)=(\w+)\.(.*)$/) || [];
+  if (!column) return () => true;
+
+  const values = raw.replace(/^\(|\)$/g, '').split(',');
+  const tests = {
+    eq: (value) => sameValue(value, raw),
+    neq: (value) => !sameValue(value, raw),
+    lt: (value) => value < raw,
+    lte: (value) => value <= raw,
+    gt: (value) => value > raw,
+    gte: (value) => value >= raw,
+    in: (value) => values.some((candidate) => sameValue(value, candidate))
+  };
+
+  const test = tests[operator] || (() => true);
+  return (row) => test(row[column]);
+};
+
+// Stand-in for supabase.channel(...).on('postgres_changes', ...).subscribe().
+// Like Supabase, DELETE events ignore the filter and old rows are complete
+// (the real tables use REPLICA IDENTITY FULL).
+export function createMemoryRealtime(db) {
+  const channels = new Set();
+
+  const channel = (topic) => {
+    const bindings = [];
+    let unsubscribe = null;
+
+    const instance = {
+      topic: `realtime:${topic}`,
+
+      on(type, { event = '*', schema = 'public', table, filter } = {}, callback) {
+        if (type === 'postgres_changes') {
+          bindings.push({ event, schema, table, matches: parseFilter(filter), callback });
+        }
+        return instance;
+      },
+
+      subscribe(callback) {
+        if (!unsubscribe) {
+          unsubscribe = db.subscribe((change) => {
+            bindings.forEach((binding) => {
+              if (binding.table && binding.table !== change.table) return;
+              if (binding.event !== '*' && binding.event !== change.eventType) return;
+              if (change.eventType !== 'DELETE' && !binding.matches(change.new)) return;
+
+              binding.callback({
+                schema: binding.schema,
+                table: change.table,
+                commit_timestamp: new Date().toISOString(),
+                eventType: change.eventType,
+                new: change.new,
+                old: change.old,
+                errors: null
+              });
+            });
+          });
+          channels.add(instance);
+        }
+
+        if (callback) setTimeout(() => callback('SUBSCRIBED'), 0);
+        return instance;
+      },
+
+      async unsubscribe() {
+        unsubscribe?.();
+        unsubscribe = null;
+        channels.delete(instance);
+        return 'ok';
+      }
+    };
+
+    return instance;
+  };
+
+  return {
+    channel,
+    getChannels: () => [...channels],
+    removeChannel: (instance) => instance.unsubscribe(),
+    removeAllChannels: () => Promise.all([...channels].map((instance) => instance.unsubscribe()))
+  };
+}
@@ -0,0 +1,315 @@
+import {
+  notifyDepartmentOfPost,
+  holdBannedComment,
+  notifyThreadOfComment,
+  recordCommentRevision,
+  notifyNewCommentMentions,
+  notifyAccountApproved
+} from './triggers';
+
+// Mirror of the Supabase tables the app reads and writes.
+//
+// defaults:  column values filled in on insert (functions are called per row)
+// relations: foreign keys, used for `alias:fk (columns)` embeds and cascades
+// unique:    column sets no two rows may share (nulls count as equal); an
+//            entry can be { columns, where } to cover only rows matching where
+// touch:     column bumped on every update, like a moddatetime trigger
+// triggers:  functions run after each inserted or updated row (see triggers.js)
+// view:      read-only relation computed from the tables on every read
+// source:    table a view's rows come from, so foreign keys that point at the
+//            table can be embedded from the view too
+
+const now = () => new Date().toISOString();
+
+const latest = (...dates) => dates.filter(Boolean).sort().pop() ?? null;
+
+const schema = {
+  users: {
+    defaults: {
+      role: 'user',
+      is_approved: false,
+      profile_picture: null,
+      approved_by: null,
+      approved_at: null,
+      created_at: now
+    },
+    relations: {},
+    // One Admin and one Program Head per department
+    unique: [
+      { columns: ['department'], where: (row) => row.role === 'admin' },
+      { columns: ['department'], where: (row) => row.role === 'super_admin' }
+    ],
+    triggers: {
+      update: [notifyAccountApproved]
+    }
+  },
+
+  posts: {
+    defaults: {
+      status: 'active',
+      event_date: null,
+      capacity: null,
+      requires_acknowledgement: false,
+      publish_at: now,
+      expires_at: null,
+      status_before_hidden: null,
+      created_at: now,
+      updated_at: now
+    },
+    relations: {
+      author_id: { table: 'users', onDelete: 'cascade' }
+    },
+    touch: 'updated_at',
+    triggers: {
+      insert: [notifyDepartmentOfPost],
+      update: [notifyDepartmentOfPost]
+    }
+  },
+
+  comments: {
+    defaults: {
+      parent_id: null,
+      mentions: [],
+      status: 'visible',
+      edited_at: null,
+      created_at: now
+    },
+    relations: {
+      post_id: { table: 'posts', onDelete: 'cascade' },
+      user_id: { table: 'users', onDelete: 'cascade' },
+      parent_id: { table: 'comments', onDelete: 'cascade' }
+    },
+    triggers: {
+      insert: [holdBannedComment, notifyThreadOfComment],
+      update: [holdBannedComment, recordCommentRevision, notifyNewCommentMentions, notifyThreadOfComment]
+    }
+  },
+
+  comment_revisions: {
+    defaults: {
+      created_at: now
+    },
+    relations: {
+      comment_id: { table: 'comments', onDelete: 'cascade' }
+    }
+  },
+
+  notifications: {
+    defaults: {
+      post_id: null,
+      actor_id: null,
+      read_at: null,
+      created_at: now
+    },
+    relations: {
+      user_id: { table: 'users', onDelete: 'cascade' },
+      post_id: { table: 'posts', onDelete: 'cascade' },
+      actor_id: { table: 'users' }
+    }
+  },
+
+  push_subscriptions: {
+    defaults: {
+      user_agent: null,
+      created_at: now
+    },
+    relations: {
+      user_id: { table: 'users', onDelete: 'cascade' }
+    }
+  },
+
+  post_attachments: {
+    defaults: {
+      width: null,
+      height: null,
+      position: 0,
+      created_at: now
+    },
+    relations: {
+      post_id: { table: 'posts', onDelete: 'cascade' }
+    }
+  },
+
+  event_rsvps: {
+    defaults: {
+      responded_at: now
+    },
+    relations: {
+      post_id: { table: 'posts', onDelete: 'cascade' },
+      user_id: { table: 'users', onDelete: 'cascade' }
+    },
+    touch: 'responded_at'
+  },
+
+  event_check_in_codes: {
+    relations: {
+      post_id: { table: 'posts', onDelete: 'cascade' }
+    }
+  },
+
+  event_attendance: {
+    defaults: {
+      checked_in_at: now
+    },
+    relations: {
+      post_id: { table: 'posts', onDelete: 'cascade' },
+      user_id: { table: 'users', onDelete: 'cascade' }
+    }
+  },
+
+  tags: {
+    defaults: {
+      created_by: null,
+      created_at: now
+    },
+    relations: {
+      created_by: { table: 'users' }
+    }
+  },
+
+  post_tags: {
+    relations: {
+      post_id: { table: 'posts', onDelete: 'cascade' },
+      tag_id: { table: 'tags', onDelete: 'cascade' }
+    }
+  },
+
+  // A reaction with a comment_id is on that comment, otherwise on the post
+  reactions: {
+    defaults: {
+      comment_id: null,
+      created_at: now
+    },
+    relations: {
+      post_id: { table: 'posts', onDelete: 'cascade' },
+      comment_id: { table: 'comments', onDelete: 'cascade' },
+      user_id: { table: 'users', onDelete: 'cascade' }
+    },
+    unique: [['post_id', 'comment_id', 'user_id', 'reaction']]
+  },
+
+  post_acknowledgements: {
+    defaults: {
+      acknowledged_at: now
+    },
+    relations: {
+      post_id: { table: 'posts', onDelete: 'cascade' },
+      user_id: { table: 'users', onDelete: 'cascade' }
+    },
+    unique: [['post_id', 'user_id']]
+  },
+
+  banned_words: {
+    defaults: {
+      created_by: null,
+      created_at: now
+    },
+    relations: {
+      created_by: { table: 'users' }
+    },
+    unique: [['department', 'word']]
+  },
+
+  // A report with a comment_id is about that comment, otherwise about the
+  // post; reporter_id is null when the banned-word filter filed it
+  reports: {
+    defaults: {
+      comment_id: null,
+      reporter_id: null,
+      status: 'open',
+      resolution: null,
+      resolved_by: null,
+      resolved_at: null,
+      created_at: now
+    },
+    relations: {
+      post_id: { table: 'posts', onDelete: 'cascade' },
+      comment_id: { table: 'comments', onDelete: 'cascade' },
+      reporter_id: { table: 'users', onDelete: 'cascade' },
+      resolved_by: { table: 'users' }
+    },
+    unique: [{ columns: ['post_id', 'comment_id', 'reporter_id'], where: (row) => row.status === 'open' }]
+  },
+
+  // Every RSVP with its place in the Going queue; past the event's capacity
+  // it is waitlisted
+  event_attendees: {
+    source: 'event_rsvps',
+    view: (select) => {
+      const posts = select('posts');
+      const places = new Map();
+
+      return select('event_rsvps')
+        .sort((a, b) => a.responded_at.localeCompare(b.responded_at))
+        .map((rsvp) => {
+          const capacity = posts.find((post) => post.id === rsvp.post_id)?.capacity ?? null;
+          let place = null;
+          if (rsvp.status === 'going') {
+            place = (places.get(rsvp.post_id) || 0) + 1;
+            places.set(rsvp.post_id, place);
+          }
+
+          return { ...rsvp, place, waitlisted: place !== null && capacity !== null && place > capacity };
+        });
+    },
+    relations: {
+      post_id: { table: 'posts' },
+      user_id: { table: 'users' }
+    }
+  },
+
+  event_rsvp_counts: {
+    view: (select) => {
+      const rsvps = select('event_rsvps');
+
+      return select('posts')
+        .filter((post) => post.type === 'event' && ['active', 'archived'].includes(post.status))
+        .map((post) => {
+          const count = (status) => rsvps.filter((rsvp) => rsvp.post_id === post.id && rsvp.status === status).length;
+          const going = count('going');
+          const capacity = post.capacity ?? null;
+
+          return {
+            post_id: post.id,
+            capacity,
+            going_count: capacity === null ? going : Math.min(going, capacity),
+            waitlist_count: capacity === null ? 0 : Math.max(going - capacity, 0),
+            interested_count: count('interested'),
+            not_going_count: count('not_going')
+          };
+        });
+    },
+    relations: {}
+  },
+
+  posts_with_stats: {
+    source: 'posts',
+    view: (select) => {
+      const comments = select('comments');
+      const postTags = select('post_tags');
+      const reactions = select('reactions');
+
+      return select('posts').map((post) => {
+        // Held and hidden comments are left out, as they are for most readers
+        const postComments = comments.filter((comment) => comment.post_id === post.id && comment.status === 'visible');
+        const lastCommentAt = latest(...postComments.map((comment) => comment.created_at));
+
+        return {
+          comment_count: postComments.length,
+          last_comment_at: lastCommentAt,
+          last_activity_at: latest(post.created_at, post.updated_at, lastCommentAt),
+          tag_ids: postTags.filter((postTag) => postTag.post_id === post.id).map((postTag) => postTag.tag_id),
+          reaction_counts: reactions
+            .filter((reaction) => reaction.post_id === post.id && reaction.comment_id === null)
+            .reduce((counts, { reaction }) => ({ ...counts, [reaction]: (counts[reaction] || 0) + 1 }), {}),
+          ...post
+        };
+      });
+    },
+    relations: {
+      author_id: { table: 'users' }
+    }
+  }
+};
+
+export default schema;
@@ -0,0 +1,180 @@
+// Sample data for the in-memory backend. Every account's password is "password".
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+const accounts = [
+  { id: 'seed-ccs-head', name: 'Maria Santos', email: 'ccs-head@spc.edu', department: 'CCS', role: 'super_admin', is_approved: true },
+  { id: 'seed-ccs-admin', name: 'Juan Dela Cruz', email: 'ccs-admin@spc.edu', department: 'CCS', role: 'admin', is_approved: true },
+  { id: 'seed-coe-admin', name: 'Ana Reyes', email: 'coe-admin@spc.edu', department: 'COE', role: 'admin', is_approved: true },
+  { id: 'seed-student', name: 'Carlo Mendoza', email: 'student@spc.edu', department: 'CCS', role: 'user', is_approved: true },
+  { id: 'seed-pending', name: 'Liza Ramos', email: 'pending@spc.edu', department: 'CCS', role: 'user', is_approved: false }
+];
+
+const seed = {
+  auth_users: accounts.map(({ id, email, name }) => ({
+    id,
+    email,
+    password: 'password',
+    user_metadata: { full_name: name }
+  })),
+
+  users: accounts.map((account) => ({
+    ...account,
+    profile_picture: null,
+    approved_by: account.is_approved && account.role !== 'super_admin' ? 'seed-ccs-head' : null,
+    approved_at: account.is_approved ? daysAgo(30) : null,
+    created_at: daysAgo(31)
+  })),
+
+  posts: [
+    {
+      id: 'seed-post-enrollment',
+      title: 'Enrollment for 2nd Semester',
+      content: 'Enrollment for the 2nd semester opens next Monday. Please settle your balances at the cashier before proceeding to your adviser.',
+      type: 'announcement',
+      department: 'CCS',
+      author_id: 'seed-ccs-admin',
+      event_date: null,
+      capacity: null,
+      requires_acknowledgement: true,
+      status: 'active',
+      publish_at: daysAgo(2),
+      expires_at: null,
+      created_at: daysAgo(2),
+      updated_at: daysAgo(2)
+    },
+    {
+      id: 'seed-post-hackathon',
+      title: 'CCS Hackathon',
+      content: 'Form teams of three and build something for the campus. Registration is at the CCS office.',
+      type: 'event',
+      department: 'CCS',
+      author_id: 'seed-ccs-admin',
+      event_date: daysFromNow(10),
+      capacity: 30,
+      requires_acknowledgement: false,
+      status: 'active',
+      publish_at: daysAgo(1),
+      expires_at: null,
+      created_at: daysAgo(1),
+      updated_at: daysAgo(1)
+    },
+    {
+      id: 'seed-post-seminar',
+      title: 'Engineering Safety Seminar',
+      content: 'All COE students are required to attend the safety seminar at the AVR.',
+      type: 'event',
+      department: 'COE',
+      author_id: 'seed-coe-admin',
+      event_date: daysFromNow(5),
+      capacity: null,
+      requires_acknowledgement: false,
+      status: 'active',
+      publish_at: daysAgo(3),
+      expires_at: null,
+      created_at: daysAgo(3),
+      updated_at: daysAgo(3)
+    },
+    {
+      id: 'seed-post-intramurals',
+      title: 'Intramurals Team Sign-ups',
+      content: 'Sign-ups for the intramurals open this week. Each section may send one team per sport.',
+      type: 'announcement',
+      department: 'CCS',
+      author_id: 'seed-ccs-admin',
+      event_date: null,
+      capacity: null,
+      requires_acknowledgement: false,
+      status: 'scheduled',
+      publish_at: daysFromNow(2),
+      expires_at: daysFromNow(9),
+      created_at: daysAgo(1),
+      updated_at: daysAgo(1)
+    },
+    {
+      id: 'seed-post-orientation',
+      title: 'Freshmen Orientation',
+      content: 'Thank you to everyone who attended the freshmen orientation.',
+      type: 'announcement',
+      department: 'CCS',
+      author_id: 'seed-ccs-admin',
+      event_date: null,
+      capacity: null,
+      requires_acknowledgement: false,
+      status: 'archived',
+      publish_at: daysAgo(60),
+      expires_at: null,
+      created_at: daysAgo(60),
+      updated_at: daysAgo(40)
+    }
+  ],
+
+  comments: [
+    {
+      id: 'seed-comment-1',
+      post_id: 'seed-post-enrollment',
+      user_id: 'seed-student',
+      parent_id: null,
+      content: 'Is the deadline the same for irregular students?',
+      mentions: [],
+      status: 'visible',
+      edited_at: null,
+      created_at: daysAgo(1)
+    },
+    {
+      id: 'seed-comment-2',
+      post_id: 'seed-post-enrollment',
+      user_id: 'seed-ccs-admin',
+      parent_id: 'seed-comment-1',
+      content: '@Carlo Mendoza Yes, same deadline for everyone.',
+      mentions: ['seed-student'],
+      status: 'visible',
+      edited_at: null,
+      created_at: daysAgo(1)
+    }
+  ],
+
+  tags: [
+    { id: 'seed-tag-ccs-enrollment', department: 'CCS', name: 'Enrollment', created_by: 'seed-ccs-head', created_at: daysAgo(30) },
+    { id: 'seed-tag-ccs-scholarships', department: 'CCS', name: 'Scholarships', created_by: 'seed-ccs-head', created_at: daysAgo(30) },
+    { id: 'seed-tag-ccs-org', department: 'CCS', name: 'Org Activities', created_by: 'seed-ccs-head', created_at: daysAgo(30) },
+    { id: 'seed-tag-ccs-exams', department: 'CCS', name: 'Exams', created_by: 'seed-ccs-head', created_at: daysAgo(30) },
+    { id: 'seed-tag-coe-exams', department: 'COE', name: 'Exams', created_by: 'seed-coe-admin', created_at: daysAgo(30) },
+    { id: 'seed-tag-coe-safety', department: 'COE', name: 'Safety', created_by: 'seed-coe-admin', created_at: daysAgo(30) }
+  ],
+
+  post_tags: [
+    { id: 'seed-post-tag-1', post_id: 'seed-post-enrollment', tag_id: 'seed-tag-ccs-enrollment' },
+    { id: 'seed-post-tag-2', post_id: 'seed-post-hackathon', tag_id: 'seed-tag-ccs-org' },
+    { id: 'seed-post-tag-3', post_id: 'seed-post-seminar', tag_id: 'seed-tag-coe-safety' },
+    { id: 'seed-post-tag-4', post_id: 'seed-post-orientation', tag_id: 'seed-tag-ccs-org' }
+  ],
+
+  reactions: [
+    { id: 'seed-reaction-1', post_id: 'seed-post-enrollment', comment_id: null, user_id: 'seed-student', reaction: 'noted', created_at: daysAgo(1) },
+    { id: 'seed-reaction-2', post_id: 'seed-post-enrollment', comment_id: null, user_id: 'seed-ccs-head', reaction: 'like', created_at: daysAgo(1) },
+    { id: 'seed-reaction-3', post_id: 'seed-post-hackathon', comment_id: null, user_id: 'seed-student', reaction: 'party', created_at: daysAgo(2) },
+    { id: 'seed-reaction-4', post_id: 'seed-post-enrollment', comment_id: 'seed-comment-2', user_id: 'seed-student', reaction: 'heart', created_at: daysAgo(1) }
+  ],
+
+  banned_words: [
+    { id: 'seed-banned-word-1', department: 'CCS', word: 'stupid', created_by: 'seed-ccs-head', created_at: daysAgo(30) },
+    { id: 'seed-banned-word-2', department: 'CCS', word: 'scam', created_by: 'seed-ccs-head', created_at: daysAgo(30) }
+  ],
+
+  post_acknowledgements: [
+    { id: 'seed-acknowledgement-1', post_id: 'seed-post-enrollment', user_id: 'seed-ccs-head', acknowledged_at: daysAgo(1) }
+  ],
+
+  event_rsvps: [
+    {
+      id: 'seed-rsvp-1',
+      post_id: 'seed-post-hackathon',
+      user_id: 'seed-student',
+      status: 'going',
+      responded_at: daysAgo(1)
+    }
+  ]
+};
+
+export default seed;
@@ -0,0 +1,44 @@
+// Stand-in for supabase.storage. Files are kept as object URLs for the
+// lifetime of the page, which is all the UI needs to preview them. The
+// "/bucket/path" suffix goes in the fragment (ignored when the blob is
+// fetched) so URLs can be mapped back to their path like Supabase's.
+export function createMemoryStorage() {
+  const buckets = new Map();
+
+  const getBucket = (name) => {
+    if (!buckets.has(name)) buckets.set(name, new Map());
+    return buckets.get(name);
+  };
+
+  return {
+    from(bucketName) {
+      const bucket = getBucket(bucketName);
+
+      return {
+        async upload(path, file, { upsert = false } = {}) {
+          if (bucket.has(path) && !upsert) {
+            return { data: null, error: { message: 'The resource already exists', statusCode: '409' } };
+          }
+
+          const objectPath = `/${bucketName}/${path}`;
+          const url = typeof Blob !== 'undefined' && file instanceof Blob && URL.createObjectURL
+            ? `${URL.createObjectURL(file)}#${objectPath}`
+            : `memory:/${objectPath}`;
+
+          bucket.set(path, { file, url });
+          return { data: { path }, error: null };
+        },
+
+        async remove(paths) {
+          const removed = paths.filter((path) => bucket.delete(path));
+          return { data: removed.map((path) => ({ name: path })), error: null };
+        },
+
+        getPublicUrl(path) {
+          const publicUrl = bucket.get(path)?.url || `memory://${bucketName}/${path}`;
+          return { data: { publicUrl } };
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,188 @@
+import { postgrestError } from './database';
+
+// Row triggers for the memory database, mirroring the plpgsql functions in
+// supabase/migrations. Each receives { new, old, db } after the row is written.
+
+const notify = (db, recipients, notification) => {
+  if (recipients.length === 0) return;
+  db.insert('notifications', recipients.map((userId) => ({ user_id: userId, ...notification })));
+};
+
+// notify_department_of_post: on insert, or when a draft or scheduled post goes live
+export const notifyDepartmentOfPost = ({ new: post, old, db }) => {
+  if (post.status !== 'active' || (old.id && !['draft', 'scheduled'].includes(old.status))) return;
+
+  const recipients = db.select('users')
+    .filter((user) => user.department === post.department && user.is_approved && user.id !== post.author_id)
+    .map((user) => user.id);
+
+  notify(db, recipients, {
+    type: 'new_post',
+    post_id: post.id,
+    actor_id: post.author_id,
+    message: `New ${post.type === 'event' ? 'event' : 'announcement'} in ${post.department}: ${post.title}`
+  });
+};
+
+// Mentioned people who are notified: approved, in the post's department,
+// and still @named in the text
+const getValidMentions = (db, comment, post) => {
+  const content = comment.content.toLowerCase();
+
+  return db.select('users')
+    .filter((user) => (comment.mentions || []).includes(user.id))
+    .filter((user) => user.id !== comment.user_id && user.is_approved && user.department === post.department)
+    .filter((user) => content.includes(`@${user.name}`.toLowerCase()))
+    .map((user) => user.id);
+};
+
+// These triggers run after the row is written, so a comment that
+// holdBannedComment has just held is read back rather than taken from `new`
+const isVisible = (db, comment) => (
+  db.select('comments').find((row) => row.id === comment.id)?.status === 'visible'
+);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// find_banned_word: the first of a department's banned words in the text, as
+// a whole word or phrase in any case
+const findBannedWord = (db, department, text) => (
+  db.select('banned_words')
+    .filter((row) => row.department === department)
+    .sort((a, b) => a.created_at.localeCompare(b.created_at))
+    .find((row) => new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegExp(row.word.trim())}([^\\p{L}\\p{N}_]|$)`, 'iu').test(text))
+    ?.word ?? null
+);
+
+// hold_banned_comment and report_held_comment: a visible comment whose
+// text has a banned word is held, and the filter reports it
+export const holdBannedComment = ({ new: comment, old, db }) => {
+  if (comment.status !== 'visible' || (old.id && comment.content === old.content)) return;
+
+  const post = db.select('posts').find((candidate) => candidate.id === comment.post_id);
+  const word = post ? findBannedWord(db, post.department, comment.content) : null;
+  if (!word) return;
+
+  db.update('comments', (row) => row.id === comment.id, { status: 'held' });
+
+  const alreadyReported = db.select('reports').some((report) => (
+    report.comment_id === comment.id && report.reporter_id === null && report.status === 'open'
+  ));
+  if (alreadyReported) return;
+
+  db.insert('reports', [{
+    post_id: post.id,
+    comment_id: comment.id,
+    department: post.department,
+    reporter_id: null,
+    reason: `Held for containing "${word}"`
+  }]);
+};
+
+// notify_thread_of_comment: mentions first, then the post's author and the
+// rest of the thread. Runs once the comment is visible: when it is posted,
+// or when one held as it was posted is restored. Restoring a held edit
+// (edited_at is set) stays quiet; the thread saw the comment already.
+export const notifyThreadOfComment = ({ new: comment, old, db }) => {
+  if (!isVisible(db, comment) || (old.id && (old.status !== 'held' || old.edited_at))) return;
+
+  const post = db.select('posts').find((candidate) => candidate.id === comment.post_id);
+  const commenter = db.select('users').find((user) => user.id === comment.user_id);
+  if (!post) return;
+
+  const comments = db.select('comments');
+  const parentAuthorId = comments.find((other) => other.id === comment.parent_id)?.user_id ?? null;
+  const mentionedIds = getValidMentions(db, comment, post);
+
+  notify(db, mentionedIds, {
+    type: 'mention',
+    post_id: post.id,
+    actor_id: comment.user_id,
+    message: `${commenter?.name || 'Someone'} mentioned you on "${post.title}"`
+  });
+
+  const threadUserIds = comments
+    .filter((other) => other.post_id === comment.post_id)
+    .map((other) => other.user_id);
+  const recipients = [...new Set([post.author_id, ...threadUserIds])]
+    .filter((userId) => userId !== comment.user_id && !mentionedIds.includes(userId));
+
+  recipients.forEach((userId) => {
+    notify(db, [userId], {
+      type: 'comment',
+      post_id: post.id,
+      actor_id: comment.user_id,
+      message: userId === parentAuthorId
+        ? `${commenter?.name || 'Someone'} replied to your comment on "${post.title}"`
+        : `${commenter?.name || 'Someone'} commented on "${post.title}"`
+    });
+  });
+};
+
+// record_comment_revision: keeps the replaced text and stamps edited_at
+export const recordCommentRevision = ({ new: comment, old, db }) => {
+  if (comment.content === old.content) return;
+
+  db.insert('comment_revisions', [{
+    comment_id: comment.id,
+    content: old.content,
+    written_at: old.edited_at || old.created_at
+  }]);
+  db.update('comments', (row) => row.id === comment.id, { edited_at: new Date().toISOString() });
+};
+
+// notify_new_comment_mentions: people @named for the first time in an edit
+export const notifyNewCommentMentions = ({ new: comment, old, db }) => {
+  if (!isVisible(db, comment)) return;
+
+  const post = db.select('posts').find((candidate) => candidate.id === comment.post_id);
+  const commenter = db.select('users').find((user) => user.id === comment.user_id);
+  if (!post) return;
+
+  const recipients = getValidMentions(db, comment, post)
+    .filter((userId) => !(old.mentions || []).includes(userId));
+
+  notify(db, recipients, {
+    type: 'mention',
+    post_id: post.id,
+    actor_id: comment.user_id,
+    message: `${commenter?.name || 'Someone'} mentioned you on "${post.title}"`
+  });
+};
+
+// notify_account_approved
+export const notifyAccountApproved = ({ new: user, old, db }) => {
+  if (!user.is_approved || old.is_approved) return;
+
+  notify(db, [user.id], {
+    type: 'account_approved',
+    post_id: null,
+    actor_id: user.approved_by,
+    message: 'Your account has been approved. Welcome to SPC Campus Connect!'
+  });
+};
+
+// create_account_for_auth_user: the account row for a signup, from its
+// metadata. auth_users has no row triggers, so auth.js calls this itself.
+export const createAccountForAuthUser = ({ new: account, db }) => {
+  const { full_name: fullName, department, role = 'user' } = account.user_metadata;
+  if (!department) return;
+
+  if (!['user', 'admin', 'super_admin'].includes(role)) {
+    throw postgrestError(`Unknown role: ${role}`, '22023');
+  }
+
+  const reserved = `${department.toLowerCase()}-${role === 'admin' ? 'admin' : 'head'}@spc.edu`;
+  if (role !== 'user' && account.email.toLowerCase() !== reserved) {
+    throw postgrestError(`This email can't hold that role in ${department}`, '42501');
+  }
+
+  db.insert('users', [{
+    id: account.id,
+    name: fullName?.trim() || account.email.split('@')[0],
+    email: account.email,
+    department,
+    role,
+    is_approved: role === 'super_admin'
+  }]);
+};
@@ -0,0 +1,91 @@
+import { getClient } from './client';
+import storageApi from './storageApi';
+
+// Reports a post or, with commentId, one of its comments to the moderators
+// of the post's department. Reporting the same thing again while the first
+// report is open fails with code 23505.
+const report = async ({ postId, commentId = null, department, reporterId, reason }) => {
+  const { error } = await getClient()
+    .from('reports')
+    .insert([
+      {
+        post_id: postId,
+        comment_id: commentId,
+        department,
+        reporter_id: reporterId,
+        reason: reason.trim()
+      }
+    ]);
+
+  if (error) throw error;
+};
+
+// A department's open reports, oldest first, with what they are about.
+// reporter is null for comments held by the banned-word filter.
+const listOpenReports = async (department) => {
+  const { data, error } = await getClient()
+    .from('reports')
+    .select(`
+      *,
+      reporter:reporter_id (name),
+      posts:post_id (id, title, content, status, author_id, users:author_id (name)),
+      comments:comment_id (id, content, status, user_id, created_at, users:user_id (name))
+    `)
+    .eq('department', department)
+    .eq('status', 'open')
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+// action: 'hide', 'restore' or 'delete' the reported post or comment. Hiding
+// or restoring closes every open report on it. Deleting a post removes its
+// attachment files too.
+const moderate = async (reportId, action) => {
+  const { data: attachmentPaths, error } = await getClient()
+    .rpc('moderate_report', { target_report_id: reportId, moderation_action: action });
+
+  if (error) throw error;
+  await storageApi.removePostAttachments(attachmentPaths ?? []);
+};
+
+const listBannedWords = async (department) => {
+  const { data, error } = await getClient()
+    .from('banned_words')
+    .select('id, department, word')
+    .eq('department', department)
+    .order('word', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+// Applies to comments written from now on; existing ones aren't rechecked
+const addBannedWord = async ({ department, word, createdBy }) => {
+  const { error } = await getClient()
+    .from('banned_words')
+    .insert([{ department, word: word.trim(), created_by: createdBy }]);
+
+  if (error) throw error;
+};
+
+const removeBannedWord = async (id) => {
+  const { error } = await getClient()
+    .from('banned_words')
+    .delete()
+    .eq('id', id);
+
+  if (error) throw error;
+};
+
+const moderationApi = {
+  report,
+  listOpenReports,
+  moderate,
+  listBannedWords,
+  addBannedWord,
+  removeBannedWord
+};
+
+export default moderationApi;
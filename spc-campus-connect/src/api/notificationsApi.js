@@ -0,0 +1,59 @@
+import { getClient } from './client';
+
+// Rows are written by database triggers on posts, comments and account
+// approval; the client only reads them and marks them read.
+
+const listForUser = async (userId, { limit = 50 } = {}) => {
+  const { data, error } = await getClient()
+    .from('notifications')
+    .select(`
+      *,
+      actor:actor_id (name, profile_picture)
+    `)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data;
+};
+
+const countUnread = async (userId) => {
+  const { count, error } = await getClient()
+    .from('notifications')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('read_at', null);
+
+  if (error) throw error;
+  return count ?? 0;
+};
+
+const markRead = async (id) => {
+  const { error } = await getClient()
+    .from('notifications')
+    .update({ read_at: new Date().toISOString() })
+    .eq('id', id)
+    .is('read_at', null);
+
+  if (error) throw error;
+};
+
+const markAllRead = async (userId) => {
+  const { error } = await getClient()
+    .from('notifications')
+    .update({ read_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('read_at', null);
+
+  if (error) throw error;
+};
+
+const notificationsApi = {
+  listForUser,
+  countUnread,
+  markRead,
+  markAllRead
+};
+
+export default notificationsApi;
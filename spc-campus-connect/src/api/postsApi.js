@@ -0,0 +1,218 @@
+import { getClient } from './client';
+import storageApi from './storageApi';
+import attachmentsApi, { ATTACHMENT_COLUMNS, sortAttachments } from './attachmentsApi';
+import { POST_TAGS_EMBED, getPostTags } from './tagsApi';
+
+// Listings read from the posts_with_stats view, which adds comment_count,
+// last_comment_at and last_activity_at to every post in the same query
+const LISTING_SOURCE = 'posts_with_stats';
+
+export const FEED_PAGE_SIZE = 20;
+
+const SEARCH_LIMIT = 50;
+
+const ATTACHMENTS_EMBED = `post_attachments (${ATTACHMENT_COLUMNS})`;
+
+// Attachments in gallery order, and the post_tags embed flattened to `tags`
+const normalizePost = ({ post_tags: postTags, ...post }) => ({
+  ...post,
+  ...(post.post_attachments ? { post_attachments: sortAttachments(post.post_attachments) } : {}),
+  tags: getPostTags(postTags)
+});
+
+// One page of the campus feed, most recently published first, id breaking
+// ties so posts published in the same instant are neither skipped nor repeated.
+// Pass the previous page's nextCursor as `before` to continue; nextCursor is
+// null once there is nothing older. total counts every post left to page
+// through, so it is the feed's full size on the first page.
+// Scheduled posts are left out by status; expired ones are filtered here too
+// so they vanish on time even before the schedule job archives them.
+// tag narrows the feed to posts carrying that tag id.
+const listFeed = async ({ department = 'all', tag = null, before = null, limit = FEED_PAGE_SIZE } = {}) => {
+  let query = getClient()
+    .from(LISTING_SOURCE)
+    .select(`
+      *,
+      users:author_id (name, department),
+      ${ATTACHMENTS_EMBED},
+      ${POST_TAGS_EMBED}
+    `, { count: 'exact' })
+    .eq('status', 'active')
+    .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`);
+
+  if (department !== 'all') query = query.eq('department', department);
+  if (tag) query = query.contains('tag_ids', [tag]);
+  if (before) {
+    query = query.or(`publish_at.lt.${before.publishAt},and(publish_at.eq.${before.publishAt},id.lt.${before.id})`);
+  }
+
+  const { data, count, error } = await query
+    .order('publish_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+
+  const last = data[data.length - 1];
+  return {
+    posts: data.map(normalizePost),
+    nextCursor: data.length === limit ? { publishAt: last.publish_at, id: last.id } : null,
+    total: count ?? data.length
+  };
+};
+
+// An admin's own posts, whatever their status
+const listByAuthor = async (authorId) => {
+  const { data, error } = await getClient()
+    .from(LISTING_SOURCE)
+    .select(`
+      *,
+      ${ATTACHMENTS_EMBED},
+      ${POST_TAGS_EMBED}
+    `)
+    .eq('author_id', authorId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data.map(normalizePost);
+};
+
+// Archived posts, optionally narrowed to one author, department or tag
+const listArchived = async ({ authorId, department, tag } = {}) => {
+  let query = getClient()
+    .from(LISTING_SOURCE)
+    .select(`
+      *,
+      users:author_id (name, department),
+      ${ATTACHMENTS_EMBED},
+      ${POST_TAGS_EMBED}
+    `)
+    .eq('status', 'archived');
+
+  if (authorId) query = query.eq('author_id', authorId);
+  if (department) query = query.eq('department', department);
+  if (tag) query = query.contains('tag_ids', [tag]);
+
+  const { data, error } = await query.order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data.map(normalizePost);
+};
+
+// Events happening in [from, to), soonest first, for the calendar. Past
+// events are archived automatically, so archived ones are included.
+const listEvents = async ({ from, to, department = 'all' }) => {
+  let query = getClient()
+    .from('posts')
+    .select(`
+      id, title, type, department, event_date, status,
+      users:author_id (name)
+    `)
+    .eq('type', 'event')
+    .in('status', ['active', 'archived'])
+    .gte('event_date', from.toISOString())
+    .lt('event_date', to.toISOString());
+
+  if (department !== 'all') query = query.eq('department', department);
+
+  const { data, error } = await query.order('event_date', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+// Full-text search over titles, content and comments, best match first.
+// status is 'all', 'active' or 'archived'; from and to bound publish_at.
+// Each result carries title_headline, content_headline and comment_headline
+// with the matched words wrapped in <mark>.
+const searchPosts = async ({ query, department = 'all', type = 'all', status = 'all', from = null, to = null }) => {
+  const { data, error } = await getClient()
+    .rpc('search_posts', {
+      search_query: query,
+      filter_department: department === 'all' ? null : department,
+      filter_type: type === 'all' ? null : type,
+      published_from: from ? from.toISOString() : null,
+      published_to: to ? to.toISOString() : null,
+      filter_statuses: status === 'all' ? ['active', 'archived'] : [status],
+      result_limit: SEARCH_LIMIT
+    });
+
+  if (error) throw error;
+  return data;
+};
+
+const getPost = async (id) => {
+  const { data, error } = await getClient()
+    .from('posts')
+    .select(`
+      *,
+      users:author_id (name, department, role, profile_picture),
+      ${ATTACHMENTS_EMBED},
+      ${POST_TAGS_EMBED}
+    `)
+    .eq('id', id)
+    .single();
+
+  if (error) throw error;
+  return normalizePost(data);
+};
+
+// Returns the new post, whose id attachments are recorded against
+const createPost = async (post) => {
+  const { data, error } = await getClient()
+    .from('posts')
+    .insert([{ status: 'active', ...post }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+const updatePost = async (id, changes) => {
+  const { error } = await getClient()
+    .from('posts')
+    .update(changes)
+    .eq('id', id);
+
+  if (error) throw error;
+};
+
+// Attachment rows go with the post (on delete cascade); their files are
+// removed from storage afterwards
+const deletePost = async (id) => {
+  const attachments = await attachmentsApi.listForPost(id);
+
+  const { error } = await getClient()
+    .from('posts')
+    .delete()
+    .eq('id', id);
+
+  if (error) throw error;
+  await storageApi.removePostAttachments(attachments.map((attachment) => attachment.path));
+};
+
+const archivePost = (id) => updatePost(id, { status: 'archived' });
+
+// Clears the expiry too, or the schedule job would archive it again
+const restorePost = (id) => updatePost(id, { status: 'active', expires_at: null });
+
+// Takes a scheduled post live straight away
+const publishPost = (id) => updatePost(id, { status: 'active', publish_at: new Date().toISOString() });
+
+const postsApi = {
+  listFeed,
+  listByAuthor,
+  listArchived,
+  listEvents,
+  searchPosts,
+  getPost,
+  createPost,
+  updatePost,
+  deletePost,
+  archivePost,
+  restorePost,
+  publishPost
+};
+
+export default postsApi;
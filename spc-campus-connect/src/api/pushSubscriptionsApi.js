@@ -0,0 +1,36 @@
+import { getClient } from './client';
+
+// One row per browser that opted in to Web Push. The send-push edge function
+// reads these with the service role; clients only manage their own.
+
+const saveSubscription = async (userId, subscription) => {
+  const { endpoint, keys } = subscription.toJSON();
+
+  const { error } = await getClient()
+    .from('push_subscriptions')
+    .upsert({
+      user_id: userId,
+      endpoint,
+      p256dh: keys.p256dh,
+      auth: keys.auth,
+      user_agent: typeof navigator !== 'undefined' ? navigator.userAgent : null
+    }, { onConflict: 'endpoint' });
+
+  if (error) throw error;
+};
+
+const removeSubscription = async (endpoint) => {
+  const { error } = await getClient()
+    .from('push_subscriptions')
+    .delete()
+    .eq('endpoint', endpoint);
+
+  if (error) throw error;
+};
+
+const pushSubscriptionsApi = {
+  saveSubscription,
+  removeSubscription
+};
+
+export default pushSubscriptionsApi;
@@ -0,0 +1,71 @@
+import { getClient } from './client';
+
+const REACTION_COLUMNS = `
+  id, post_id, comment_id, user_id, reaction, created_at,
+  users:user_id (name, department, profile_picture)
+`;
+
+// Every reaction on a post and on its comments, earliest first, with who
+// reacted. Rows with a comment_id belong to that comment.
+const listForPost = async (postId) => {
+  const { data, error } = await getClient()
+    .from('reactions')
+    .select(REACTION_COLUMNS)
+    .eq('post_id', postId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+// A single reaction with its person, e.g. one that just arrived over realtime
+const getReaction = async (id) => {
+  const { data, error } = await getClient()
+    .from('reactions')
+    .select(REACTION_COLUMNS)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Reacting twice the same way is a no-op rather than an error
+const addReaction = async ({ postId, commentId = null, userId, reaction }) => {
+  const { error } = await getClient()
+    .from('reactions')
+    .insert([
+      {
+        post_id: postId,
+        comment_id: commentId,
+        user_id: userId,
+        reaction
+      }
+    ]);
+
+  if (error && error.code !== '23505') throw error;
+};
+
+const removeReaction = async ({ postId, commentId = null, userId, reaction }) => {
+  let query = getClient()
+    .from('reactions')
+    .delete()
+    .eq('post_id', postId)
+    .eq('user_id', userId)
+    .eq('reaction', reaction);
+
+  query = commentId ? query.eq('comment_id', commentId) : query.is('comment_id', null);
+
+  const { error } = await query;
+
+  if (error) throw error;
+};
+
+const reactionsApi = {
+  listForPost,
+  getReaction,
+  addReaction,
+  removeReaction
+};
+
+export default reactionsApi;
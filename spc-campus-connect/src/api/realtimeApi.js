@@ -0,0 +1,64 @@
+import { getClient } from './client';
+
+// supabase-js hands back the existing channel when a topic is reused, so every
+// subscription gets its own topic and can be removed without affecting others
+let channelCount = 0;
+
+// Listens for row changes on one table. The handler receives the realtime
+// payload: { eventType: 'INSERT' | 'UPDATE' | 'DELETE', new, old }.
+// Supabase does not filter DELETE events, so handlers should check old rows.
+// Returns an unsubscribe function.
+const subscribe = (name, { table, filter }, handler) => {
+  const client = getClient();
+  channelCount += 1;
+
+  const channel = client
+    .channel(`${name}-${channelCount}`)
+    .on('postgres_changes', { event: '*', schema: 'public', table, ...(filter ? { filter } : {}) }, handler)
+    .subscribe();
+
+  return () => {
+    client.removeChannel(channel);
+  };
+};
+
+// Every post insert, update (including archive and restore) and delete
+const onPostsChange = (handler) => subscribe('posts', { table: 'posts' }, handler);
+
+// Changes to a single post
+const onPostChange = (postId, handler) => (
+  subscribe(`post-${postId}`, { table: 'posts', filter: `id=eq.${postId}` }, handler)
+);
+
+// Every comment insert and delete, for keeping feed comment counts current
+const onCommentsChange = (handler) => subscribe('comments', { table: 'comments' }, handler);
+
+// Comments on one post
+const onPostCommentsChange = (postId, handler) => (
+  subscribe(`post-${postId}-comments`, { table: 'comments', filter: `post_id=eq.${postId}` }, handler)
+);
+
+// Every reaction added or taken back, for keeping feed reaction counts current
+const onReactionsChange = (handler) => subscribe('reactions', { table: 'reactions' }, handler);
+
+// Reactions on one post and its comments
+const onPostReactionsChange = (postId, handler) => (
+  subscribe(`post-${postId}-reactions`, { table: 'reactions', filter: `post_id=eq.${postId}` }, handler)
+);
+
+// Notifications addressed to one person
+const onNotificationsChange = (userId, handler) => (
+  subscribe(`notifications-${userId}`, { table: 'notifications', filter: `user_id=eq.${userId}` }, handler)
+);
+
+const realtimeApi = {
+  onPostsChange,
+  onPostChange,
+  onCommentsChange,
+  onPostCommentsChange,
+  onReactionsChange,
+  onPostReactionsChange,
+  onNotificationsChange
+};
+
+export default realtimeApi;
@@ -0,0 +1,70 @@
+import { getClient } from './client';
+
+// Totals for an event; the view has no row for posts that aren't events
+const getCounts = async (postId) => {
+  const { data, error } = await getClient()
+    .from('event_rsvp_counts')
+    .select('*')
+    .eq('post_id', postId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || { post_id: postId, capacity: null, going_count: 0, waitlist_count: 0, interested_count: 0, not_going_count: 0 };
+};
+
+// The user's answer with its place and waitlist flag, or null
+const getMine = async (postId, userId) => {
+  const { data, error } = await getClient()
+    .from('event_attendees')
+    .select('*')
+    .eq('post_id', postId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const respond = async (postId, userId, status) => {
+  const { error } = await getClient()
+    .from('event_rsvps')
+    .upsert({ post_id: postId, user_id: userId, status }, { onConflict: 'post_id,user_id' });
+
+  if (error) throw error;
+};
+
+const withdraw = async (postId, userId) => {
+  const { error } = await getClient()
+    .from('event_rsvps')
+    .delete()
+    .eq('post_id', postId)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+};
+
+// Everyone who answered, in the order they did. Only the event's author
+// gets other people's rows back.
+const listAttendees = async (postId) => {
+  const { data, error } = await getClient()
+    .from('event_attendees')
+    .select(`
+      *,
+      users:user_id (name, email, department)
+    `)
+    .eq('post_id', postId)
+    .order('responded_at', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+const rsvpsApi = {
+  getCounts,
+  getMine,
+  respond,
+  withdraw,
+  listAttendees
+};
+
+export default rsvpsApi;
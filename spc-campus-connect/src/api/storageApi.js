@@ -0,0 +1,74 @@
+import { getClient } from './client';
+
+export const PROFILE_PICTURES_BUCKET = 'profile-pictures';
+export const POST_ATTACHMENTS_BUCKET = 'post-attachments';
+
+// Public URLs end in ".../<bucket>/<path>"; the path is what storage calls expect
+const pathFromPublicUrl = (bucket, publicUrl) => {
+  const marker = `/${bucket}/`;
+  const index = publicUrl.lastIndexOf(marker);
+  return index === -1 ? publicUrl : publicUrl.slice(index + marker.length);
+};
+
+const upload = async (bucket, path, file) => {
+  const storage = getClient().storage.from(bucket);
+
+  const { error } = await storage.upload(path, file, {
+    cacheControl: '3600',
+    upsert: false
+  });
+
+  if (error) throw error;
+
+  const { data: { publicUrl } } = storage.getPublicUrl(path);
+  return publicUrl;
+};
+
+const removeByPublicUrl = async (bucket, publicUrl) => {
+  const { error } = await getClient()
+    .storage
+    .from(bucket)
+    .remove([pathFromPublicUrl(bucket, publicUrl)]);
+
+  if (error) throw error;
+};
+
+const uploadProfilePicture = async (userId, file) => {
+  const fileExt = file.name.split('.').pop();
+  return upload(PROFILE_PICTURES_BUCKET, `${userId}/${Date.now()}.${fileExt}`, file);
+};
+
+const removeProfilePicture = async (publicUrl) => {
+  await removeByPublicUrl(PROFILE_PICTURES_BUCKET, publicUrl);
+};
+
+// Attachments live under the uploader's folder; returns the storage path
+// (for later removal) and the public URL
+const uploadPostAttachment = async (userId, file) => {
+  const fileExt = file.name.split('.').pop();
+  const path = `${userId}/${Date.now()}-${Math.random().toString(16).slice(2)}.${fileExt}`;
+  const url = await upload(POST_ATTACHMENTS_BUCKET, path, file);
+  return { path, url };
+};
+
+const removePostAttachments = async (paths) => {
+  if (paths.length === 0) return;
+
+  const { error } = await getClient()
+    .storage
+    .from(POST_ATTACHMENTS_BUCKET)
+    .remove(paths);
+
+  if (error) throw error;
+};
+
+const storageApi = {
+  upload,
+  removeByPublicUrl,
+  uploadProfilePicture,
+  removeProfilePicture,
+  uploadPostAttachment,
+  removePostAttachments
+};
+
+export default storageApi;
@@ -0,0 +1,101 @@
+import { getClient } from './client';
+
+export const TAG_COLUMNS = 'id, department, name';
+
+// Embedded with posts as `post_tags (...)`; see getPostTags
+export const POST_TAGS_EMBED = `post_tags (tags:tag_id (${TAG_COLUMNS}))`;
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+// Flattens a post's post_tags embed into its tags, by name
+export const getPostTags = (postTags = []) => (
+  postTags.map((postTag) => postTag.tags).filter(Boolean).sort(byName)
+);
+
+// A department's tags, or every department's when none is given
+const listTags = async (department = null) => {
+  let query = getClient()
+    .from('tags')
+    .select(TAG_COLUMNS);
+
+  if (department) query = query.eq('department', department);
+
+  const { data, error } = await query.order('name', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+const createTag = async ({ department, name, createdBy }) => {
+  const { data, error } = await getClient()
+    .from('tags')
+    .insert([{ department, name: name.trim(), created_by: createdBy }])
+    .select(TAG_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+const renameTag = async (id, name) => {
+  const { error } = await getClient()
+    .from('tags')
+    .update({ name: name.trim() })
+    .eq('id', id);
+
+  if (error) throw error;
+};
+
+// Posts lose the tag with it (on delete cascade)
+const deleteTag = async (id) => {
+  const { error } = await getClient()
+    .from('tags')
+    .delete()
+    .eq('id', id);
+
+  if (error) throw error;
+};
+
+// Makes tagIds the post's complete set of tags
+const setPostTags = async (postId, tagIds) => {
+  const client = getClient();
+
+  const { data: current, error } = await client
+    .from('post_tags')
+    .select('tag_id')
+    .eq('post_id', postId);
+
+  if (error) throw error;
+
+  const currentIds = current.map((row) => row.tag_id);
+  const removed = currentIds.filter((id) => !tagIds.includes(id));
+  const added = tagIds.filter((id) => !currentIds.includes(id));
+
+  if (removed.length > 0) {
+    const { error: deleteError } = await client
+      .from('post_tags')
+      .delete()
+      .eq('post_id', postId)
+      .in('tag_id', removed);
+
+    if (deleteError) throw deleteError;
+  }
+
+  if (added.length > 0) {
+    const { error: insertError } = await client
+      .from('post_tags')
+      .insert(added.map((tagId) => ({ post_id: postId, tag_id: tagId })));
+
+    if (insertError) throw insertError;
+  }
+};
+
+const tagsApi = {
+  listTags,
+  createTag,
+  renameTag,
+  deleteTag,
+  setPostTags
+};
+
+export default tagsApi;
@@ -0,0 +1,130 @@
+import { getClient } from './client';
+
+// Every person lives in the `users` table, whatever their role.
+// Shape: id, name, email, department, role, is_approved, profile_picture,
+// approved_by, approved_at, created_at
+//
+// role is one of:
+//   'user'        - Student
+//   'admin'       - Department Admin (President Officer)
+//   'super_admin' - Program Head
+export const ROLES = ['user', 'admin', 'super_admin'];
+
+export const ROLE_LABELS = {
+  user: 'Student',
+  admin: 'Administrator',
+  super_admin: 'Program Head'
+};
+
+const getAccount = async (id) => {
+  const { data, error } = await getClient()
+    .from('users')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Used at signup to tell people a department already has its Admin or
+// Program Head before they try
+const findDepartmentAccount = async (department, role) => {
+  const { data, error } = await getClient()
+    .from('users')
+    .select('id')
+    .eq('department', department)
+    .eq('role', role)
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const updateAccount = async (id, changes) => {
+  const { error } = await getClient()
+    .from('users')
+    .update(changes)
+    .eq('id', id);
+
+  if (error) throw error;
+};
+
+const deleteAccount = async (id) => {
+  const { error } = await getClient()
+    .from('users')
+    .delete()
+    .eq('id', id);
+
+  if (error) throw error;
+};
+
+// Students and Admins of a department, for the Program Head's approval queue
+const listDepartmentAccounts = async (department, { approved }) => {
+  const { data, error } = await getClient()
+    .from('users')
+    .select('*')
+    .eq('department', department)
+    .neq('role', 'super_admin')
+    .eq('is_approved', approved)
+    .order(approved ? 'approved_at' : 'created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+};
+
+// Approved people in a department, for @mention autocomplete
+const listMentionable = async (department) => {
+  const { data, error } = await getClient()
+    .from('users')
+    .select('id, name, department, role, profile_picture')
+    .eq('department', department)
+    .eq('is_approved', true)
+    .order('name', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+// Approved people in a department with their emails, e.g. for who still
+// has to acknowledge a post
+const listDepartmentMembers = async (department) => {
+  const { data, error } = await getClient()
+    .from('users')
+    .select('id, name, email, department, role')
+    .eq('department', department)
+    .eq('is_approved', true)
+    .order('name', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+const setAccountApproval = async (id, approved, approverId) => {
+  await updateAccount(id, {
+    is_approved: approved,
+    approved_by: approved ? approverId : null,
+    approved_at: approved ? new Date().toISOString() : null
+  });
+};
+
+const isAccountApproved = (account) => {
+  if (!account) return false;
+  if (account.role === 'super_admin') return true;
+  return account.is_approved === true;
+};
+
+const usersApi = {
+  getAccount,
+  findDepartmentAccount,
+  updateAccount,
+  deleteAccount,
+  listDepartmentAccounts,
+  listMentionable,
+  listDepartmentMembers,
+  setAccountApproval,
+  isAccountApproved
+};
+
+export default usersApi;
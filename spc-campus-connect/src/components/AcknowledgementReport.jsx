@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { acknowledgementsApi, usersApi } from '../api';
+import { downloadFile } from '../lib/download';
+import { toCsv, getCsvFileName } from '../lib/csv';
+import { formatTime } from '../lib/format';
+
+// Who has acknowledged a must-read post and which approved members of its
+// department still haven't. Readers from other departments who acknowledged
+// are listed too.
+export default function AcknowledgementReport({ post, onClose }) {
+  const [acknowledgements, setAcknowledgements] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    Promise.all([acknowledgementsApi.listForPost(post.id), usersApi.listDepartmentMembers(post.department)])
+      .then(([nextAcknowledgements, nextMembers]) => {
+        setAcknowledgements(nextAcknowledgements);
+        setMembers(nextMembers.filter((member) => member.id !== post.author_id));
+      })
+      .catch((error) => {
+        toast.error('Failed to load acknowledgements');
+        console.error(error);
+      })
+      .finally(() => setLoading(false));
+  }, [post.id, post.department, post.author_id]);
+
+  const acknowledgedIds = new Set(acknowledgements.map((row) => row.user_id));
+  const pending = members.filter((member) => !acknowledgedIds.has(member.id));
+  const acknowledgedMembers = members.length - pending.length;
+
+  const handleExport = () => {
+    const rows = [
+      ['Name', 'Email', 'Department', 'Status', 'Acknowledged at'],
+      ...acknowledgements.map((row) => [
+        row.users?.name,
+        row.users?.email,
+        row.users?.department,
+        'Acknowledged',
+        new Date(row.acknowledged_at).toISOString()
+      ]),
+      ...pending.map((member) => [member.name, member.email, member.department, 'Not yet', ''])
+    ];
+
+    downloadFile(getCsvFileName(post.title, 'acknowledgements'), toCsv(rows), 'text/csv;charset=utf-8');
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-lg shadow-xl max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-6 border-b flex items-start justify-between gap-4">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">Acknowledgements</h2>
+            <p className="text-sm text-gray-500 mt-1">{post.title}</p>
+          </div>
+          <button
+            onClick={handleExport}
+            disabled={loading || (acknowledgements.length === 0 && pending.length === 0)}
+            className="px-4 py-2 bg-red-900 hover:bg-red-800 text-white text-sm font-semibold rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Export CSV
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-red-900"></div>
+          </div>
+        ) : (
+          <div className="p-6 space-y-6">
+            <div className="grid grid-cols-2 gap-3 text-center">
+              <div className="p-3 bg-green-50 rounded-lg">
+                <p className="text-2xl font-bold text-green-800">{acknowledgedMembers} / {members.length}</p>
+                <p className="text-xs text-gray-600">{post.department} members acknowledged</p>
+              </div>
+              <div className="p-3 bg-yellow-50 rounded-lg">
+                <p className="text-2xl font-bold text-yellow-800">{pending.length}</p>
+                <p className="text-xs text-gray-600">Still to acknowledge</p>
+              </div>
+            </div>
+
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Have not acknowledged</h3>
+              {pending.length === 0 ? (
+                <p className="text-sm text-gray-500">Everyone in {post.department} has acknowledged this post.</p>
+              ) : (
+                <ul className="divide-y border rounded-lg">
+                  {pending.map((member) => (
+                    <li key={member.id} className="px-3 py-2 text-sm">
+                      <span className="block font-medium text-gray-900 truncate">{member.name}</span>
+                      <span className="block text-xs text-gray-500 truncate">{member.email} • {member.department}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Acknowledged</h3>
+              {acknowledgements.length === 0 ? (
+                <p className="text-sm text-gray-500">Nobody has acknowledged this post yet.</p>
+              ) : (
+                <ul className="divide-y border rounded-lg">
+                  {acknowledgements.map((row) => (
+                    <li key={row.id} className="px-3 py-2 flex items-center justify-between gap-3 text-sm">
+                      <span className="min-w-0">
+                        <span className="block font-medium text-gray-900 truncate">{row.users?.name || 'Unknown'}</span>
+                        <span className="block text-xs text-gray-500 truncate">{row.users?.email} • {row.users?.department}</span>
+                      </span>
+                      <span className="text-xs text-gray-500 flex-shrink-0">{formatTime(row.acknowledged_at)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        )}
+
+        <div className="p-6 border-t flex justify-end">
+          <button
+            onClick={onClose}
+            className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from 'react';
+import { ALLOWED_ATTACHMENT_TYPES, formatFileSize, isImageAttachment } from '../lib/attachments';
+
+// Full-screen viewer for one image at a time; arrow keys step through and
+// Escape closes
+function Lightbox({ images, index, onChange, onClose }) {
+  const image = images[index];
+  const hasMany = images.length > 1;
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+      if (e.key === 'ArrowLeft') onChange((index - 1 + images.length) % images.length);
+      if (e.key === 'ArrowRight') onChange((index + 1) % images.length);
+    };
+
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [images.length, index, onChange, onClose]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/90" onClick={onClose}>
+      <button
+        onClick={onClose}
+        className="absolute top-4 right-4 w-10 h-10 rounded-full bg-white/10 hover:bg-white/20 text-white text-2xl"
+        title="Close"
+      >
+        ×
+      </button>
+
+      {hasMany && (
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onChange((index - 1 + images.length) % images.length);
+          }}
+          className="absolute left-2 sm:left-4 w-10 h-10 rounded-full bg-white/10 hover:bg-white/20 text-white text-2xl"
+          title="Previous"
+        >
+          ‹
+        </button>
+      )}
+
+      <figure className="max-w-5xl max-h-full px-14 py-12" onClick={(e) => e.stopPropagation()}>
+        <img src={image.url} alt={image.name} className="max-w-full max-h-[80vh] mx-auto object-contain" />
+        <figcaption className="mt-3 text-center text-sm text-gray-300">
+          {image.name}
+          {hasMany && ` · ${index + 1} of ${images.length}`}
+        </figcaption>
+      </figure>
+
+      {hasMany && (
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onChange((index + 1) % images.length);
+          }}
+          className="absolute right-2 sm:right-4 w-10 h-10 rounded-full bg-white/10 hover:bg-white/20 text-white text-2xl"
+          title="Next"
+        >
+          ›
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Images of a post as a clickable grid, other files as a download list
+export default function AttachmentGallery({ attachments = [] }) {
+  const [openIndex, setOpenIndex] = useState(null);
+
+  const images = attachments.filter(isImageAttachment);
+  const files = attachments.filter((attachment) => !isImageAttachment(attachment));
+
+  if (attachments.length === 0) return null;
+
+  return (
+    <div className="mt-6 space-y-4">
+      {images.length > 0 && (
+        <div className={`grid gap-2 ${images.length === 1 ? 'grid-cols-1' : 'grid-cols-2 sm:grid-cols-3'}`}>
+          {images.map((image, index) => (
+            <button
+              key={image.id}
+              onClick={() => setOpenIndex(index)}
+              className="block overflow-hidden rounded-lg bg-gray-100 focus:outline-none focus:ring-2 focus:ring-red-900"
+            >
+              <img
+                src={image.url}
+                alt={image.name}
+                loading="lazy"
+                className={`w-full object-cover hover:opacity-90 transition-opacity ${
+                  images.length === 1 ? 'max-h-[28rem]' : 'h-32 sm:h-44'
+                }`}
+              />
+            </button>
+          ))}
+        </div>
+      )}
+
+      {files.length > 0 && (
+        <ul className="divide-y border border-gray-200 rounded-lg">
+          {files.map((file) => (
+            <li key={file.id}>
+              <a
+                href={file.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                download={file.name}
+                className="flex items-center px-4 py-3 hover:bg-gray-50 transition-colors"
+              >
+                <span className="w-12 shrink-0 text-xs font-bold text-red-900">
+                  {ALLOWED_ATTACHMENT_TYPES[file.mime_type] || 'FILE'}
+                </span>
+                <span className="flex-1 min-w-0 text-sm text-gray-800 truncate">{file.name}</span>
+                <span className="ml-3 text-xs text-gray-500 whitespace-nowrap">{formatFileSize(file.size)}</span>
+                <span className="ml-3 text-sm text-blue-600">Download</span>
+              </a>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {openIndex !== null && (
+        <Lightbox
+          images={images}
+          index={openIndex}
+          onChange={setOpenIndex}
+          onClose={() => setOpenIndex(null)}
+        />
+      )}
+    </div>
+  );
+}
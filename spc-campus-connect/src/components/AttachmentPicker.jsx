@@ -0,0 +1,126 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import toast from 'react-hot-toast';
+import {
+  ALLOWED_ATTACHMENT_TYPES,
+  ATTACHMENT_ACCEPT,
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENT_SIZE,
+  formatFileSize,
+  isImageAttachment,
+  validateAttachment
+} from '../lib/attachments';
+
+const FileBadge = ({ type }) => (
+  <div className="w-full h-full flex items-center justify-center bg-gray-100 text-gray-500 text-xs font-bold">
+    {ALLOWED_ATTACHMENT_TYPES[type] || 'FILE'}
+  </div>
+);
+
+// attachments: rows already saved with the post; files: File objects picked
+// in this form and not uploaded yet. onChange receives whichever of the two
+// changed, so it can be spread straight into the form state.
+export default function AttachmentPicker({ attachments = [], files = [], onChange }) {
+  const inputRef = useRef(null);
+  const remaining = MAX_ATTACHMENTS - attachments.length - files.length;
+
+  const previews = useMemo(
+    () => files.map((file) => (isImageAttachment(file) ? URL.createObjectURL(file) : null)),
+    [files]
+  );
+
+  useEffect(() => () => previews.forEach((url) => url && URL.revokeObjectURL(url)), [previews]);
+
+  const handleSelect = (e) => {
+    const picked = Array.from(e.target.files || []);
+    e.target.value = '';
+
+    const accepted = [];
+    picked.forEach((file) => {
+      const problem = validateAttachment(file);
+      if (problem) toast.error(problem);
+      else accepted.push(file);
+    });
+
+    if (accepted.length > remaining) {
+      toast.error(`A post can have at most ${MAX_ATTACHMENTS} attachments`);
+    }
+
+    const added = accepted.slice(0, Math.max(remaining, 0));
+    if (added.length > 0) onChange({ files: [...files, ...added] });
+  };
+
+  const items = [
+    ...attachments.map((attachment) => ({
+      key: attachment.id,
+      name: attachment.name,
+      size: attachment.size,
+      type: attachment.mime_type,
+      preview: isImageAttachment(attachment) ? attachment.url : null,
+      remove: () => onChange({ attachments: attachments.filter((a) => a.id !== attachment.id) })
+    })),
+    ...files.map((file, index) => ({
+      key: `new-${index}-${file.name}`,
+      name: file.name,
+      size: file.size,
+      type: file.type,
+      preview: previews[index],
+      isNew: true,
+      remove: () => onChange({ files: files.filter((_, i) => i !== index) })
+    }))
+  ];
+
+  return (
+    <div>
+      {items.length > 0 && (
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-3">
+          {items.map((item) => (
+            <div key={item.key} className="relative border border-gray-200 rounded-lg overflow-hidden">
+              <div className="h-24">
+                {item.preview ? (
+                  <img src={item.preview} alt={item.name} className="w-full h-full object-cover" />
+                ) : (
+                  <FileBadge type={item.type} />
+                )}
+              </div>
+              <div className="px-2 py-1">
+                <p className="text-xs text-gray-700 truncate" title={item.name}>{item.name}</p>
+                <p className="text-xs text-gray-500">
+                  {formatFileSize(item.size)}
+                  {item.isNew && ' · not uploaded yet'}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={item.remove}
+                title="Remove attachment"
+                className="absolute top-1 right-1 w-6 h-6 rounded-full bg-black/60 hover:bg-black/80 text-white text-sm leading-none"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <input
+        ref={inputRef}
+        type="file"
+        multiple
+        accept={ATTACHMENT_ACCEPT}
+        onChange={handleSelect}
+        className="hidden"
+      />
+      <button
+        type="button"
+        onClick={() => inputRef.current?.click()}
+        disabled={remaining <= 0}
+        className="w-full px-4 py-3 border-2 border-dashed border-gray-300 rounded-lg text-sm text-gray-600 hover:border-red-900 hover:text-red-900 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        📎 Add images or files
+      </button>
+      <p className="mt-1 text-xs text-gray-500">
+        Up to {MAX_ATTACHMENTS} files, {formatFileSize(MAX_ATTACHMENT_SIZE)} each. Images, PDF, Word, Excel and PowerPoint. Large photos are resized before upload.
+      </p>
+    </div>
+  );
+}
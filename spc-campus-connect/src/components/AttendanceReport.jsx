@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { checkInApi, rsvpsApi } from '../api';
+import { downloadFile } from '../lib/download';
+import { toCsv, getCsvFileName } from '../lib/csv';
+import { formatTime } from '../lib/format';
+
+const RSVP_LABELS = {
+  going: 'Going',
+  interested: 'Interested',
+  not_going: 'Not going'
+};
+
+// Who checked in at an event next to who said they were going: the
+// attendees, with their RSVP (or none, for walk-ins), and the no-shows
+export default function AttendanceReport({ post, onClose }) {
+  const [attendance, setAttendance] = useState([]);
+  const [rsvps, setRsvps] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    Promise.all([checkInApi.listAttendance(post.id), rsvpsApi.listAttendees(post.id)])
+      .then(([nextAttendance, nextRsvps]) => {
+        setAttendance(nextAttendance);
+        setRsvps(nextRsvps);
+      })
+      .catch((error) => {
+        toast.error('Failed to load attendance');
+        console.error(error);
+      })
+      .finally(() => setLoading(false));
+  }, [post.id]);
+
+  const rsvpByUser = new Map(rsvps.map((rsvp) => [rsvp.user_id, rsvp]));
+  const attendedIds = new Set(attendance.map((row) => row.user_id));
+  const expected = rsvps.filter((rsvp) => rsvp.status === 'going' && !rsvp.waitlisted);
+  const noShows = expected.filter((rsvp) => !attendedIds.has(rsvp.user_id));
+  const walkIns = attendance.filter((row) => rsvpByUser.get(row.user_id)?.status !== 'going');
+
+  const getRsvpLabel = (userId) => {
+    const rsvp = rsvpByUser.get(userId);
+    if (!rsvp) return 'No RSVP';
+    return rsvp.waitlisted ? 'Waitlisted' : RSVP_LABELS[rsvp.status];
+  };
+
+  const handleExport = () => {
+    const rows = [
+      ['Name', 'Email', 'Department', 'RSVP', 'Checked in at'],
+      ...attendance.map((row) => [
+        row.users?.name,
+        row.users?.email,
+        row.users?.department,
+        getRsvpLabel(row.user_id),
+        new Date(row.checked_in_at).toISOString()
+      ]),
+      ...noShows.map((rsvp) => [rsvp.users?.name, rsvp.users?.email, rsvp.users?.department, 'Going', ''])
+    ];
+
+    downloadFile(getCsvFileName(post.title, 'attendance'), toCsv(rows), 'text/csv;charset=utf-8');
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-lg shadow-xl max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-6 border-b flex items-start justify-between gap-4">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">Attendance</h2>
+            <p className="text-sm text-gray-500 mt-1">{post.title}</p>
+          </div>
+          <button
+            onClick={handleExport}
+            disabled={loading || (attendance.length === 0 && noShows.length === 0)}
+            className="px-4 py-2 bg-red-900 hover:bg-red-800 text-white text-sm font-semibold rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Export CSV
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-red-900"></div>
+          </div>
+        ) : (
+          <div className="p-6 space-y-6">
+            <div className="grid grid-cols-3 gap-3 text-center">
+              <div className="p-3 bg-green-50 rounded-lg">
+                <p className="text-2xl font-bold text-green-800">{attendance.length}</p>
+                <p className="text-xs text-gray-600">Checked in</p>
+              </div>
+              <div className="p-3 bg-blue-50 rounded-lg">
+                <p className="text-2xl font-bold text-blue-800">{expected.length - noShows.length} / {expected.length}</p>
+                <p className="text-xs text-gray-600">Going RSVPs attended</p>
+              </div>
+              <div className="p-3 bg-gray-50 rounded-lg">
+                <p className="text-2xl font-bold text-gray-800">{walkIns.length}</p>
+                <p className="text-xs text-gray-600">Without a Going RSVP</p>
+              </div>
+            </div>
+
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Checked in</h3>
+              {attendance.length === 0 ? (
+                <p className="text-sm text-gray-500">Nobody has checked in yet.</p>
+              ) : (
+                <ul className="divide-y border rounded-lg">
+                  {attendance.map((row) => (
+                    <li key={row.id} className="px-3 py-2 flex items-center justify-between gap-3 text-sm">
+                      <span className="min-w-0">
+                        <span className="block font-medium text-gray-900 truncate">{row.users?.name || 'Unknown'}</span>
+                        <span className="block text-xs text-gray-500 truncate">{row.users?.department} • {getRsvpLabel(row.user_id)}</span>
+                      </span>
+                      <span className="text-xs text-gray-500 flex-shrink-0">{formatTime(row.checked_in_at)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {noShows.length > 0 && (
+              <div>
+                <h3 className="text-sm font-semibold text-gray-700 mb-2">Said they were going, didn't check in</h3>
+                <ul className="divide-y border rounded-lg">
+                  {noShows.map((rsvp) => (
+                    <li key={rsvp.id} className="px-3 py-2 text-sm">
+                      <span className="block font-medium text-gray-900 truncate">{rsvp.users?.name || 'Unknown'}</span>
+                      <span className="block text-xs text-gray-500 truncate">{rsvp.users?.email} • {rsvp.users?.department}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="p-6 border-t flex justify-end">
+          <button
+            onClick={onClose}
+            className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
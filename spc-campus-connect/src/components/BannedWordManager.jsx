@@ -0,0 +1,114 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { moderationApi } from '../api';
+
+const MAX_WORD_LENGTH = 60;
+
+// A department's banned words. Comments on its posts that contain one, as a
+// whole word in any case, are held until a moderator restores them.
+export default function BannedWordManager({ department, createdBy }) {
+  const [words, setWords] = useState([]);
+  const [word, setWord] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchWords = useCallback(async () => {
+    try {
+      setWords(await moderationApi.listBannedWords(department));
+    } catch (error) {
+      toast.error('Failed to load banned words');
+      console.error(error);
+    }
+  }, [department]);
+
+  useEffect(() => {
+    fetchWords();
+  }, [fetchWords]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!word.trim()) return;
+
+    if (words.some((existing) => existing.word.toLowerCase() === word.trim().toLowerCase())) {
+      toast.error(`"${word.trim()}" is already on the list`);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await moderationApi.addBannedWord({ department, word, createdBy });
+      toast.success(`Added "${word.trim()}"`);
+      setWord('');
+      fetchWords();
+    } catch (error) {
+      toast.error(error.code === '23505' ? `"${word.trim()}" is already on the list` : error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (banned) => {
+    setSaving(true);
+    try {
+      await moderationApi.removeBannedWord(banned.id);
+      toast.success(`Removed "${banned.word}"`);
+      fetchWords();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md">
+      <div className="px-6 py-4 border-b">
+        <h2 className="text-lg font-semibold text-gray-900">Banned Words</h2>
+        <p className="text-sm text-gray-500">New and edited comments containing these are held for review. Existing comments aren't rechecked.</p>
+      </div>
+
+      <form onSubmit={handleAdd} className="px-6 py-4 border-b flex gap-2">
+        <input
+          type="text"
+          value={word}
+          onChange={(e) => setWord(e.target.value)}
+          maxLength={MAX_WORD_LENGTH}
+          placeholder="A word or phrase"
+          className="flex-1 min-w-0 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900"
+        />
+        <button
+          type="submit"
+          disabled={saving || !word.trim()}
+          className="px-5 py-2 bg-red-900 hover:bg-red-800 text-white font-semibold rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Add
+        </button>
+      </form>
+
+      {words.length === 0 ? (
+        <div className="p-8 text-center">
+          <p className="text-gray-500">No banned words</p>
+          <p className="text-gray-400 text-sm mt-1">Every comment appears right away</p>
+        </div>
+      ) : (
+        <div className="px-6 py-4 flex flex-wrap gap-2">
+          {words.map((banned) => (
+            <span
+              key={banned.id}
+              className="inline-flex items-center gap-1 pl-3 pr-1 py-1 rounded-full text-sm bg-gray-100 text-gray-800"
+            >
+              {banned.word}
+              <button
+                onClick={() => handleRemove(banned)}
+                disabled={saving}
+                className="h-5 w-5 rounded-full text-gray-500 hover:bg-gray-200 hover:text-red-700 transition-colors disabled:opacity-50"
+                title={`Remove "${banned.word}"`}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { checkInApi } from '../api';
+import { CHECK_IN_ROTATE_MS, getCheckInUrl } from '../lib/checkIn';
+
+// Full-screen QR code for students to scan at the door. Asks for a new code
+// every CHECK_IN_ROTATE_MS and shows how many people have checked in.
+export default function CheckInDisplay({ post, onClose }) {
+  const [code, setCode] = useState(null);
+  const [qrImage, setQrImage] = useState(null);
+  const [checkedIn, setCheckedIn] = useState(0);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const rotate = async () => {
+      try {
+        const [next, count] = await Promise.all([
+          checkInApi.rotateCode(post.id),
+          checkInApi.countAttendance(post.id)
+        ]);
+        const image = await QRCode.toDataURL(getCheckInUrl(next.code), { width: 640, margin: 1 });
+        if (cancelled) return;
+
+        setCode(next.code);
+        setQrImage(image);
+        setCheckedIn(count);
+        setError(null);
+      } catch (rotateError) {
+        console.error('Error rotating check-in code:', rotateError);
+        if (!cancelled) setError(rotateError.message);
+      }
+    };
+
+    rotate();
+    const timer = setInterval(rotate, CHECK_IN_ROTATE_MS);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [post.id]);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex flex-col items-center justify-center bg-white p-4 sm:p-8">
+      <button
+        onClick={onClose}
+        className="absolute top-4 right-4 w-10 h-10 rounded-full bg-gray-100 hover:bg-gray-200 text-gray-700 text-2xl"
+        title="Close"
+      >
+        ×
+      </button>
+
+      <p className="text-sm sm:text-base font-semibold text-red-900 uppercase tracking-wide">Event check-in</p>
+      <h2 className="text-xl sm:text-3xl font-bold text-gray-900 text-center mt-1 mb-4 sm:mb-6">{post.title}</h2>
+
+      {qrImage ? (
+        <img src={qrImage} alt="Check-in QR code" className="w-full max-w-[min(80vw,60vh)] aspect-square" />
+      ) : (
+        <div className="w-full max-w-[min(80vw,60vh)] aspect-square flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-red-900"></div>
+        </div>
+      )}
+
+      <p className="mt-4 sm:mt-6 text-gray-600 text-sm sm:text-base text-center">
+        Scan with your phone, or enter this code on the Check in page:
+      </p>
+      <p className="mt-1 font-mono text-3xl sm:text-5xl font-bold tracking-[0.3em] text-gray-900">{code || '······'}</p>
+
+      <p className="mt-4 sm:mt-6 text-base sm:text-lg font-semibold text-gray-700">✅ {checkedIn} checked in</p>
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { commentsApi } from '../api';
+import { formatDate } from '../lib/format';
+
+// Every version of an edited comment, newest first
+export default function CommentHistory({ comment, onClose }) {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    commentsApi.listRevisions(comment.id)
+      .then(setRevisions)
+      .catch((error) => {
+        toast.error('Failed to load edit history');
+        console.error(error);
+      })
+      .finally(() => setLoading(false));
+  }, [comment.id, comment.edited_at]);
+
+  const versions = [
+    ...revisions.map((revision, index) => ({
+      id: revision.id,
+      content: revision.content,
+      at: revision.written_at,
+      label: index === 0 ? 'Original' : `Edit ${index}`
+    })),
+    { id: 'current', content: comment.content, at: comment.edited_at || comment.created_at, label: 'Current' }
+  ].reverse();
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-lg shadow-xl max-w-lg w-full mx-4 max-h-[80vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-4 sm:p-6 border-b">
+          <h2 className="text-lg sm:text-xl font-bold text-gray-900">Edit history</h2>
+          <p className="text-sm text-gray-500 mt-1">{comment.users?.name}'s comment</p>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 sm:p-6">
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-red-900"></div>
+            </div>
+          ) : (
+            <ol className="space-y-4">
+              {versions.map((version) => (
+                <li key={version.id} className="border-l-2 border-gray-200 pl-3">
+                  <p className="text-xs text-gray-500 mb-1">
+                    <span className={`font-semibold ${version.id === 'current' ? 'text-red-900' : 'text-gray-700'}`}>{version.label}</span>
+                    {' • '}
+                    {formatDate(version.at)}
+                  </p>
+                  <p className="text-sm text-gray-700 whitespace-pre-wrap break-words">{version.content}</p>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+
+        <div className="p-4 sm:p-6 border-t flex justify-end">
+          <button
+            onClick={onClose}
+            className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,280 @@
+import React, { useState } from 'react';
+import MentionTextarea from './MentionTextarea';
+import CommentHistory from './CommentHistory';
+import ReactionBar from './ReactionBar';
+import { countReplies } from '../lib/commentTree';
+import { splitMentions } from '../lib/mentions';
+import { reactionsFor } from '../lib/reactions';
+import { getInitials, formatDate } from '../lib/format';
+
+// Deeper replies line up with the last indented level instead of shrinking further
+const MAX_INDENT_DEPTH = 3;
+
+// Shown to the writer and moderators, the only ones who can see these
+const STATUS_BADGES = {
+  held: { label: 'Held for review', className: 'bg-yellow-100 text-yellow-800' },
+  hidden: { label: 'Hidden by a moderator', className: 'bg-gray-200 text-gray-700' }
+};
+
+function CommentText({ content, mentionNames }) {
+  return (
+    <p className="text-gray-700 whitespace-pre-wrap break-words text-sm sm:text-base">
+      {splitMentions(content, mentionNames).map((part, index) => (
+        typeof part === 'string'
+          ? part
+          : <span key={index} className="text-red-900 font-semibold">{part.mention}</span>
+      ))}
+    </p>
+  );
+}
+
+// One comment with its replies, built by buildCommentTree.
+// onReply(parentId, content) and onEdit(commentId, content) resolve to true
+// once the change is saved (or, for replies, queued).
+// reactions: every reaction on the post; onReact(commentId, key, mine)
+// toggles the reader's own. onReport(comment) reports someone else's comment.
+export default function CommentThread({
+  comment,
+  depth = 0,
+  currentUserId,
+  mentionable,
+  reactions = [],
+  reacting = false,
+  onReply,
+  onEdit,
+  onDelete,
+  onReact,
+  onReport
+}) {
+  const [collapsed, setCollapsed] = useState(false);
+  const [replying, setReplying] = useState(false);
+  const [reply, setReply] = useState('');
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [showHistory, setShowHistory] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const mentionNames = mentionable.map((user) => user.name);
+  const replyCount = countReplies(comment);
+  const isOwn = comment.user_id === currentUserId;
+  const statusBadge = STATUS_BADGES[comment.status];
+  const avatarSize = depth === 0 ? 'h-8 w-8 sm:h-10 sm:w-10' : 'h-7 w-7 sm:h-8 sm:w-8';
+
+  const startReply = () => {
+    const author = comment.users?.name;
+    // Answering someone else starts by mentioning them
+    if (!reply && !isOwn && author && mentionNames.includes(author)) setReply(`@${author} `);
+    setReplying(true);
+  };
+
+  const handleSubmitReply = async (e) => {
+    e.preventDefault();
+    if (!reply.trim()) return;
+
+    setSubmitting(true);
+    const posted = await onReply(comment.id, reply.trim());
+    setSubmitting(false);
+
+    if (posted) {
+      setReply('');
+      setReplying(false);
+      setCollapsed(false);
+    }
+  };
+
+  const startEdit = () => {
+    setDraft(comment.content);
+    setEditing(true);
+  };
+
+  const handleSubmitEdit = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+
+    if (draft.trim() === comment.content) {
+      setEditing(false);
+      return;
+    }
+
+    setSubmitting(true);
+    const saved = await onEdit(comment.id, draft.trim());
+    setSubmitting(false);
+
+    if (saved) setEditing(false);
+  };
+
+  return (
+    <div id={`comment-${comment.id}`}>
+      <div className="flex items-start space-x-2 sm:space-x-4">
+        {comment.users?.profile_picture ? (
+          <img
+            src={comment.users.profile_picture}
+            alt={comment.users.name}
+            className={`${avatarSize} rounded-full object-cover border-2 border-red-900 flex-shrink-0`}
+          />
+        ) : (
+          <div className={`${avatarSize} rounded-full bg-red-900 flex items-center justify-center text-white font-semibold text-xs flex-shrink-0`}>
+            {getInitials(comment.users?.name)}
+          </div>
+        )}
+        <div className="flex-1 min-w-0">
+          <div className="flex flex-wrap items-center gap-1 sm:gap-2 mb-1">
+            <span className="font-semibold text-gray-900 text-sm sm:text-base">{comment.users?.name}</span>
+            <span className="text-gray-500 text-xs sm:text-sm">•</span>
+            <span className="text-gray-500 text-xs sm:text-sm">{comment.users?.department}</span>
+            {comment.users?.role === 'admin' && (
+              <>
+                <span className="text-gray-500 text-xs sm:text-sm hidden sm:inline">•</span>
+                <span className="text-red-900 font-semibold text-xs">Admin</span>
+              </>
+            )}
+            <span className="text-gray-500 text-xs sm:text-sm hidden sm:inline">•</span>
+            <span className="text-gray-500 text-xs">{formatDate(comment.created_at)}</span>
+            {comment.edited_at && (
+              <button
+                onClick={() => setShowHistory(true)}
+                className="text-gray-500 text-xs italic hover:text-red-900 hover:underline"
+                title={`Edited ${formatDate(comment.edited_at)}. See earlier versions.`}
+              >
+                (edited)
+              </button>
+            )}
+            {statusBadge && (
+              <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${statusBadge.className}`}>
+                {statusBadge.label}
+              </span>
+            )}
+          </div>
+
+          {editing ? (
+            <form onSubmit={handleSubmitEdit}>
+              <MentionTextarea
+                value={draft}
+                onChange={setDraft}
+                users={mentionable}
+                rows="3"
+                autoFocus
+                disabled={submitting}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900 resize-none text-sm sm:text-base"
+              />
+              <div className="mt-2 flex justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={() => setEditing(false)}
+                  className="px-3 py-1.5 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-xs sm:text-sm"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={submitting || !draft.trim()}
+                  className="px-4 py-1.5 bg-red-900 hover:bg-red-800 text-white font-semibold rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed text-xs sm:text-sm"
+                >
+                  {submitting ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className={statusBadge ? 'opacity-60' : ''}>
+              <CommentText content={comment.content} mentionNames={mentionNames} />
+            </div>
+          )}
+
+          <div className="mt-1 flex flex-wrap items-center gap-3 text-xs font-semibold text-gray-500">
+            <button onClick={startReply} className="hover:text-red-900 transition-colors">
+              Reply
+            </button>
+            {isOwn && !editing && (
+              <button onClick={startEdit} className="hover:text-red-900 transition-colors">
+                Edit
+              </button>
+            )}
+            {!isOwn && (
+              <button onClick={() => onReport(comment)} className="hover:text-red-900 transition-colors">
+                Report
+              </button>
+            )}
+            {replyCount > 0 && (
+              <button onClick={() => setCollapsed(!collapsed)} className="hover:text-red-900 transition-colors">
+                {collapsed ? `▸ Show ${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}` : '▾ Hide replies'}
+              </button>
+            )}
+            <ReactionBar
+              reactions={reactionsFor(reactions, comment.id)}
+              currentUserId={currentUserId}
+              onToggle={(key, mine) => onReact(comment.id, key, mine)}
+              disabled={reacting}
+              compact
+            />
+          </div>
+
+          {replying && (
+            <form onSubmit={handleSubmitReply} className="mt-2">
+              <MentionTextarea
+                value={reply}
+                onChange={setReply}
+                users={mentionable}
+                placeholder={`Reply to ${comment.users?.name || 'this comment'}...`}
+                rows="2"
+                autoFocus
+                disabled={submitting}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900 resize-none text-sm"
+              />
+              <div className="mt-2 flex justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={() => setReplying(false)}
+                  className="px-3 py-1.5 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-xs sm:text-sm"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={submitting || !reply.trim()}
+                  className="px-4 py-1.5 bg-red-900 hover:bg-red-800 text-white font-semibold rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed text-xs sm:text-sm"
+                >
+                  {submitting ? 'Posting...' : 'Reply'}
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+
+        {isOwn && (
+          <button
+            onClick={() => onDelete(comment.id, replyCount)}
+            className="text-red-600 hover:text-red-800 transition-colors flex-shrink-0"
+            title="Delete comment"
+          >
+            <svg className="w-4 h-4 sm:w-5 sm:h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+            </svg>
+          </button>
+        )}
+      </div>
+
+      {replyCount > 0 && !collapsed && (
+        <div className={`mt-3 sm:mt-4 space-y-3 sm:space-y-4 ${depth < MAX_INDENT_DEPTH ? 'ml-4 sm:ml-7 pl-3 sm:pl-5 border-l-2 border-gray-100' : ''}`}>
+          {comment.replies.map((child) => (
+            <CommentThread
+              key={child.id}
+              comment={child}
+              depth={depth + 1}
+              currentUserId={currentUserId}
+              mentionable={mentionable}
+              reactions={reactions}
+              reacting={reacting}
+              onReply={onReply}
+              onEdit={onEdit}
+              onDelete={onDelete}
+              onReact={onReact}
+              onReport={onReport}
+            />
+          ))}
+        </div>
+      )}
+
+      {showHistory && <CommentHistory comment={comment} onClose={() => setShowHistory(false)} />}
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { rsvpsApi } from '../api';
+import { downloadFile } from '../lib/download';
+import { toCsv, getCsvFileName } from '../lib/csv';
+
+const GROUPS = [
+  { id: 'going', label: 'Going', matches: (rsvp) => rsvp.status === 'going' && !rsvp.waitlisted },
+  { id: 'waitlist', label: 'Waitlist', matches: (rsvp) => rsvp.waitlisted },
+  { id: 'interested', label: 'Interested', matches: (rsvp) => rsvp.status === 'interested' },
+  { id: 'not_going', label: 'Not going', matches: (rsvp) => rsvp.status === 'not_going' }
+];
+
+const toCsvRows = (attendees, capacity) => [
+  ['Name', 'Email', 'Department', 'RSVP', 'Waitlist position', 'Responded at'],
+  ...GROUPS.flatMap((group) => attendees.filter(group.matches).map((rsvp) => [
+    rsvp.users?.name,
+    rsvp.users?.email,
+    rsvp.users?.department,
+    group.label,
+    rsvp.waitlisted ? rsvp.place - capacity : '',
+    new Date(rsvp.responded_at).toISOString()
+  ]))
+];
+
+// The RSVP list for the admin who posted the event, with a CSV export for
+// sign-in sheets and head counts
+export default function EventAttendees({ post }) {
+  const [attendees, setAttendees] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [group, setGroup] = useState('going');
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setAttendees(await rsvpsApi.listAttendees(post.id));
+    } catch (error) {
+      toast.error('Failed to load attendees');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  }, [post.id]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleExport = () => {
+    downloadFile(getCsvFileName(post.title, 'attendees'), toCsv(toCsvRows(attendees, post.capacity)), 'text/csv;charset=utf-8');
+  };
+
+  const shown = attendees.filter(GROUPS.find((option) => option.id === group).matches);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 lg:p-8 mb-6 sm:mb-8">
+      <div className="flex items-center justify-between gap-2 mb-4">
+        <h2 className="text-lg sm:text-xl font-bold text-gray-900">
+          Attendees{post.capacity ? ` (capacity ${post.capacity})` : ''}
+        </h2>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={load}
+            className="px-3 py-1.5 text-xs sm:text-sm text-gray-600 hover:text-gray-900 font-medium"
+          >
+            Refresh
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={attendees.length === 0}
+            className="px-3 sm:px-4 py-1.5 bg-red-900 hover:bg-red-800 text-white text-xs sm:text-sm font-semibold rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {GROUPS.map((option) => (
+          <button
+            key={option.id}
+            onClick={() => setGroup(option.id)}
+            className={`px-3 py-1 rounded-full text-xs sm:text-sm font-semibold ${
+              group === option.id ? 'bg-red-900 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {option.label} ({attendees.filter(option.matches).length})
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-red-900"></div>
+        </div>
+      ) : shown.length === 0 ? (
+        <p className="text-center text-gray-500 text-sm py-6">Nobody here yet</p>
+      ) : (
+        <ul className="divide-y">
+          {shown.map((rsvp) => (
+            <li key={rsvp.id} className="py-2 flex items-center justify-between gap-3 text-sm">
+              <span className="min-w-0">
+                <span className="block font-medium text-gray-900 truncate">{rsvp.users?.name || 'Unknown'}</span>
+                <span className="block text-xs text-gray-500 truncate">{rsvp.users?.email} • {rsvp.users?.department}</span>
+              </span>
+              {rsvp.waitlisted && (
+                <span className="text-xs font-semibold text-yellow-800 flex-shrink-0">#{rsvp.place - post.capacity}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
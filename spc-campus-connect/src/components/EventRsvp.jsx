@@ -0,0 +1,104 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/auth';
+import { rsvpsApi } from '../api';
+
+const OPTIONS = [
+  { status: 'going', label: 'Going', icon: '✅' },
+  { status: 'interested', label: 'Interested', icon: '⭐' },
+  { status: 'not_going', label: 'Not going', icon: '✖️' }
+];
+
+// Going / Interested / Not going for an event post, with the turnout so far.
+// Answering Going once the event is full puts you on the waitlist; picking
+// your current answer again takes it back. Answers close once the event is
+// archived.
+export default function EventRsvp({ post, canRespond = true }) {
+  const { profile } = useAuth();
+  const [counts, setCounts] = useState(null);
+  const [mine, setMine] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      const [nextCounts, nextMine] = await Promise.all([
+        rsvpsApi.getCounts(post.id),
+        profile ? rsvpsApi.getMine(post.id, profile.id) : null
+      ]);
+      setCounts(nextCounts);
+      setMine(nextMine);
+    } catch (error) {
+      console.error('Error loading RSVPs:', error);
+    }
+  }, [post.id, profile]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleRespond = async (status) => {
+    setSaving(true);
+
+    try {
+      if (mine?.status === status) {
+        await rsvpsApi.withdraw(post.id, profile.id);
+      } else {
+        await rsvpsApi.respond(post.id, profile.id, status);
+      }
+      await load();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!counts) return null;
+
+  const isOpen = post.status === 'active';
+  const isFull = counts.capacity !== null && counts.going_count >= counts.capacity;
+
+  return (
+    <div className="mb-4 sm:mb-6 p-3 sm:p-4 border border-gray-200 rounded-lg">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <p className="text-sm sm:text-base font-semibold text-gray-900">Are you going?</p>
+        <p className="text-xs sm:text-sm text-gray-500">
+          {counts.capacity !== null ? `${counts.going_count} / ${counts.capacity} going` : `${counts.going_count} going`}
+          {counts.waitlist_count > 0 && ` • ${counts.waitlist_count} waitlisted`}
+          {` • ${counts.interested_count} interested`}
+        </p>
+      </div>
+
+      {canRespond && isOpen && (
+        <div className="grid grid-cols-3 gap-2">
+          {OPTIONS.map((option) => (
+            <button
+              key={option.status}
+              onClick={() => handleRespond(option.status)}
+              disabled={saving}
+              className={`px-2 sm:px-4 py-2 rounded-lg text-xs sm:text-sm font-semibold border transition-colors disabled:opacity-50 ${
+                mine?.status === option.status
+                  ? 'bg-red-900 border-red-900 text-white'
+                  : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {option.icon} {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {canRespond && isOpen && mine?.waitlisted && (
+        <p className="mt-3 text-xs sm:text-sm text-yellow-800 bg-yellow-50 rounded-lg px-3 py-2">
+          The event is full. You're #{mine.place - counts.capacity} on the waitlist and will get a place if someone drops out.
+        </p>
+      )}
+      {canRespond && isOpen && isFull && !mine?.waitlisted && mine?.status !== 'going' && (
+        <p className="mt-3 text-xs sm:text-sm text-gray-500">The event is full. Answering Going puts you on the waitlist.</p>
+      )}
+      {!isOpen && (
+        <p className="text-xs sm:text-sm text-gray-500">RSVPs are closed.</p>
+      )}
+    </div>
+  );
+}
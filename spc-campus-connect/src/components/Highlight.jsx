@@ -0,0 +1,22 @@
+import React from 'react';
+
+// Drops the Markdown symbols a snippet of post content can carry
+const stripMarkdown = (text) => text
+  .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/[*_`#>~]+/g, '');
+
+// A search snippet with its matched words in <mark> tags, as search_posts
+// returns them. Everything else is rendered as text, never as HTML.
+export default function Highlight({ text, className = '' }) {
+  const parts = String(text ?? '').split(/<mark>(.*?)<\/mark>/);
+
+  return (
+    <span className={className}>
+      {parts.map((part, index) => (
+        index % 2 === 1
+          ? <mark key={index} className="bg-yellow-200 text-inherit rounded-sm px-0.5">{part}</mark>
+          : stripMarkdown(part)
+      ))}
+    </span>
+  );
+}
@@ -0,0 +1,88 @@
+import React from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkBreaks from 'remark-breaks';
+
+// Renders post content written in Markdown. Raw HTML in the source is never
+// rendered and unsafe link protocols are dropped by react-markdown, so the
+// output needs no further sanitizing. remark-gfm adds lists, tables,
+// strikethrough and turns bare URLs into links; remark-breaks keeps single
+// line breaks, so posts written as plain text read as before.
+
+// react-markdown passes the syntax tree node along; it is not a DOM attribute
+const withoutNode = (props) => {
+  const rest = { ...props };
+  delete rest.node;
+  return rest;
+};
+
+const styled = (Tag, className) => {
+  const Styled = (props) => <Tag className={className} {...withoutNode(props)} />;
+  return Styled;
+};
+
+const Link = (props) => (
+  <a
+    {...withoutNode(props)}
+    target="_blank"
+    rel="noopener noreferrer"
+    onClick={(e) => e.stopPropagation()}
+    className="text-blue-600 hover:text-blue-800 underline break-words"
+  />
+);
+
+const fullComponents = {
+  a: Link,
+  h1: styled('h2', 'text-xl sm:text-2xl font-bold text-gray-900 mt-6 mb-3'),
+  h2: styled('h3', 'text-lg sm:text-xl font-bold text-gray-900 mt-5 mb-2'),
+  h3: styled('h4', 'text-base sm:text-lg font-semibold text-gray-900 mt-4 mb-2'),
+  p: styled('p', 'mb-4 last:mb-0'),
+  ul: styled('ul', 'list-disc pl-6 mb-4 space-y-1'),
+  ol: styled('ol', 'list-decimal pl-6 mb-4 space-y-1'),
+  blockquote: styled('blockquote', 'border-l-4 border-red-900 pl-4 italic text-gray-600 mb-4'),
+  code: styled('code', 'px-1 py-0.5 bg-gray-100 rounded text-sm font-mono'),
+  pre: styled('pre', 'p-3 bg-gray-100 rounded-lg overflow-x-auto mb-4 text-sm'),
+  hr: styled('hr', 'my-6'),
+  table: (props) => (
+    <div className="overflow-x-auto mb-4">
+      <table className="min-w-full border text-sm" {...withoutNode(props)} />
+    </div>
+  ),
+  th: styled('th', 'border px-3 py-2 bg-gray-50 text-left font-semibold'),
+  td: styled('td', 'border px-3 py-2'),
+  img: (props) => <img alt="" className="max-w-full rounded-lg my-4" {...withoutNode(props)} />
+};
+
+// Card excerpts stay compact: headings read as bold lines and images are left out
+const excerptComponents = {
+  a: Link,
+  h1: styled('p', 'font-semibold'),
+  h2: styled('p', 'font-semibold'),
+  h3: styled('p', 'font-semibold'),
+  h4: styled('p', 'font-semibold'),
+  p: styled('p', 'mb-1 last:mb-0'),
+  ul: styled('ul', 'list-disc pl-5'),
+  ol: styled('ol', 'list-decimal pl-5'),
+  code: styled('code', 'px-1 bg-gray-100 rounded font-mono')
+};
+
+const EXCERPT_HIDDEN_ELEMENTS = ['img', 'table', 'pre', 'hr', 'blockquote'];
+
+// variant: 'full' for the post page, 'excerpt' for feed cards (pair it with
+// a line-clamp class to cut long posts short)
+export default function Markdown({ children, variant = 'full', className = '' }) {
+  const excerpt = variant === 'excerpt';
+
+  return (
+    <div className={className ? `break-words ${className}` : 'break-words'}>
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm, remarkBreaks]}
+        components={excerpt ? excerptComponents : fullComponents}
+        disallowedElements={excerpt ? EXCERPT_HIDDEN_ELEMENTS : undefined}
+        unwrapDisallowed={excerpt}
+      >
+        {children || ''}
+      </ReactMarkdown>
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import React, { useRef, useState } from 'react';
+import Markdown from './Markdown';
+
+// Wraps the selected text (or a placeholder) in before/after markers
+const wrapSelection = (value, start, end, before, after, placeholder) => {
+  const selected = value.slice(start, end) || placeholder;
+  const next = value.slice(0, start) + before + selected + after + value.slice(end);
+  return { next, selectionStart: start + before.length, selectionEnd: start + before.length + selected.length };
+};
+
+// Puts a prefix at the start of every selected line
+const prefixLines = (value, start, end, prefix) => {
+  const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+  const block = value.slice(lineStart, end) || 'List item';
+  const prefixed = block.split('\n').map((line) => `${prefix}${line}`).join('\n');
+  const next = value.slice(0, lineStart) + prefixed + value.slice(end);
+  return { next, selectionStart: lineStart, selectionEnd: lineStart + prefixed.length };
+};
+
+const TOOLBAR = [
+  { label: 'B', title: 'Bold', className: 'font-bold', apply: (v, s, e) => wrapSelection(v, s, e, '**', '**', 'bold text') },
+  { label: 'I', title: 'Italic', className: 'italic', apply: (v, s, e) => wrapSelection(v, s, e, '_', '_', 'italic text') },
+  { label: 'H', title: 'Heading', className: 'font-semibold', apply: (v, s, e) => prefixLines(v, s, e, '## ') },
+  { label: '• List', title: 'Bulleted list', apply: (v, s, e) => prefixLines(v, s, e, '- ') },
+  { label: '1. List', title: 'Numbered list', apply: (v, s, e) => prefixLines(v, s, e, '1. ') },
+  { label: 'Link', title: 'Link', apply: (v, s, e) => wrapSelection(v, s, e, '[', '](https://)', 'link text') }
+];
+
+// Markdown textarea with a formatting toolbar and a live preview: side by
+// side on wide screens, behind Write/Preview tabs on small ones
+export default function MarkdownEditor({ value, onChange, rows = 10, placeholder }) {
+  const textareaRef = useRef(null);
+  const [tab, setTab] = useState('write');
+
+  const applyFormat = (format) => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+
+    const { next, selectionStart, selectionEnd } = format.apply(value, textarea.selectionStart, textarea.selectionEnd);
+    onChange(next);
+
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(selectionStart, selectionEnd);
+    });
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex flex-wrap gap-1">
+          {TOOLBAR.map((format) => (
+            <button
+              key={format.title}
+              type="button"
+              title={format.title}
+              onClick={() => applyFormat(format)}
+              className={`px-2 py-1 text-xs border border-gray-300 rounded hover:bg-gray-50 text-gray-700 ${format.className || ''}`}
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+        <div className="flex md:hidden text-xs border border-gray-300 rounded overflow-hidden">
+          {['write', 'preview'].map((name) => (
+            <button
+              key={name}
+              type="button"
+              onClick={() => setTab(name)}
+              className={`px-3 py-1 capitalize ${tab === name ? 'bg-red-900 text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <textarea
+          ref={textareaRef}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          rows={rows}
+          className={`w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900 font-mono text-sm ${
+            tab === 'write' ? '' : 'hidden md:block'
+          }`}
+          placeholder={placeholder}
+        ></textarea>
+
+        <div className={`px-4 py-2 border border-gray-200 rounded-lg bg-gray-50 overflow-y-auto text-sm text-gray-700 ${
+          tab === 'preview' ? '' : 'hidden md:block'
+        }`}>
+          {value.trim() ? (
+            <Markdown>{value}</Markdown>
+          ) : (
+            <p className="text-gray-400">Preview appears here</p>
+          )}
+        </div>
+      </div>
+
+      <p className="mt-1 text-xs text-gray-500">
+        Markdown supported: **bold**, _italic_, lists, [links](https://example.com). Plain URLs become links.
+      </p>
+    </div>
+  );
+}
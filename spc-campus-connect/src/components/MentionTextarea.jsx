@@ -0,0 +1,102 @@
+import React, { useState, useRef, useLayoutEffect } from 'react';
+import { getMentionQuery, matchMentionable, insertMention } from '../lib/mentions';
+import { getInitials } from '../lib/format';
+
+// A textarea that suggests people to @mention as you type "@". Arrow keys
+// move through the suggestions; Enter or Tab picks one, Escape closes them.
+// users: who can be mentioned. Other props go to the textarea.
+export default function MentionTextarea({ value, onChange, users, className = '', ...props }) {
+  const textareaRef = useRef(null);
+  const pendingCaret = useRef(null);
+  const [caret, setCaret] = useState(null);
+  const [highlighted, setHighlighted] = useState(0);
+  const [dismissed, setDismissed] = useState(null);
+
+  const mention = caret === null ? null : getMentionQuery(value, caret);
+  const suggestions = mention && dismissed !== mention.start ? matchMentionable(users, mention.query) : [];
+  const open = suggestions.length > 0;
+
+  // Put the caret after an inserted mention once React has written the value
+  useLayoutEffect(() => {
+    if (pendingCaret.current === null || !textareaRef.current) return;
+    textareaRef.current.setSelectionRange(pendingCaret.current, pendingCaret.current);
+    pendingCaret.current = null;
+  }, [value]);
+
+  const trackCaret = (e) => setCaret(e.target.selectionStart);
+
+  const pick = (user) => {
+    const next = insertMention(value, mention, user);
+    pendingCaret.current = next.caret;
+    setCaret(next.caret);
+    onChange(next.text);
+    textareaRef.current?.focus();
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setHighlighted((current) => (current + step + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      pick(suggestions[Math.min(highlighted, suggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setDismissed(mention.start);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <textarea
+        {...props}
+        ref={textareaRef}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          trackCaret(e);
+          setHighlighted(0);
+        }}
+        onKeyDown={handleKeyDown}
+        onKeyUp={trackCaret}
+        onClick={trackCaret}
+        onBlur={() => setCaret(null)}
+        className={className}
+      />
+
+      {open && (
+        <ul className="absolute z-20 left-0 right-0 sm:right-auto sm:min-w-64 mt-1 bg-white border border-gray-200 rounded-lg shadow-lg overflow-hidden">
+          {suggestions.map((user, index) => (
+            <li key={user.id}>
+              <button
+                type="button"
+                // mousedown, so the textarea keeps focus and its caret
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  pick(user);
+                }}
+                onMouseEnter={() => setHighlighted(index)}
+                className={`w-full px-3 py-2 flex items-center gap-2 text-left text-sm ${
+                  index === highlighted ? 'bg-red-50' : 'hover:bg-gray-50'
+                }`}
+              >
+                {user.profile_picture ? (
+                  <img src={user.profile_picture} alt="" className="h-6 w-6 rounded-full object-cover" />
+                ) : (
+                  <span className="h-6 w-6 rounded-full bg-red-900 flex items-center justify-center text-white text-[10px] font-semibold">
+                    {getInitials(user.name)}
+                  </span>
+                )}
+                <span className="font-medium text-gray-900 truncate">{user.name}</span>
+                <span className="ml-auto text-xs text-gray-500">{user.department}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
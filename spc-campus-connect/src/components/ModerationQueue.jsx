@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { moderationApi } from '../api';
+import { formatTime } from '../lib/format';
+
+const MAX_EXCERPT_LENGTH = 240;
+
+const excerpt = (text = '') => (
+  text.length > MAX_EXCERPT_LENGTH ? `${text.slice(0, MAX_EXCERPT_LENGTH).trimEnd()}…` : text
+);
+
+// Open reports about the same post or comment, shown as one item
+const groupByTarget = (reports) => {
+  const groups = new Map();
+
+  reports.forEach((report) => {
+    const key = `${report.post_id}:${report.comment_id ?? ''}`;
+    if (!groups.has(key)) groups.set(key, { key, reports: [] });
+    groups.get(key).reports.push(report);
+  });
+
+  return [...groups.values()].map((group) => {
+    const [first] = group.reports;
+    const comment = first.comment_id ? first.comments : null;
+
+    return {
+      ...group,
+      first,
+      postId: first.post_id,
+      kind: comment ? 'Comment' : 'Post',
+      author: (comment ? comment.users?.name : first.posts?.users?.name) || 'Unknown',
+      content: comment ? comment.content : `${first.posts?.title ?? ''}\n${first.posts?.content ?? ''}`.trim(),
+      status: comment ? comment.status : first.posts?.status,
+      postTitle: first.posts?.title
+    };
+  });
+};
+
+const STATUS_LABELS = {
+  held: { label: 'Held by filter', className: 'bg-yellow-100 text-yellow-800' },
+  hidden: { label: 'Hidden', className: 'bg-gray-200 text-gray-700' }
+};
+
+// Held and hidden items are restored; visible ones just have their reports dismissed
+const isOutOfView = (item) => item.status === 'held' || item.status === 'hidden';
+
+// A department's open reports with what they are about. Hide takes the post
+// or comment out of view, Restore puts it back (or keeps it, dismissing the
+// reports) and Delete removes it for good. onChange reloads the reports.
+export default function ModerationQueue({ department, reports, onChange }) {
+  const navigate = useNavigate();
+  const [actingOn, setActingOn] = useState(null);
+  const items = groupByTarget(reports);
+
+  const handleAction = async (item, action) => {
+    if (action === 'delete' && !confirm(`Delete this ${item.kind.toLowerCase()} for good? This can't be undone.`)) {
+      return;
+    }
+
+    const messages = {
+      hide: [`Hiding ${item.kind.toLowerCase()}...`, `${item.kind} hidden`],
+      restore: ['Restoring...', isOutOfView(item) ? `${item.kind} restored` : 'Reports dismissed'],
+      delete: [`Deleting ${item.kind.toLowerCase()}...`, `${item.kind} deleted`]
+    };
+    const [pending, done] = messages[action];
+    const loadingToast = toast.loading(pending);
+    setActingOn(item.key);
+
+    try {
+      await moderationApi.moderate(item.first.id, action);
+      toast.success(done, { id: loadingToast });
+      onChange();
+    } catch (error) {
+      toast.error(error.message, { id: loadingToast });
+    } finally {
+      setActingOn(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md">
+      <div className="px-6 py-4 border-b">
+        <h2 className="text-lg font-semibold text-gray-900">{department} Reports</h2>
+        <p className="text-sm text-gray-500">Posts and comments readers reported, and comments held by the banned-word filter</p>
+      </div>
+
+      {items.length === 0 ? (
+        <div className="p-12 text-center">
+          <p className="text-gray-500 text-lg">Nothing to review</p>
+          <p className="text-gray-400 text-sm mt-2">New reports show up here</p>
+        </div>
+      ) : (
+        <ul className="divide-y">
+          {items.map((item) => {
+            const badge = STATUS_LABELS[item.status];
+
+            return (
+              <li key={item.key} className="p-6 space-y-3">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="px-3 py-1 rounded-full text-xs font-semibold bg-red-100 text-red-800">
+                    ⚑ {item.kind}
+                  </span>
+                  {badge && (
+                    <span className={`px-3 py-1 rounded-full text-xs font-semibold ${badge.className}`}>
+                      {badge.label}
+                    </span>
+                  )}
+                  <span className="text-sm text-gray-600">by <span className="font-medium text-gray-900">{item.author}</span></span>
+                  {item.kind === 'Comment' && item.postTitle && (
+                    <span className="text-sm text-gray-500 truncate">on "{item.postTitle}"</span>
+                  )}
+                </div>
+
+                <p className="text-sm text-gray-700 whitespace-pre-wrap bg-gray-50 border rounded-lg p-3">
+                  {excerpt(item.content)}
+                </p>
+
+                <ul className="space-y-1">
+                  {item.reports.map((report) => (
+                    <li key={report.id} className="text-xs text-gray-600">
+                      <span className="font-semibold text-gray-800">{report.reporter_id ? report.reporter?.name || 'Unknown' : 'Banned-word filter'}</span>
+                      {': '}
+                      {report.reason}
+                      <span className="text-gray-400"> • {formatTime(report.created_at)}</span>
+                    </li>
+                  ))}
+                </ul>
+
+                <div className="flex flex-wrap items-center gap-2">
+                  {!isOutOfView(item) && (
+                    <button
+                      onClick={() => handleAction(item, 'hide')}
+                      disabled={actingOn === item.key}
+                      className="px-3 py-1.5 text-sm bg-red-900 hover:bg-red-800 text-white font-semibold rounded-lg transition-colors disabled:opacity-50"
+                    >
+                      Hide
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleAction(item, 'restore')}
+                    disabled={actingOn === item.key}
+                    className="px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                  >
+                    {isOutOfView(item) ? 'Restore' : 'Dismiss'}
+                  </button>
+                  <button
+                    onClick={() => handleAction(item, 'delete')}
+                    disabled={actingOn === item.key}
+                    className="px-3 py-1.5 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+                  >
+                    Delete
+                  </button>
+                  <button
+                    onClick={() => navigate(`/post/${item.postId}`)}
+                    className="px-3 py-1.5 text-sm text-blue-600 hover:text-blue-800 transition-colors"
+                  >
+                    View post
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
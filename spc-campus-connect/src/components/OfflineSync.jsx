@@ -0,0 +1,38 @@
+import { useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/auth';
+import { flushCommentOutbox } from '../lib/commentOutbox';
+
+// Sends comments queued offline once the connection is back. Renders nothing.
+export default function OfflineSync() {
+  const { profile } = useAuth();
+
+  useEffect(() => {
+    if (!profile) return;
+
+    const flush = async () => {
+      try {
+        const sent = await flushCommentOutbox();
+        if (sent > 0) toast.success(`Posted ${sent} ${sent === 1 ? 'comment' : 'comments'} written offline`);
+      } catch (error) {
+        console.error('Error sending queued comments:', error);
+      }
+    };
+
+    // The service worker asks an open window to flush on background sync
+    const handleMessage = (event) => {
+      if (event.data?.type === 'FLUSH_COMMENT_OUTBOX') flush();
+    };
+
+    flush();
+    window.addEventListener('online', flush);
+    navigator.serviceWorker?.addEventListener('message', handleMessage);
+
+    return () => {
+      window.removeEventListener('online', flush);
+      navigator.serviceWorker?.removeEventListener('message', handleMessage);
+    };
+  }, [profile]);
+
+  return null;
+}
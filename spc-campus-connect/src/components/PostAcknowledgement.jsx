@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/auth';
+import { acknowledgementsApi } from '../api';
+import { isOfflineError } from '../lib/offlineStore';
+import { formatDate } from '../lib/format';
+
+// "I have read this" for a post that asks readers to acknowledge it. Once
+// given, it shows when; it can't be taken back.
+export default function PostAcknowledgement({ post }) {
+  const { profile } = useAuth();
+  const [mine, setMine] = useState(null);
+  const [loaded, setLoaded] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!profile) return;
+
+    acknowledgementsApi.getMine(post.id, profile.id)
+      .then((acknowledgement) => {
+        setMine(acknowledgement);
+        setLoaded(true);
+      })
+      .catch((error) => console.error('Error loading acknowledgement:', error));
+  }, [post.id, profile]);
+
+  const handleAcknowledge = async () => {
+    setSaving(true);
+
+    try {
+      await acknowledgementsApi.acknowledge(post.id, profile.id);
+      setMine(await acknowledgementsApi.getMine(post.id, profile.id));
+      toast.success('Thanks for confirming');
+    } catch (error) {
+      toast.error(isOfflineError(error) ? "You're offline. Try again when you reconnect." : error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!loaded) return null;
+
+  if (mine) {
+    return (
+      <div className="mb-4 sm:mb-6 p-3 sm:p-4 bg-green-50 border border-green-200 rounded-lg text-xs sm:text-sm text-green-800">
+        ✅ You acknowledged this on {formatDate(mine.acknowledged_at)}
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-4 sm:mb-6 p-3 sm:p-4 bg-yellow-50 border border-yellow-200 rounded-lg flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+      <div>
+        <p className="text-sm sm:text-base font-semibold text-yellow-900">📌 Acknowledgement required</p>
+        <p className="text-xs sm:text-sm text-yellow-800">Please confirm once you have read this post.</p>
+      </div>
+      <button
+        onClick={handleAcknowledge}
+        disabled={saving}
+        className="px-4 py-2 bg-red-900 hover:bg-red-800 text-white text-xs sm:text-sm font-semibold rounded-lg transition-colors disabled:opacity-50 whitespace-nowrap"
+      >
+        {saving ? 'Saving...' : 'I have read this'}
+      </button>
+    </div>
+  );
+}
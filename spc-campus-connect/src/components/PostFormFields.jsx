@@ -0,0 +1,127 @@
+import React from 'react';
+import MarkdownEditor from './MarkdownEditor';
+import AttachmentPicker from './AttachmentPicker';
+import TagPicker from './TagPicker';
+
+// The fields of a post shared by the create and edit forms. values is the
+// form state; onChange receives the fields that changed, to be merged into it.
+export default function PostFormFields({ values, tags, onChange }) {
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-semibold text-gray-700 mb-2">Post Type</label>
+        <select
+          value={values.type}
+          onChange={(e) => onChange({ type: e.target.value })}
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900"
+        >
+          <option value="announcement">Announcement</option>
+          <option value="event">Event</option>
+        </select>
+      </div>
+
+      <div>
+        <label className="block text-sm font-semibold text-gray-700 mb-2">Tags</label>
+        <TagPicker
+          tags={tags}
+          value={values.tag_ids}
+          onChange={(tagIds) => onChange({ tag_ids: tagIds })}
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-semibold text-gray-700 mb-2">Title</label>
+        <input
+          type="text"
+          value={values.title}
+          onChange={(e) => onChange({ title: e.target.value })}
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900"
+          placeholder="Enter post title"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-semibold text-gray-700 mb-2">Content</label>
+        <MarkdownEditor
+          value={values.content}
+          onChange={(content) => onChange({ content })}
+          placeholder="Enter post content"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-semibold text-gray-700 mb-2">Attachments</label>
+        <AttachmentPicker
+          attachments={values.attachments}
+          files={values.files}
+          onChange={(changes) => onChange(changes)}
+        />
+      </div>
+
+      <label className="flex items-start gap-3 p-3 border border-gray-200 rounded-lg cursor-pointer hover:bg-gray-50">
+        <input
+          type="checkbox"
+          checked={values.requires_acknowledgement}
+          onChange={(e) => onChange({ requires_acknowledgement: e.target.checked })}
+          className="mt-1 h-4 w-4 accent-red-900"
+        />
+        <span>
+          <span className="block text-sm font-semibold text-gray-700">Acknowledgement required</span>
+          <span className="block text-xs text-gray-500">Readers confirm with "I have read this". Track who has from the post's report.</span>
+        </span>
+      </label>
+
+      {values.type === 'event' && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Event Date & Time</label>
+            <input
+              type="datetime-local"
+              value={values.event_date}
+              onChange={(e) => onChange({ event_date: e.target.value })}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Capacity</label>
+            <input
+              type="number"
+              min="1"
+              step="1"
+              value={values.capacity}
+              onChange={(e) => onChange({ capacity: e.target.value })}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900"
+              placeholder="No limit"
+            />
+            <p className="mt-1 text-xs text-gray-500">Optional. Going RSVPs past this join a waitlist.</p>
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Publish At</label>
+          <input
+            type="datetime-local"
+            value={values.publish_at}
+            onChange={(e) => onChange({ publish_at: e.target.value })}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900"
+          />
+          <p className="mt-1 text-xs text-gray-500">Leave empty to publish now. Future times keep the post hidden until then.</p>
+        </div>
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Expires At</label>
+          <input
+            type="datetime-local"
+            value={values.expires_at}
+            onChange={(e) => onChange({ expires_at: e.target.value })}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900"
+          />
+          <p className="mt-1 text-xs text-gray-500">
+            Optional. The post is archived automatically{values.type === 'event' ? ', and events are archived once their date has passed' : ''}.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
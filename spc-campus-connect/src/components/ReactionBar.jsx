@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { summarizeReactions } from '../lib/reactions';
+import { getInitials } from '../lib/format';
+
+// Closes a popover on a click outside it or on Escape; setOpen is its state setter
+const useDismiss = (open, ref, setOpen) => {
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleMouseDown = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+
+    document.addEventListener('mousedown', handleMouseDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleMouseDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [open, ref, setOpen]);
+};
+
+// Everyone who reacted, grouped by reaction
+function WhoReacted({ summaries }) {
+  return (
+    <div className="absolute z-20 left-0 mt-1 w-64 max-h-72 overflow-y-auto bg-white border border-gray-200 rounded-lg shadow-lg p-3 space-y-3">
+      {summaries.map((summary) => (
+        <div key={summary.key}>
+          <p className="text-xs font-semibold text-gray-700 mb-1">
+            {summary.emoji} {summary.label} • {summary.count}
+          </p>
+          <ul className="space-y-1">
+            {summary.users.map((user, index) => (
+              <li key={index} className="flex items-center gap-2 text-sm">
+                {user.profile_picture ? (
+                  <img src={user.profile_picture} alt="" className="h-5 w-5 rounded-full object-cover" />
+                ) : (
+                  <span className="h-5 w-5 rounded-full bg-red-900 flex items-center justify-center text-white text-[9px] font-semibold">
+                    {getInitials(user.name)}
+                  </span>
+                )}
+                <span className="text-gray-900 truncate">{user.name}</span>
+                <span className="ml-auto text-xs text-gray-500">{user.department}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Reactions on a post or a comment. Clicking a reaction adds yours or takes
+// it back: onToggle(key, mine). Posts show every reaction to pick from;
+// compact (for comments) shows only those used, with the rest behind a button.
+// reactions: this post's or comment's rows from reactionsApi.listForPost.
+export default function ReactionBar({ reactions, currentUserId, onToggle, compact = false, disabled = false, className = '' }) {
+  const [showPicker, setShowPicker] = useState(false);
+  const [showWho, setShowWho] = useState(false);
+  const pickerRef = useRef(null);
+  const whoRef = useRef(null);
+
+  useDismiss(showPicker, pickerRef, setShowPicker);
+  useDismiss(showWho, whoRef, setShowWho);
+
+  const summaries = summarizeReactions({ reactions, userId: currentUserId });
+  const used = summaries.filter((summary) => summary.count > 0);
+  const total = used.reduce((sum, summary) => sum + summary.count, 0);
+  const shown = compact ? used : summaries;
+
+  const toggle = (summary) => {
+    setShowPicker(false);
+    onToggle(summary.key, summary.mine);
+  };
+
+  const size = compact ? 'px-1.5 py-0.5 text-xs' : 'px-2.5 sm:px-3 py-1 text-xs sm:text-sm';
+
+  return (
+    <div className={`flex flex-wrap items-center gap-1.5 ${className}`}>
+      {shown.map((summary) => (
+        <button
+          key={summary.key}
+          type="button"
+          onClick={() => toggle(summary)}
+          disabled={disabled}
+          title={summary.mine ? `Take back your ${summary.label}` : summary.label}
+          className={`${size} rounded-full border font-medium transition-colors disabled:opacity-50 ${
+            summary.mine
+              ? 'bg-red-50 border-red-300 text-red-900'
+              : 'bg-white border-gray-200 text-gray-700 hover:bg-gray-50'
+          }`}
+        >
+          {summary.emoji}
+          {summary.key === 'noted' && !compact && <span className="ml-1">{summary.label}</span>}
+          {summary.count > 0 && <span className="ml-1">{summary.count}</span>}
+        </button>
+      ))}
+
+      {compact && (
+        <div ref={pickerRef} className="relative">
+          <button
+            type="button"
+            onClick={() => setShowPicker(!showPicker)}
+            disabled={disabled}
+            title="React"
+            className={`${size} rounded-full border border-gray-200 text-gray-500 hover:bg-gray-50 hover:text-red-900 transition-colors disabled:opacity-50`}
+          >
+            ☺+
+          </button>
+          {showPicker && (
+            <div className="absolute z-20 left-0 bottom-full mb-1 flex gap-1 bg-white border border-gray-200 rounded-full shadow-lg px-2 py-1">
+              {summaries.map((summary) => (
+                <button
+                  key={summary.key}
+                  type="button"
+                  onClick={() => toggle(summary)}
+                  title={summary.label}
+                  className={`h-8 w-8 rounded-full text-lg transition-transform hover:scale-125 ${summary.mine ? 'bg-red-50' : ''}`}
+                >
+                  {summary.emoji}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {total > 0 && (
+        <div ref={whoRef} className="relative">
+          <button
+            type="button"
+            onClick={() => setShowWho(!showWho)}
+            className="px-1 text-xs text-gray-500 hover:text-red-900 hover:underline"
+          >
+            {compact ? 'Who reacted' : `${total} ${total === 1 ? 'reaction' : 'reactions'}`}
+          </button>
+          {showWho && <WhoReacted summaries={used} />}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+import React from 'react';
+import { summarizeReactions } from '../lib/reactions';
+
+// A post's reaction counts for a feed card, e.g. "👍 3 ✅ 12"
+export default function ReactionSummary({ counts, className = '' }) {
+  const used = summarizeReactions({ counts: counts || {} }).filter((summary) => summary.count > 0);
+  if (used.length === 0) return null;
+
+  return (
+    <div
+      className={`flex items-center space-x-2 ${className}`}
+      title={used.map((summary) => `${summary.count} ${summary.label}`).join(', ')}
+    >
+      {used.map((summary) => (
+        <span key={summary.key} className="flex items-center space-x-0.5">
+          <span>{summary.emoji}</span>
+          <span>{summary.count}</span>
+        </span>
+      ))}
+    </div>
+  );
+}
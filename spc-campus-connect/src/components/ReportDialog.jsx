@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+
+const REASONS = [
+  'Spam',
+  'Harassment or bullying',
+  'Inappropriate language',
+  'False information',
+  'Something else'
+];
+
+const MAX_REASON_LENGTH = 500;
+
+// Asks why a post or comment is being reported. onSubmit(reason) resolves
+// to true once the report is filed, which closes the dialog.
+export default function ReportDialog({ title, onSubmit, onClose }) {
+  const [reason, setReason] = useState(REASONS[0]);
+  const [details, setDetails] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const needsDetails = reason === 'Something else';
+  const fullReason = (details.trim() ? `${reason}: ${details.trim()}` : reason).slice(0, MAX_REASON_LENGTH);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (needsDetails && !details.trim()) return;
+
+    setSubmitting(true);
+    const filed = await onSubmit(fullReason);
+    setSubmitting(false);
+
+    if (filed) onClose();
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm"
+      onClick={onClose}
+    >
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-lg shadow-xl max-w-md w-full mx-4"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-4 sm:p-6 border-b">
+          <h2 className="text-lg sm:text-xl font-bold text-gray-900">{title}</h2>
+          <p className="text-sm text-gray-500 mt-1">The department's moderators will review it.</p>
+        </div>
+
+        <div className="p-4 sm:p-6 space-y-3">
+          {REASONS.map((option) => (
+            <label key={option} className="flex items-center gap-3 text-sm text-gray-700 cursor-pointer">
+              <input
+                type="radio"
+                name="report-reason"
+                value={option}
+                checked={reason === option}
+                onChange={() => setReason(option)}
+                className="h-4 w-4 accent-red-900"
+              />
+              {option}
+            </label>
+          ))}
+
+          <textarea
+            value={details}
+            onChange={(e) => setDetails(e.target.value)}
+            maxLength={MAX_REASON_LENGTH - reason.length - 2}
+            rows="3"
+            placeholder={needsDetails ? 'Tell the moderators what is wrong' : 'Anything else the moderators should know (optional)'}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900 resize-none text-sm"
+          />
+        </div>
+
+        <div className="p-4 sm:p-6 border-t flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={submitting || (needsDetails && !details.trim())}
+            className="px-4 py-2 bg-red-900 hover:bg-red-800 text-white font-semibold rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed text-sm"
+          >
+            {submitting ? 'Reporting...' : 'Report'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
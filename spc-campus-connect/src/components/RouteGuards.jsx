@@ -0,0 +1,51 @@
+import React, { useEffect } from 'react';
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/auth';
+import { hasRole, getHomePath } from '../lib/auth';
+
+function FullPageLoader() {
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100">
+      <div className="text-center">
+        <div className="animate-spin rounded-full h-12 sm:h-16 w-12 sm:w-16 border-t-4 border-red-900 border-solid mx-auto mb-4"></div>
+        <p className="text-gray-600 text-base sm:text-lg">Loading...</p>
+      </div>
+    </div>
+  );
+}
+
+function DeniedRedirect({ to, message }) {
+  useEffect(() => {
+    toast.error(message);
+  }, [message]);
+
+  return <Navigate to={to} replace />;
+}
+
+// Signed-in, approved accounts only. With returnAfterSignIn, the landing
+// page is told where the visitor was headed (query included, so a check-in
+// link keeps its code) and sends them back there once they sign in.
+export function RequireAuth({ returnAfterSignIn = false }) {
+  const { session, profile, isApproved, loading } = useAuth();
+  const location = useLocation();
+
+  if (loading) return <FullPageLoader />;
+  if (!session || !profile || !isApproved) {
+    return <Navigate to="/" replace state={returnAfterSignIn ? { from: location } : undefined} />;
+  }
+
+  return <Outlet />;
+}
+
+// Narrows a RequireAuth branch down to specific roles
+export function RequireRole({ roles }) {
+  const { role, loading } = useAuth();
+
+  if (loading) return <FullPageLoader />;
+  if (!hasRole(role, roles)) {
+    return <DeniedRedirect to={getHomePath(role)} message="Access denied. You don't have permission to view that page." />;
+  }
+
+  return <Outlet />;
+}
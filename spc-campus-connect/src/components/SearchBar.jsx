@@ -0,0 +1,35 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+
+// A search box that opens the Search page. filters (department, status, ...)
+// carry the page's current view over as starting filters.
+export default function SearchBar({ filters = {}, placeholder = 'Search posts and comments', className = '' }) {
+  const navigate = useNavigate();
+  const [query, setQuery] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const params = new URLSearchParams();
+    if (query.trim()) params.set('q', query.trim());
+    Object.entries(filters).forEach(([name, value]) => {
+      if (value && value !== 'all') params.set(name, value);
+    });
+    navigate(`/search?${params}`);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className={`relative ${className}`}>
+      <svg className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2 pointer-events-none" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+      </svg>
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder={placeholder}
+        className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-red-900"
+      />
+    </form>
+  );
+}
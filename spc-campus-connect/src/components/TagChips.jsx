@@ -0,0 +1,30 @@
+import React from 'react';
+
+const CHIP_CLASS = 'px-2 py-0.5 rounded-full text-xs font-medium bg-red-50 text-red-900 border border-red-100';
+
+// A post's tags. With onSelect each chip is a button (e.g. to filter by it);
+// clicks don't reach a clickable card underneath.
+export default function TagChips({ tags = [], onSelect, className = '' }) {
+  if (tags.length === 0) return null;
+
+  return (
+    <div className={`flex flex-wrap gap-1.5 ${className}`}>
+      {tags.map((tag) => (onSelect ? (
+        <button
+          key={tag.id}
+          type="button"
+          onClick={(e) => {
+            e.stopPropagation();
+            onSelect(tag);
+          }}
+          className={`${CHIP_CLASS} hover:bg-red-100 transition-colors`}
+          title={`Show posts tagged ${tag.name}`}
+        >
+          #{tag.name}
+        </button>
+      ) : (
+        <span key={tag.id} className={CHIP_CLASS}>#{tag.name}</span>
+      )))}
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+import React from 'react';
+
+const chipClass = (active) => `px-3 py-1 rounded-full text-xs sm:text-sm font-medium whitespace-nowrap transition-colors ${
+  active ? 'bg-red-900 text-white' : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
+}`;
+
+// "All" plus one chip per tag; selected is a tag id or null.
+// showDepartment labels each tag with its department, for lists that mix them.
+export default function TagFilter({ tags, selected, onSelect, showDepartment = false, className = '' }) {
+  if (tags.length === 0) return null;
+
+  return (
+    <div className={`flex items-center gap-2 overflow-x-auto pb-1 ${className}`}>
+      <button type="button" onClick={() => onSelect(null)} className={chipClass(!selected)}>
+        All
+      </button>
+      {tags.map((tag) => (
+        <button
+          key={tag.id}
+          type="button"
+          onClick={() => onSelect(tag.id === selected ? null : tag.id)}
+          className={chipClass(tag.id === selected)}
+        >
+          #{tag.name}
+          {showDepartment && <span className="opacity-70"> · {tag.department}</span>}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { tagsApi } from '../api';
+
+const MAX_TAG_LENGTH = 40;
+
+// Adds, renames and deletes a department's tags. onChange runs after every
+// change so the caller can reload its tags (and posts, which lose deleted ones).
+export default function TagManager({ department, tags, createdBy, onChange }) {
+  const [name, setName] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const isTaken = (value, exceptId = null) => tags.some((tag) => (
+    tag.id !== exceptId && tag.name.toLowerCase() === value.trim().toLowerCase()
+  ));
+
+  const getErrorMessage = (error) => (
+    error.code === '23505' ? 'Your department already has a tag with that name' : error.message
+  );
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    if (isTaken(name)) {
+      toast.error('Your department already has a tag with that name');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await tagsApi.createTag({ department, name, createdBy });
+      toast.success(`Added #${name.trim()}`);
+      setName('');
+      onChange();
+    } catch (error) {
+      toast.error(getErrorMessage(error));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRename = async (tag) => {
+    if (!editingName.trim() || editingName.trim() === tag.name) {
+      setEditingId(null);
+      return;
+    }
+
+    if (isTaken(editingName, tag.id)) {
+      toast.error('Your department already has a tag with that name');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await tagsApi.renameTag(tag.id, editingName);
+      toast.success('Tag renamed');
+      setEditingId(null);
+      onChange();
+    } catch (error) {
+      toast.error(getErrorMessage(error));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (tag) => {
+    if (!confirm(`Delete #${tag.name}? It will be removed from every post that has it.`)) {
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await tagsApi.deleteTag(tag.id);
+      toast.success('Tag deleted');
+      onChange();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md">
+      <div className="px-6 py-4 border-b">
+        <h2 className="text-lg font-semibold text-gray-900">{department} Tags</h2>
+        <p className="text-sm text-gray-500">Shared by everyone posting for {department}; students can filter the feed and Archive by them</p>
+      </div>
+
+      <form onSubmit={handleAdd} className="px-6 py-4 border-b flex gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={MAX_TAG_LENGTH}
+          placeholder="e.g. Enrollment, Scholarships, Exams"
+          className="flex-1 min-w-0 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900"
+        />
+        <button
+          type="submit"
+          disabled={saving || !name.trim()}
+          className="px-5 py-2 bg-red-900 hover:bg-red-800 text-white font-semibold rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Add Tag
+        </button>
+      </form>
+
+      {tags.length === 0 ? (
+        <div className="p-12 text-center">
+          <p className="text-gray-500 text-lg">No tags yet</p>
+          <p className="text-gray-400 text-sm mt-2">Tags group posts beyond announcements and events</p>
+        </div>
+      ) : (
+        <ul className="divide-y">
+          {tags.map((tag) => (
+            <li key={tag.id} className="px-6 py-3 flex items-center justify-between gap-3">
+              {editingId === tag.id ? (
+                <form
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    handleRename(tag);
+                  }}
+                  className="flex-1 flex gap-2"
+                >
+                  <input
+                    type="text"
+                    value={editingName}
+                    onChange={(e) => setEditingName(e.target.value)}
+                    maxLength={MAX_TAG_LENGTH}
+                    autoFocus
+                    className="flex-1 min-w-0 px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900"
+                  />
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="px-3 py-1.5 text-sm bg-red-900 hover:bg-red-800 text-white font-semibold rounded-lg transition-colors disabled:opacity-50"
+                  >
+                    Save
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setEditingId(null)}
+                    className="px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                </form>
+              ) : (
+                <>
+                  <span className="font-medium text-gray-900">#{tag.name}</span>
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => {
+                        setEditingId(tag.id);
+                        setEditingName(tag.name);
+                      }}
+                      disabled={saving}
+                      className="px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                    >
+                      Rename
+                    </button>
+                    <button
+                      onClick={() => handleDelete(tag)}
+                      disabled={saving}
+                      className="px-3 py-1.5 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+import React from 'react';
+
+// Toggles the department's tags on a post; value is the selected tag ids
+export default function TagPicker({ tags, value, onChange }) {
+  if (tags.length === 0) {
+    return <p className="text-sm text-gray-500">No tags yet. Add your department's tags in the Tags tab.</p>;
+  }
+
+  const toggle = (id) => {
+    onChange(value.includes(id) ? value.filter((selected) => selected !== id) : [...value, id]);
+  };
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {tags.map((tag) => {
+        const selected = value.includes(tag.id);
+
+        return (
+          <button
+            key={tag.id}
+            type="button"
+            onClick={() => toggle(tag.id)}
+            aria-pressed={selected}
+            className={`px-3 py-1 rounded-full text-sm font-medium border transition-colors ${
+              selected
+                ? 'bg-red-900 border-red-900 text-white'
+                : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            {selected ? '✓ ' : ''}#{tag.name}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
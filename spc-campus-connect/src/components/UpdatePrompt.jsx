@@ -0,0 +1,36 @@
+import React from 'react';
+import { useRegisterSW } from 'virtual:pwa-register/react';
+
+// Registers the service worker and offers a reload when a new build is waiting
+export default function UpdatePrompt() {
+  const {
+    needRefresh: [needRefresh, setNeedRefresh],
+    updateServiceWorker
+  } = useRegisterSW({
+    onRegisterError(error) {
+      console.error('Service worker registration failed:', error);
+    }
+  });
+
+  if (!needRefresh) return null;
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 w-[calc(100%-2rem)] max-w-md bg-white rounded-lg shadow-lg border p-4 flex items-center justify-between space-x-3">
+      <p className="text-sm text-gray-700">A new version of SPC Campus Connect is available.</p>
+      <div className="flex items-center space-x-2 flex-shrink-0">
+        <button
+          onClick={() => setNeedRefresh(false)}
+          className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-900 transition-colors"
+        >
+          Later
+        </button>
+        <button
+          onClick={() => updateServiceWorker(true)}
+          className="px-3 py-1.5 bg-red-900 hover:bg-red-800 text-white text-sm font-semibold rounded-lg transition-colors"
+        >
+          Reload
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { authApi, usersApi } from '../api';
+import { resolveAccount } from '../lib/auth';
+import { isOfflineError, saveAccount, getSavedAccount, clearOfflineData } from '../lib/offlineStore';
+import { disablePush } from '../lib/push';
+import { AuthContext } from './auth';
+
+const EMPTY_ACCOUNT = { profile: null, role: null };
+
+export default function AuthProvider({ children }) {
+  const [session, setSession] = useState(null);
+  const [account, setAccount] = useState(EMPTY_ACCOUNT);
+  const [loading, setLoading] = useState(true);
+
+  const loadAccount = useCallback(async (nextSession) => {
+    if (!nextSession) return EMPTY_ACCOUNT;
+
+    try {
+      const nextAccount = await resolveAccount(nextSession.user.id);
+      saveAccount(nextAccount.profile);
+      return nextAccount;
+    } catch (error) {
+      // Offline: keep the app usable with the account saved on this device
+      const saved = isOfflineError(error) ? await getSavedAccount(nextSession.user.id) : null;
+      if (saved) return { profile: saved, role: saved.role };
+
+      console.error('Error resolving account:', error);
+      return EMPTY_ACCOUNT;
+    }
+  }, []);
+
+  useEffect(() => {
+    let active = true;
+
+    const syncSession = async (nextSession) => {
+      const nextAccount = await loadAccount(nextSession);
+      if (!active) return;
+
+      setSession(nextSession);
+      setAccount(nextAccount);
+      setLoading(false);
+    };
+
+    const unsubscribe = authApi.onAuthStateChange((event, nextSession) => {
+      if (event === 'TOKEN_REFRESHED') {
+        setSession(nextSession);
+        return;
+      }
+
+      // Defer so the profile queries don't run inside supabase's auth lock
+      setTimeout(() => syncSession(nextSession), 0);
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [loadAccount]);
+
+  const refreshAccount = useCallback(async () => {
+    const nextAccount = await loadAccount(session);
+    setAccount(nextAccount);
+    return nextAccount;
+  }, [loadAccount, session]);
+
+  const signOut = useCallback(async () => {
+    // While still signed in, so the subscription row can be deleted; the
+    // next person on this device shouldn't get this account's pushes
+    try {
+      await disablePush();
+    } catch (error) {
+      console.error('Error removing push subscription:', error);
+    }
+
+    await authApi.signOut();
+    await clearOfflineData();
+  }, []);
+
+  const value = useMemo(() => ({
+    session,
+    user: session?.user ?? null,
+    profile: account.profile,
+    role: account.role,
+    department: account.profile?.department ?? null,
+    isApproved: usersApi.isAccountApproved(account.profile),
+    loading,
+    refreshAccount,
+    signOut
+  }), [session, account, loading, refreshAccount, signOut]);
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
@@ -0,0 +1,132 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useAuth } from '../context/auth';
+import { postsApi } from '../api';
+
+export const AUTOSAVE_INTERVAL_MS = 10 * 1000;
+
+// The device copy holds changes the server hasn't got yet, so a closed tab
+// or a dropped connection loses nothing. One per account.
+const localKey = (userId) => `spc-post-draft:${userId}`;
+
+export const readLocalDraft = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(localKey(userId)));
+  } catch {
+    return null;
+  }
+};
+
+const writeLocalDraft = (userId, draft) => {
+  try {
+    localStorage.setItem(localKey(userId), JSON.stringify(draft));
+  } catch (error) {
+    console.warn('Could not keep a local copy of the draft:', error);
+  }
+};
+
+const clearLocalDraft = (userId) => localStorage.removeItem(localKey(userId));
+
+const isBlank = (formData) => !formData.title.trim() && !formData.content.trim();
+
+// Keeps a post form saved while `enabled`: to localStorage on every change and
+// to the server, as a 'draft' post, every AUTOSAVE_INTERVAL_MS. toPost turns
+// the form into post columns and must be stable (defined outside the
+// component). saveState.status is 'idle', 'saving', 'saved' or 'local' (the
+// last server save failed; the device copy is all there is).
+export default function useDraftAutosave(formData, { enabled, toPost }) {
+  const { profile } = useAuth();
+  const userId = profile?.id;
+  const department = profile?.department;
+  const [draftId, setDraftId] = useState(null);
+  const [saveState, setSaveState] = useState({ status: 'idle', savedAt: null });
+  const formRef = useRef(formData);
+  const draftIdRef = useRef(null);
+  const savedSnapshotRef = useRef(null);
+  const savingRef = useRef(null);
+  formRef.current = formData;
+
+  // Resolves to the draft's id once saved, or null if there is nothing to save
+  const saveDraft = useCallback(() => {
+    if (savingRef.current) return savingRef.current;
+
+    const form = formRef.current;
+    const fields = toPost(form);
+    const snapshot = JSON.stringify(fields);
+    if (!userId || isBlank(form) || snapshot === savedSnapshotRef.current) {
+      return Promise.resolve(draftIdRef.current);
+    }
+
+    setSaveState((current) => ({ ...current, status: 'saving' }));
+
+    savingRef.current = (async () => {
+      try {
+        if (draftIdRef.current) {
+          await postsApi.updatePost(draftIdRef.current, fields);
+        } else {
+          const draft = await postsApi.createPost({ ...fields, department, author_id: userId, status: 'draft' });
+          draftIdRef.current = draft.id;
+          setDraftId(draft.id);
+        }
+
+        savedSnapshotRef.current = snapshot;
+        if (JSON.stringify(toPost(formRef.current)) === snapshot) clearLocalDraft(userId);
+        setSaveState({ status: 'saved', savedAt: new Date() });
+      } catch (error) {
+        console.error('Error saving draft:', error);
+        setSaveState((current) => ({ ...current, status: 'local' }));
+      }
+
+      return draftIdRef.current;
+    })().finally(() => {
+      savingRef.current = null;
+    });
+
+    return savingRef.current;
+  }, [userId, department, toPost]);
+
+  // Resolves to the draft's id after any save in flight
+  const waitForSave = useCallback(
+    () => (savingRef.current || Promise.resolve()).then(() => draftIdRef.current),
+    []
+  );
+
+  // Continue an existing draft (savedForm is what the server has), a device
+  // copy (no savedForm, so it is saved on the next tick) or a blank form
+  const startDraft = useCallback((id = null, savedForm = null) => {
+    draftIdRef.current = id;
+    savedSnapshotRef.current = savedForm ? JSON.stringify(toPost(savedForm)) : null;
+    setDraftId(id);
+    setSaveState({ status: 'idle', savedAt: null });
+  }, [toPost]);
+
+  // The post was published or discarded; forget the draft. The form counts
+  // as saved so a tick before it closes doesn't start a new draft from it.
+  const finishDraft = useCallback(() => {
+    if (userId) clearLocalDraft(userId);
+    draftIdRef.current = null;
+    savedSnapshotRef.current = JSON.stringify(toPost(formRef.current));
+    setDraftId(null);
+    setSaveState({ status: 'idle', savedAt: null });
+  }, [userId, toPost]);
+
+  useEffect(() => {
+    if (!enabled || !userId || isBlank(formData)) return;
+    if (JSON.stringify(toPost(formData)) === savedSnapshotRef.current) return;
+
+    // Files can't be stored; they are uploaded when the form is closed or published
+    writeLocalDraft(userId, {
+      draftId: draftIdRef.current,
+      formData: { ...formData, files: [] },
+      savedAt: new Date().toISOString()
+    });
+  }, [enabled, userId, formData, toPost]);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const timer = setInterval(saveDraft, AUTOSAVE_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [enabled, saveDraft]);
+
+  return { draftId, saveState, saveDraft, waitForSave, startDraft, finishDraft };
+}
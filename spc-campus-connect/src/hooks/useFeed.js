@@ -0,0 +1,217 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import toast from 'react-hot-toast';
+import { postsApi, realtimeApi } from '../api';
+import { isOfflineError, savePosts, getSavedPosts } from '../lib/offlineStore';
+
+// Feeds already loaded this session, keyed by getFeedKey. Kept outside React
+// so going back from /post/:id shows the same pages, at the same scroll
+// position, instead of starting over from the top.
+const feedCache = new Map();
+const scrollPositions = new Map();
+
+// One feed per department and tag filter
+export const getFeedKey = (department, tag = null) => (tag ? `${department}/${tag}` : department);
+
+export const getFeedScrollPosition = (key) => scrollPositions.get(key) || 0;
+
+export const rememberFeedScrollPosition = (key, scrollTop) => {
+  scrollPositions.set(key, scrollTop);
+};
+
+export const clearFeedCache = () => {
+  feedCache.clear();
+  scrollPositions.clear();
+};
+
+// Realtime rows carry no tags, so a tag-filtered feed only follows the posts
+// it has already loaded
+const belongsInFeed = (post, feed) => (
+  post?.status === 'active'
+  && (feed.department === 'all' || post.department === feed.department)
+  && (!feed.tag || feed.posts.some((loaded) => loaded.id === post.id))
+);
+
+const without = (ids, id) => ids.filter((existing) => existing !== id);
+
+// Applies one realtime posts change. Edits and archives update the loaded
+// pages in place; new or restored posts are only counted in newPostIds so the
+// list does not jump under the reader.
+const applyPostChange = (feed, { eventType, new: row, old }) => {
+  const id = eventType === 'DELETE' ? old.id : row.id;
+  const wasInFeed = eventType !== 'INSERT' && belongsInFeed(old, feed);
+  const isInFeed = eventType !== 'DELETE' && belongsInFeed(row, feed);
+
+  if (feed.newPostIds.includes(id)) {
+    return isInFeed ? feed : { ...feed, newPostIds: without(feed.newPostIds, id) };
+  }
+
+  if (wasInFeed && isInFeed) {
+    return { ...feed, posts: feed.posts.map((post) => (post.id === id ? { ...post, ...row } : post)) };
+  }
+
+  if (wasInFeed) {
+    return { ...feed, posts: feed.posts.filter((post) => post.id !== id), total: Math.max(feed.total - 1, 0) };
+  }
+
+  if (isInFeed) {
+    return { ...feed, newPostIds: [...feed.newPostIds, id] };
+  }
+
+  return feed;
+};
+
+// Like posts_with_stats, counts only visible comments: one counts from when
+// it is added visible or released by a moderator until it is deleted or hidden
+const applyCommentChange = (feed, { eventType, new: row, old }) => {
+  const comment = eventType === 'DELETE' ? old : row;
+  if (!feed.posts.some((post) => post.id === comment.post_id)) return feed;
+
+  const wasCounted = eventType !== 'INSERT' && old.status === 'visible';
+  const isCounted = eventType !== 'DELETE' && row.status === 'visible';
+  if (wasCounted === isCounted) return feed;
+
+  return {
+    ...feed,
+    posts: feed.posts.map((post) => {
+      if (post.id !== comment.post_id) return post;
+      if (!isCounted) return { ...post, comment_count: Math.max(post.comment_count - 1, 0) };
+
+      const lastCommentAt = post.last_comment_at && post.last_comment_at > comment.created_at
+        ? post.last_comment_at
+        : comment.created_at;
+      return { ...post, comment_count: post.comment_count + 1, last_comment_at: lastCommentAt };
+    })
+  };
+};
+
+// Only reactions on the post itself count towards its card
+const applyReactionChange = (feed, { eventType, new: row, old }) => {
+  const reaction = eventType === 'DELETE' ? old : row;
+  if (eventType === 'UPDATE' || reaction.comment_id) return feed;
+  if (!feed.posts.some((post) => post.id === reaction.post_id)) return feed;
+
+  const step = eventType === 'DELETE' ? -1 : 1;
+
+  return {
+    ...feed,
+    posts: feed.posts.map((post) => {
+      if (post.id !== reaction.post_id) return post;
+      const counts = post.reaction_counts || {};
+      return {
+        ...post,
+        reaction_counts: { ...counts, [reaction.reaction]: Math.max((counts[reaction.reaction] || 0) + step, 0) }
+      };
+    })
+  };
+};
+
+// restore: reuse the cached pages for the first render, e.g. on a Back
+// navigation. Any other visit or filter change loads a fresh first page.
+// tag: only posts carrying this tag id.
+export default function useFeed(department, { tag = null, restore = false } = {}) {
+  const key = getFeedKey(department, tag);
+  const [feed, setFeed] = useState(() => (restore && feedCache.get(key)) || null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const feedRef = useRef(feed);
+  feedRef.current = feed;
+
+  const commit = useCallback((nextFeed) => {
+    feedCache.set(nextFeed.key, nextFeed);
+    feedRef.current = nextFeed;
+    setFeed(nextFeed);
+  }, []);
+
+  const loadFirstPage = useCallback(async () => {
+    try {
+      const page = await postsApi.listFeed({ department, tag });
+      commit({ key, department, tag, ...page, newPostIds: [], offline: false });
+      savePosts(page.posts).catch((error) => console.error('Error saving posts offline:', error));
+    } catch (error) {
+      // Offline: fall back to the posts saved on this device, without paging
+      const saved = isOfflineError(error) ? await getSavedPosts(department, tag) : [];
+      if (saved.length > 0) {
+        commit({ key, department, tag, posts: saved, nextCursor: null, total: saved.length, newPostIds: [], offline: true });
+        return;
+      }
+
+      toast.error('Failed to load posts');
+      console.error(error);
+      commit({ key, department, tag, posts: [], nextCursor: null, total: 0, newPostIds: [] });
+    }
+  }, [key, department, tag, commit]);
+
+  useEffect(() => {
+    if (feedRef.current?.key === key) return;
+
+    scrollPositions.delete(key);
+    loadFirstPage();
+  }, [key, loadFirstPage]);
+
+  useEffect(() => {
+    const apply = (applyChange) => (change) => {
+      const current = feedRef.current;
+      if (current?.key !== key) return;
+
+      const next = applyChange(current, change);
+      if (next !== current) commit(next);
+    };
+
+    const unsubscribePosts = realtimeApi.onPostsChange(apply(applyPostChange));
+    const unsubscribeComments = realtimeApi.onCommentsChange(apply(applyCommentChange));
+    const unsubscribeReactions = realtimeApi.onReactionsChange(apply(applyReactionChange));
+
+    return () => {
+      unsubscribePosts();
+      unsubscribeComments();
+      unsubscribeReactions();
+    };
+  }, [key, commit]);
+
+  const current = feed?.key === key ? feed : null;
+
+  // Swap saved posts for the live feed as soon as the connection is back
+  useEffect(() => {
+    if (!current?.offline) return;
+
+    window.addEventListener('online', loadFirstPage);
+    return () => window.removeEventListener('online', loadFirstPage);
+  }, [current?.offline, loadFirstPage]);
+
+  const loadMore = useCallback(async () => {
+    if (!current?.nextCursor || loadingMore) return;
+
+    setLoadingMore(true);
+    try {
+      const page = await postsApi.listFeed({ department, tag, before: current.nextCursor });
+      commit({
+        ...current,
+        posts: [...current.posts, ...page.posts],
+        nextCursor: page.nextCursor
+      });
+      savePosts(page.posts).catch((error) => console.error('Error saving posts offline:', error));
+    } catch (error) {
+      toast.error('Failed to load more posts');
+      console.error(error);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [current, department, tag, loadingMore, commit]);
+
+  const refresh = useCallback(async () => {
+    feedCache.delete(key);
+    scrollPositions.delete(key);
+    await loadFirstPage();
+  }, [key, loadFirstPage]);
+
+  return {
+    posts: current?.posts ?? [],
+    total: current?.total ?? 0,
+    newPostCount: current?.newPostIds.length ?? 0,
+    offline: Boolean(current?.offline),
+    hasMore: Boolean(current?.nextCursor),
+    loading: !current,
+    loadingMore,
+    loadMore,
+    refresh
+  };
+}
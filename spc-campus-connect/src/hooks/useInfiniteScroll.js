@@ -0,0 +1,20 @@
+import { useEffect } from 'react';
+
+// Calls onReachEnd when the sentinel element scrolls into view inside root.
+// rootMargin starts the next page a little before the reader hits the bottom.
+export default function useInfiniteScroll({ rootRef, sentinelRef, onReachEnd, enabled = true }) {
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!enabled || !sentinel || typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) onReachEnd();
+      },
+      { root: rootRef.current, rootMargin: '300px' }
+    );
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [rootRef, sentinelRef, onReachEnd, enabled]);
+}
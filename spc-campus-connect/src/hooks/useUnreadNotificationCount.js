@@ -0,0 +1,28 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/auth';
+import { notificationsApi, realtimeApi } from '../api';
+
+// Unread notifications for the signed-in person, kept current over realtime
+export default function useUnreadNotificationCount() {
+  const { profile } = useAuth();
+  const userId = profile?.id;
+  const [count, setCount] = useState(0);
+
+  const refresh = useCallback(async () => {
+    if (!userId) return;
+    try {
+      setCount(await notificationsApi.countUnread(userId));
+    } catch (error) {
+      console.error('Error counting notifications:', error);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    refresh();
+    return realtimeApi.onNotificationsChange(userId, refresh);
+  }, [userId, refresh]);
+
+  return count;
+}
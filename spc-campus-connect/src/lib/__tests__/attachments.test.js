@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { validateAttachment, formatFileSize, MAX_ATTACHMENT_SIZE } from '../attachments';
+
+const fileOf = (name, type, size) => ({ name, type, size });
+
+describe('validateAttachment', () => {
+  it('accepts images and office documents under the size limit', () => {
+    expect(validateAttachment(fileOf('poster.png', 'image/png', 2048))).toBeNull();
+    expect(validateAttachment(fileOf('memo.pdf', 'application/pdf', MAX_ATTACHMENT_SIZE))).toBeNull();
+  });
+
+  it('names the file it refuses', () => {
+    expect(validateAttachment(fileOf('setup.exe', 'application/x-msdownload', 10))).toMatch(/^setup\.exe: only images/);
+    expect(validateAttachment(fileOf('scan.jpg', 'image/jpeg', MAX_ATTACHMENT_SIZE + 1))).toBe('scan.jpg: files must be smaller than 10.0 MB');
+  });
+});
+
+describe('formatFileSize', () => {
+  it('picks a readable unit', () => {
+    expect(formatFileSize(512)).toBe('512 B');
+    expect(formatFileSize(1536)).toBe('2 KB');
+    expect(formatFileSize(5 * 1024 * 1024)).toBe('5.0 MB');
+  });
+});
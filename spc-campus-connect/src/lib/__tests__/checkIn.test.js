@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest';
+import { getCheckInUrl, parseCheckInCode } from '../checkIn';
+
+describe('parseCheckInCode', () => {
+  it('reads the code from a scanned check-in link', () => {
+    expect(parseCheckInCode(getCheckInUrl('AB12CD', 'https://spc.example'))).toBe('AB12CD');
+  });
+
+  it('takes a typed code in any case, with spaces or dashes', () => {
+    expect(parseCheckInCode(' ab1-2cd ')).toBe('AB12CD');
+  });
+
+  it('returns null for anything else', () => {
+    expect(parseCheckInCode('https://spc.example/post/1')).toBeNull();
+    expect(parseCheckInCode('ABC')).toBeNull();
+    expect(parseCheckInCode(null)).toBeNull();
+  });
+});
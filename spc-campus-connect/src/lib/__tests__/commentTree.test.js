@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { buildCommentTree, countReplies } from '../commentTree';
+
+const comment = (id, createdAt, parentId = null) => ({ id, created_at: createdAt, parent_id: parentId });
+
+describe('buildCommentTree', () => {
+  it('nests replies under their parents, oldest first', () => {
+    const tree = buildCommentTree([
+      comment('reply-2', '2026-10-18T10:03:00Z', 'top'),
+      comment('top', '2026-10-18T10:00:00Z'),
+      comment('nested', '2026-10-18T10:04:00Z', 'reply-1'),
+      comment('reply-1', '2026-10-18T10:01:00Z', 'top')
+    ]);
+
+    expect(tree.map((node) => node.id)).toEqual(['top']);
+    expect(tree[0].replies.map((node) => node.id)).toEqual(['reply-1', 'reply-2']);
+    expect(countReplies(tree[0])).toBe(3);
+  });
+
+  it('shows replies to missing comments at the top level', () => {
+    const tree = buildCommentTree([comment('orphan', '2026-10-18T10:00:00Z', 'gone')]);
+
+    expect(tree.map((node) => node.id)).toEqual(['orphan']);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { buildCalendar, getCalendarFileName } from '../ics';
+
+const event = {
+  id: 'post-1',
+  title: 'Hackathon; bring laptops, chargers',
+  content: 'Line one\nLine two',
+  department: 'CCS',
+  event_date: '2026-11-05T01:30:00.000Z',
+  created_at: '2026-10-18T00:00:00.000Z',
+  updated_at: '2026-10-18T00:05:00.000Z'
+};
+
+describe('buildCalendar', () => {
+  it('writes one escaped VEVENT per event with CRLF line endings', () => {
+    const ics = buildCalendar([event, { ...event, id: 'post-2', event_date: null }], { origin: 'https://spc.example' });
+    const lines = ics.split('\r\n');
+
+    expect(lines.filter((line) => line === 'BEGIN:VEVENT')).toHaveLength(1);
+    expect(lines).toContain('UID:post-1@spc-campus-connect');
+    expect(lines).toContain('DTSTART:20261105T013000Z');
+    expect(lines).toContain('DTEND:20261105T023000Z');
+    expect(lines).toContain('SUMMARY:Hackathon\\; bring laptops\\, chargers');
+    expect(lines).toContain('LAST-MODIFIED:20261018T000500Z');
+    expect(lines).toContain('SEQUENCE:5');
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+
+  it('adds refresh hints only to subscribed feeds', () => {
+    expect(buildCalendar([event])).not.toContain('REFRESH-INTERVAL');
+    expect(buildCalendar([event], { name: 'CCS events', feed: true })).toContain('REFRESH-INTERVAL;VALUE=DURATION:PT1H');
+  });
+
+  it('folds lines longer than 75 octets', () => {
+    const ics = buildCalendar([{ ...event, title: 'é'.repeat(60) }]);
+
+    ics.split('\r\n').forEach((line) => {
+      expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75);
+    });
+    expect(ics).toContain('\r\n é');
+  });
+});
+
+describe('getCalendarFileName', () => {
+  it('slugs the title', () => {
+    expect(getCalendarFileName({ title: 'CCS Hackathon 2026!' })).toBe('ccs-hackathon-2026.ics');
+    expect(getCalendarFileName({ title: '!!!' })).toBe('event.ics');
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { getMentionQuery, matchMentionable, insertMention, findMentions, splitMentions } from '../mentions';
+
+const people = [
+  { id: 'carlo', name: 'Carlo Mendoza' },
+  { id: 'ana', name: 'Ana Reyes' },
+  { id: 'maria', name: 'Maria Santos' }
+];
+
+describe('mentions', () => {
+  it('finds the "@..." being typed before the caret', () => {
+    expect(getMentionQuery('Thanks @Car', 11)).toEqual({ query: 'Car', start: 7 });
+    expect(getMentionQuery('email@example', 13)).toBeNull();
+    expect(getMentionQuery('No mention here', 15)).toBeNull();
+  });
+
+  it('matches people by full name or any word of it', () => {
+    expect(matchMentionable(people, 'ana').map((person) => person.id)).toEqual(['ana']);
+    expect(matchMentionable(people, 'santos').map((person) => person.id)).toEqual(['maria']);
+    expect(matchMentionable(people, 'carlo m').map((person) => person.id)).toEqual(['carlo']);
+  });
+
+  it('replaces the query with the full name', () => {
+    expect(insertMention('Hi @An!', { start: 3, query: 'An' }, people[1])).toEqual({ text: 'Hi @Ana Reyes !', caret: 14 });
+  });
+
+  it('finds and splits out the people named', () => {
+    const text = 'Ask @ana reyes or @Maria Santos';
+
+    expect(findMentions(text, people)).toEqual(['ana', 'maria']);
+    expect(splitMentions(text, people.map((person) => person.name))).toEqual([
+      'Ask ',
+      { mention: '@ana reyes' },
+      ' or ',
+      { mention: '@Maria Santos' }
+    ]);
+  });
+});
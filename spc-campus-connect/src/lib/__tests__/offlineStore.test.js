@@ -0,0 +1,15 @@
+import { describe, it, expect } from 'vitest';
+import { isOfflineError } from '../offlineStore';
+
+describe('isOfflineError', () => {
+  it('recognises the ways browsers report a dropped connection', () => {
+    expect(isOfflineError(new TypeError('Failed to fetch'))).toBe(true);
+    expect(isOfflineError(new TypeError('NetworkError when attempting to fetch resource.'))).toBe(true);
+    expect(isOfflineError(new TypeError('Load failed'))).toBe(true);
+  });
+
+  it('leaves errors from the server alone', () => {
+    expect(isOfflineError({ code: '42501', message: 'new row violates row-level security policy' })).toBe(false);
+    expect(isOfflineError(null)).toBe(false);
+  });
+});
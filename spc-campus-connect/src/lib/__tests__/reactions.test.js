@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { REACTIONS, reactionsFor, summarizeReactions } from '../reactions';
+
+const reactions = [
+  { user_id: 'carlo', comment_id: null, reaction: 'like', users: { name: 'Carlo Mendoza' } },
+  { user_id: 'ana', comment_id: null, reaction: 'like', users: { name: 'Ana Reyes' } },
+  { user_id: 'carlo', comment_id: 'comment-1', reaction: 'heart', users: { name: 'Carlo Mendoza' } }
+];
+
+describe('reactions', () => {
+  it('separates post reactions from comment reactions', () => {
+    expect(reactionsFor(reactions)).toHaveLength(2);
+    expect(reactionsFor(reactions, 'comment-1').map((reaction) => reaction.reaction)).toEqual(['heart']);
+  });
+
+  it('summarizes rows in offer order with who reacted', () => {
+    const summary = summarizeReactions({ reactions: reactionsFor(reactions), userId: 'ana' });
+
+    expect(summary.map((entry) => entry.key)).toEqual(REACTIONS.map((option) => option.key));
+    expect(summary[0]).toMatchObject({ key: 'like', count: 2, mine: true });
+    expect(summary[0].users.map((user) => user.name)).toEqual(['Carlo Mendoza', 'Ana Reyes']);
+    expect(summary[1]).toMatchObject({ key: 'heart', count: 0, mine: false });
+  });
+
+  it('takes counts without rows from the feed', () => {
+    const summary = summarizeReactions({ counts: { party: 4 } });
+
+    expect(summary.find((entry) => entry.key === 'party')).toMatchObject({ count: 4, users: [] });
+  });
+});
@@ -0,0 +1,82 @@
+// Rules for files attached to posts. The post-attachments bucket enforces
+// the same size and type limits (see the post_attachments migration).
+
+export const MAX_ATTACHMENTS = 10;
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+export const ALLOWED_ATTACHMENT_TYPES = {
+  'image/jpeg': 'JPG',
+  'image/png': 'PNG',
+  'image/gif': 'GIF',
+  'image/webp': 'WEBP',
+  'application/pdf': 'PDF',
+  'application/msword': 'DOC',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'DOCX',
+  'application/vnd.ms-excel': 'XLS',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'XLSX',
+  'application/vnd.ms-powerpoint': 'PPT',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'PPTX'
+};
+
+export const ATTACHMENT_ACCEPT = Object.keys(ALLOWED_ATTACHMENT_TYPES).join(',');
+
+export const isImageAttachment = (attachment) => (attachment.mime_type || attachment.type || '').startsWith('image/');
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Returns an error message for a file that can't be attached, or null
+export const validateAttachment = (file) => {
+  if (!ALLOWED_ATTACHMENT_TYPES[file.type]) {
+    return `${file.name}: only images, PDF, Word, Excel and PowerPoint files can be attached`;
+  }
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    return `${file.name}: files must be smaller than ${formatFileSize(MAX_ATTACHMENT_SIZE)}`;
+  }
+  return null;
+};
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(`${file.name} could not be read as an image`));
+  };
+  image.src = url;
+});
+
+// Scales photos down before upload so posters don't cost students megabytes.
+// GIFs are left alone to keep their animation. Resolves to
+// { file, width, height }; file is the original when no resizing was needed.
+export const resizeImage = async (file, { maxDimension = 1600, quality = 0.85 } = {}) => {
+  const image = await loadImage(file);
+  const { naturalWidth: width, naturalHeight: height } = image;
+  const scale = Math.min(1, maxDimension / Math.max(width, height));
+
+  if (file.type === 'image/gif' || scale === 1) return { file, width, height };
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  const type = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, type, quality));
+  if (!blob || blob.size >= file.size) return { file, width, height };
+
+  const name = type === 'image/jpeg' ? file.name.replace(/\.\w+$/, '.jpg') : file.name;
+  return { file: new File([blob], name, { type }), width: canvas.width, height: canvas.height };
+};
+
+// Shrinks images before upload; other files go up as they are
+export const prepareAttachment = (file) => (
+  isImageAttachment(file) ? resizeImage(file) : Promise.resolve({ file })
+);
@@ -0,0 +1,23 @@
+import { usersApi } from '../api';
+
+// Where each role lands after logging in
+const HOME_PATHS = {
+  super_admin: '/super-admin-dashboard',
+  admin: '/dashboard',
+  user: '/dashboard'
+};
+
+// Resolve the signed-in person's account and role
+export const resolveAccount = async (userId) => {
+  const account = await usersApi.getAccount(userId);
+  return { profile: account, role: account?.role ?? null };
+};
+
+export const hasRole = (role, allowedRoles) => {
+  if (!allowedRoles || allowedRoles.length === 0) return true;
+  return allowedRoles.includes(role);
+};
+
+export const getHomePath = (role) => {
+  return HOME_PATHS[role] || '/';
+};
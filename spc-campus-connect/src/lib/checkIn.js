@@ -0,0 +1,27 @@
+// Event check-in codes. The QR code an admin displays holds a link to the
+// check-in page, so a phone's own camera app can open it too; the in-app
+// scanner and the manual entry box take either the link or the bare code.
+
+// How often the display asks for a new code; each stays valid a little
+// longer (see the event_check_in migration) so a scan mid-rotation works
+export const CHECK_IN_ROTATE_MS = 30 * 1000;
+
+export const CHECK_IN_CODE_LENGTH = 6;
+
+export const getCheckInUrl = (code, origin = window.location.origin) => (
+  `${origin}/check-in?code=${encodeURIComponent(code)}`
+);
+
+// The code from a scanned link or typed text, or null if there isn't one
+export const parseCheckInCode = (text) => {
+  let value = String(text ?? '').trim();
+
+  try {
+    value = new URL(value).searchParams.get('code') ?? '';
+  } catch {
+    // Not a link; the text is the code itself
+  }
+
+  const code = value.replace(/[\s-]/g, '').toUpperCase();
+  return /^[A-Z0-9]+$/.test(code) && code.length === CHECK_IN_CODE_LENGTH ? code : null;
+};
@@ -0,0 +1,95 @@
+import { commentsApi } from '../api';
+import { isOfflineError, putOutboxItem, deleteOutboxItem, getOutboxItems } from './offlineStore';
+
+// Comments written while offline wait here until they can be sent. They are
+// flushed when the browser comes back online, when the app starts, and when
+// the service worker's background sync fires (see src/sw.js).
+
+// Must match the tag src/sw.js listens for
+export const COMMENT_OUTBOX_SYNC_TAG = 'comment-outbox';
+
+const listeners = new Set();
+let flushing = null;
+
+const notifyChange = () => listeners.forEach((listener) => listener());
+
+// Returns an unsubscribe function
+export const onOutboxChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const requestBackgroundSync = async () => {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.sync?.register(COMMENT_OUTBOX_SYNC_TAG);
+  } catch (error) {
+    // Browsers without Background Sync fall back to the online event
+    console.warn('Background sync unavailable:', error);
+  }
+};
+
+// author is the commenter's public profile, shown while the comment is pending
+export const queueComment = async ({ postId, userId, content, parentId = null, mentions = [], author }) => {
+  const item = {
+    id: `pending-${Date.now()}-${Math.random().toString(16).slice(2)}`,
+    post_id: postId,
+    user_id: userId,
+    parent_id: parentId,
+    content,
+    mentions,
+    users: author,
+    created_at: new Date().toISOString(),
+    error: null
+  };
+
+  await putOutboxItem(item);
+  notifyChange();
+  requestBackgroundSync();
+  return item;
+};
+
+export const listQueuedComments = (postId) => getOutboxItems(postId);
+
+export const discardQueuedComment = async (id) => {
+  await deleteOutboxItem(id);
+  notifyChange();
+};
+
+// Sends queued comments in the order they were written. Stops at the first
+// network failure; a comment the server rejects keeps its error for the
+// writer to see and is not retried.
+export const flushCommentOutbox = () => {
+  if (flushing) return flushing;
+
+  flushing = (async () => {
+    const items = (await getOutboxItems()).filter((item) => !item.error);
+    let sent = 0;
+
+    for (const item of items) {
+      try {
+        await commentsApi.addComment({
+          postId: item.post_id,
+          userId: item.user_id,
+          content: item.content,
+          parentId: item.parent_id ?? null,
+          mentions: item.mentions ?? []
+        });
+        await deleteOutboxItem(item.id);
+        sent += 1;
+      } catch (error) {
+        if (isOfflineError(error)) break;
+        await putOutboxItem({ ...item, error: error.message });
+      }
+    }
+
+    if (items.length > 0) notifyChange();
+    return sent;
+  })().finally(() => {
+    flushing = null;
+  });
+
+  return flushing;
+};
@@ -0,0 +1,22 @@
+// Nests a post's comments under the ones they reply to. Each node gets a
+// `replies` array, oldest first. A reply whose parent isn't in the list (e.g.
+// in an offline copy saved before the parent) is shown at the top level.
+export const buildCommentTree = (comments) => {
+  const byCreated = [...comments].sort((a, b) => a.created_at.localeCompare(b.created_at));
+  const nodes = new Map(byCreated.map((comment) => [comment.id, { ...comment, replies: [] }]));
+  const roots = [];
+
+  nodes.forEach((node) => {
+    const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+    if (parent) {
+      parent.replies.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+};
+
+// Replies at every depth below a node
+export const countReplies = (node) => node.replies.reduce((total, reply) => total + 1 + countReplies(reply), 0);
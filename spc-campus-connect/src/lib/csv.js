@@ -0,0 +1,15 @@
+// Quotes a field when it holds a separator, quote or line break (RFC 4180)
+const csvField = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// rows: arrays of cells, the header row first. Starts with a byte order mark
+// so Excel reads the file as UTF-8.
+export const toCsv = (rows) => `\uFEFF${rows.map((row) => row.map(csvField).join(',')).join('\r\n')}`;
+
+// A file name like "ccs-hackathon-attendees.csv"
+export const getCsvFileName = (title, suffix) => {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  return `${slug || 'event'}-${suffix}.csv`;
+};
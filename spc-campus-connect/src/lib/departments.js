@@ -0,0 +1,12 @@
+// The colleges that post on Campus Connect. Dashboard, Archive, PostDetail
+// and Calendar all filter and label posts with this list.
+export const DEPARTMENTS = [
+  { code: 'CCS', name: 'College of Computer Studies', logo: '/src/logos/ccs-logo.png' },
+  { code: 'COE', name: 'College of Engineering', logo: '/src/logos/coe-logo.png' },
+  { code: 'COC', name: 'College of Criminology', logo: '/src/logos/coc-logo.png' },
+  { code: 'CED', name: 'College of Education', logo: '/src/logos/ced-logo.png' },
+  { code: 'CAS', name: 'College of Arts and Sciences', logo: '/src/logos/cas-logo.png' },
+  { code: 'CBAA', name: 'College of Business Administration and Accountancy', logo: '/src/logos/cba-logo.png' }
+];
+
+export const getDepartmentInfo = (code) => DEPARTMENTS.find((dept) => dept.code === code);
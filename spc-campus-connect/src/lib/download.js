@@ -0,0 +1,10 @@
+// Saves generated text (an .ics, a .csv) as a file through the browser
+export const downloadFile = (fileName, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,31 @@
+// Up to two initials for an avatar placeholder
+export const getInitials = (name) => (name || 'U')
+  .split(' ')
+  .map((word) => word[0])
+  .join('')
+  .toUpperCase()
+  .slice(0, 2);
+
+// A date and time with the year, e.g. "Oct 18, 2026, 9:05 AM"
+export const formatDate = (value) => new Date(value).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+// A date alone with the year, e.g. "Oct 18, 2026"
+export const formatDay = (value) => new Date(value).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+// A date and time within the year, for lists of recent activity
+export const formatTime = (value) => new Date(value).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
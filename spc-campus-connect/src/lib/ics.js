@@ -0,0 +1,106 @@
+// iCalendar (RFC 5545) for event posts. Used by PostDetail's "Add to
+// calendar" download and by the calendar-feed edge function, so it must stay
+// free of browser and Vite APIs.
+
+const PRODID = "-//St. Peter's College//SPC Campus Connect//EN";
+
+// Posts only have a start time
+export const EVENT_DURATION_MS = 60 * 60 * 1000;
+
+// Calendar apps that subscribe to a feed check back this often
+const FEED_REFRESH_INTERVAL = 'PT1H';
+
+const encoder = new TextEncoder();
+
+// 20261018T093000Z
+const formatDateTime = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// TEXT values escape backslashes, separators and line breaks (3.3.11)
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+// (3.1). Splits between characters, never inside a multi-byte one.
+const foldLine = (line) => {
+  if (encoder.encode(line).length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// Edits bump SEQUENCE so apps that imported an earlier copy replace it
+const getSequence = (post) => {
+  if (!post.created_at || !post.updated_at) return 0;
+  return Math.max(0, Math.floor((Date.parse(post.updated_at) - Date.parse(post.created_at)) / 60000));
+};
+
+const eventLines = (post, { origin, now }) => {
+  const start = new Date(post.event_date);
+  const url = origin ? `${origin}/post/${post.id}` : null;
+  const description = [post.content, url].filter(Boolean).join('\n\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${post.id}@spc-campus-connect`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(start.getTime() + EVENT_DURATION_MS)}`,
+    `SUMMARY:${escapeText(post.title)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    post.department && `CATEGORIES:${escapeText(post.department)}`,
+    url && `URL:${url}`,
+    post.updated_at && `LAST-MODIFIED:${formatDateTime(post.updated_at)}`,
+    `SEQUENCE:${getSequence(post)}`,
+    'STATUS:CONFIRMED',
+    'END:VEVENT'
+  ].filter(Boolean);
+};
+
+// A VCALENDAR with one VEVENT per post that has an event_date.
+// name: calendar name shown by subscribing apps
+// origin: the app's URL, for links back to each post
+// feed: add the refresh hints subscribed feeds need
+export const buildCalendar = (posts, { name, origin = null, feed = false } = {}) => {
+  const now = new Date();
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    name && `X-WR-CALNAME:${escapeText(name)}`,
+    feed && `REFRESH-INTERVAL;VALUE=DURATION:${FEED_REFRESH_INTERVAL}`,
+    feed && `X-PUBLISHED-TTL:${FEED_REFRESH_INTERVAL}`,
+    ...posts
+      .filter((post) => post.event_date)
+      .flatMap((post) => eventLines(post, { origin, now })),
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// A file name like "ccs-hackathon.ics"
+export const getCalendarFileName = (post) => {
+  const slug = post.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  return `${slug || 'event'}.ics`;
+};
@@ -0,0 +1,67 @@
+// @mentions in comments. A mention is "@" followed by someone's full name,
+// as inserted by the autocomplete, e.g. "@Carlo Mendoza".
+
+const MAX_QUERY_LENGTH = 40;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The "@..." being typed just before the caret, or null. The query may hold
+// spaces since names do; it ends at a line break or another "@".
+export const getMentionQuery = (text, caret) => {
+  const match = text.slice(0, caret).match(/(?:^|\s)@([^@\n]*)$/);
+  if (!match || match[1].length > MAX_QUERY_LENGTH) return null;
+
+  return { query: match[1], start: caret - match[1].length - 1 };
+};
+
+// People whose full name, or one of its words, starts with the query
+export const matchMentionable = (users, query, limit = 6) => {
+  const needle = query.toLowerCase();
+
+  return users
+    .filter((user) => {
+      const name = user.name.toLowerCase();
+      return name.startsWith(needle) || (!needle.includes(' ') && name.split(' ').some((word) => word.startsWith(needle)));
+    })
+    .slice(0, limit);
+};
+
+// Replaces the "@query" at start with "@Name " and returns the new text and caret
+export const insertMention = (text, { start, query }, user) => {
+  const mention = `@${user.name} `;
+  const end = start + query.length + 1;
+
+  return {
+    text: `${text.slice(0, start)}${mention}${text.slice(end)}`,
+    caret: start + mention.length
+  };
+};
+
+// Ids of the people @named in the text, checked against who can be mentioned
+export const findMentions = (text, users) => {
+  const lower = text.toLowerCase();
+  return users.filter((user) => lower.includes(`@${user.name}`.toLowerCase())).map((user) => user.id);
+};
+
+// Splits text into strings and { mention } parts for rendering, longest names
+// first so "@Ana Reyes" wins over a user named "Ana"
+export const splitMentions = (text, names) => {
+  if (names.length === 0) return [text];
+
+  const pattern = [...names]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+  const regex = new RegExp(`@(${pattern})`, 'gi');
+  const parts = [];
+  let last = 0;
+
+  for (const match of text.matchAll(regex)) {
+    if (match.index > last) parts.push(text.slice(last, match.index));
+    parts.push({ mention: match[0] });
+    last = match.index + match[0].length;
+  }
+
+  if (last < text.length) parts.push(text.slice(last));
+  return parts;
+};
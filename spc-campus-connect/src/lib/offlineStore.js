@@ -0,0 +1,165 @@
+import { openDB } from 'idb';
+
+// What the app keeps on the device for offline reading: the newest posts the
+// reader has seen, their comments, the signed-in account, and comments
+// written while offline (the outbox, see commentOutbox.js).
+
+export const OFFLINE_POST_LIMIT = 50;
+
+const DB_NAME = 'spc-offline';
+const DB_VERSION = 2;
+
+// Must match the cache src/sw.js keeps post listings in
+const FEED_CACHE = 'spc-feed-v2';
+
+let dbPromise = null;
+
+const getDB = () => {
+  if (typeof indexedDB === 'undefined') return null;
+
+  if (!dbPromise) {
+    dbPromise = openDB(DB_NAME, DB_VERSION, {
+      upgrade(db, oldVersion, newVersion, transaction) {
+        if (oldVersion < 1) {
+          const posts = db.createObjectStore('posts', { keyPath: 'id' });
+          posts.createIndex('created_at', 'created_at');
+
+          const comments = db.createObjectStore('comments', { keyPath: 'id' });
+          comments.createIndex('post_id', 'post_id');
+
+          db.createObjectStore('accounts', { keyPath: 'id' });
+
+          const outbox = db.createObjectStore('outbox', { keyPath: 'id' });
+          outbox.createIndex('post_id', 'post_id');
+        }
+
+        // v2: the feed is ordered by publish time (scheduled posts)
+        if (oldVersion < 2) {
+          const posts = transaction.objectStore('posts');
+          posts.deleteIndex('created_at');
+          posts.createIndex('publish_at', 'publish_at');
+        }
+      }
+    });
+  }
+
+  return dbPromise;
+};
+
+// supabase-js reports a dropped connection as a failed fetch rather than
+// a Postgres error, so there is no code to check
+export const isOfflineError = (error) => {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  return /failed to fetch|networkerror|load failed|network request failed/i.test(error?.message || '');
+};
+
+// Keeps only the newest OFFLINE_POST_LIMIT posts, and the comments of those
+const trimPosts = async (db) => {
+  const keys = await db.getAllKeysFromIndex('posts', 'publish_at');
+  const stale = keys.slice(0, Math.max(keys.length - OFFLINE_POST_LIMIT, 0));
+  if (stale.length === 0) return;
+
+  const tx = db.transaction(['posts', 'comments'], 'readwrite');
+  for (const postId of stale) {
+    tx.objectStore('posts').delete(postId);
+    const commentKeys = await tx.objectStore('comments').index('post_id').getAllKeys(postId);
+    commentKeys.forEach((key) => tx.objectStore('comments').delete(key));
+  }
+  await tx.done;
+};
+
+export const savePosts = async (posts) => {
+  const db = await getDB();
+  if (!db || posts.length === 0) return;
+
+  const tx = db.transaction('posts', 'readwrite');
+  posts.forEach((post) => tx.store.put(post));
+  await tx.done;
+  await trimPosts(db);
+};
+
+export const savePost = (post) => savePosts([post]);
+
+// Saved active posts that haven't expired, most recently published first,
+// optionally from one department
+export const getSavedPosts = async (department = 'all', tag = null) => {
+  const db = await getDB();
+  if (!db) return [];
+
+  const now = new Date().toISOString();
+  const posts = await db.getAllFromIndex('posts', 'publish_at');
+  return posts
+    .reverse()
+    .filter((post) => post.status === 'active' && !(post.expires_at && post.expires_at <= now))
+    .filter((post) => department === 'all' || post.department === department)
+    .filter((post) => !tag || (post.tag_ids || []).includes(tag));
+};
+
+export const getSavedPost = async (id) => {
+  const db = await getDB();
+  return db ? (await db.get('posts', id)) ?? null : null;
+};
+
+// Replaces the saved comments of one post
+export const saveComments = async (postId, comments) => {
+  const db = await getDB();
+  if (!db || !(await db.getKey('posts', postId))) return;
+
+  const tx = db.transaction('comments', 'readwrite');
+  const existing = await tx.store.index('post_id').getAllKeys(postId);
+  existing.forEach((key) => tx.store.delete(key));
+  comments.forEach((comment) => tx.store.put(comment));
+  await tx.done;
+};
+
+export const getSavedComments = async (postId) => {
+  const db = await getDB();
+  if (!db) return [];
+
+  const comments = await db.getAllFromIndex('comments', 'post_id', postId);
+  return comments.sort((a, b) => a.created_at.localeCompare(b.created_at));
+};
+
+export const saveAccount = async (account) => {
+  const db = await getDB();
+  if (db && account?.id) await db.put('accounts', account);
+};
+
+export const getSavedAccount = async (id) => {
+  const db = await getDB();
+  return db ? (await db.get('accounts', id)) ?? null : null;
+};
+
+export const putOutboxItem = async (item) => {
+  const db = await getDB();
+  if (db) await db.put('outbox', item);
+};
+
+export const deleteOutboxItem = async (id) => {
+  const db = await getDB();
+  if (db) await db.delete('outbox', id);
+};
+
+// Queued comments, oldest first, optionally for one post
+export const getOutboxItems = async (postId) => {
+  const db = await getDB();
+  if (!db) return [];
+
+  const items = postId
+    ? await db.getAllFromIndex('outbox', 'post_id', postId)
+    : await db.getAll('outbox');
+  return items.sort((a, b) => a.created_at.localeCompare(b.created_at));
+};
+
+// Everything above belongs to whoever is signed in, and so do the post
+// listings the service worker keeps; forget them on sign out
+export const clearOfflineData = async () => {
+  if (typeof caches !== 'undefined') await caches.delete(FEED_CACHE);
+
+  const db = await getDB();
+  if (!db) return;
+
+  const stores = ['posts', 'comments', 'accounts', 'outbox'];
+  const tx = db.transaction(stores, 'readwrite');
+  await Promise.all([...stores.map((name) => tx.objectStore(name).clear()), tx.done]);
+};
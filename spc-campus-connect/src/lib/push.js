@@ -0,0 +1,57 @@
+import { pushSubscriptionsApi } from '../api';
+
+const VAPID_PUBLIC_KEY = import.meta.env.VITE_VAPID_PUBLIC_KEY;
+
+// The VAPID key is base64url; PushManager wants the raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+};
+
+export const isPushSupported = () => (
+  typeof window !== 'undefined'
+  && 'serviceWorker' in navigator
+  && 'PushManager' in window
+  && 'Notification' in window
+);
+
+export const isPushConfigured = () => Boolean(VAPID_PUBLIC_KEY);
+
+export const getPushPermission = () => (isPushSupported() ? Notification.permission : 'unsupported');
+
+// This browser's current subscription, if it has one. Doesn't wait for a
+// service worker that may never register (e.g. in development).
+export const getPushSubscription = async () => {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.getRegistration();
+  return registration ? registration.pushManager.getSubscription() : null;
+};
+
+// Asks for permission, subscribes this browser and stores the subscription
+// against the account so the send-push function can reach it
+export const enablePush = async (userId) => {
+  if (!isPushSupported()) throw new Error('Push notifications are not supported in this browser');
+  if (!isPushConfigured()) throw new Error('Push notifications are not configured for this site');
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') throw new Error('Notification permission was not granted');
+
+  const registration = await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.getSubscription()
+    || await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY)
+    });
+
+  await pushSubscriptionsApi.saveSubscription(userId, subscription);
+  return subscription;
+};
+
+export const disablePush = async () => {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+
+  await pushSubscriptionsApi.removeSubscription(subscription.endpoint);
+  await subscription.unsubscribe();
+};
@@ -0,0 +1,28 @@
+// Emoji reactions on posts and comments, in the order they are offered
+export const REACTIONS = [
+  { key: 'like', emoji: '👍', label: 'Like' },
+  { key: 'heart', emoji: '❤️', label: 'Love' },
+  { key: 'party', emoji: '🎉', label: 'Celebrate' },
+  { key: 'wow', emoji: '😮', label: 'Wow' },
+  { key: 'noted', emoji: '✅', label: 'Noted' }
+];
+
+// Reaction rows for one post (comment_id null) or one comment
+export const reactionsFor = (reactions, commentId = null) => (
+  reactions.filter((reaction) => (reaction.comment_id ?? null) === commentId)
+);
+
+// One entry per kind of reaction, in REACTIONS order: how many, whether
+// userId is among them, and who they are (earliest first). Counts without
+// rows, like posts_with_stats.reaction_counts, give an empty `users`.
+export const summarizeReactions = ({ reactions = [], counts = null, userId = null }) => (
+  REACTIONS.map((option) => {
+    const rows = reactions.filter((reaction) => reaction.reaction === option.key);
+    return {
+      ...option,
+      count: counts ? counts[option.key] || 0 : rows.length,
+      mine: rows.some((reaction) => reaction.user_id === userId),
+      users: rows.map((reaction) => reaction.users).filter(Boolean)
+    };
+  })
+);
@@ -1,100 +1,283 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import supabase from '../lib/supabase';
 import toast, { Toaster } from 'react-hot-toast';
+import { useAuth } from '../context/auth';
+import { postsApi, attachmentsApi, tagsApi, moderationApi } from '../api';
+import { prepareAttachment } from '../lib/attachments';
+import Markdown from '../components/Markdown';
+import PostFormFields from '../components/PostFormFields';
+import TagChips from '../components/TagChips';
+import TagManager from '../components/TagManager';
+import CheckInDisplay from '../components/CheckInDisplay';
+import AttendanceReport from '../components/AttendanceReport';
+import AcknowledgementReport from '../components/AcknowledgementReport';
+import ModerationQueue from '../components/ModerationQueue';
+import BannedWordManager from '../components/BannedWordManager';
+import useDraftAutosave, { readLocalDraft } from '../hooks/useDraftAutosave';
+
+// publish_at: empty publishes straight away; expires_at: empty never expires
+// capacity: empty means no limit on Going RSVPs
+// requires_acknowledgement: readers are asked to confirm they have read it
+// tag_ids: the department's tags picked for the post
+// attachments: saved ones kept on the post; files: new ones to upload
+const EMPTY_FORM = {
+  title: '',
+  content: '',
+  type: 'announcement',
+  tag_ids: [],
+  event_date: '',
+  capacity: '',
+  requires_acknowledgement: false,
+  publish_at: '',
+  expires_at: '',
+  attachments: [],
+  files: []
+};
+
+// datetime-local inputs work in local time without a zone
+const toDateTimeLocal = (value) => {
+  const date = new Date(value);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+};
+
+// Publish and expiry times from the form, and the status they imply
+const getSchedule = (formData) => {
+  const publishAt = formData.publish_at ? new Date(formData.publish_at) : new Date();
+  const expiresAt = formData.expires_at ? new Date(formData.expires_at) : null;
+
+  return {
+    publishAt,
+    expiresAt,
+    status: publishAt > new Date() ? 'scheduled' : 'active'
+  };
+};
+
+// Places at an event; anyone answering Going past this is waitlisted
+const getCapacity = (formData) => (
+  formData.type === 'event' && formData.capacity !== '' ? Number(formData.capacity) : null
+);
+
+const isValidCapacity = (capacity) => capacity === null || (Number.isInteger(capacity) && capacity > 0);
+
+// The event date as an instant, read in local time like the publish time
+const getEventDate = (formData) => (
+  formData.type === 'event' && formData.event_date ? new Date(formData.event_date).toISOString() : null
+);
+
+// What a draft is saved with. Empty publish and expiry times are left out;
+// they are settled when the draft is published.
+const toDraftFields = (formData) => ({
+  title: formData.title,
+  content: formData.content,
+  type: formData.type,
+  event_date: getEventDate(formData),
+  capacity: isValidCapacity(getCapacity(formData)) ? getCapacity(formData) : null,
+  requires_acknowledgement: formData.requires_acknowledgement,
+  ...(formData.publish_at ? { publish_at: new Date(formData.publish_at).toISOString() } : {}),
+  expires_at: formData.expires_at ? new Date(formData.expires_at).toISOString() : null
+});
 
 export default function AdminPanel() {
   const navigate = useNavigate();
-  const [user, setUser] = useState(null);
-  const [userProfile, setUserProfile] = useState(null);
+  const { profile: userProfile } = useAuth();
   const [posts, setPosts] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [reports, setReports] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [editingPost, setEditingPost] = useState(null);
-  const [formData, setFormData] = useState({
-    title: '',
-    content: '',
-    type: 'announcement',
-    event_date: ''
-  });
-
-  // Check authentication and verify admin role
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [tab, setTab] = useState('posts');
+  const [checkInPost, setCheckInPost] = useState(null);
+  const [attendancePost, setAttendancePost] = useState(null);
+  const [acknowledgementPost, setAcknowledgementPost] = useState(null);
+  const {
+    draftId,
+    saveState,
+    saveDraft,
+    waitForSave,
+    startDraft,
+    finishDraft
+  } = useDraftAutosave(formData, { enabled: showCreateModal, toPost: toDraftFields });
+
+  // Fetch admin's posts
   useEffect(() => {
-    const checkAuth = async () => {
-      try {
-        const { data: { session }, error } = await supabase.auth.getSession();
+    if (userProfile) {
+      fetchPosts();
+      fetchTags();
+      fetchReports();
+    }
+  }, [userProfile]);
 
-        if (error) throw error;
+  const fetchPosts = async () => {
+    try {
+      const authorPosts = await postsApi.listByAuthor(userProfile.id);
+      setPosts(authorPosts);
+    } catch (error) {
+      toast.error('Failed to load posts');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
 
-        if (!session) {
-          navigate('/');
-          return;
-        }
+  const fetchTags = async () => {
+    try {
+      setTags(await tagsApi.listTags(userProfile.department));
+    } catch (error) {
+      toast.error('Failed to load tags');
+      console.error(error);
+    }
+  };
 
-        setUser(session.user);
+  const fetchReports = async () => {
+    try {
+      setReports(await moderationApi.listOpenReports(userProfile.department));
+    } catch (error) {
+      toast.error('Failed to load reports');
+      console.error(error);
+    }
+  };
+
+  // Acting on a report can hide or delete one of the admin's own posts
+  const handleReportsChange = () => {
+    fetchReports();
+    fetchPosts();
+  };
+
+  // Deleting a tag takes it off posts too
+  const handleTagsChange = () => {
+    fetchTags();
+    fetchPosts();
+  };
+
+  // Tags deleted since the form was filled in are dropped
+  const saveTags = (postId) => tagsApi.setPostTags(
+    postId,
+    formData.tag_ids.filter((id) => tags.some((tag) => tag.id === id))
+  );
+
+  // Removes the saved attachments taken off the form, then resizes and
+  // uploads its new files after the ones that stay
+  const saveAttachments = async (postId, savedAttachments, loadingToast) => {
+    const keptIds = new Set(formData.attachments.map((attachment) => attachment.id));
+    for (const attachment of savedAttachments.filter((saved) => !keptIds.has(saved.id))) {
+      await attachmentsApi.removeAttachment(attachment);
+    }
+
+    if (formData.files.length === 0) return;
+
+    toast.loading('Uploading attachments...', { id: loadingToast });
+    const uploads = await Promise.all(formData.files.map(prepareAttachment));
+    const lastPosition = Math.max(-1, ...formData.attachments.map((attachment) => attachment.position));
+    await attachmentsApi.addAttachments(postId, userProfile.id, uploads, { startPosition: lastPosition + 1 });
+  };
+
+  const closeCompose = () => {
+    setShowCreateModal(false);
+    setEditingPost(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  // A new post picks up where an unsaved one on this device left off
+  const openCompose = () => {
+    const local = readLocalDraft(userProfile.id);
+    const draft = local?.draftId
+      ? posts.find((post) => post.id === local.draftId && post.status === 'draft')
+      : null;
+
+    setEditingPost(draft || null);
+    setFormData(local ? { ...EMPTY_FORM, ...local.formData, files: [] } : EMPTY_FORM);
+    startDraft(draft?.id ?? null);
+    setShowCreateModal(true);
+
+    if (local) toast('Restored your unsaved draft', { icon: '📝' });
+  };
+
+  const openDraft = (post) => {
+    const now = new Date().toISOString();
+    const savedForm = {
+      title: post.title,
+      content: post.content,
+      type: post.type,
+      tag_ids: (post.tags || []).map((tag) => tag.id),
+      event_date: post.event_date ? toDateTimeLocal(post.event_date) : '',
+      capacity: post.capacity ?? '',
+      requires_acknowledgement: post.requires_acknowledgement ?? false,
+      // A publish time that has gone by means "publish when ready"
+      publish_at: post.publish_at > now ? toDateTimeLocal(post.publish_at) : '',
+      expires_at: post.expires_at ? toDateTimeLocal(post.expires_at) : '',
+      attachments: post.post_attachments || [],
+      files: []
+    };
+    const local = readLocalDraft(userProfile.id);
+    const hasLocalChanges = local?.draftId === post.id;
+
+    setEditingPost(post);
+    setFormData(hasLocalChanges ? { ...savedForm, ...local.formData, files: [] } : savedForm);
+    startDraft(post.id, hasLocalChanges ? null : savedForm);
+    setShowCreateModal(true);
+  };
+
+  // Closing keeps the work as a draft, with any files picked uploaded to it
+  const handleCloseCompose = async () => {
+    if (!draftId && !formData.title.trim() && !formData.content.trim()) {
+      closeCompose();
+      return;
+    }
 
-        // Fetch user profile
-        const { data: profile, error: profileError } = await supabase
-          .from('users')
-          .select('*')
-          .eq('id', session.user.id)
-          .single();
+    const loadingToast = toast.loading('Saving draft...');
 
-        if (profileError) throw profileError;
+    try {
+      await waitForSave();
+      const id = await saveDraft();
 
-        // Check if user is admin
-        if (profile.role !== 'admin') {
-          toast.error('Access denied. Admin only.');
-          navigate('/dashboard');
+      if (!id || readLocalDraft(userProfile.id)) {
+        // The device copy holds text only, so picked files would be lost
+        const fileCount = formData.files.length;
+        if (fileCount > 0 && !confirm(
+          `The draft can only be kept on this device right now, without its ${fileCount === 1 ? 'attached file' : `${fileCount} attached files`}. Close anyway?`
+        )) {
+          toast.dismiss(loadingToast);
           return;
         }
 
-        setUserProfile(profile);
-      } catch (error) {
-        console.error('Error:', error);
-        navigate('/');
-      } finally {
-        setLoading(false);
+        toast.success(
+          fileCount > 0
+            ? 'Draft kept on this device without its new attachments; it will be saved when you reopen it'
+            : 'Draft kept on this device; it will be saved when you reopen it',
+          { id: loadingToast }
+        );
+      } else {
+        await saveAttachments(id, editingPost?.post_attachments || [], loadingToast);
+        await saveTags(id);
+        toast.success('Draft saved', { id: loadingToast });
       }
-    };
-
-    checkAuth();
-  }, [navigate]);
 
-  // Fetch admin's posts
-  useEffect(() => {
-    if (userProfile) {
+      closeCompose();
       fetchPosts();
+    } catch (error) {
+      toast.error(error.message, { id: loadingToast });
+    }
+  };
+
+  const handleDiscardDraft = async () => {
+    if (!confirm('Discard this draft? This action cannot be undone.')) {
+      return;
     }
-  }, [userProfile]);
 
-  const fetchPosts = async () => {
     try {
-      const { data, error } = await supabase
-        .from('posts')
-        .select('*')
-        .eq('author_id', userProfile.id)
-        .order('created_at', { ascending: false });
-
-      if (error) throw error;
-
-      // Add comment count to each post
-      const postsWithComments = await Promise.all(
-        data.map(async (post) => {
-          const { count } = await supabase
-            .from('comments')
-            .select('*', { count: 'exact', head: true })
-            .eq('post_id', post.id);
-          
-          return { ...post, comment_count: count || 0 };
-        })
-      );
+      const id = await waitForSave();
+      if (id) await postsApi.deletePost(id);
 
-      setPosts(postsWithComments);
+      finishDraft();
+      closeCompose();
+      fetchPosts();
+      toast.success('Draft discarded');
     } catch (error) {
-      toast.error('Failed to load posts');
-      console.error(error);
+      toast.error(error.message);
     }
   };
 
@@ -109,28 +292,55 @@ export default function AdminPanel() {
       return;
     }
 
+    if (!isValidCapacity(getCapacity(formData))) {
+      toast.error('Capacity must be a whole number of people');
+      return;
+    }
+
+    const { publishAt, expiresAt, status } = getSchedule(formData);
+
+    if (expiresAt && expiresAt <= publishAt) {
+      toast.error('Expiry must be after the publish time');
+      return;
+    }
+
     const loadingToast = toast.loading('Creating post...');
 
     try {
-      const { error } = await supabase
-        .from('posts')
-        .insert([
-          {
-            title: formData.title,
-            content: formData.content,
-            type: formData.type,
-            department: userProfile.department,
-            author_id: userProfile.id,
-            event_date: formData.type === 'event' ? formData.event_date : null,
-            status: 'active'
-          }
-        ]);
-
-      if (error) throw error;
-
-      toast.success('Post created successfully!', { id: loadingToast });
-      setShowCreateModal(false);
-      setFormData({ title: '', content: '', type: 'announcement', event_date: '' });
+      const fields = {
+        title: formData.title,
+        content: formData.content,
+        type: formData.type,
+        event_date: getEventDate(formData),
+        capacity: getCapacity(formData),
+        requires_acknowledgement: formData.requires_acknowledgement,
+        publish_at: publishAt.toISOString(),
+        expires_at: expiresAt ? expiresAt.toISOString() : null,
+        status
+      };
+
+      // Publishing an autosaved draft turns that row into the post
+      let postId = await waitForSave();
+      if (postId) {
+        await postsApi.updatePost(postId, fields);
+      } else {
+        const post = await postsApi.createPost({
+          ...fields,
+          department: userProfile.department,
+          author_id: userProfile.id
+        });
+        postId = post.id;
+      }
+
+      await saveAttachments(postId, editingPost?.post_attachments || [], loadingToast);
+      await saveTags(postId);
+      finishDraft();
+
+      toast.success(
+        status === 'scheduled' ? `Post scheduled for ${formatDate(publishAt)}` : 'Post created successfully!',
+        { id: loadingToast }
+      );
+      closeCompose();
       fetchPosts();
     } catch (error) {
       toast.error(error.message, { id: loadingToast });
@@ -148,25 +358,42 @@ export default function AdminPanel() {
       return;
     }
 
+    if (!isValidCapacity(getCapacity(formData))) {
+      toast.error('Capacity must be a whole number of people');
+      return;
+    }
+
+    const { publishAt, expiresAt, status } = getSchedule(formData);
+
+    if (expiresAt && expiresAt <= publishAt) {
+      toast.error('Expiry must be after the publish time');
+      return;
+    }
+
     const loadingToast = toast.loading('Updating post...');
 
     try {
-      const { error } = await supabase
-        .from('posts')
-        .update({
-          title: formData.title,
-          content: formData.content,
-          type: formData.type,
-          event_date: formData.type === 'event' ? formData.event_date : null
-        })
-        .eq('id', editingPost.id);
-
-      if (error) throw error;
+      await postsApi.updatePost(editingPost.id, {
+        title: formData.title,
+        content: formData.content,
+        type: formData.type,
+        event_date: getEventDate(formData),
+        capacity: getCapacity(formData),
+        requires_acknowledgement: formData.requires_acknowledgement,
+        publish_at: publishAt.toISOString(),
+        expires_at: expiresAt ? expiresAt.toISOString() : null,
+        // Archived and hidden posts keep their status; the others follow the
+        // publish time
+        status: ['archived', 'hidden'].includes(editingPost.status) ? editingPost.status : status
+      });
+
+      await saveAttachments(editingPost.id, editingPost.post_attachments || [], loadingToast);
+      await saveTags(editingPost.id);
 
       toast.success('Post updated successfully!', { id: loadingToast });
       setShowEditModal(false);
       setEditingPost(null);
-      setFormData({ title: '', content: '', type: 'announcement', event_date: '' });
+      setFormData(EMPTY_FORM);
       fetchPosts();
     } catch (error) {
       toast.error(error.message, { id: loadingToast });
@@ -181,12 +408,7 @@ export default function AdminPanel() {
     const loadingToast = toast.loading('Deleting post...');
 
     try {
-      const { error } = await supabase
-        .from('posts')
-        .delete()
-        .eq('id', postId);
-
-      if (error) throw error;
+      await postsApi.deletePost(postId);
 
       toast.success('Post deleted successfully!', { id: loadingToast });
       fetchPosts();
@@ -195,6 +417,60 @@ export default function AdminPanel() {
     }
   };
 
+  // Publishes a draft as saved: at its publish time if that is still ahead,
+  // otherwise now
+  const handlePublishDraft = async (post) => {
+    if (!post.title || !post.content) {
+      toast.error('Add a title and content before publishing');
+      openDraft(post);
+      return;
+    }
+
+    if (post.type === 'event' && !post.event_date) {
+      toast.error('Event date is required for events');
+      openDraft(post);
+      return;
+    }
+
+    const now = new Date().toISOString();
+    const scheduled = post.publish_at > now;
+
+    if (post.expires_at && post.expires_at <= (scheduled ? post.publish_at : now)) {
+      toast.error('Expiry must be after the publish time');
+      openDraft(post);
+      return;
+    }
+
+    const loadingToast = toast.loading('Publishing post...');
+
+    try {
+      await postsApi.updatePost(post.id, scheduled
+        ? { status: 'scheduled' }
+        : { status: 'active', publish_at: now });
+
+      toast.success(
+        scheduled ? `Post scheduled for ${formatDate(post.publish_at)}` : 'Post published!',
+        { id: loadingToast }
+      );
+      fetchPosts();
+    } catch (error) {
+      toast.error(error.message, { id: loadingToast });
+    }
+  };
+
+  const handlePublishNow = async (postId) => {
+    const loadingToast = toast.loading('Publishing post...');
+
+    try {
+      await postsApi.publishPost(postId);
+
+      toast.success('Post published!', { id: loadingToast });
+      fetchPosts();
+    } catch (error) {
+      toast.error(error.message, { id: loadingToast });
+    }
+  };
+
   const handleArchivePost = async (postId) => {
     if (!confirm('Are you sure you want to archive this post?')) {
       return;
@@ -203,12 +479,7 @@ export default function AdminPanel() {
     const loadingToast = toast.loading('Archiving post...');
 
     try {
-      const { error } = await supabase
-        .from('posts')
-        .update({ status: 'archived' })
-        .eq('id', postId);
-
-      if (error) throw error;
+      await postsApi.archivePost(postId);
 
       toast.success('Post archived successfully!', { id: loadingToast });
       fetchPosts();
@@ -223,7 +494,14 @@ export default function AdminPanel() {
       title: post.title,
       content: post.content,
       type: post.type,
-      event_date: post.event_date ? new Date(post.event_date).toISOString().slice(0, 16) : ''
+      tag_ids: (post.tags || []).map((tag) => tag.id),
+      event_date: post.event_date ? toDateTimeLocal(post.event_date) : '',
+      capacity: post.capacity ?? '',
+      requires_acknowledgement: post.requires_acknowledgement ?? false,
+      publish_at: toDateTimeLocal(post.publish_at),
+      expires_at: post.expires_at ? toDateTimeLocal(post.expires_at) : '',
+      attachments: post.post_attachments || [],
+      files: []
     });
     setShowEditModal(true);
   };
@@ -239,6 +517,17 @@ export default function AdminPanel() {
     });
   };
 
+  // Scheduled posts get their own section, next to go live first
+  const scheduledPosts = posts
+    .filter((post) => post.status === 'scheduled')
+    .sort((a, b) => a.publish_at.localeCompare(b.publish_at));
+  const publishedPosts = posts.filter((post) => post.status !== 'scheduled' && post.status !== 'draft');
+  const drafts = posts
+    .filter((post) => post.status === 'draft')
+    .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+  // Posts and comments with open reports, however many each has
+  const reportedCount = new Set(reports.map((report) => `${report.post_id}:${report.comment_id}`)).size;
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-100">
@@ -274,7 +563,7 @@ export default function AdminPanel() {
             </div>
 
             <button
-              onClick={() => setShowCreateModal(true)}
+              onClick={openCompose}
               className="px-6 py-2 bg-red-900 hover:bg-red-800 text-white font-semibold rounded-lg transition-colors"
             >
               + Create Post
@@ -330,185 +619,368 @@ export default function AdminPanel() {
           </div>
         </div>
 
-        {/* Posts List */}
-        <div className="bg-white rounded-lg shadow-md">
-          <div className="px-6 py-4 border-b">
-            <h2 className="text-lg font-semibold text-gray-900">Your Posts</h2>
-          </div>
+        {/* Tabs */}
+        <div className="flex space-x-1 mb-6 border-b">
+          {[
+            { id: 'posts', label: 'Posts' },
+            { id: 'drafts', label: `Drafts (${drafts.length})` },
+            { id: 'tags', label: `Tags (${tags.length})` },
+            { id: 'moderation', label: `Moderation (${reportedCount})` }
+          ].map(({ id, label }) => (
+            <button
+              key={id}
+              onClick={() => setTab(id)}
+              className={`px-4 py-2 -mb-px border-b-2 font-semibold text-sm transition-colors ${
+                tab === id
+                  ? 'border-red-900 text-red-900'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
 
-          {posts.length === 0 ? (
-            <div className="p-12 text-center">
-              <p className="text-gray-500 text-lg">No posts yet</p>
-              <p className="text-gray-400 text-sm mt-2">Create your first post to get started</p>
+        {tab === 'drafts' && (
+          <div className="bg-white rounded-lg shadow-md">
+            <div className="px-6 py-4 border-b">
+              <h2 className="text-lg font-semibold text-gray-900">Drafts</h2>
+              <p className="text-sm text-gray-500">Only you can see these until they are published</p>
             </div>
-          ) : (
-            <div className="divide-y">
-              {posts.map((post) => (
-                <div key={post.id} className="p-6 hover:bg-gray-50 transition-colors">
-                  <div className="flex items-start justify-between">
-                    <div className="flex-1">
-                      <div className="flex items-center space-x-2 mb-2">
-                        <span className={`px-3 py-1 rounded-full text-xs font-semibold ${
-                          post.type === 'event' 
-                            ? 'bg-blue-100 text-blue-800' 
-                            : 'bg-green-100 text-green-800'
-                        }`}>
-                          {post.type === 'event' ? '📅 Event' : '📢 Announcement'}
+
+            {drafts.length === 0 ? (
+              <div className="p-12 text-center">
+                <p className="text-gray-500 text-lg">No drafts</p>
+                <p className="text-gray-400 text-sm mt-2">Posts you start are saved here automatically</p>
+              </div>
+            ) : (
+              <div className="divide-y">
+                {drafts.map((post) => (
+                  <div key={post.id} className="p-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                    <div className="min-w-0">
+                      <div className="flex items-center space-x-2 mb-1">
+                        <span className="px-3 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-700">
+                          📝 Draft
                         </span>
-                        <span className={`px-3 py-1 rounded-full text-xs font-semibold ${
-                          post.status === 'active'
-                            ? 'bg-green-100 text-green-800'
-                            : 'bg-gray-100 text-gray-800'
-                        }`}>
-                          {post.status}
+                        <span className="text-xs text-gray-500">
+                          {post.type === 'event' ? '📅 Event' : '📢 Announcement'}
                         </span>
                       </div>
-                      <h3 className="text-lg font-semibold text-gray-900 mb-1">{post.title}</h3>
-                      <p className="text-gray-600 text-sm mb-2 line-clamp-2">{post.content}</p>
-                      
-                      {post.type === 'event' && post.event_date && (
-                        <p className="text-sm text-gray-500 mb-2">
-                          📅 Event Date: {formatDate(post.event_date)}
-                        </p>
-                      )}
+                      <h3 className="text-base font-semibold text-gray-900 truncate">{post.title || 'Untitled draft'}</h3>
+                      <p className="text-sm text-gray-500">Last saved: {formatDate(post.updated_at)}</p>
+                    </div>
 
-                      <div className="flex items-center space-x-4 text-sm text-gray-500">
-                        <span>Posted: {formatDate(post.created_at)}</span>
-                        <span>•</span>
-                        <span>💬 {post.comment_count} comments</span>
+                    <div className="flex items-center space-x-2">
+                      <button
+                        onClick={() => handlePublishDraft(post)}
+                        className="px-3 py-1.5 text-sm bg-red-900 hover:bg-red-800 text-white font-semibold rounded-lg transition-colors"
+                      >
+                        Publish
+                      </button>
+                      <button
+                        onClick={() => openDraft(post)}
+                        className="px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                      >
+                        Continue editing
+                      </button>
+                      <button
+                        onClick={() => handleDeletePost(post.id)}
+                        className="px-3 py-1.5 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {tab === 'tags' && (
+          <TagManager
+            department={userProfile.department}
+            tags={tags}
+            createdBy={userProfile.id}
+            onChange={handleTagsChange}
+          />
+        )}
+
+        {tab === 'moderation' && (
+          <div className="space-y-8">
+            <ModerationQueue
+              department={userProfile.department}
+              reports={reports}
+              onChange={handleReportsChange}
+            />
+            <BannedWordManager department={userProfile.department} createdBy={userProfile.id} />
+          </div>
+        )}
+
+        {tab === 'posts' && (
+          <>
+          {/* Scheduled Posts */}
+          {scheduledPosts.length > 0 && (
+            <div className="bg-white rounded-lg shadow-md mb-8">
+              <div className="px-6 py-4 border-b">
+                <h2 className="text-lg font-semibold text-gray-900">Scheduled</h2>
+                <p className="text-sm text-gray-500">Hidden from the feed until their publish time</p>
+              </div>
+
+              <div className="divide-y">
+                {scheduledPosts.map((post) => (
+                  <div key={post.id} className="p-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                    <div className="min-w-0">
+                      <div className="flex items-center space-x-2 mb-1">
+                        <span className="px-3 py-1 rounded-full text-xs font-semibold bg-yellow-100 text-yellow-800">
+                          ⏰ {formatDate(post.publish_at)}
+                        </span>
+                        <span className="text-xs text-gray-500">
+                          {post.type === 'event' ? '📅 Event' : '📢 Announcement'}
+                        </span>
                       </div>
+                      <h3 className="text-base font-semibold text-gray-900 truncate">{post.title}</h3>
+                      {post.expires_at && (
+                        <p className="text-sm text-gray-500">Expires: {formatDate(post.expires_at)}</p>
+                      )}
                     </div>
 
-                    <div className="flex items-center space-x-2 ml-4">
+                    <div className="flex items-center space-x-2">
                       <button
-                        onClick={() => navigate(`/post/${post.id}`)}
-                        className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
-                        title="View"
+                        onClick={() => handlePublishNow(post.id)}
+                        className="px-3 py-1.5 text-sm bg-red-900 hover:bg-red-800 text-white font-semibold rounded-lg transition-colors"
                       >
-                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
-                        </svg>
+                        Publish now
                       </button>
                       <button
                         onClick={() => openEditModal(post)}
-                        className="p-2 text-yellow-600 hover:bg-yellow-50 rounded-lg transition-colors"
-                        title="Edit"
+                        className="px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
                       >
-                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                        </svg>
+                        Edit
                       </button>
-                      {post.status === 'active' && (
-                        <button
-                          onClick={() => handleArchivePost(post.id)}
-                          className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
-                          title="Archive"
-                        >
-                          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4" />
-                          </svg>
-                        </button>
-                      )}
                       <button
                         onClick={() => handleDeletePost(post.id)}
-                        className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
-                        title="Delete"
+                        className="px-3 py-1.5 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors"
                       >
-                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                        </svg>
+                        Delete
                       </button>
                     </div>
                   </div>
-                </div>
-              ))}
+                ))}
+              </div>
             </div>
           )}
-        </div>
+
+          {/* Posts List */}
+          <div className="bg-white rounded-lg shadow-md">
+            <div className="px-6 py-4 border-b">
+              <h2 className="text-lg font-semibold text-gray-900">Your Posts</h2>
+            </div>
+
+            {publishedPosts.length === 0 ? (
+              <div className="p-12 text-center">
+                <p className="text-gray-500 text-lg">No posts yet</p>
+                <p className="text-gray-400 text-sm mt-2">Create your first post to get started</p>
+              </div>
+            ) : (
+              <div className="divide-y">
+                {publishedPosts.map((post) => (
+                  <div key={post.id} className="p-6 hover:bg-gray-50 transition-colors">
+                    <div className="flex items-start justify-between">
+                      <div className="flex-1">
+                        <div className="flex items-center space-x-2 mb-2">
+                          <span className={`px-3 py-1 rounded-full text-xs font-semibold ${
+                            post.type === 'event' 
+                              ? 'bg-blue-100 text-blue-800' 
+                              : 'bg-green-100 text-green-800'
+                          }`}>
+                            {post.type === 'event' ? '📅 Event' : '📢 Announcement'}
+                          </span>
+                          <span className={`px-3 py-1 rounded-full text-xs font-semibold ${
+                            post.status === 'active'
+                              ? 'bg-green-100 text-green-800'
+                              : 'bg-gray-100 text-gray-800'
+                          }`}>
+                            {post.status}
+                          </span>
+                          {post.requires_acknowledgement && (
+                            <span className="px-3 py-1 rounded-full text-xs font-semibold bg-yellow-100 text-yellow-800">
+                              📌 Must read
+                            </span>
+                          )}
+                        </div>
+                        <h3 className="text-lg font-semibold text-gray-900 mb-1">{post.title}</h3>
+                        <Markdown variant="excerpt" className="text-gray-600 text-sm mb-2 line-clamp-2">{post.content}</Markdown>
+                        <TagChips tags={post.tags} className="mb-2" />
+                      
+                        {post.type === 'event' && post.event_date && (
+                          <p className="text-sm text-gray-500 mb-2">
+                            📅 Event Date: {formatDate(post.event_date)}
+                            {post.capacity && ` • 👥 Capacity: ${post.capacity}`}
+                          </p>
+                        )}
+
+                        {post.status === 'active' && post.expires_at && (
+                          <p className="text-sm text-gray-500 mb-2">
+                            ⏳ Expires: {formatDate(post.expires_at)}
+                          </p>
+                        )}
+
+                        <div className="flex items-center space-x-4 text-sm text-gray-500">
+                          <span>Posted: {formatDate(post.publish_at)}</span>
+                          <span>•</span>
+                          <span>💬 {post.comment_count} comments</span>
+                          {post.post_attachments?.length > 0 && (
+                            <>
+                              <span>•</span>
+                              <span>📎 {post.post_attachments.length}</span>
+                            </>
+                          )}
+                          {post.last_comment_at && (
+                            <>
+                              <span>•</span>
+                              <span>Last activity: {formatDate(post.last_activity_at)}</span>
+                            </>
+                          )}
+                        </div>
+                      </div>
+
+                      <div className="flex items-center space-x-2 ml-4">
+                        <button
+                          onClick={() => navigate(`/post/${post.id}`)}
+                          className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                          title="View"
+                        >
+                          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
+                          </svg>
+                        </button>
+                        <button
+                          onClick={() => openEditModal(post)}
+                          className="p-2 text-yellow-600 hover:bg-yellow-50 rounded-lg transition-colors"
+                          title="Edit"
+                        >
+                          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                          </svg>
+                        </button>
+                        {post.type === 'event' && ['active', 'archived'].includes(post.status) && (
+                          <>
+                            <button
+                              onClick={() => setCheckInPost(post)}
+                              className="p-2 text-green-700 hover:bg-green-50 rounded-lg transition-colors"
+                              title="Show check-in QR code"
+                            >
+                              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v1m6 11h2m-6 0h-2v4m0-11v3m0 0h.01M12 12h4.01M16 20h4M4 12h4m12 0h.01M5 8h2a1 1 0 001-1V5a1 1 0 00-1-1H5a1 1 0 00-1 1v2a1 1 0 001 1zm12 0h2a1 1 0 001-1V5a1 1 0 00-1-1h-2a1 1 0 00-1 1v2a1 1 0 001 1zM5 20h2a1 1 0 001-1v-2a1 1 0 00-1-1H5a1 1 0 00-1 1v2a1 1 0 001 1z" />
+                              </svg>
+                            </button>
+                            <button
+                              onClick={() => setAttendancePost(post)}
+                              className="p-2 text-purple-700 hover:bg-purple-50 rounded-lg transition-colors"
+                              title="Attendance report"
+                            >
+                              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+                              </svg>
+                            </button>
+                          </>
+                        )}
+                        {post.requires_acknowledgement && ['active', 'archived'].includes(post.status) && (
+                          <button
+                            onClick={() => setAcknowledgementPost(post)}
+                            className="p-2 text-yellow-700 hover:bg-yellow-50 rounded-lg transition-colors"
+                            title="Acknowledgement report"
+                          >
+                            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
+                            </svg>
+                          </button>
+                        )}
+                        {post.status === 'active' && (
+                          <button
+                            onClick={() => handleArchivePost(post.id)}
+                            className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+                            title="Archive"
+                          >
+                            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4" />
+                            </svg>
+                          </button>
+                        )}
+                        <button
+                          onClick={() => handleDeletePost(post.id)}
+                          className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                          title="Delete"
+                        >
+                          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                          </svg>
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+          </>
+        )}
       </main>
 
       {/* CREATE POST MODAL */}
       {showCreateModal && (
         <div
           className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm"
-          onClick={() => {
-            setShowCreateModal(false);
-            setFormData({ title: '', content: '', type: 'announcement', event_date: '' });
-          }}
+          onClick={handleCloseCompose}
         >
           <div
-            className="bg-white rounded-lg shadow-xl w-full max-w-2xl mx-4 max-h-[90vh] overflow-y-auto"
+            className="bg-white rounded-lg shadow-xl w-full max-w-4xl mx-4 max-h-[90vh] overflow-y-auto"
             onClick={(e) => e.stopPropagation()}
           >
             <div className="p-6 border-b">
-              <h2 className="text-2xl font-bold text-gray-900">Create New Post</h2>
+              <h2 className="text-2xl font-bold text-gray-900">{draftId ? 'Edit Draft' : 'Create New Post'}</h2>
             </div>
 
-            <div className="p-6 space-y-4">
-              <div>
-                <label className="block text-sm font-semibold text-gray-700 mb-2">Post Type</label>
-                <select
-                  value={formData.type}
-                  onChange={(e) => setFormData({ ...formData, type: e.target.value })}
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900"
-                >
-                  <option value="announcement">Announcement</option>
-                  <option value="event">Event</option>
-                </select>
-              </div>
+            <div className="p-6">
+              <PostFormFields
+                values={formData}
+                tags={tags}
+                onChange={(changes) => setFormData({ ...formData, ...changes })}
+              />
+            </div>
 
-              <div>
-                <label className="block text-sm font-semibold text-gray-700 mb-2">Title</label>
-                <input
-                  type="text"
-                  value={formData.title}
-                  onChange={(e) => setFormData({ ...formData, title: e.target.value })}
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900"
-                  placeholder="Enter post title"
-                />
-              </div>
+            <div className="p-6 border-t flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+              <p className="text-sm text-gray-500">
+                {saveState.status === 'saving' && 'Saving draft...'}
+                {saveState.status === 'saved' && `Draft saved at ${saveState.savedAt.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}`}
+                {saveState.status === 'local' && 'Offline: draft kept on this device'}
+                {saveState.status === 'idle' && 'Drafts are saved automatically'}
+              </p>
 
-              <div>
-                <label className="block text-sm font-semibold text-gray-700 mb-2">Content</label>
-                <textarea
-                  value={formData.content}
-                  onChange={(e) => setFormData({ ...formData, content: e.target.value })}
-                  rows="6"
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900"
-                  placeholder="Enter post content"
-                ></textarea>
+              <div className="flex justify-end space-x-3">
+                {(draftId || formData.title || formData.content) && (
+                  <button
+                    onClick={handleDiscardDraft}
+                    className="px-4 py-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                  >
+                    Discard
+                  </button>
+                )}
+                <button
+                  onClick={handleCloseCompose}
+                  className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  Save Draft & Close
+                </button>
+                <button
+                  onClick={handleCreatePost}
+                  className="px-6 py-2 bg-red-900 hover:bg-red-800 text-white font-semibold rounded-lg transition-colors"
+                >
+                  {getSchedule(formData).status === 'scheduled' ? 'Schedule Post' : 'Publish Post'}
+                </button>
               </div>
-
-              {formData.type === 'event' && (
-                <div>
-                  <label className="block text-sm font-semibold text-gray-700 mb-2">Event Date & Time</label>
-                  <input
-                    type="datetime-local"
-                    value={formData.event_date}
-                    onChange={(e) => setFormData({ ...formData, event_date: e.target.value })}
-                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900"
-                  />
-                </div>
-              )}
-            </div>
-
-            <div className="p-6 border-t flex justify-end space-x-3">
-              <button
-                onClick={() => {
-                  setShowCreateModal(false);
-                  setFormData({ title: '', content: '', type: 'announcement', event_date: '' });
-                }}
-                className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
-              >
-                Cancel
-              </button>
-              <button
-                onClick={handleCreatePost}
-                className="px-6 py-2 bg-red-900 hover:bg-red-800 text-white font-semibold rounded-lg transition-colors"
-              >
-                Create Post
-              </button>
             </div>
           </div>
         </div>
@@ -521,63 +993,23 @@ export default function AdminPanel() {
           onClick={() => {
             setShowEditModal(false);
             setEditingPost(null);
-            setFormData({ title: '', content: '', type: 'announcement', event_date: '' });
+            setFormData(EMPTY_FORM);
           }}
         >
           <div
-            className="bg-white rounded-lg shadow-xl w-full max-w-2xl mx-4 max-h-[90vh] overflow-y-auto"
+            className="bg-white rounded-lg shadow-xl w-full max-w-4xl mx-4 max-h-[90vh] overflow-y-auto"
             onClick={(e) => e.stopPropagation()}
           >
             <div className="p-6 border-b">
               <h2 className="text-2xl font-bold text-gray-900">Edit Post</h2>
             </div>
 
-            <div className="p-6 space-y-4">
-              <div>
-                <label className="block text-sm font-semibold text-gray-700 mb-2">Post Type</label>
-                <select
-                  value={formData.type}
-                  onChange={(e) => setFormData({ ...formData, type: e.target.value })}
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900"
-                >
-                  <option value="announcement">Announcement</option>
-                  <option value="event">Event</option>
-                </select>
-              </div>
-
-              <div>
-                <label className="block text-sm font-semibold text-gray-700 mb-2">Title</label>
-                <input
-                  type="text"
-                  value={formData.title}
-                  onChange={(e) => setFormData({ ...formData, title: e.target.value })}
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900"
-                  placeholder="Enter post title"
-                />
-              </div>
-
-              <div>
-                <label className="block text-sm font-semibold text-gray-700 mb-2">Content</label>
-                <textarea
-                  value={formData.content}
-                  onChange={(e) => setFormData({ ...formData, content: e.target.value })}
-                  rows="6"
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900"
-                  placeholder="Enter post content"
-                ></textarea>
-              </div>
-
-              {formData.type === 'event' && (
-                <div>
-                  <label className="block text-sm font-semibold text-gray-700 mb-2">Event Date & Time</label>
-                  <input
-                    type="datetime-local"
-                    value={formData.event_date}
-                    onChange={(e) => setFormData({ ...formData, event_date: e.target.value })}
-                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900"
-                  />
-                </div>
-              )}
+            <div className="p-6">
+              <PostFormFields
+                values={formData}
+                tags={tags}
+                onChange={(changes) => setFormData({ ...formData, ...changes })}
+              />
             </div>
 
             <div className="p-6 border-t flex justify-end space-x-3">
@@ -585,7 +1017,7 @@ export default function AdminPanel() {
                 onClick={() => {
                   setShowEditModal(false);
                   setEditingPost(null);
-                  setFormData({ title: '', content: '', type: 'announcement', event_date: '' });
+                  setFormData(EMPTY_FORM);
                 }}
                 className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
               >
@@ -601,6 +1033,12 @@ export default function AdminPanel() {
           </div>
         </div>
       )}
+
+      {checkInPost && <CheckInDisplay post={checkInPost} onClose={() => setCheckInPost(null)} />}
+      {attendancePost && <AttendanceReport post={attendancePost} onClose={() => setAttendancePost(null)} />}
+      {acknowledgementPost && (
+        <AcknowledgementReport post={acknowledgementPost} onClose={() => setAcknowledgementPost(null)} />
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -1,142 +1,62 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
-import supabase from '../lib/supabase';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import toast, { Toaster } from 'react-hot-toast';
+import { useAuth } from '../context/auth';
+import { postsApi, tagsApi } from '../api';
+import Markdown from '../components/Markdown';
+import SearchBar from '../components/SearchBar';
+import TagChips from '../components/TagChips';
+import TagFilter from '../components/TagFilter';
+import { getDepartmentInfo } from '../lib/departments';
 
 export default function Archive() {
   const navigate = useNavigate();
-  const [user, setUser] = useState(null);
-  const [userProfile, setUserProfile] = useState(null);
-  const [userType, setUserType] = useState(null); // 'user', 'admin', or 'super_admin'
+  const { user, profile: userProfile, role: userType } = useAuth(); // 'user', 'admin', or 'super_admin'
+  const [searchParams, setSearchParams] = useSearchParams();
+  const selectedTag = searchParams.get('tag');
   const [posts, setPosts] = useState([]);
+  const [tags, setTags] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showMobileSidebar, setShowMobileSidebar] = useState(false);
 
-  const departments = [
-    { code: 'CCS', name: 'College of Computer Studies', logo: '/src/logos/ccs-logo.png' },
-    { code: 'COE', name: 'College of Engineering', logo: '/src/logos/coe-logo.png' },
-    { code: 'COC', name: 'College of Criminology', logo: '/src/logos/coc-logo.png' },
-    { code: 'CED', name: 'College of Education', logo: '/src/logos/ced-logo.png' },
-    { code: 'CAS', name: 'College of Arts and Sciences', logo: '/src/logos/cas-logo.png' },
-    { code: 'CBAA', name: 'College of Business Administration and Accountancy', logo: '/src/logos/cba-logo.png' }
-  ];
-
-  // Check authentication and determine user type
-  useEffect(() => {
-    const checkAuth = async () => {
-      try {
-        const { data: { session }, error } = await supabase.auth.getSession();
-
-        if (error) throw error;
-
-        if (!session) {
-          navigate('/');
-          return;
-        }
-
-        setUser(session.user);
-
-        // Check if super admin
-        const { data: superAdmin } = await supabase
-          .from('super_admins')
-          .select('*')
-          .eq('id', session.user.id)
-          .maybeSingle();
-
-        if (superAdmin) {
-          setUserProfile(superAdmin);
-          setUserType('super_admin');
-          setLoading(false);
-          return;
-        }
-
-        // Check if admin
-        const { data: admin } = await supabase
-          .from('admins')
-          .select('*')
-          .eq('id', session.user.id)
-          .maybeSingle();
-
-        if (admin) {
-          setUserProfile(admin);
-          setUserType('admin');
-          setLoading(false);
-          return;
-        }
-
-        // Check if regular user
-        const { data: regularUser } = await supabase
-          .from('users')
-          .select('*')
-          .eq('id', session.user.id)
-          .maybeSingle();
-
-        if (regularUser) {
-          setUserProfile(regularUser);
-          setUserType('user');
-          setLoading(false);
-          return;
-        }
-
-        // No profile found
-        toast.error('User profile not found');
-        navigate('/');
-
-      } catch (error) {
-        console.error('Error fetching user:', error);
-        navigate('/');
-      }
-    };
-
-    checkAuth();
-  }, [navigate]);
-
   // Fetch archived posts based on user type
   useEffect(() => {
     if (!user || !userProfile || !userType) return;
     fetchPosts();
-  }, [user, userProfile, userType]);
+  }, [user, userProfile, userType, selectedTag]);
+
+  // Super admins see every department's archive, so they get every tag
+  useEffect(() => {
+    if (!userProfile || !userType) return;
+
+    tagsApi.listTags(userType === 'super_admin' ? null : userProfile.department)
+      .then(setTags)
+      .catch((error) => console.error('Error loading tags:', error));
+  }, [userProfile, userType]);
+
+  const handleTagSelect = (tagId) => {
+    setSearchParams(tagId ? { tag: tagId } : {}, { replace: true });
+  };
 
   const fetchPosts = async () => {
     setLoading(true);
     try {
-      let query = supabase
-        .from('posts')
-        .select(`
-          *,
-          admins:author_id (name, department)
-        `)
-        .eq('status', 'archived');
+      const filters = {};
 
       // Filter based on user type
       if (userType === 'admin') {
         // Admins see only their own archived posts
-        query = query.eq('author_id', userProfile.id);
+        filters.authorId = userProfile.id;
       } else if (userType === 'user') {
         // Regular users see archived posts from their department
-        query = query.eq('department', userProfile.department);
+        filters.department = userProfile.department;
       }
       // Super admins see all archived posts (no filter)
 
-      query = query.order('created_at', { ascending: false });
-
-      const { data, error } = await query;
-
-      if (error) throw error;
+      if (selectedTag) filters.tag = selectedTag;
 
-      // Add comment count to each post
-      const postsWithComments = await Promise.all(
-        (data || []).map(async (post) => {
-          const { count } = await supabase
-            .from('comments')
-            .select('*', { count: 'exact', head: true })
-            .eq('post_id', post.id);
-          
-          return { ...post, comment_count: count || 0 };
-        })
-      );
-
-      setPosts(postsWithComments);
+      const archivedPosts = await postsApi.listArchived(filters);
+      setPosts(archivedPosts);
     } catch (error) {
       toast.error('Failed to load archived posts');
       console.error(error);
@@ -153,12 +73,7 @@ export default function Archive() {
     const loadingToast = toast.loading('Restoring post...');
 
     try {
-      const { error } = await supabase
-        .from('posts')
-        .update({ status: 'active' })
-        .eq('id', postId);
-
-      if (error) throw error;
+      await postsApi.restorePost(postId);
 
       toast.success('Post restored successfully!', { id: loadingToast });
       fetchPosts();
@@ -167,10 +82,6 @@ export default function Archive() {
     }
   };
 
-  const getDepartmentInfo = (code) => {
-    return departments.find(dept => dept.code === code);
-  };
-
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', { 
@@ -182,11 +93,6 @@ export default function Archive() {
     });
   };
 
-  const truncateText = (text, maxLength = 200) => {
-    if (text.length <= maxLength) return text;
-    return text.substring(0, maxLength) + '...';
-  };
-
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-100">
@@ -261,6 +167,19 @@ export default function Archive() {
             </h3>
           </div>
 
+          <button
+            onClick={() => {
+              navigate('/calendar');
+              setShowMobileSidebar(false);
+            }}
+            className="w-full text-left px-4 sm:px-6 py-3 text-gray-700 hover:bg-gray-50 transition-colors"
+          >
+            <div className="flex items-center">
+              <span className="text-lg sm:text-xl mr-3">📅</span>
+              <span className="text-xs sm:text-sm">Calendar</span>
+            </div>
+          </button>
+
           <button
             className="w-full text-left px-4 sm:px-6 py-3 bg-red-50 border-r-4 border-red-900 text-red-900 font-semibold"
           >
@@ -314,6 +233,12 @@ export default function Archive() {
               </div>
             </div>
 
+            <SearchBar
+              filters={{ status: 'archived', department: userType === 'user' ? userProfile.department : 'all' }}
+              placeholder="Search the archive"
+              className="hidden md:block flex-1 max-w-sm mx-4"
+            />
+
             <button
               onClick={() => navigate('/dashboard')}
               className="px-3 sm:px-4 py-1.5 sm:py-2 text-gray-600 hover:text-gray-900 font-medium transition-colors flex items-center space-x-1 sm:space-x-2 text-xs sm:text-sm"
@@ -329,6 +254,14 @@ export default function Archive() {
 
         {/* POSTS FEED - Responsive */}
         <main className="flex-1 overflow-y-auto p-4 sm:p-6 lg:p-8">
+          <TagFilter
+            tags={tags}
+            selected={selectedTag}
+            onSelect={handleTagSelect}
+            showDepartment={userType === 'super_admin'}
+            className="max-w-4xl mx-auto mb-4 sm:mb-6"
+          />
+
           {loading ? (
             <div className="flex items-center justify-center h-full">
               <div className="text-center">
@@ -340,9 +273,13 @@ export default function Archive() {
             <div className="flex items-center justify-center h-full">
               <div className="text-center px-4">
                 <span className="text-5xl sm:text-6xl mb-4 block">📦</span>
-                <p className="text-gray-500 text-base sm:text-lg">No archived posts</p>
+                <p className="text-gray-500 text-base sm:text-lg">
+                  {selectedTag ? 'No archived posts with this tag' : 'No archived posts'}
+                </p>
                 <p className="text-gray-400 text-sm mt-2">
-                  {userType === 'admin' 
+                  {selectedTag
+                    ? 'Pick another tag or All'
+                    : userType === 'admin' 
                     ? 'Your archived posts will appear here'
                     : 'Archived posts from your department will appear here'}
                 </p>
@@ -391,6 +328,7 @@ export default function Archive() {
                             {post.type === 'event' ? '📅 Event' : '📢 Announcement'}
                           </span>
                           <h3 className="text-base sm:text-lg lg:text-xl font-bold text-gray-900">{post.title}</h3>
+                          <TagChips tags={post.tags} onSelect={(tag) => handleTagSelect(tag.id)} className="mt-2" />
                         </div>
                         
                         {isOwnPost && (
@@ -406,7 +344,7 @@ export default function Archive() {
                         )}
                       </div>
                       
-                      <p className="text-sm sm:text-base text-gray-600 mb-4 whitespace-pre-wrap">{truncateText(post.content, 200)}</p>
+                      <Markdown variant="excerpt" className="text-sm sm:text-base text-gray-600 mb-4 line-clamp-4">{post.content}</Markdown>
 
                       {post.type === 'event' && post.event_date && (
                         <div className="mb-4 flex items-center text-xs sm:text-sm text-gray-500">
@@ -418,7 +356,7 @@ export default function Archive() {
                       {/* Post Meta */}
                       <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between text-xs sm:text-sm text-gray-500 pt-4 border-t space-y-2 sm:space-y-0">
                         <div className="flex items-center space-x-2 sm:space-x-4">
-                          <span className="truncate">By {post.admins?.name || 'Unknown'}</span>
+                          <span className="truncate">By {post.users?.name || 'Unknown'}</span>
                           <span className="hidden sm:inline">•</span>
                           <span className="text-xs">Archived: {formatDate(post.updated_at)}</span>
                         </div>
@@ -427,6 +365,12 @@ export default function Archive() {
                             <span>💬</span>
                             <span>{post.comment_count}</span>
                           </div>
+                          {post.post_attachments?.length > 0 && (
+                            <div className="flex items-center space-x-1" title="Attachments">
+                              <span>📎</span>
+                              <span>{post.post_attachments.length}</span>
+                            </div>
+                          )}
                           <button
                             onClick={() => navigate(`/post/${post.id}`)}
                             className="text-blue-600 hover:text-blue-800 font-medium"
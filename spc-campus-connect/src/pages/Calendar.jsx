@@ -0,0 +1,409 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import toast, { Toaster } from 'react-hot-toast';
+import { postsApi } from '../api';
+import { DEPARTMENTS, getDepartmentInfo } from '../lib/departments';
+
+const VIEWS = [
+  { id: 'month', label: 'Month' },
+  { id: 'week', label: 'Week' },
+  { id: 'agenda', label: 'Agenda' }
+];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// The agenda lists this many days from the day it starts on
+const AGENDA_DAYS = 30;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const startOfWeek = (date) => addDays(startOfDay(date), -date.getDay());
+
+const isSameDay = (a, b) => (
+  a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate()
+);
+
+// Local calendar day, used to group events
+const dayKey = (date) => `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+
+// First and last (exclusive) day on screen. The month grid runs from the
+// Sunday before the 1st to the Saturday after the last day.
+const getRange = (view, cursor) => {
+  if (view === 'month') {
+    const first = new Date(cursor.getFullYear(), cursor.getMonth(), 1);
+    const last = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 0);
+    return { from: startOfWeek(first), to: addDays(startOfWeek(last), 7) };
+  }
+
+  if (view === 'week') {
+    const from = startOfWeek(cursor);
+    return { from, to: addDays(from, 7) };
+  }
+
+  const from = startOfDay(cursor);
+  return { from, to: addDays(from, AGENDA_DAYS) };
+};
+
+const shiftCursor = (view, cursor, direction) => {
+  if (view === 'month') return new Date(cursor.getFullYear(), cursor.getMonth() + direction, 1);
+  if (view === 'week') return addDays(cursor, 7 * direction);
+  return addDays(cursor, AGENDA_DAYS * direction);
+};
+
+const getTitle = (view, cursor, { from, to }) => {
+  if (view === 'month') {
+    return cursor.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  }
+
+  const last = addDays(to, -1);
+  const start = from.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  const end = last.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  return `${start} – ${end}`;
+};
+
+// The calendar-feed edge function; there is none to subscribe to in memory mode
+const getFeedUrl = (department) => {
+  const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
+  if (import.meta.env.VITE_API_BACKEND === 'memory' || !supabaseUrl) return null;
+
+  const query = department === 'all' ? '' : `?department=${encodeURIComponent(department)}`;
+  return `${supabaseUrl}/functions/v1/calendar-feed${query}`;
+};
+
+const formatTime = (date) => date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+
+function EventChip({ event, onOpen, showTime = true }) {
+  return (
+    <button
+      onClick={() => onOpen(event)}
+      title={`${event.title} (${event.department})`}
+      className={`w-full text-left px-1.5 py-0.5 rounded text-xs truncate transition-colors ${
+        event.status === 'archived'
+          ? 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+          : 'bg-blue-100 text-blue-900 hover:bg-blue-200'
+      }`}
+    >
+      {showTime && <span className="font-semibold">{formatTime(event.date)} </span>}
+      {event.title}
+    </button>
+  );
+}
+
+export default function Calendar() {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const department = searchParams.get('department') || 'all';
+  const view = VIEWS.some((option) => option.id === searchParams.get('view')) ? searchParams.get('view') : 'month';
+  const [cursor, setCursor] = useState(() => startOfDay(new Date()));
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const range = useMemo(() => getRange(view, cursor), [view, cursor]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+
+    postsApi.listEvents({ ...range, department })
+      .then((data) => {
+        if (!cancelled) setEvents(data.map((event) => ({ ...event, date: new Date(event.event_date) })));
+      })
+      .catch((error) => {
+        if (!cancelled) toast.error('Failed to load events');
+        console.error(error);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [range, department]);
+
+  const eventsByDay = useMemo(() => {
+    const grouped = new Map();
+    events.forEach((event) => {
+      const key = dayKey(event.date);
+      grouped.set(key, [...(grouped.get(key) || []), event]);
+    });
+    return grouped;
+  }, [events]);
+
+  // Department and view live in the URL so a filtered calendar can be shared
+  const updateParams = (changes) => {
+    const next = { department, view, ...changes };
+    const params = {};
+    if (next.department !== 'all') params.department = next.department;
+    if (next.view !== 'month') params.view = next.view;
+    setSearchParams(params, { replace: true });
+  };
+
+  const openEvent = (event) => navigate(`/post/${event.id}`);
+
+  const feedUrl = getFeedUrl(department);
+  const webcalUrl = feedUrl?.replace(/^https?:/, 'webcal:');
+
+  const handleCopyFeedUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      toast.success('Feed link copied');
+    } catch (error) {
+      console.error('Error copying feed link:', error);
+      toast.error('Could not copy the link');
+    }
+  };
+
+  const today = startOfDay(new Date());
+  const days = [];
+  for (let day = range.from; day < range.to; day = addDays(day, 1)) days.push(day);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Toaster position="top-center" />
+
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-3 sm:py-4 flex items-center justify-between">
+          <div>
+            <h1 className="text-lg sm:text-xl lg:text-2xl font-bold text-gray-900">📅 Event Calendar</h1>
+            <p className="text-xs sm:text-sm text-gray-500 mt-0.5 sm:mt-1">
+              {department === 'all' ? 'All departments' : getDepartmentInfo(department)?.name}
+            </p>
+          </div>
+
+          <button
+            onClick={() => navigate('/dashboard')}
+            className="px-3 sm:px-4 py-1.5 sm:py-2 text-gray-600 hover:text-gray-900 font-medium transition-colors flex items-center space-x-1 sm:space-x-2 text-xs sm:text-sm"
+          >
+            <svg className="w-4 h-4 sm:w-5 sm:h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+            </svg>
+            <span className="hidden sm:inline">Back to Dashboard</span>
+            <span className="sm:hidden">Back</span>
+          </button>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 sm:py-6">
+        {/* Toolbar */}
+        <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3 mb-4">
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => setCursor(shiftCursor(view, cursor, -1))}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+              title="Previous"
+            >
+              ‹
+            </button>
+            <button
+              onClick={() => setCursor(startOfDay(new Date()))}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50"
+            >
+              Today
+            </button>
+            <button
+              onClick={() => setCursor(shiftCursor(view, cursor, 1))}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+              title="Next"
+            >
+              ›
+            </button>
+            <h2 className="ml-2 text-base sm:text-lg font-semibold text-gray-900">{getTitle(view, cursor, range)}</h2>
+            {loading && <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-red-900"></div>}
+          </div>
+
+          <div className="flex flex-col sm:flex-row gap-2">
+            <select
+              value={department}
+              onChange={(e) => updateParams({ department: e.target.value })}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-red-900"
+            >
+              <option value="all">All departments</option>
+              {DEPARTMENTS.map((dept) => (
+                <option key={dept.code} value={dept.code}>{dept.code} - {dept.name}</option>
+              ))}
+            </select>
+
+            <div className="flex text-sm border border-gray-300 rounded-lg overflow-hidden">
+              {VIEWS.map((option) => (
+                <button
+                  key={option.id}
+                  onClick={() => updateParams({ view: option.id })}
+                  className={`flex-1 px-4 py-1.5 ${view === option.id ? 'bg-red-900 text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {/* Month View */}
+        {view === 'month' && (
+          <div className="bg-white rounded-lg shadow-md overflow-hidden">
+            <div className="grid grid-cols-7 border-b bg-gray-50">
+              {WEEKDAYS.map((weekday) => (
+                <div key={weekday} className="px-2 py-2 text-xs font-semibold text-gray-500 text-center">{weekday}</div>
+              ))}
+            </div>
+            <div className="grid grid-cols-7">
+              {days.map((day) => {
+                const dayEvents = eventsByDay.get(dayKey(day)) || [];
+                const inMonth = day.getMonth() === cursor.getMonth();
+
+                return (
+                  <div
+                    key={day.toISOString()}
+                    className={`min-h-20 sm:min-h-28 border-b border-r p-1 ${inMonth ? '' : 'bg-gray-50'}`}
+                  >
+                    <div className={`text-xs mb-1 w-6 h-6 flex items-center justify-center rounded-full ${
+                      isSameDay(day, today)
+                        ? 'bg-red-900 text-white font-bold'
+                        : inMonth ? 'text-gray-700' : 'text-gray-400'
+                    }`}>
+                      {day.getDate()}
+                    </div>
+                    <div className="space-y-0.5">
+                      {dayEvents.slice(0, 3).map((event) => (
+                        <EventChip key={event.id} event={event} onOpen={openEvent} showTime={false} />
+                      ))}
+                      {dayEvents.length > 3 && (
+                        <button
+                          onClick={() => {
+                            setCursor(day);
+                            updateParams({ view: 'week' });
+                          }}
+                          className="text-xs text-gray-500 hover:text-gray-800 px-1.5"
+                        >
+                          +{dayEvents.length - 3} more
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        {/* Week View */}
+        {view === 'week' && (
+          <div className="bg-white rounded-lg shadow-md overflow-hidden grid grid-cols-1 sm:grid-cols-7 sm:divide-x divide-y sm:divide-y-0">
+            {days.map((day) => {
+              const dayEvents = eventsByDay.get(dayKey(day)) || [];
+
+              return (
+                <div key={day.toISOString()} className="sm:min-h-64">
+                  <div className={`px-2 py-2 border-b text-center ${isSameDay(day, today) ? 'bg-red-50' : 'bg-gray-50'}`}>
+                    <p className="text-xs font-semibold text-gray-500">{WEEKDAYS[day.getDay()]}</p>
+                    <p className={`text-lg font-bold ${isSameDay(day, today) ? 'text-red-900' : 'text-gray-900'}`}>{day.getDate()}</p>
+                  </div>
+                  <div className="p-1.5 space-y-1">
+                    {dayEvents.map((event) => (
+                      <EventChip key={event.id} event={event} onOpen={openEvent} />
+                    ))}
+                    {dayEvents.length === 0 && <p className="text-xs text-gray-300 text-center py-2 sm:hidden">No events</p>}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Agenda View */}
+        {view === 'agenda' && (
+          <div className="bg-white rounded-lg shadow-md divide-y">
+            {!loading && events.length === 0 && (
+              <div className="p-12 text-center">
+                <span className="text-5xl mb-4 block">📅</span>
+                <p className="text-gray-500 text-lg">No events in the next {AGENDA_DAYS} days</p>
+              </div>
+            )}
+            {days.filter((day) => eventsByDay.has(dayKey(day))).map((day) => (
+              <div key={day.toISOString()} className="flex flex-col sm:flex-row">
+                <div className={`sm:w-40 shrink-0 px-4 py-3 ${isSameDay(day, today) ? 'text-red-900' : 'text-gray-700'}`}>
+                  <p className="font-semibold">{day.toLocaleDateString('en-US', { weekday: 'long' })}</p>
+                  <p className="text-sm text-gray-500">{day.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}</p>
+                </div>
+                <ul className="flex-1 divide-y">
+                  {eventsByDay.get(dayKey(day)).map((event) => {
+                    const deptInfo = getDepartmentInfo(event.department);
+
+                    return (
+                      <li key={event.id}>
+                        <button
+                          onClick={() => openEvent(event)}
+                          className="w-full text-left px-4 py-3 hover:bg-gray-50 transition-colors flex items-center space-x-3"
+                        >
+                          <span className="w-20 shrink-0 text-sm font-semibold text-blue-900">{formatTime(event.date)}</span>
+                          <img
+                            src={deptInfo?.logo}
+                            alt={event.department}
+                            className="h-6 w-6 rounded-full object-contain"
+                            onError={(e) => {
+                              e.target.onerror = null;
+                              e.target.src = '/src/assets/spc-logo.jpg';
+                            }}
+                          />
+                          <span className="flex-1 min-w-0">
+                            <span className="block text-sm font-semibold text-gray-900 truncate">{event.title}</span>
+                            <span className="block text-xs text-gray-500 truncate">
+                              {event.department} • By {event.users?.name || 'Unknown'}
+                              {event.status === 'archived' && ' • Archived'}
+                            </span>
+                          </span>
+                        </button>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Subscribe */}
+        {feedUrl && (
+          <div className="mt-4 sm:mt-6 bg-white rounded-lg shadow-md p-4 sm:p-5">
+            <h3 className="text-sm sm:text-base font-semibold text-gray-900">Subscribe to this calendar</h3>
+            <p className="text-xs sm:text-sm text-gray-500 mt-1 mb-3">
+              {department === 'all' ? 'Every department\'s events' : `${department} events`} in Google Calendar, Outlook or your phone. New and rescheduled events show up on the app's next refresh.
+            </p>
+            <div className="flex flex-col sm:flex-row gap-2">
+              <input
+                type="text"
+                readOnly
+                value={feedUrl}
+                onFocus={(e) => e.target.select()}
+                className="flex-1 min-w-0 px-3 py-1.5 border border-gray-300 rounded-lg text-xs sm:text-sm text-gray-700 bg-gray-50"
+              />
+              <button
+                onClick={handleCopyFeedUrl}
+                className="px-4 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50"
+              >
+                Copy
+              </button>
+              <a
+                href={webcalUrl}
+                className="px-4 py-1.5 bg-red-900 hover:bg-red-800 text-white rounded-lg text-sm text-center"
+              >
+                Open in calendar app
+              </a>
+              <a
+                href={`https://calendar.google.com/calendar/r?cid=${encodeURIComponent(webcalUrl)}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="px-4 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 text-center"
+              >
+                Google Calendar
+              </a>
+            </div>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,218 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import toast, { Toaster } from 'react-hot-toast';
+import { checkInApi } from '../api';
+import { CHECK_IN_CODE_LENGTH, parseCheckInCode } from '../lib/checkIn';
+import { formatTime } from '../lib/format';
+
+const SCAN_INTERVAL_MS = 300;
+
+// BarcodeDetector is in Chrome and Edge on Android and desktop; elsewhere
+// students scan with their camera app (the QR holds a link here) or type
+// the code in
+const canScan = typeof window !== 'undefined' && 'BarcodeDetector' in window && !!navigator.mediaDevices?.getUserMedia;
+
+// Students check in to an event by scanning the QR code the organiser is
+// showing, or by typing the code printed under it. Opening the QR's link
+// (/check-in?code=...) checks in straight away.
+export default function CheckIn() {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [code, setCode] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const videoRef = useRef(null);
+  const linkCodeRef = useRef(null);
+
+  const submit = useCallback(async (value) => {
+    const parsed = parseCheckInCode(value);
+    if (!parsed) {
+      toast.error(`Enter the ${CHECK_IN_CODE_LENGTH}-character code shown under the QR code`);
+      return;
+    }
+
+    setSubmitting(true);
+    const loadingToast = toast.loading('Checking in...');
+
+    try {
+      const checkIn = await checkInApi.checkIn(parsed);
+      setResult(checkIn);
+      setCode('');
+      toast.success(checkIn.already_checked_in ? "You're already checked in" : "You're checked in!", { id: loadingToast });
+    } catch (error) {
+      toast.error(error.message, { id: loadingToast });
+    } finally {
+      setSubmitting(false);
+    }
+  }, []);
+
+  // A code from the QR's link is used once, then dropped from the URL
+  useEffect(() => {
+    const linkCode = searchParams.get('code');
+    if (!linkCode || linkCodeRef.current === linkCode) return;
+
+    linkCodeRef.current = linkCode;
+    setSearchParams({}, { replace: true });
+    submit(linkCode);
+  }, [searchParams, setSearchParams, submit]);
+
+  useEffect(() => {
+    if (!scanning) return;
+
+    let stream = null;
+    let timer = null;
+    let stopped = false;
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+
+    const stop = () => {
+      stopped = true;
+      clearInterval(timer);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+      .then((mediaStream) => {
+        stream = mediaStream;
+        if (stopped) {
+          stop();
+          return;
+        }
+
+        videoRef.current.srcObject = stream;
+        videoRef.current.play();
+
+        timer = setInterval(async () => {
+          if (!videoRef.current || videoRef.current.readyState < 2) return;
+
+          try {
+            const [barcode] = await detector.detect(videoRef.current);
+            if (!barcode || stopped) return;
+
+            if (!parseCheckInCode(barcode.rawValue)) {
+              toast.error("That QR code isn't an event check-in", { id: 'not-a-check-in' });
+              return;
+            }
+
+            stop();
+            setScanning(false);
+            submit(barcode.rawValue);
+          } catch (error) {
+            console.error('Error scanning:', error);
+          }
+        }, SCAN_INTERVAL_MS);
+      })
+      .catch((error) => {
+        console.error('Error opening the camera:', error);
+        toast.error('Could not open the camera. Type the code in instead.');
+        setScanning(false);
+      });
+
+    return stop;
+  }, [scanning, submit]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submit(code);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Toaster position="top-center" />
+
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-3 sm:py-4 flex items-center justify-between">
+          <div>
+            <h1 className="text-lg sm:text-xl lg:text-2xl font-bold text-gray-900">✅ Event Check-in</h1>
+            <p className="text-xs sm:text-sm text-gray-500 mt-0.5 sm:mt-1">Record your attendance at an event</p>
+          </div>
+
+          <button
+            onClick={() => navigate('/dashboard')}
+            className="px-3 sm:px-4 py-1.5 sm:py-2 text-gray-600 hover:text-gray-900 font-medium transition-colors flex items-center space-x-1 sm:space-x-2 text-xs sm:text-sm"
+          >
+            <svg className="w-4 h-4 sm:w-5 sm:h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+            </svg>
+            <span className="hidden sm:inline">Back to Dashboard</span>
+            <span className="sm:hidden">Back</span>
+          </button>
+        </div>
+      </header>
+
+      <main className="max-w-md mx-auto px-4 py-6 sm:py-10 space-y-4 sm:space-y-6">
+        {result && (
+          <div className="bg-green-50 border border-green-200 rounded-lg p-4 sm:p-5 text-center">
+            <p className="text-3xl mb-2">🎉</p>
+            <p className="text-sm sm:text-base text-green-900">
+              {result.already_checked_in ? 'You were already checked in to' : "You're checked in to"}
+            </p>
+            <p className="text-base sm:text-lg font-bold text-green-900">{result.title}</p>
+            <p className="text-xs text-green-800 mt-1">
+              {formatTime(result.checked_in_at)}
+            </p>
+            <button
+              onClick={() => navigate(`/post/${result.post_id}`)}
+              className="mt-3 text-sm font-semibold text-green-900 hover:underline"
+            >
+              View event
+            </button>
+          </div>
+        )}
+
+        <div className="bg-white rounded-lg shadow-md p-4 sm:p-6">
+          <h2 className="text-base sm:text-lg font-semibold text-gray-900 mb-3">Scan the QR code</h2>
+
+          {scanning ? (
+            <>
+              <video ref={videoRef} muted playsInline className="w-full aspect-square object-cover rounded-lg bg-black" />
+              <button
+                onClick={() => setScanning(false)}
+                className="mt-3 w-full px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Stop scanning
+              </button>
+            </>
+          ) : canScan ? (
+            <button
+              onClick={() => setScanning(true)}
+              disabled={submitting}
+              className="w-full px-4 py-3 bg-red-900 hover:bg-red-800 text-white font-semibold rounded-lg transition-colors disabled:opacity-50"
+            >
+              📷 Open camera
+            </button>
+          ) : (
+            <p className="text-sm text-gray-500">
+              Point your phone's camera app at the QR code and open the link it shows, or type the code below.
+            </p>
+          )}
+        </div>
+
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-md p-4 sm:p-6">
+          <label className="block text-base sm:text-lg font-semibold text-gray-900 mb-3">Or enter the code</label>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value.toUpperCase())}
+              maxLength={CHECK_IN_CODE_LENGTH}
+              autoComplete="off"
+              autoCapitalize="characters"
+              spellCheck={false}
+              placeholder="ABC234"
+              className="flex-1 min-w-0 px-4 py-2 border border-gray-300 rounded-lg font-mono text-lg tracking-[0.3em] uppercase focus:outline-none focus:ring-2 focus:ring-red-900"
+            />
+            <button
+              type="submit"
+              disabled={submitting || code.length !== CHECK_IN_CODE_LENGTH}
+              className="px-5 py-2 bg-red-900 hover:bg-red-800 text-white font-semibold rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Check in
+            </button>
+          </div>
+        </form>
+      </main>
+    </div>
+  );
+}
@@ -1,81 +1,38 @@
-import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
-import supabase from '../lib/supabase';
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react';
+import { useNavigate, useNavigationType, useSearchParams } from 'react-router-dom';
 import toast, { Toaster } from 'react-hot-toast';
+import { useAuth } from '../context/auth';
+import { ROLE_LABELS, tagsApi } from '../api';
+import useFeed, { getFeedKey, getFeedScrollPosition, rememberFeedScrollPosition } from '../hooks/useFeed';
+import useInfiniteScroll from '../hooks/useInfiniteScroll';
+import NotificationBell from '../components/NotificationBell';
+import SearchBar from '../components/SearchBar';
+import Markdown from '../components/Markdown';
+import TagChips from '../components/TagChips';
+import ReactionSummary from '../components/ReactionSummary';
+import TagFilter from '../components/TagFilter';
+import { isImageAttachment } from '../lib/attachments';
+import { DEPARTMENTS, getDepartmentInfo } from '../lib/departments';
 
 export default function Dashboard() {
   const navigate = useNavigate();
-  const [user, setUser] = useState(null);
-  const [userProfile, setUserProfile] = useState(null);
-  const [posts, setPosts] = useState([]);
-  const [filteredPosts, setFilteredPosts] = useState([]);
-  const [selectedDepartment, setSelectedDepartment] = useState('all');
-  const [loading, setLoading] = useState(true);
+  const navigationType = useNavigationType();
+  const { profile: userProfile, role, signOut } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const selectedDepartment = searchParams.get('department') || 'all';
+  const selectedTag = searchParams.get('tag');
+  const feedKey = getFeedKey(selectedDepartment, selectedTag);
+  // Going back (e.g. from a post) picks up the feed where the reader left it
+  const { posts, total, newPostCount, offline, hasMore, loading, loadingMore, loadMore, refresh } = useFeed(selectedDepartment, {
+    tag: selectedTag,
+    restore: navigationType === 'POP'
+  });
+  const [departmentTags, setDepartmentTags] = useState([]);
+  const mainRef = useRef(null);
+  const sentinelRef = useRef(null);
   const [showProfileDropdown, setShowProfileDropdown] = useState(false);
   const [showMobileSidebar, setShowMobileSidebar] = useState(false);
 
-  const departments = [
-    { code: 'CCS', name: 'College of Computer Studies', logo: '/src/logos/ccs-logo.png' },
-    { code: 'COE', name: 'College of Engineering', logo: '/src/logos/coe-logo.png' },
-    { code: 'COC', name: 'College of Criminology', logo: '/src/logos/coc-logo.png' },
-    { code: 'CED', name: 'College of Education', logo: '/src/logos/ced-logo.png' },
-    { code: 'CAS', name: 'College of Arts and Sciences', logo: '/src/logos/cas-logo.png' },
-    { code: 'CBAA', name: 'College of Business Administration and Accountancy', logo: '/src/logos/cba-logo.png' }
-  ];
-
-  useEffect(() => {
-    let subscription;
-
-    const checkAuth = async () => {
-      try {
-        const { data: { session }, error } = await supabase.auth.getSession();
-
-        if (error) throw error;
-
-        if (!session) {
-          navigate('/');
-          return;
-        }
-
-        setUser(session.user);
-
-        const { data: profile, error: profileError } = await supabase
-          .from('users')
-          .select('*')
-          .eq('id', session.user.id)
-          .single();
-
-        if (profileError) {
-          toast.error('Failed to load user profile');
-          console.error(profileError);
-        } else {
-          setUserProfile(profile);
-        }
-      } catch (error) {
-        console.error('Error fetching user:', error);
-        navigate('/');
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    checkAuth();
-
-    const { data } = supabase.auth.onAuthStateChange((event, session) => {
-      if (event === 'SIGNED_OUT') {
-        navigate('/');
-      } else if (session) {
-        setUser(session.user);
-      }
-    });
-
-    subscription = data?.subscription;
-
-    return () => {
-      if (subscription) subscription.unsubscribe();
-    };
-  }, [navigate]);
-
   useEffect(() => {
     const handleClickOutside = (event) => {
       if (showProfileDropdown && !event.target.closest('.profile-dropdown')) {
@@ -87,59 +44,37 @@ export default function Dashboard() {
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, [showProfileDropdown]);
 
-  useEffect(() => {
-    if (!user) return;
-    fetchPosts();
-  }, [user]);
-
-  const fetchPosts = async () => {
-    setLoading(true);
-    try {
-      const { data, error } = await supabase
-        .from('posts')
-        .select(`
-          *,
-          users:author_id (name, department)
-        `)
-        .eq('status', 'active')
-        .order('created_at', { ascending: false });
-
-      if (error) throw error;
-
-      const postsWithComments = await Promise.all(
-        data.map(async (post) => {
-          const { count } = await supabase
-            .from('comments')
-            .select('*', { count: 'exact', head: true })
-            .eq('post_id', post.id);
-          
-          return { ...post, comment_count: count || 0 };
-        })
-      );
-
-      setPosts(postsWithComments);
-      setFilteredPosts(postsWithComments);
-    } catch (error) {
-      toast.error('Failed to load posts');
-      console.error(error);
-    } finally {
-      setLoading(false);
-    }
-  };
-
+  // Tags are per department, so there is only a tag filter once one is picked
   useEffect(() => {
     if (selectedDepartment === 'all') {
-      setFilteredPosts(posts);
-    } else {
-      setFilteredPosts(posts.filter(post => post.department === selectedDepartment));
+      setDepartmentTags([]);
+      return;
     }
-  }, [selectedDepartment, posts]);
+
+    let cancelled = false;
+    tagsApi.listTags(selectedDepartment)
+      .then((tags) => {
+        if (!cancelled) setDepartmentTags(tags);
+      })
+      .catch((error) => console.error('Error loading tags:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedDepartment]);
+
+  // Put the feed back where it was once its posts are on screen
+  useLayoutEffect(() => {
+    if (loading || !mainRef.current) return;
+    mainRef.current.scrollTop = getFeedScrollPosition(feedKey);
+  }, [loading, feedKey]);
+
+  useInfiniteScroll({ rootRef: mainRef, sentinelRef, onReachEnd: loadMore, enabled: hasMore && !loadingMore });
 
   const handleLogout = async () => {
     const loadingToast = toast.loading('Logging out...');
     try {
-      const { error } = await supabase.auth.signOut();
-      if (error) throw error;
+      await signOut();
       toast.success('Logged out successfully', { id: loadingToast });
       navigate('/');
     } catch (error) {
@@ -158,10 +93,6 @@ export default function Dashboard() {
       .slice(0, 2);
   };
 
-  const getDepartmentInfo = (code) => {
-    return departments.find(dept => dept.code === code);
-  };
-
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', { 
@@ -173,26 +104,20 @@ export default function Dashboard() {
     });
   };
 
-  const truncateText = (text, maxLength = 200) => {
-    if (text.length <= maxLength) return text;
-    return text.substring(0, maxLength) + '...';
+  const handleShowNewPosts = async () => {
+    await refresh();
+    mainRef.current?.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
   const handleDepartmentSelect = (dept) => {
-    setSelectedDepartment(dept);
+    setSearchParams(dept === 'all' ? {} : { department: dept }, { replace: true });
     setShowMobileSidebar(false);
   };
 
-  if (loading) {
-    return (
-      <div className="min-h-screen flex items-center justify-center bg-gray-100">
-        <div className="text-center">
-          <div className="animate-spin rounded-full h-12 sm:h-16 w-12 sm:w-16 border-t-4 border-red-900 border-solid mx-auto mb-4"></div>
-          <p className="text-gray-600 text-base sm:text-lg">Loading dashboard...</p>
-        </div>
-      </div>
-    );
-  }
+  // A tag belongs to one department, so filtering by it selects that department
+  const handleTagSelect = (tagId, department = selectedDepartment) => {
+    setSearchParams(tagId ? { department, tag: tagId } : { department }, { replace: true });
+  };
 
   return (
     <div className="flex h-screen bg-gray-50 overflow-hidden">
@@ -261,7 +186,7 @@ export default function Dashboard() {
             </h3>
           </div>
 
-          {departments.map((dept) => (
+          {DEPARTMENTS.map((dept) => (
             <button
               key={dept.code}
               onClick={() => handleDepartmentSelect(dept.code)}
@@ -291,6 +216,42 @@ export default function Dashboard() {
               Other
             </h3>
           </div>
+          <button
+            onClick={() => {
+              navigate(selectedDepartment === 'all' ? '/calendar' : `/calendar?department=${selectedDepartment}`);
+              setShowMobileSidebar(false);
+            }}
+            className="w-full text-left px-4 sm:px-6 py-3 text-gray-700 hover:bg-gray-50 transition-colors"
+          >
+            <div className="flex items-center">
+              <span className="text-lg sm:text-xl mr-3">📅</span>
+              <span className="text-xs sm:text-sm">Calendar</span>
+            </div>
+          </button>
+          <button
+            onClick={() => {
+              navigate(selectedDepartment === 'all' ? '/search' : `/search?department=${selectedDepartment}`);
+              setShowMobileSidebar(false);
+            }}
+            className="w-full text-left px-4 sm:px-6 py-3 text-gray-700 hover:bg-gray-50 transition-colors"
+          >
+            <div className="flex items-center">
+              <span className="text-lg sm:text-xl mr-3">🔍</span>
+              <span className="text-xs sm:text-sm">Search</span>
+            </div>
+          </button>
+          <button
+            onClick={() => {
+              navigate('/check-in');
+              setShowMobileSidebar(false);
+            }}
+            className="w-full text-left px-4 sm:px-6 py-3 text-gray-700 hover:bg-gray-50 transition-colors"
+          >
+            <div className="flex items-center">
+              <span className="text-lg sm:text-xl mr-3">✅</span>
+              <span className="text-xs sm:text-sm">Event Check-in</span>
+            </div>
+          </button>
           <button
             onClick={() => {
               navigate('/archive');
@@ -304,7 +265,7 @@ export default function Dashboard() {
             </div>
           </button>
 
-          {userProfile?.role === 'admin' && (
+          {role === 'admin' && (
             <button
               onClick={() => {
                 navigate('/admin');
@@ -344,74 +305,94 @@ export default function Dashboard() {
                     : getDepartmentInfo(selectedDepartment)?.name}
                 </h2>
                 <p className="text-xs sm:text-sm text-gray-500 mt-0.5 sm:mt-1">
-                  {filteredPosts.length} {filteredPosts.length === 1 ? 'post' : 'posts'}
+                  {total} {total === 1 ? 'post' : 'posts'}
                 </p>
               </div>
             </div>
 
-            {/* User Profile Menu - Responsive */}
-            <div className="relative profile-dropdown">
-              <button
-                onClick={() => setShowProfileDropdown(!showProfileDropdown)}
-                className="flex items-center space-x-2 sm:space-x-3 hover:bg-gray-50 rounded-lg p-1.5 sm:p-2 transition-colors"
-              >
-                <div className="text-right hidden sm:block">
-                  <p className="text-xs sm:text-sm font-semibold text-gray-900">{userProfile?.name}</p>
-                  <p className="text-xs text-gray-500">
-                    {userProfile?.role === 'admin' ? `${userProfile?.department} Admin` : userProfile?.department}
-                  </p>
-                </div>
-                {userProfile?.profile_picture ? (
-                  <img
-                    src={userProfile.profile_picture}
-                    alt="Profile"
-                    className="h-8 w-8 sm:h-10 sm:w-10 rounded-full object-cover border-2 border-red-900"
-                  />
-                ) : (
-                  <div className="h-8 w-8 sm:h-10 sm:w-10 rounded-full bg-red-900 flex items-center justify-center text-white font-semibold text-xs sm:text-sm">
-                    {getInitials(userProfile?.name)}
-                  </div>
-                )}
-              </button>
-
-              {/* Profile Dropdown */}
-              {showProfileDropdown && (
-                <div className="absolute right-0 mt-2 w-56 sm:w-64 bg-white rounded-lg shadow-lg border py-2 z-10">
-                  <div className="px-4 py-3 border-b">
-                    <p className="text-sm font-semibold text-gray-900">{userProfile?.name}</p>
-                    <p className="text-xs text-gray-500 break-all">{userProfile?.email}</p>
-                    <p className="text-xs text-gray-500 mt-1">
-                      Department: {userProfile?.department}
-                    </p>
+            <SearchBar
+              filters={{ department: selectedDepartment }}
+              className="hidden md:block flex-1 max-w-md mx-4"
+            />
+
+            <div className="flex items-center space-x-1 sm:space-x-2">
+              <NotificationBell />
+
+              {/* User Profile Menu - Responsive */}
+              <div className="relative profile-dropdown">
+                <button
+                  onClick={() => setShowProfileDropdown(!showProfileDropdown)}
+                  className="flex items-center space-x-2 sm:space-x-3 hover:bg-gray-50 rounded-lg p-1.5 sm:p-2 transition-colors"
+                >
+                  <div className="text-right hidden sm:block">
+                    <p className="text-xs sm:text-sm font-semibold text-gray-900">{userProfile?.name}</p>
                     <p className="text-xs text-gray-500">
-                      Role: {userProfile?.role === 'admin' ? 'Administrator' : 'User'}
+                      {role === 'admin' ? `${userProfile?.department} Admin` : userProfile?.department}
                     </p>
                   </div>
-                  <div className="p-2">
-                    <button
-                      onClick={() => {
-                        setShowProfileDropdown(false);
-                        navigate('/profile');
-                      }}
-                      className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 rounded-lg transition-colors"
-                    >
-                      Profile Settings
-                    </button>
-                    <button
-                      onClick={handleLogout}
-                      className="w-full text-left px-4 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors"
-                    >
-                      Log Out
-                    </button>
+                  {userProfile?.profile_picture ? (
+                    <img
+                      src={userProfile.profile_picture}
+                      alt="Profile"
+                      className="h-8 w-8 sm:h-10 sm:w-10 rounded-full object-cover border-2 border-red-900"
+                    />
+                  ) : (
+                    <div className="h-8 w-8 sm:h-10 sm:w-10 rounded-full bg-red-900 flex items-center justify-center text-white font-semibold text-xs sm:text-sm">
+                      {getInitials(userProfile?.name)}
+                    </div>
+                  )}
+                </button>
+
+                {/* Profile Dropdown */}
+                {showProfileDropdown && (
+                  <div className="absolute right-0 mt-2 w-56 sm:w-64 bg-white rounded-lg shadow-lg border py-2 z-10">
+                    <div className="px-4 py-3 border-b">
+                      <p className="text-sm font-semibold text-gray-900">{userProfile?.name}</p>
+                      <p className="text-xs text-gray-500 break-all">{userProfile?.email}</p>
+                      <p className="text-xs text-gray-500 mt-1">
+                        Department: {userProfile?.department}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        Role: {ROLE_LABELS[role]}
+                      </p>
+                    </div>
+                    <div className="p-2">
+                      <button
+                        onClick={() => {
+                          setShowProfileDropdown(false);
+                          navigate('/profile');
+                        }}
+                        className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 rounded-lg transition-colors"
+                      >
+                        Profile Settings
+                      </button>
+                      <button
+                        onClick={handleLogout}
+                        className="w-full text-left px-4 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                      >
+                        Log Out
+                      </button>
+                    </div>
                   </div>
-                </div>
-              )}
+                )}
+              </div>
             </div>
           </div>
         </header>
 
         {/* POSTS FEED - Responsive */}
-        <main className="flex-1 overflow-y-auto p-4 sm:p-6 lg:p-8">
+        <main
+          ref={mainRef}
+          onScroll={(e) => rememberFeedScrollPosition(feedKey, e.currentTarget.scrollTop)}
+          className="flex-1 overflow-y-auto p-4 sm:p-6 lg:p-8"
+        >
+          <TagFilter
+            tags={departmentTags}
+            selected={selectedTag}
+            onSelect={(tagId) => handleTagSelect(tagId)}
+            className="max-w-4xl mx-auto mb-4 sm:mb-6"
+          />
+
           {loading ? (
             <div className="flex items-center justify-center h-full">
               <div className="text-center">
@@ -419,12 +400,16 @@ export default function Dashboard() {
                 <p className="mt-4 text-gray-600 text-sm sm:text-base">Loading posts...</p>
               </div>
             </div>
-          ) : filteredPosts.length === 0 ? (
+          ) : posts.length === 0 && newPostCount === 0 ? (
             <div className="flex items-center justify-center h-full">
               <div className="text-center px-4">
-                <p className="text-gray-500 text-base sm:text-lg">No posts available</p>
+                <p className="text-gray-500 text-base sm:text-lg">
+                  {selectedTag ? 'No posts with this tag' : 'No posts available'}
+                </p>
                 <p className="text-gray-400 text-sm mt-2">
-                  {userProfile?.role === 'admin' 
+                  {selectedTag
+                    ? 'Pick another tag or All'
+                    : role === 'admin' 
                     ? 'Go to Admin Panel to create your first post' 
                     : 'Check back later for updates'}
                 </p>
@@ -432,8 +417,30 @@ export default function Dashboard() {
             </div>
           ) : (
             <div className="max-w-4xl mx-auto space-y-4 sm:space-y-6">
-              {filteredPosts.map((post) => {
+              {offline && (
+                <div className="p-3 sm:p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-xs sm:text-sm text-yellow-800">
+                  You're offline. Showing posts saved on this device.
+                </div>
+              )}
+
+              {/* New posts arrive here instead of pushing the list down */}
+              {newPostCount > 0 && (
+                <div className="sticky top-0 z-10 flex justify-center">
+                  <button
+                    onClick={handleShowNewPosts}
+                    className="px-4 py-2 bg-red-900 text-white text-xs sm:text-sm font-semibold rounded-full shadow-lg hover:bg-red-800 transition-colors"
+                  >
+                    ↑ {newPostCount} new {newPostCount === 1 ? 'post' : 'posts'}
+                  </button>
+                </div>
+              )}
+
+              {posts.map((post) => {
                 const deptInfo = getDepartmentInfo(post.department);
+                const attachments = post.post_attachments || [];
+                const images = attachments.filter(isImageAttachment);
+                const coverImage = images[0];
+                const imageCount = images.length;
                 return (
                   <div
                     key={post.id}
@@ -467,7 +474,29 @@ export default function Dashboard() {
                     {/* Post Content */}
                     <div className="p-4 sm:p-6">
                       <h3 className="text-base sm:text-lg lg:text-xl font-bold text-gray-900 mb-2">{post.title}</h3>
-                      <p className="text-sm sm:text-base text-gray-600 mb-4 whitespace-pre-wrap">{truncateText(post.content, 200)}</p>
+                      <TagChips
+                        tags={post.tags}
+                        onSelect={(tag) => handleTagSelect(tag.id, post.department)}
+                        className="mb-3"
+                      />
+                      <Markdown variant="excerpt" className="text-sm sm:text-base text-gray-600 mb-4 line-clamp-4">{post.content}</Markdown>
+
+                      {/* Attachment Thumbnail */}
+                      {coverImage && (
+                        <div className="relative mb-4">
+                          <img
+                            src={coverImage.url}
+                            alt={coverImage.name}
+                            loading="lazy"
+                            className="w-full h-40 sm:h-56 object-cover rounded-lg bg-gray-100"
+                          />
+                          {imageCount > 1 && (
+                            <span className="absolute bottom-2 right-2 px-2 py-1 rounded-full bg-black/60 text-white text-xs font-semibold">
+                              +{imageCount - 1} more
+                            </span>
+                          )}
+                        </div>
+                      )}
 
                       {/* Event Date */}
                       {post.type === 'event' && post.event_date && (
@@ -482,15 +511,22 @@ export default function Dashboard() {
                         <div className="flex items-center space-x-2 sm:space-x-4">
                           <span className="truncate">By {post.users?.name || 'Unknown'}</span>
                           <span className="hidden sm:inline">•</span>
-                          <span className="text-xs">{formatDate(post.created_at)}</span>
+                          <span className="text-xs">{formatDate(post.publish_at)}</span>
                         </div>
                         <div className="flex items-center space-x-3">
+                          <ReactionSummary counts={post.reaction_counts} />
                           <div className="flex items-center space-x-1">
                             <span>💬</span>
                             <span>{post.comment_count}</span>
                           </div>
+                          {attachments.length > 0 && (
+                            <div className="flex items-center space-x-1" title="Attachments">
+                              <span>📎</span>
+                              <span>{attachments.length}</span>
+                            </div>
+                          )}
                           
-                          {userProfile?.role === 'admin' && post.author_id === userProfile?.id && (
+                          {role === 'admin' && post.author_id === userProfile?.id && (
                             <button
                               onClick={(e) => {
                                 e.stopPropagation();
@@ -507,6 +543,15 @@ export default function Dashboard() {
                   </div>
                 );
               })}
+
+              {/* Infinite scroll: the next page loads as this comes into view */}
+              <div ref={sentinelRef}></div>
+              {loadingMore && (
+                <div className="flex items-center justify-center py-4">
+                  <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-red-900"></div>
+                  <span className="ml-3 text-gray-600 text-sm">Loading more posts...</span>
+                </div>
+              )}
             </div>
           )}
         </main>
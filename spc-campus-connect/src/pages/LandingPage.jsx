@@ -1,11 +1,19 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
-import supabase from '../lib/supabase';
+import { useNavigate, useLocation } from 'react-router-dom';
 import toast, { Toaster } from 'react-hot-toast';
+import { useAuth } from '../context/auth';
+import { resolveAccount, getHomePath } from '../lib/auth';
+import { authApi, usersApi } from '../api';
 
 export default function LandingPage() {
   const navigate = useNavigate();
-  const [showLoginModal, setShowLoginModal] = useState(false);
+  const location = useLocation();
+  const { session, role, isApproved, loading: authLoading } = useAuth();
+  // Where RequireAuth turned a signed-out visitor away from, if that route
+  // asked for them to be sent back after signing in
+  const from = location.state?.from;
+  const returnTo = from ? `${from.pathname}${from.search}` : null;
+  const [showLoginModal, setShowLoginModal] = useState(Boolean(returnTo));
   const [showSignupModal, setShowSignupModal] = useState(false);
   const [loginData, setLoginData] = useState({ email: '', password: '' });
   const [signupData, setSignupData] = useState({ 
@@ -28,14 +36,10 @@ export default function LandingPage() {
   ];
 
   useEffect(() => {
-    const checkUser = async () => {
-      const { data: { session } } = await supabase.auth.getSession();
-      if (session) {
-        navigate('/dashboard');
-      }
-    };
-    checkUser();
-  }, [navigate]);
+    if (!authLoading && session && isApproved) {
+      navigate(returnTo || getHomePath(role));
+    }
+  }, [authLoading, session, isApproved, role, navigate, returnTo]);
 
   const heroImages = [
     '/src/assets/spc.png',
@@ -64,75 +68,35 @@ export default function LandingPage() {
     const loadingToast = toast.loading('Logging in...');
     
     try {
-      const { data, error } = await supabase.auth.signInWithPassword({
+      const authUser = await authApi.signIn({
         email: loginData.email,
         password: loginData.password,
       });
 
-      if (error) throw error;
+      const { profile, role: accountRole } = await resolveAccount(authUser.id);
 
-      // Check if user is a super admin (Program Head)
-      const { data: superAdmin, error: superAdminError } = await supabase
-        .from('super_admins')
-        .select('*')
-        .eq('id', data.user.id)
-        .maybeSingle();
-
-      if (superAdmin) {
-        toast.success('Welcome, Program Head!', { id: loadingToast });
-        setTimeout(() => {
-          navigate('/super-admin-dashboard');
-        }, 500);
+      if (!profile) {
+        await authApi.signOut();
+        toast.error('Account not found. Please sign up first.', { id: loadingToast });
         return;
       }
 
-      // Check if user is an admin (President Officer)
-      const { data: adminProfile, error: adminError } = await supabase
-        .from('admins')
-        .select('*')
-        .eq('id', data.user.id)
-        .maybeSingle();
-
-      if (adminProfile) {
-        // Check if admin is approved
-        if (!adminProfile.is_approved) {
-          await supabase.auth.signOut();
-          toast.error('Your account is pending approval from your Program Head', { id: loadingToast });
-          return;
-        }
-
-        toast.success('Welcome, Admin!', { id: loadingToast });
-        setTimeout(() => {
-          navigate('/dashboard');
-        }, 500);
+      if (!usersApi.isAccountApproved(profile)) {
+        await authApi.signOut();
+        toast.error('Your account is pending approval from your Program Head', { id: loadingToast });
         return;
       }
 
-      // Check if user is a regular user (Student)
-      const { data: userProfile, error: userError } = await supabase
-        .from('users')
-        .select('*')
-        .eq('id', data.user.id)
-        .maybeSingle();
-
-      if (userProfile) {
-        // Check if user is approved
-        if (!userProfile.is_approved) {
-          await supabase.auth.signOut();
-          toast.error('Your account is pending approval from your Program Head', { id: loadingToast });
-          return;
-        }
-
-        toast.success('Login successful!', { id: loadingToast });
-        setTimeout(() => {
-          navigate('/dashboard');
-        }, 500);
-        return;
-      }
+      const welcomeMessages = {
+        super_admin: 'Welcome, Program Head!',
+        admin: 'Welcome, Admin!',
+        user: 'Login successful!'
+      };
 
-      // If no profile found in any table
-      await supabase.auth.signOut();
-      toast.error('Account not found. Please sign up first.', { id: loadingToast });
+      toast.success(welcomeMessages[accountRole], { id: loadingToast });
+      setTimeout(() => {
+        navigate(returnTo || getHomePath(accountRole));
+      }, 500);
 
     } catch (error) {
       toast.error(error.message, { id: loadingToast });
@@ -165,11 +129,7 @@ export default function LandingPage() {
 
       // Check if super admin for this department already exists
       setLoading(true);
-      const { data: existingSuperAdmin } = await supabase
-        .from('super_admins')
-        .select('id')
-        .eq('department', signupData.department)
-        .maybeSingle();
+      const existingSuperAdmin = await usersApi.findDepartmentAccount(signupData.department, 'super_admin');
 
       if (existingSuperAdmin) {
         setLoading(false);
@@ -189,11 +149,7 @@ export default function LandingPage() {
 
       // Check if admin for this department already exists
       setLoading(true);
-      const { data: existingAdmin } = await supabase
-        .from('admins')
-        .select('id')
-        .eq('department', signupData.department)
-        .maybeSingle();
+      const existingAdmin = await usersApi.findDepartmentAccount(signupData.department, 'admin');
 
       if (existingAdmin) {
         setLoading(false);
@@ -207,33 +163,16 @@ export default function LandingPage() {
     const loadingToast = toast.loading('Creating account...');
     
     try {
-      const { data, error } = await supabase.auth.signUp({
+      await authApi.signUp({
         email: signupData.email,
         password: signupData.password,
-        options: {
-          data: { 
-            full_name: signupData.name 
-          },
-        },
+        name: signupData.name,
+        department: signupData.department,
+        role: signupData.role
       });
 
-      if (error) throw error;
-
-      // If Super Admin (Program Head), insert into super_admins table
+      // Program Heads only need to verify their email
       if (signupData.role === 'super_admin') {
-        const { error: superAdminError } = await supabase
-          .from('super_admins')
-          .insert([
-            {
-              id: data.user.id,
-              name: signupData.name,
-              email: signupData.email,
-              department: signupData.department
-            }
-          ]);
-
-        if (superAdminError) throw superAdminError;
-
         toast.success('Program Head account created! Please verify your email.', { id: loadingToast });
         
         setTimeout(() => {
@@ -247,22 +186,8 @@ export default function LandingPage() {
         return;
       }
 
-      // If Admin (President Officer), insert into admins table
+      // Admins (President Officers) wait for their Program Head
       if (signupData.role === 'admin') {
-        const { error: adminError } = await supabase
-          .from('admins')
-          .insert([
-            {
-              id: data.user.id,
-              name: signupData.name,
-              email: signupData.email,
-              department: signupData.department,
-              is_approved: false // Needs approval from Program Head
-            }
-          ]);
-
-        if (adminError) throw adminError;
-
         toast.success('Admin account created successfully!', { id: loadingToast });
         
         setTimeout(() => {
@@ -277,22 +202,6 @@ export default function LandingPage() {
         return;
       }
 
-      // If regular user (Student), insert into users table
-      const { error: userError } = await supabase
-  .from('users')
-  .insert([
-    {
-      id: data.user.id,
-      name: signupData.name,
-      email: signupData.email,
-      role: 'user',  // ← ADD THIS LINE
-      department: signupData.department,
-      is_approved: false // Needs approval from Program Head
-    }
-  ]);
-
-      if (userError) throw userError;
-
       toast.success('Account created successfully!', { id: loadingToast });
       
       setTimeout(() => {
@@ -306,7 +215,12 @@ export default function LandingPage() {
       }, 1000);
 
     } catch (error) {
-      toast.error(error.message, { id: loadingToast });
+      // The email was checked above, so a staff signup the database refuses
+      // means someone else took the department's Admin or Program Head first
+      const message = error.code === 'unexpected_failure' && signupData.role !== 'user'
+        ? `${signupData.department} already has ${signupData.role === 'admin' ? 'an Admin' : 'a Program Head'}`
+        : error.message;
+      toast.error(message, { id: loadingToast });
     } finally {
       setLoading(false);
     }
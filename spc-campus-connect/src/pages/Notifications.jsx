@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import toast, { Toaster } from 'react-hot-toast';
+import { useAuth } from '../context/auth';
+import { notificationsApi, realtimeApi } from '../api';
+import { formatDate } from '../lib/format';
+
+export default function Notifications() {
+  const navigate = useNavigate();
+  const { profile: userProfile } = useAuth();
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchNotifications = useCallback(async () => {
+    if (!userProfile) return;
+    try {
+      const data = await notificationsApi.listForUser(userProfile.id);
+      setNotifications(data);
+    } catch (error) {
+      toast.error('Failed to load notifications');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  }, [userProfile]);
+
+  useEffect(() => {
+    if (!userProfile) return;
+
+    fetchNotifications();
+    return realtimeApi.onNotificationsChange(userProfile.id, ({ eventType }) => {
+      if (eventType === 'INSERT') fetchNotifications();
+    });
+  }, [userProfile, fetchNotifications]);
+
+  const unreadCount = notifications.filter((notification) => !notification.read_at).length;
+
+  const markLocallyRead = (ids) => {
+    const readAt = new Date().toISOString();
+    setNotifications((current) => current.map((notification) => (
+      ids.includes(notification.id) && !notification.read_at ? { ...notification, read_at: readAt } : notification
+    )));
+  };
+
+  const handleOpen = async (notification) => {
+    if (!notification.read_at) {
+      try {
+        await notificationsApi.markRead(notification.id);
+        markLocallyRead([notification.id]);
+      } catch (error) {
+        console.error('Error marking notification read:', error);
+      }
+    }
+
+    if (notification.post_id) navigate(`/post/${notification.post_id}`);
+  };
+
+  const handleMarkRead = async (e, notificationId) => {
+    e.stopPropagation();
+    try {
+      await notificationsApi.markRead(notificationId);
+      markLocallyRead([notificationId]);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    const loadingToast = toast.loading('Marking all as read...');
+    try {
+      await notificationsApi.markAllRead(userProfile.id);
+      markLocallyRead(notifications.map((notification) => notification.id));
+      toast.success('All notifications marked as read', { id: loadingToast });
+    } catch (error) {
+      toast.error(error.message, { id: loadingToast });
+    }
+  };
+
+  const typeIcons = {
+    new_post: '📢',
+    comment: '💬',
+    mention: '👋',
+    account_approved: '✅'
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Toaster position="top-center" />
+
+      {/* Header - Responsive */}
+      <header className="bg-white shadow-sm border-b sticky top-0 z-10">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-3 sm:py-4">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-2 sm:space-x-4 min-w-0">
+              <button
+                onClick={() => navigate('/dashboard')}
+                className="text-gray-600 hover:text-gray-900 transition-colors flex-shrink-0"
+              >
+                <svg className="w-5 h-5 sm:w-6 sm:h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+                </svg>
+              </button>
+              <div className="min-w-0">
+                <h1 className="text-lg sm:text-xl lg:text-2xl font-bold text-gray-900 truncate">Notifications</h1>
+                <p className="text-xs sm:text-sm text-gray-500 truncate">
+                  {unreadCount} unread
+                </p>
+              </div>
+            </div>
+
+            {unreadCount > 0 && (
+              <button
+                onClick={handleMarkAllRead}
+                className="px-3 sm:px-4 py-1.5 sm:py-2 text-xs sm:text-sm font-medium text-red-900 hover:bg-red-50 rounded-lg transition-colors whitespace-nowrap"
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-4 sm:py-6 lg:py-8">
+        {loading ? (
+          <div className="flex items-center justify-center py-16">
+            <div className="text-center">
+              <div className="animate-spin rounded-full h-10 w-10 sm:h-12 sm:w-12 border-b-2 border-red-900 mx-auto"></div>
+              <p className="mt-4 text-gray-600 text-sm sm:text-base">Loading notifications...</p>
+            </div>
+          </div>
+        ) : notifications.length === 0 ? (
+          <div className="text-center py-16 px-4">
+            <span className="text-5xl sm:text-6xl mb-4 block">🔔</span>
+            <p className="text-gray-500 text-base sm:text-lg">No notifications yet</p>
+            <p className="text-gray-400 text-sm mt-2">
+              New posts in your department and replies to your threads will show up here
+            </p>
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow-md divide-y overflow-hidden">
+            {notifications.map((notification) => (
+              <div
+                key={notification.id}
+                onClick={() => handleOpen(notification)}
+                className={`flex items-start p-4 sm:p-5 transition-colors ${
+                  notification.post_id ? 'cursor-pointer hover:bg-gray-50' : ''
+                } ${notification.read_at ? '' : 'bg-red-50'}`}
+              >
+                <span className="text-xl sm:text-2xl mr-3 sm:mr-4 flex-shrink-0">
+                  {typeIcons[notification.type] || '🔔'}
+                </span>
+                <div className="flex-1 min-w-0">
+                  <p className={`text-sm sm:text-base break-words ${
+                    notification.read_at ? 'text-gray-700' : 'text-gray-900 font-semibold'
+                  }`}>
+                    {notification.message}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">{formatDate(notification.created_at)}</p>
+                </div>
+                {!notification.read_at && (
+                  <button
+                    onClick={(e) => handleMarkRead(e, notification.id)}
+                    className="ml-3 text-xs text-blue-600 hover:text-blue-800 font-medium whitespace-nowrap"
+                  >
+                    Mark read
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
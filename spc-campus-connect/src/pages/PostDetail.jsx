@@ -1,97 +1,155 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
-import supabase from '../lib/supabase';
 import toast, { Toaster } from 'react-hot-toast';
+import { useAuth } from '../context/auth';
+import { postsApi, commentsApi, usersApi, reactionsApi, moderationApi, realtimeApi } from '../api';
+import { isOfflineError, savePost, getSavedPost, saveComments, getSavedComments } from '../lib/offlineStore';
+import Markdown from '../components/Markdown';
+import AttachmentGallery from '../components/AttachmentGallery';
+import TagChips from '../components/TagChips';
+import EventRsvp from '../components/EventRsvp';
+import EventAttendees from '../components/EventAttendees';
+import PostAcknowledgement from '../components/PostAcknowledgement';
+import CommentThread from '../components/CommentThread';
+import ReactionBar from '../components/ReactionBar';
+import MentionTextarea from '../components/MentionTextarea';
+import ReportDialog from '../components/ReportDialog';
+import { queueComment, listQueuedComments, discardQueuedComment, onOutboxChange } from '../lib/commentOutbox';
+import { getDepartmentInfo } from '../lib/departments';
+import { buildCommentTree } from '../lib/commentTree';
+import { findMentions } from '../lib/mentions';
+import { reactionsFor } from '../lib/reactions';
+import { buildCalendar, getCalendarFileName } from '../lib/ics';
+import { downloadFile } from '../lib/download';
 
 export default function PostDetail() {
   const navigate = useNavigate();
   const { id } = useParams();
-  const [user, setUser] = useState(null);
-  const [userProfile, setUserProfile] = useState(null);
+  const { user, profile: userProfile, role } = useAuth();
   const [post, setPost] = useState(null);
   const [comments, setComments] = useState([]);
+  const [pendingComments, setPendingComments] = useState([]);
+  const [mentionable, setMentionable] = useState([]);
+  const [reactions, setReactions] = useState([]);
+  const [reacting, setReacting] = useState(false);
+  const [offline, setOffline] = useState(false);
   const [newComment, setNewComment] = useState('');
   const [loading, setLoading] = useState(true);
   const [submittingComment, setSubmittingComment] = useState(false);
+  // The post, or one of its comments, the reader is reporting
+  const [reportTarget, setReportTarget] = useState(null);
 
-  const departments = [
-    { code: 'CCS', name: 'College of Computer Studies', logo: '/src/logos/ccs-logo.png' },
-    { code: 'COE', name: 'College of Engineering', logo: '/src/logos/coe-logo.png' },
-    { code: 'COC', name: 'College of Criminology', logo: '/src/logos/coc-logo.png' },
-    { code: 'CED', name: 'College of Education', logo: '/src/logos/ced-logo.png' },
-    { code: 'CAS', name: 'College of Arts and Sciences', logo: '/src/logos/cas-logo.png' },
-    { code: 'CBAA', name: 'College of Business Administration and Accountancy', logo: '/src/logos/cba-logo.png' }
-  ];
+  useEffect(() => {
+    if (!user) return;
+    fetchPost();
+    fetchComments();
+    fetchReactions();
+  }, [user, id]);
 
+  // People who can be @mentioned: the post's department
   useEffect(() => {
-    const checkAuth = async () => {
-      try {
-        const { data: { session }, error } = await supabase.auth.getSession();
+    if (!post?.department) return;
 
-        if (error) throw error;
+    usersApi.listMentionable(post.department)
+      .then(setMentionable)
+      .catch((error) => console.error('Error loading people to mention:', error));
+  }, [post?.department]);
 
-        if (!session) {
-          navigate('/');
-          return;
-        }
+  // Comments written offline for this post, until they are sent
+  useEffect(() => {
+    const loadPending = () => {
+      listQueuedComments(id)
+        .then(setPendingComments)
+        .catch((error) => console.error('Error loading queued comments:', error));
+    };
 
-        setUser(session.user);
+    // Sent comments come back through the realtime subscription below
+    loadPending();
+    return onOutboxChange(loadPending);
+  }, [id]);
 
-        const { data: profile, error: profileError } = await supabase
-          .from('users')
-          .select('*')
-          .eq('id', session.user.id)
-          .single();
+  // Live updates while the post is open
+  useEffect(() => {
+    if (!user) return;
 
-        if (profileError) {
-          toast.error('Failed to load user profile');
-          console.error(profileError);
-        } else {
-          setUserProfile(profile);
-        }
+    const unsubscribePost = realtimeApi.onPostChange(id, ({ eventType, new: row, old }) => {
+      if (eventType === 'DELETE') {
+        if (String(old.id) !== String(id)) return;
+        toast.error('This post has been deleted');
+        navigate('/dashboard');
+        return;
+      }
+
+      setPost((current) => (current ? { ...current, ...row } : current));
+    });
+
+    const unsubscribeComments = realtimeApi.onPostCommentsChange(id, async ({ eventType, new: row, old }) => {
+      if (eventType === 'DELETE') {
+        setComments((current) => current.filter((comment) => comment.id !== old.id));
+        return;
+      }
+
+      if (eventType === 'UPDATE') {
+        setComments((current) => current.map((comment) => (comment.id === row.id ? { ...comment, ...row } : comment)));
+        // A held comment a moderator restored is new to everyone else
+        if (old?.status !== 'held' || row.status !== 'visible') return;
+      }
+
+      try {
+        const comment = await commentsApi.getComment(row.id);
+        if (!comment) return;
+        setComments((current) => (
+          current.some((existing) => existing.id === comment.id) ? current : [...current, comment]
+        ));
       } catch (error) {
-        console.error('Error fetching user:', error);
-        navigate('/');
+        console.error('Error loading new comment:', error);
       }
-    };
+    });
 
-    checkAuth();
-  }, [navigate]);
+    const sameReaction = (a, b) => (
+      (a.comment_id ?? null) === (b.comment_id ?? null) && a.user_id === b.user_id && a.reaction === b.reaction
+    );
 
-  useEffect(() => {
-    if (!user) return;
-    fetchPost();
-    fetchComments();
-  }, [user, id]);
+    const unsubscribeReactions = realtimeApi.onPostReactionsChange(id, async ({ eventType, new: row, old }) => {
+      if (eventType === 'DELETE') {
+        setReactions((current) => current.filter((reaction) => reaction.id !== old.id));
+        return;
+      }
 
-  useEffect(() => {
-    const handleFocus = () => {
-      if (user) {
-        fetchPost();
-        fetchComments();
+      if (eventType !== 'INSERT') return;
+
+      try {
+        const reaction = await reactionsApi.getReaction(row.id);
+        if (!reaction) return;
+        // Replaces the stand-in added when the reader reacted
+        setReactions((current) => [...current.filter((existing) => !sameReaction(existing, reaction)), reaction]);
+      } catch (error) {
+        console.error('Error loading new reaction:', error);
       }
-    };
+    });
 
-    window.addEventListener('focus', handleFocus);
-    return () => window.removeEventListener('focus', handleFocus);
-  }, [user, id]);
+    return () => {
+      unsubscribePost();
+      unsubscribeComments();
+      unsubscribeReactions();
+    };
+  }, [user, id, navigate]);
 
   const fetchPost = async () => {
     setLoading(true);
     try {
-      const { data, error } = await supabase
-        .from('posts')
-        .select(`
-          *,
-          users:author_id (name, department, role, profile_picture)
-        `)
-        .eq('id', id)
-        .single();
-
-      if (error) throw error;
-
+      const data = await postsApi.getPost(id);
       setPost(data);
+      setOffline(false);
+      savePost(data).catch((error) => console.error('Error saving post offline:', error));
     } catch (error) {
+      const saved = isOfflineError(error) ? await getSavedPost(id) : null;
+      if (saved) {
+        setPost(saved);
+        setOffline(true);
+        return;
+      }
+
       toast.error('Failed to load post');
       console.error(error);
       navigate('/dashboard');
@@ -102,24 +160,132 @@ export default function PostDetail() {
 
   const fetchComments = async () => {
     try {
-      const { data, error } = await supabase
-        .from('comments')
-        .select(`
-          *,
-          users:user_id (name, department, role, profile_picture)
-        `)
-        .eq('post_id', id)
-        .order('created_at', { ascending: true });
-
-      if (error) throw error;
-
+      const data = await commentsApi.listForPost(id);
       setComments(data);
+      saveComments(id, data).catch((error) => console.error('Error saving comments offline:', error));
     } catch (error) {
+      if (isOfflineError(error)) {
+        setComments(await getSavedComments(id));
+        return;
+      }
+
       toast.error('Failed to load comments');
       console.error(error);
     }
   };
 
+  // Reactions aren't kept offline; the bars just start empty
+  const fetchReactions = async () => {
+    try {
+      setReactions(await reactionsApi.listForPost(id));
+    } catch (error) {
+      if (!isOfflineError(error)) console.error('Error loading reactions:', error);
+    }
+  };
+
+  // Adds or takes back the reader's reaction on the post or, with commentId,
+  // one of its comments. The bar changes straight away and is put back if
+  // the change doesn't go through.
+  const handleToggleReaction = async (commentId, reaction, mine) => {
+    const target = { postId: id, commentId, userId: userProfile.id, reaction };
+    const isTarget = (row) => (
+      (row.comment_id ?? null) === commentId && row.user_id === userProfile.id && row.reaction === reaction
+    );
+
+    setReacting(true);
+    setReactions((current) => (mine
+      ? current.filter((row) => !isTarget(row))
+      : [
+        ...current,
+        {
+          id: `pending-${reaction}-${commentId ?? 'post'}`,
+          post_id: id,
+          comment_id: commentId,
+          user_id: userProfile.id,
+          reaction,
+          created_at: new Date().toISOString(),
+          users: {
+            name: userProfile.name,
+            department: userProfile.department,
+            profile_picture: userProfile.profile_picture
+          }
+        }
+      ]));
+
+    try {
+      if (mine) {
+        await reactionsApi.removeReaction(target);
+      } else {
+        await reactionsApi.addReaction(target);
+      }
+    } catch (error) {
+      toast.error(isOfflineError(error) ? "You're offline. Try again when you reconnect." : error.message);
+      fetchReactions();
+    } finally {
+      setReacting(false);
+    }
+  };
+
+  // Downloads the event as an .ics file for Google Calendar, Outlook or a phone
+  const handleAddToCalendar = () => {
+    const calendar = buildCalendar([post], { origin: window.location.origin });
+    downloadFile(getCalendarFileName(post), calendar, 'text/calendar;charset=utf-8');
+  };
+
+  // Posts a comment or, with parentId, a reply. Resolves to true once it is
+  // posted or queued to send when back online.
+  const submitComment = async (content, parentId = null) => {
+    const loadingToast = toast.loading(parentId ? 'Adding reply...' : 'Adding comment...');
+    const comment = {
+      postId: id,
+      userId: userProfile.id,
+      content,
+      parentId,
+      mentions: findMentions(content, mentionable.filter((person) => person.id !== userProfile.id))
+    };
+
+    const queueForLater = async () => {
+      await queueComment({
+        ...comment,
+        author: {
+          name: userProfile.name,
+          department: userProfile.department,
+          role: userProfile.role,
+          profile_picture: userProfile.profile_picture
+        }
+      });
+      toast.success("You're offline. Your comment will be posted when you reconnect.", { id: loadingToast });
+      return true;
+    };
+
+    try {
+      if (!navigator.onLine) {
+        return await queueForLater();
+      }
+
+      const added = await commentsApi.addComment(comment);
+
+      if (added.status === 'held') {
+        toast.success("Your comment is waiting for a moderator's review", { id: loadingToast });
+      } else {
+        toast.success(parentId ? 'Reply added!' : 'Comment added successfully!', { id: loadingToast });
+      }
+      fetchComments();
+      return true;
+    } catch (error) {
+      if (isOfflineError(error)) {
+        try {
+          return await queueForLater();
+        } catch (queueError) {
+          toast.error(queueError.message, { id: loadingToast });
+          return false;
+        }
+      }
+      toast.error(error.message, { id: loadingToast });
+      return false;
+    }
+  };
+
   const handleAddComment = async (e) => {
     e.preventDefault();
 
@@ -129,45 +295,46 @@ export default function PostDetail() {
     }
 
     setSubmittingComment(true);
-    const loadingToast = toast.loading('Adding comment...');
-
-    try {
-      const { error } = await supabase
-        .from('comments')
-        .insert([
-          {
-            post_id: id,
-            user_id: userProfile.id,
-            content: newComment.trim()
-          }
-        ]);
+    if (await submitComment(newComment.trim())) setNewComment('');
+    setSubmittingComment(false);
+  };
 
-      if (error) throw error;
+  // Edits need a connection; they aren't queued like new comments
+  const handleEditComment = async (commentId, content) => {
+    const loadingToast = toast.loading('Saving changes...');
 
-      toast.success('Comment added successfully!', { id: loadingToast });
-      setNewComment('');
+    try {
+      const updated = await commentsApi.updateComment(commentId, {
+        content,
+        mentions: findMentions(content, mentionable.filter((person) => person.id !== userProfile.id))
+      });
+
+      if (updated.status === 'held') {
+        toast.success("Comment updated. It's waiting for a moderator's review", { id: loadingToast });
+      } else {
+        toast.success('Comment updated', { id: loadingToast });
+      }
       fetchComments();
+      return true;
     } catch (error) {
-      toast.error(error.message, { id: loadingToast });
-    } finally {
-      setSubmittingComment(false);
+      toast.error(isOfflineError(error) ? "You're offline. Try again when you reconnect." : error.message, { id: loadingToast });
+      return false;
     }
   };
 
-  const handleDeleteComment = async (commentId) => {
-    if (!confirm('Are you sure you want to delete this comment?')) {
+  // Replies go with the comment they answer
+  const handleDeleteComment = async (commentId, replyCount = 0) => {
+    const message = replyCount > 0
+      ? `Delete this comment and its ${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}?`
+      : 'Are you sure you want to delete this comment?';
+    if (!confirm(message)) {
       return;
     }
 
     const loadingToast = toast.loading('Deleting comment...');
 
     try {
-      const { error } = await supabase
-        .from('comments')
-        .delete()
-        .eq('id', commentId);
-
-      if (error) throw error;
+      await commentsApi.deleteComment(commentId);
 
       toast.success('Comment deleted successfully!', { id: loadingToast });
       fetchComments();
@@ -176,8 +343,41 @@ export default function PostDetail() {
     }
   };
 
-  const getDepartmentInfo = (code) => {
-    return departments.find(dept => dept.code === code);
+  // Resolves to true once the report is filed, which closes the dialog
+  const handleReport = async (reason) => {
+    const loadingToast = toast.loading('Sending report...');
+
+    try {
+      await moderationApi.report({
+        postId: id,
+        commentId: reportTarget.comment?.id ?? null,
+        department: post.department,
+        reporterId: userProfile.id,
+        reason
+      });
+
+      toast.success('Thanks. The moderators will take a look.', { id: loadingToast });
+      return true;
+    } catch (error) {
+      if (error.code === '23505') {
+        toast.error("You've already reported this", { id: loadingToast });
+        return true;
+      }
+      toast.error(isOfflineError(error) ? "You're offline. Try again when you reconnect." : error.message, { id: loadingToast });
+      return false;
+    }
+  };
+
+  const handleDiscardPendingComment = async (pendingId) => {
+    if (!confirm('Discard this unsent comment?')) {
+      return;
+    }
+
+    try {
+      await discardQueuedComment(pendingId);
+    } catch (error) {
+      toast.error(error.message);
+    }
   };
 
   const formatDate = (dateString) => {
@@ -229,7 +429,13 @@ export default function PostDetail() {
   }
 
   const deptInfo = getDepartmentInfo(post.department);
-  const isOwnPost = userProfile?.role === 'admin' && post.author_id === userProfile?.id;
+  const isAuthor = post.author_id === userProfile?.id;
+  const isOwnPost = role === 'admin' && isAuthor;
+  const isModerator = ['admin', 'super_admin'].includes(role) && userProfile?.department === post.department;
+  // Held and hidden comments are only for their writer and the moderators
+  const visibleComments = comments.filter((comment) => (
+    !comment.status || comment.status === 'visible' || comment.user_id === userProfile?.id || isModerator
+  ));
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -257,12 +463,26 @@ export default function PostDetail() {
                 Edit Post
               </button>
             )}
+            {!isAuthor && !offline && (
+              <button
+                onClick={() => setReportTarget({ title: 'Report this post' })}
+                className="px-3 sm:px-4 py-1.5 sm:py-2 text-gray-500 hover:text-red-900 font-medium transition-colors text-xs sm:text-sm"
+              >
+                ⚑ Report
+              </button>
+            )}
           </div>
         </div>
       </header>
 
       {/* Main Content - Responsive */}
       <main className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-4 sm:py-6 lg:py-8">
+        {offline && (
+          <div className="mb-4 sm:mb-6 p-3 sm:p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-xs sm:text-sm text-yellow-800">
+            You're offline. Showing the copy of this post saved on this device.
+          </div>
+        )}
+
         {/* Post Card */}
         <div className="bg-white rounded-lg shadow-lg overflow-hidden mb-6 sm:mb-8">
           {/* Department Header - Responsive */}
@@ -300,12 +520,35 @@ export default function PostDetail() {
                   📦
                 </span>
               )}
+              {post.status === 'scheduled' && (
+                <span
+                  className="px-2 sm:px-3 py-1 rounded-full text-xs font-semibold bg-yellow-100 text-yellow-800"
+                  title={`Publishes ${formatDate(post.publish_at)}`}
+                >
+                  ⏰<span className="hidden sm:inline"> Scheduled</span>
+                </span>
+              )}
+              {post.status === 'hidden' && (
+                <span className="px-2 sm:px-3 py-1 rounded-full text-xs font-semibold bg-gray-200 text-gray-700">
+                  🚫<span className="hidden sm:inline"> Hidden by a moderator</span>
+                </span>
+              )}
+              {post.status === 'draft' && (
+                <span className="px-2 sm:px-3 py-1 rounded-full text-xs font-semibold bg-gray-200 text-gray-700">
+                  📝<span className="hidden sm:inline"> Draft</span>
+                </span>
+              )}
             </div>
           </div>
 
           {/* Post Content - Responsive */}
           <div className="p-4 sm:p-6 lg:p-8">
             <h1 className="text-xl sm:text-2xl lg:text-3xl font-bold text-gray-900 mb-3 sm:mb-4">{post.title}</h1>
+            <TagChips
+              tags={post.tags}
+              onSelect={(tag) => navigate(`/dashboard?department=${post.department}&tag=${tag.id}`)}
+              className="-mt-1 sm:-mt-2 mb-3 sm:mb-4"
+            />
             
             <div className="flex flex-wrap items-center gap-2 sm:gap-4 text-xs sm:text-sm text-gray-500 mb-4 sm:mb-6 pb-4 sm:pb-6 border-b">
               <div className="flex items-center space-x-2">
@@ -331,7 +574,7 @@ export default function PostDetail() {
                 </>
               )}
               <span className="hidden sm:inline">•</span>
-              <span className="text-xs">{formatDate(post.created_at)}</span>
+              <span className="text-xs">{formatDate(post.publish_at)}</span>
             </div>
 
             {/* Event Date - Responsive */}
@@ -340,24 +583,48 @@ export default function PostDetail() {
                 <div className="p-2 sm:p-3 bg-blue-100 rounded-full flex-shrink-0">
                   <span className="text-xl sm:text-2xl">📅</span>
                 </div>
-                <div>
+                <div className="flex-1 min-w-0">
                   <p className="text-xs sm:text-sm font-semibold text-gray-700">Event Date</p>
                   <p className="text-base sm:text-lg text-blue-900 font-bold">{formatDate(post.event_date)}</p>
                 </div>
+                <button
+                  onClick={handleAddToCalendar}
+                  className="px-3 py-1.5 sm:px-4 sm:py-2 bg-white border border-blue-200 hover:bg-blue-100 text-blue-900 text-xs sm:text-sm font-semibold rounded-lg transition-colors whitespace-nowrap"
+                >
+                  + Add to calendar
+                </button>
               </div>
             )}
 
-            <div className="prose max-w-none">
-              <p className="text-gray-700 text-sm sm:text-base lg:text-lg leading-relaxed whitespace-pre-wrap">{post.content}</p>
-            </div>
+            {post.type === 'event' && ['active', 'archived'].includes(post.status) && (
+              <EventRsvp post={post} canRespond={!isAuthor} />
+            )}
+
+            {post.requires_acknowledgement && !isAuthor && ['active', 'archived'].includes(post.status) && (
+              <PostAcknowledgement post={post} />
+            )}
+
+            <Markdown className="text-gray-700 text-sm sm:text-base lg:text-lg leading-relaxed">{post.content}</Markdown>
+
+            <AttachmentGallery attachments={post.post_attachments} />
+
+            <ReactionBar
+              reactions={reactionsFor(reactions)}
+              currentUserId={userProfile?.id}
+              onToggle={(key, mine) => handleToggleReaction(null, key, mine)}
+              disabled={reacting}
+              className="mt-4 sm:mt-6 pt-4 border-t"
+            />
           </div>
         </div>
 
+        {post.type === 'event' && isAuthor && <EventAttendees post={post} />}
+
         {/* Comments Section - Responsive */}
         <div className="bg-white rounded-lg shadow-lg overflow-hidden">
           <div className="px-4 sm:px-6 py-3 sm:py-4 border-b bg-gray-50">
             <h2 className="text-lg sm:text-xl font-bold text-gray-900">
-              Comments ({comments.length})
+              Comments ({visibleComments.length})
             </h2>
           </div>
 
@@ -377,14 +644,15 @@ export default function PostDetail() {
                   </div>
                 )}
                 <div className="flex-1">
-                  <textarea
+                  <MentionTextarea
                     value={newComment}
-                    onChange={(e) => setNewComment(e.target.value)}
-                    placeholder="Write a comment..."
+                    onChange={setNewComment}
+                    users={mentionable}
+                    placeholder="Write a comment... Type @ to mention someone"
                     rows="3"
                     className="w-full px-3 sm:px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900 resize-none text-sm sm:text-base"
                     disabled={submittingComment}
-                  ></textarea>
+                  />
                   <div className="mt-2 flex justify-end">
                     <button
                       type="submit"
@@ -401,61 +669,89 @@ export default function PostDetail() {
 
           {/* Comments List - Responsive */}
           <div className="divide-y">
-            {comments.length === 0 ? (
+            {visibleComments.length === 0 && pendingComments.length === 0 ? (
               <div className="p-8 sm:p-12 text-center">
                 <p className="text-gray-500 text-sm sm:text-base">No comments yet</p>
                 <p className="text-gray-400 text-xs sm:text-sm mt-1">Be the first to comment!</p>
               </div>
             ) : (
-              comments.map((comment) => (
-                <div key={comment.id} className="p-4 sm:p-6 hover:bg-gray-50 transition-colors">
-                  <div className="flex items-start space-x-2 sm:space-x-4">
-                    {comment.users?.profile_picture ? (
-                      <img
-                        src={comment.users.profile_picture}
-                        alt={comment.users.name}
-                        className="h-8 w-8 sm:h-10 sm:w-10 rounded-full object-cover border-2 border-red-900 flex-shrink-0"
-                      />
-                    ) : (
-                      <div className="h-8 w-8 sm:h-10 sm:w-10 rounded-full bg-red-900 flex items-center justify-center text-white font-semibold text-xs flex-shrink-0">
-                        {getInitials(comment.users?.name)}
-                      </div>
-                    )}
-                    <div className="flex-1 min-w-0">
-                      <div className="flex flex-wrap items-center gap-1 sm:gap-2 mb-1">
-                        <span className="font-semibold text-gray-900 text-sm sm:text-base">{comment.users?.name}</span>
-                        <span className="text-gray-500 text-xs sm:text-sm">•</span>
-                        <span className="text-gray-500 text-xs sm:text-sm">{comment.users?.department}</span>
-                        {comment.users?.role === 'admin' && (
-                          <>
-                            <span className="text-gray-500 text-xs sm:text-sm hidden sm:inline">•</span>
-                            <span className="text-red-900 font-semibold text-xs">Admin</span>
-                          </>
-                        )}
-                        <span className="text-gray-500 text-xs sm:text-sm hidden sm:inline">•</span>
-                        <span className="text-gray-500 text-xs">{formatDate(comment.created_at)}</span>
-                      </div>
-                      <p className="text-gray-700 whitespace-pre-wrap text-sm sm:text-base">{comment.content}</p>
-                    </div>
-                    
-                    {comment.user_id === userProfile?.id && (
-                      <button
-                        onClick={() => handleDeleteComment(comment.id)}
-                        className="text-red-600 hover:text-red-800 transition-colors flex-shrink-0"
-                        title="Delete comment"
-                      >
-                        <svg className="w-4 h-4 sm:w-5 sm:h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                        </svg>
-                      </button>
-                    )}
-                  </div>
+              buildCommentTree(visibleComments).map((comment) => (
+                <div key={comment.id} className="p-4 sm:p-6">
+                  <CommentThread
+                    comment={comment}
+                    currentUserId={userProfile?.id}
+                    mentionable={mentionable}
+                    reactions={reactions}
+                    reacting={reacting}
+                    onReply={(parentId, content) => submitComment(content, parentId)}
+                    onEdit={handleEditComment}
+                    onDelete={handleDeleteComment}
+                    onReact={handleToggleReaction}
+                    onReport={(reported) => setReportTarget({
+                      title: reported.users?.name ? `Report ${reported.users.name}'s comment` : 'Report this comment',
+                      comment: reported
+                    })}
+                  />
                 </div>
               ))
             )}
+
+            {/* Written offline, waiting to be sent */}
+            {pendingComments.map((comment) => (
+              <div key={comment.id} className="p-4 sm:p-6 bg-gray-50">
+                <div className="flex items-start space-x-2 sm:space-x-4 opacity-75">
+                  {comment.users?.profile_picture ? (
+                    <img
+                      src={comment.users.profile_picture}
+                      alt={comment.users.name}
+                      className="h-8 w-8 sm:h-10 sm:w-10 rounded-full object-cover border-2 border-red-900 flex-shrink-0"
+                    />
+                  ) : (
+                    <div className="h-8 w-8 sm:h-10 sm:w-10 rounded-full bg-red-900 flex items-center justify-center text-white font-semibold text-xs flex-shrink-0">
+                      {getInitials(comment.users?.name)}
+                    </div>
+                  )}
+                  <div className="flex-1 min-w-0">
+                    <div className="flex flex-wrap items-center gap-1 sm:gap-2 mb-1">
+                      <span className="font-semibold text-gray-900 text-sm sm:text-base">{comment.users?.name}</span>
+                      {comment.parent_id && <span className="text-gray-500 text-xs sm:text-sm">↪ reply</span>}
+                      <span className="text-gray-500 text-xs sm:text-sm">•</span>
+                      {comment.error ? (
+                        <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-red-100 text-red-800">
+                          Not sent: {comment.error}
+                        </span>
+                      ) : (
+                        <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-yellow-100 text-yellow-800">
+                          ⏳ Pending, will post when you're back online
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-gray-700 whitespace-pre-wrap text-sm sm:text-base">{comment.content}</p>
+                  </div>
+
+                  <button
+                    onClick={() => handleDiscardPendingComment(comment.id)}
+                    className="text-red-600 hover:text-red-800 transition-colors flex-shrink-0"
+                    title="Discard comment"
+                  >
+                    <svg className="w-4 h-4 sm:w-5 sm:h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                  </button>
+                </div>
+              </div>
+            ))}
           </div>
         </div>
       </main>
+
+      {reportTarget && (
+        <ReportDialog
+          title={reportTarget.title}
+          onSubmit={handleReport}
+          onClose={() => setReportTarget(null)}
+        />
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -1,22 +1,26 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import supabase from '../lib/supabase';
 import toast, { Toaster } from 'react-hot-toast';
+import { useAuth } from '../context/auth';
+import { authApi, usersApi, storageApi, ROLE_LABELS } from '../api';
+import { isPushSupported, isPushConfigured, getPushPermission, getPushSubscription, enablePush, disablePush } from '../lib/push';
 
 export default function ProfileSettings() {
   const navigate = useNavigate();
-  const [user, setUser] = useState(null);
-  const [userProfile, setUserProfile] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const { profile, role, refreshAccount } = useAuth();
+  const [userProfile, setUserProfile] = useState(profile);
   const [uploading, setUploading] = useState(false);
   const [formData, setFormData] = useState({
-    name: '',
-    email: ''
+    name: profile.name,
+    email: profile.email
   });
   const [passwordData, setPasswordData] = useState({
     newPassword: '',
     confirmPassword: ''
   });
+  // 'checking', 'unsupported', 'unconfigured', 'denied', 'enabled' or 'disabled'
+  const [pushStatus, setPushStatus] = useState('checking');
+  const [updatingPush, setUpdatingPush] = useState(false);
 
   const departments = [
     { code: 'CCS', name: 'College of Computer Studies' },
@@ -28,42 +32,55 @@ export default function ProfileSettings() {
   ];
 
   useEffect(() => {
-    const checkAuth = async () => {
-      try {
-        const { data: { session }, error } = await supabase.auth.getSession();
-
-        if (error) throw error;
-
-        if (!session) {
-          navigate('/');
-          return;
-        }
-
-        setUser(session.user);
-
-        const { data: profile, error: profileError } = await supabase
-          .from('users')
-          .select('*')
-          .eq('id', session.user.id)
-          .single();
-
-        if (profileError) throw profileError;
-
-        setUserProfile(profile);
-        setFormData({
-          name: profile.name,
-          email: profile.email
-        });
-      } catch (error) {
-        console.error('Error:', error);
-        navigate('/');
-      } finally {
-        setLoading(false);
+    if (!isPushSupported()) {
+      setPushStatus('unsupported');
+      return;
+    }
+    if (!isPushConfigured()) {
+      setPushStatus('unconfigured');
+      return;
+    }
+    if (getPushPermission() === 'denied') {
+      setPushStatus('denied');
+      return;
+    }
+
+    getPushSubscription()
+      .then((subscription) => setPushStatus(subscription ? 'enabled' : 'disabled'))
+      .catch(() => setPushStatus('disabled'));
+  }, []);
+
+  const handleTogglePush = async () => {
+    setUpdatingPush(true);
+    const enabling = pushStatus !== 'enabled';
+    const loadingToast = toast.loading(enabling ? 'Enabling push notifications...' : 'Turning off push notifications...');
+
+    try {
+      if (enabling) {
+        await enablePush(userProfile.id);
+        setPushStatus('enabled');
+        toast.success('Push notifications enabled!', { id: loadingToast });
+      } else {
+        await disablePush();
+        setPushStatus('disabled');
+        toast.success('Push notifications turned off', { id: loadingToast });
       }
-    };
+    } catch (error) {
+      if (getPushPermission() === 'denied') setPushStatus('denied');
+      toast.error(error.message, { id: loadingToast });
+    } finally {
+      setUpdatingPush(false);
+    }
+  };
 
-    checkAuth();
-  }, [navigate]);
+  const pushStatusMessages = {
+    checking: 'Checking this browser...',
+    unsupported: 'This browser does not support push notifications.',
+    unconfigured: 'Push notifications are not available on this site yet.',
+    denied: 'Notifications are blocked. Allow them in your browser settings to turn this on.',
+    enabled: 'This device gets a notification for new posts in your department and upcoming events.',
+    disabled: 'Get a notification on this device for new posts in your department and upcoming events, even when the app is closed.'
+  };
 
   const handleProfilePictureUpload = async (e) => {
     const file = e.target.files[0];
@@ -83,40 +100,17 @@ export default function ProfileSettings() {
     const loadingToast = toast.loading('Uploading profile picture...');
 
     try {
-      const fileExt = file.name.split('.').pop();
-      const fileName = `${userProfile.id}/${Date.now()}.${fileExt}`;
-
       if (userProfile.profile_picture) {
-        const oldPath = userProfile.profile_picture.split('/').slice(-2).join('/');
-        await supabase.storage.from('profile-pictures').remove([oldPath]);
+        await storageApi.removeProfilePicture(userProfile.profile_picture);
       }
 
-      const { error: uploadError } = await supabase.storage
-        .from('profile-pictures')
-        .upload(fileName, file, {
-          cacheControl: '3600',
-          upsert: false
-        });
+      const publicUrl = await storageApi.uploadProfilePicture(userProfile.id, file);
 
-      if (uploadError) throw uploadError;
-
-      const { data: { publicUrl } } = supabase.storage
-        .from('profile-pictures')
-        .getPublicUrl(fileName);
-
-      const { error: updateError } = await supabase
-        .from('users')
-        .update({ profile_picture: publicUrl })
-        .eq('id', userProfile.id);
-
-      if (updateError) throw updateError;
+      await usersApi.updateAccount(userProfile.id, { profile_picture: publicUrl });
 
       setUserProfile({ ...userProfile, profile_picture: publicUrl });
+      refreshAccount();
       toast.success('Profile picture updated! Changes will appear across the site.', { id: loadingToast, duration: 4000 });
-      
-      setTimeout(() => {
-        window.location.reload();
-      }, 1500);
     } catch (error) {
       toast.error(error.message, { id: loadingToast });
     } finally {
@@ -133,14 +127,10 @@ export default function ProfileSettings() {
     const loadingToast = toast.loading('Updating profile...');
 
     try {
-      const { error } = await supabase
-        .from('users')
-        .update({ name: formData.name })
-        .eq('id', userProfile.id);
-
-      if (error) throw error;
+      await usersApi.updateAccount(userProfile.id, { name: formData.name });
 
       setUserProfile({ ...userProfile, name: formData.name });
+      refreshAccount();
       toast.success('Profile updated successfully!', { id: loadingToast });
     } catch (error) {
       toast.error(error.message, { id: loadingToast });
@@ -166,11 +156,7 @@ export default function ProfileSettings() {
     const loadingToast = toast.loading('Changing password...');
 
     try {
-      const { error } = await supabase.auth.updateUser({
-        password: passwordData.newPassword
-      });
-
-      if (error) throw error;
+      await authApi.updatePassword(passwordData.newPassword);
 
       toast.success('Password changed successfully!', { id: loadingToast });
       setPasswordData({ newPassword: '', confirmPassword: '' });
@@ -189,17 +175,12 @@ export default function ProfileSettings() {
     const loadingToast = toast.loading('Removing profile picture...');
 
     try {
-      const oldPath = userProfile.profile_picture.split('/').slice(-2).join('/');
-      await supabase.storage.from('profile-pictures').remove([oldPath]);
+      await storageApi.removeProfilePicture(userProfile.profile_picture);
 
-      const { error } = await supabase
-        .from('users')
-        .update({ profile_picture: null })
-        .eq('id', userProfile.id);
-
-      if (error) throw error;
+      await usersApi.updateAccount(userProfile.id, { profile_picture: null });
 
       setUserProfile({ ...userProfile, profile_picture: null });
+      refreshAccount();
       toast.success('Profile picture removed!', { id: loadingToast });
     } catch (error) {
       toast.error(error.message, { id: loadingToast });
@@ -220,17 +201,6 @@ export default function ProfileSettings() {
     return departments.find(d => d.code === code)?.name || code;
   };
 
-  if (loading) {
-    return (
-      <div className="min-h-screen flex items-center justify-center bg-gray-100">
-        <div className="text-center">
-          <div className="animate-spin rounded-full h-12 sm:h-16 w-12 sm:w-16 border-t-4 border-red-900 border-solid mx-auto mb-4"></div>
-          <p className="text-gray-600 text-base sm:text-lg">Loading profile...</p>
-        </div>
-      </div>
-    );
-  }
-
   return (
     <div className="min-h-screen bg-gray-50">
       <Toaster position="top-center" />
@@ -322,7 +292,7 @@ export default function ProfileSettings() {
                 <div>
                   <p className="text-gray-500">Role</p>
                   <p className="font-semibold text-gray-900">
-                    {userProfile.role === 'admin' ? 'Administrator' : 'User'}
+                    {ROLE_LABELS[role]}
                   </p>
                 </div>
                 <div>
@@ -412,6 +382,27 @@ export default function ProfileSettings() {
               </div>
             </div>
 
+            {/* Push Notifications - Responsive */}
+            <div className="bg-white rounded-lg shadow-md p-4 sm:p-6">
+              <h2 className="text-base sm:text-lg font-semibold text-gray-900 mb-2">Push Notifications</h2>
+              <p className="text-xs sm:text-sm text-gray-600 mb-3 sm:mb-4">
+                {pushStatusMessages[pushStatus]}
+              </p>
+              {(pushStatus === 'enabled' || pushStatus === 'disabled') && (
+                <button
+                  onClick={handleTogglePush}
+                  disabled={updatingPush}
+                  className={`w-full sm:w-auto px-4 sm:px-6 py-2 font-semibold rounded-lg transition-colors text-sm sm:text-base disabled:opacity-50 disabled:cursor-not-allowed ${
+                    pushStatus === 'enabled'
+                      ? 'border border-red-600 text-red-600 hover:bg-red-50'
+                      : 'bg-red-900 hover:bg-red-800 text-white'
+                  }`}
+                >
+                  {pushStatus === 'enabled' ? 'Turn Off on This Device' : 'Enable Push Notifications'}
+                </button>
+              )}
+            </div>
+
             {/* Danger Zone - Responsive */}
             <div className="bg-white rounded-lg shadow-md p-4 sm:p-6 border-2 border-red-200">
               <h2 className="text-base sm:text-lg font-semibold text-red-900 mb-2">Danger Zone</h2>
@@ -0,0 +1,261 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import toast, { Toaster } from 'react-hot-toast';
+import { postsApi } from '../api';
+import { DEPARTMENTS, getDepartmentInfo } from '../lib/departments';
+import { formatDay } from '../lib/format';
+import Highlight from '../components/Highlight';
+
+// Filter values kept in the URL, with the value that means "no filter"
+const FILTERS = {
+  department: 'all',
+  type: 'all',
+  status: 'all',
+  from: '',
+  to: ''
+};
+
+// <input type="date"> values are local calendar days; "to" includes its day
+const startOfDay = (value) => (value ? new Date(`${value}T00:00:00`) : null);
+const endOfDay = (value) => {
+  if (!value) return null;
+  const date = startOfDay(value);
+  date.setDate(date.getDate() + 1);
+  return date;
+};
+
+export default function Search() {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get('q') || '';
+  const filters = Object.fromEntries(
+    Object.entries(FILTERS).map(([name, empty]) => [name, searchParams.get(name) || empty])
+  );
+  const [draft, setDraft] = useState(query);
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const { department, type, status, from, to } = filters;
+
+  useEffect(() => {
+    setDraft(query);
+  }, [query]);
+
+  useEffect(() => {
+    if (!query.trim()) {
+      setResults([]);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+
+    postsApi.searchPosts({ query, department, type, status, from: startOfDay(from), to: endOfDay(to) })
+      .then((data) => {
+        if (!cancelled) setResults(data);
+      })
+      .catch((error) => {
+        if (!cancelled) toast.error('Search failed');
+        console.error(error);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [query, department, type, status, from, to]);
+
+  // Query and filters live in the URL so a search can be shared or revisited
+  const updateParams = (changes) => {
+    const next = { q: query, ...filters, ...changes };
+    const params = {};
+    if (next.q.trim()) params.q = next.q.trim();
+    Object.entries(FILTERS).forEach(([name, empty]) => {
+      if (next[name] !== empty) params[name] = next[name];
+    });
+    setSearchParams(params, { replace: true });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    updateParams({ q: draft });
+  };
+
+  const hasFilters = Object.entries(FILTERS).some(([name, empty]) => filters[name] !== empty);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Toaster position="top-center" />
+
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-3 sm:py-4 flex items-center justify-between">
+          <div>
+            <h1 className="text-lg sm:text-xl lg:text-2xl font-bold text-gray-900">🔍 Search</h1>
+            <p className="text-xs sm:text-sm text-gray-500 mt-0.5 sm:mt-1">Posts, events and comments</p>
+          </div>
+
+          <button
+            onClick={() => navigate('/dashboard')}
+            className="px-3 sm:px-4 py-1.5 sm:py-2 text-gray-600 hover:text-gray-900 font-medium transition-colors flex items-center space-x-1 sm:space-x-2 text-xs sm:text-sm"
+          >
+            <svg className="w-4 h-4 sm:w-5 sm:h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+            </svg>
+            <span className="hidden sm:inline">Back to Dashboard</span>
+            <span className="sm:hidden">Back</span>
+          </button>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-4 sm:py-6">
+        <form onSubmit={handleSubmit} className="flex gap-2 mb-3">
+          <input
+            type="search"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder='e.g. enrollment memo, "exam schedule" -midterm'
+            autoFocus
+            className="flex-1 min-w-0 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900"
+          />
+          <button
+            type="submit"
+            className="px-5 py-2 bg-red-900 hover:bg-red-800 text-white font-semibold rounded-lg transition-colors"
+          >
+            Search
+          </button>
+        </form>
+
+        {/* Filters */}
+        <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-2 mb-4 sm:mb-6 text-sm">
+          <select
+            value={department}
+            onChange={(e) => updateParams({ department: e.target.value })}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900"
+          >
+            <option value="all">All departments</option>
+            {DEPARTMENTS.map((dept) => (
+              <option key={dept.code} value={dept.code}>{dept.code}</option>
+            ))}
+          </select>
+          <select
+            value={type}
+            onChange={(e) => updateParams({ type: e.target.value })}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900"
+          >
+            <option value="all">Posts & events</option>
+            <option value="announcement">Announcements</option>
+            <option value="event">Events</option>
+          </select>
+          <select
+            value={status}
+            onChange={(e) => updateParams({ status: e.target.value })}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900"
+          >
+            <option value="all">Active & archived</option>
+            <option value="active">Active</option>
+            <option value="archived">Archived</option>
+          </select>
+          <input
+            type="date"
+            value={from}
+            max={to || undefined}
+            onChange={(e) => updateParams({ from: e.target.value })}
+            title="Published on or after"
+            className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900"
+          />
+          <input
+            type="date"
+            value={to}
+            min={from || undefined}
+            onChange={(e) => updateParams({ to: e.target.value })}
+            title="Published on or before"
+            className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900"
+          />
+          <button
+            type="button"
+            onClick={() => updateParams(FILTERS)}
+            disabled={!hasFilters}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Clear filters
+          </button>
+        </div>
+
+        {/* Results */}
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-red-900"></div>
+          </div>
+        ) : !query.trim() ? (
+          <div className="bg-white rounded-lg shadow-md p-12 text-center">
+            <span className="text-5xl mb-4 block">🔍</span>
+            <p className="text-gray-500 text-lg">Search titles, post text and comments</p>
+          </div>
+        ) : results.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-md p-12 text-center">
+            <span className="text-5xl mb-4 block">🤷</span>
+            <p className="text-gray-500 text-lg">No posts match "{query}"</p>
+            {hasFilters && <p className="text-gray-400 text-sm mt-1">Try clearing the filters</p>}
+          </div>
+        ) : (
+          <>
+            <p className="text-xs sm:text-sm text-gray-500 mb-2">
+              {results.length} {results.length === 1 ? 'result' : 'results'}
+            </p>
+            <ul className="space-y-3">
+              {results.map((result) => {
+                const deptInfo = getDepartmentInfo(result.department);
+
+                return (
+                  <li key={result.id}>
+                    <button
+                      onClick={() => navigate(`/post/${result.id}`)}
+                      className="w-full text-left bg-white rounded-lg shadow-md hover:shadow-lg transition-shadow p-4 sm:p-5"
+                    >
+                      <div className="flex items-center gap-2 mb-2 text-xs text-gray-500">
+                        <img
+                          src={deptInfo?.logo}
+                          alt={result.department}
+                          className="h-5 w-5 rounded-full object-contain"
+                          onError={(e) => {
+                            e.target.onerror = null;
+                            e.target.src = '/src/assets/spc-logo.jpg';
+                          }}
+                        />
+                        <span className="font-semibold text-gray-700">{result.department}</span>
+                        <span className={`px-2 py-0.5 rounded-full font-semibold ${
+                          result.type === 'event' ? 'bg-blue-100 text-blue-800' : 'bg-green-100 text-green-800'
+                        }`}>
+                          {result.type === 'event' ? '📅 Event' : '📢 Announcement'}
+                        </span>
+                        {result.status === 'archived' && (
+                          <span className="px-2 py-0.5 rounded-full font-semibold bg-gray-200 text-gray-700">📦 Archived</span>
+                        )}
+                        <span className="ml-auto whitespace-nowrap">{formatDay(result.publish_at)}</span>
+                      </div>
+
+                      <Highlight text={result.title_headline} className="block text-base sm:text-lg font-semibold text-gray-900" />
+                      <Highlight text={result.content_headline} className="block text-sm text-gray-600 mt-1 line-clamp-3" />
+
+                      {result.comment_matches > 0 && (
+                        <p className="mt-2 text-xs sm:text-sm text-gray-500 border-l-2 border-gray-200 pl-3">
+                          💬 {result.comment_matches} matching {result.comment_matches === 1 ? 'comment' : 'comments'}:{' '}
+                          <Highlight text={result.comment_headline} className="italic" />
+                        </p>
+                      )}
+
+                      <p className="mt-2 text-xs text-gray-400">By {result.author_name || 'Unknown'}</p>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -1,11 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import supabase from '../lib/supabase';
 import toast, { Toaster } from 'react-hot-toast';
+import { useAuth } from '../context/auth';
+import { usersApi } from '../api';
 
 export default function SuperAdminDashboard() {
   const navigate = useNavigate();
-  const [superAdmin, setSuperAdmin] = useState(null);
+  const { profile: superAdmin, signOut } = useAuth();
   const [pendingUsers, setPendingUsers] = useState([]);
   const [approvedUsers, setApprovedUsers] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -20,65 +21,16 @@ export default function SuperAdminDashboard() {
     'CBAA': 'College of Business Administration and Accountancy'
   };
 
-  useEffect(() => {
-    checkSuperAdmin();
-  }, []);
-
-  const checkSuperAdmin = async () => {
-    try {
-      const { data: { session } } = await supabase.auth.getSession();
-      
-      if (!session) {
-        navigate('/');
-        return;
-      }
-
-      // Check if user is a super admin
-      const { data: superAdminData, error } = await supabase
-        .from('super_admins')
-        .select('*')
-        .eq('id', session.user.id)
-        .single();
-
-      if (error || !superAdminData) {
-        toast.error('Unauthorized access');
-        navigate('/dashboard');
-        return;
-      }
-
-      setSuperAdmin(superAdminData);
-      fetchUsers(superAdminData.department);
-    } catch (error) {
-      console.error('Error checking super admin:', error);
-      navigate('/');
-    }
-  };
-
   const fetchUsers = async (department) => {
     setLoading(true);
     try {
-      // Fetch pending users in this department
-      const { data: pending, error: pendingError } = await supabase
-        .from('users')
-        .select('*')
-        .eq('department', department)
-        .eq('is_approved', false)
-        .order('created_at', { ascending: false });
-
-      if (pendingError) throw pendingError;
-
-      // Fetch approved users in this department
-      const { data: approved, error: approvedError } = await supabase
-        .from('users')
-        .select('*')
-        .eq('department', department)
-        .eq('is_approved', true)
-        .order('approved_at', { ascending: false });
+      const [pending, approved] = await Promise.all([
+        usersApi.listDepartmentAccounts(department, { approved: false }),
+        usersApi.listDepartmentAccounts(department, { approved: true })
+      ]);
 
-      if (approvedError) throw approvedError;
-
-      setPendingUsers(pending || []);
-      setApprovedUsers(approved || []);
+      setPendingUsers(pending);
+      setApprovedUsers(approved);
     } catch (error) {
       console.error('Error fetching users:', error);
       toast.error('Failed to load users');
@@ -87,20 +39,15 @@ export default function SuperAdminDashboard() {
     }
   };
 
+  useEffect(() => {
+    fetchUsers(superAdmin.department);
+  }, [superAdmin.department]);
+
   const handleApprove = async (userId, userName) => {
     const loadingToast = toast.loading(`Approving ${userName}...`);
     
     try {
-      const { error } = await supabase
-        .from('users')
-        .update({
-          is_approved: true,
-          approved_by: superAdmin.id,
-          approved_at: new Date().toISOString()
-        })
-        .eq('id', userId);
-
-      if (error) throw error;
+      await usersApi.setAccountApproval(userId, true, superAdmin.id);
 
       toast.success(`${userName} has been approved!`, { id: loadingToast });
       fetchUsers(superAdmin.department);
@@ -120,13 +67,8 @@ export default function SuperAdminDashboard() {
     const loadingToast = toast.loading(`Rejecting ${userName}...`);
     
     try {
-      // Delete from users table (this will also delete from auth.users due to CASCADE)
-      const { error } = await supabase
-        .from('users')
-        .delete()
-        .eq('id', userId);
-
-      if (error) throw error;
+      // Delete the account (this will also delete from auth.users due to CASCADE)
+      await usersApi.deleteAccount(userId);
 
       toast.success(`${userName} has been rejected and removed`, { id: loadingToast });
       fetchUsers(superAdmin.department);
@@ -146,16 +88,7 @@ export default function SuperAdminDashboard() {
     const loadingToast = toast.loading(`Revoking approval for ${userName}...`);
     
     try {
-      const { error } = await supabase
-        .from('users')
-        .update({
-          is_approved: false,
-          approved_by: null,
-          approved_at: null
-        })
-        .eq('id', userId);
-
-      if (error) throw error;
+      await usersApi.setAccountApproval(userId, false);
 
       toast.success(`Approval revoked for ${userName}`, { id: loadingToast });
       fetchUsers(superAdmin.department);
@@ -166,7 +99,7 @@ export default function SuperAdminDashboard() {
   };
 
   const handleLogout = async () => {
-    await supabase.auth.signOut();
+    await signOut();
     navigate('/');
     toast.success('Logged out successfully');
   };
@@ -0,0 +1,122 @@
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, cleanupOutdatedCaches, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute, NavigationRoute } from 'workbox-routing';
+import { NetworkOnly, NetworkFirst, CacheFirst } from 'workbox-strategies';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+
+// Built by vite-plugin-pwa (injectManifest): self.__WB_MANIFEST is replaced
+// with the hashed app shell and bundles of each build.
+
+const FEED_CACHE = 'spc-feed-v2';
+const IMAGES_CACHE = 'spc-images-v2';
+const RUNTIME_CACHES = [FEED_CACHE, IMAGES_CACHE];
+
+precacheAndRoute(self.__WB_MANIFEST);
+cleanupOutdatedCaches();
+
+// Every client-side route is served the precached index.html
+registerRoute(new NavigationRoute(createHandlerBoundToURL('/index.html')));
+
+// Supabase auth must always hit the network: never serve a stale token
+registerRoute(({ url }) => url.pathname.startsWith('/auth/v1/'), new NetworkOnly());
+
+// Post listings (the feed, an admin's posts, the archive) always ask the
+// network, so a refetch after creating or editing a post is never stale. The
+// last copy only answers when the network can't. Cleared on sign-out by
+// clearOfflineData in src/lib/offlineStore.js.
+registerRoute(
+  ({ url, request }) => request.method === 'GET' && url.pathname.startsWith('/rest/v1/posts_with_stats'),
+  new NetworkFirst({
+    cacheName: FEED_CACHE,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [200] }),
+      new ExpirationPlugin({ maxEntries: 50, maxAgeSeconds: 7 * 24 * 60 * 60 })
+    ]
+  })
+);
+
+// Profile pictures and other public storage objects rarely change
+registerRoute(
+  ({ url, request }) => request.method === 'GET' && url.pathname.startsWith('/storage/v1/object/public/'),
+  new CacheFirst({
+    cacheName: IMAGES_CACHE,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 100, maxAgeSeconds: 30 * 24 * 60 * 60 })
+    ]
+  })
+);
+
+// Anything else (other API calls, realtime) goes to the network untouched
+
+// Drop caches left by older service workers, e.g. spc-cache-v1
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys().then((keys) => Promise.all(
+      keys
+        .filter((key) => !key.startsWith('workbox-precache') && !RUNTIME_CACHES.includes(key))
+        .map((key) => caches.delete(key))
+    ))
+  );
+});
+
+// The "update available" prompt asks the waiting worker to take over
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+clientsClaim();
+
+// Comments written offline sit in the app's IndexedDB outbox. Sending them
+// needs the signed-in Supabase client, so an open window does the work; with
+// none open the sync fails and the browser retries it later.
+self.addEventListener('sync', (event) => {
+  if (event.tag !== 'comment-outbox') return;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then((windows) => {
+      if (windows.length === 0) throw new Error('No open window to send queued comments');
+      windows[0].postMessage({ type: 'FLUSH_COMMENT_OUTBOX' });
+    })
+  );
+});
+
+// Web Push from the send-push edge function. Payload: { title, body, url, tag }
+self.addEventListener('push', (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch {
+    payload = { body: event.data ? event.data.text() : '' };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title || 'SPC Campus Connect', {
+      body: payload.body || '',
+      icon: '/pwa-192x192.png',
+      badge: '/pwa-192x192.png',
+      tag: payload.tag,
+      data: { url: payload.url || '/dashboard' }
+    })
+  );
+});
+
+// Open the post in an existing app window if there is one, otherwise a new one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/dashboard', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const existing = windows.find((client) => new URL(client.url).origin === self.location.origin);
+      if (existing) {
+        return existing
+          .focus()
+          .then((client) => client.navigate(url))
+          .catch(() => self.clients.openWindow(url));
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -0,0 +1,71 @@
+// Subscribable iCalendar feed of SPC events.
+//
+//   GET /functions/v1/calendar-feed                   every department
+//   GET /functions/v1/calendar-feed?department=CCS    one department
+//
+// Calendar apps can't sign in, so the function reads with the service role
+// and only ever returns published events (active, or archived once past).
+// The feed is rebuilt on every request, so moving an event_date in
+// AdminPanel reaches subscribers on their next refresh. Deploy it without
+// JWT verification:
+//   supabase functions deploy calendar-feed --no-verify-jwt
+//
+// Secrets: SITE_URL (the app's address, for links back to each post).
+// SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are provided by the platform.
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { buildCalendar } from '../../../src/lib/ics.js';
+import { DEPARTMENTS } from '../../../src/lib/departments.js';
+
+// How far back the feed reaches; older events stay in calendars that
+// already have them
+const HISTORY_MS = 180 * 24 * 60 * 60 * 1000;
+
+const supabase = createClient(
+  Deno.env.get('SUPABASE_URL')!,
+  Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+);
+
+Deno.serve(async (request) => {
+  if (request.method !== 'GET') {
+    return new Response('Method not allowed', { status: 405 });
+  }
+
+  const departmentCode = new URL(request.url).searchParams.get('department');
+  const department = departmentCode ? DEPARTMENTS.find((dept) => dept.code === departmentCode) : null;
+
+  if (departmentCode && !department) {
+    return new Response(`Unknown department: ${departmentCode}`, { status: 404 });
+  }
+
+  let query = supabase
+    .from('posts')
+    .select('id, title, content, department, event_date, created_at, updated_at')
+    .eq('type', 'event')
+    .in('status', ['active', 'archived'])
+    .gte('event_date', new Date(Date.now() - HISTORY_MS).toISOString());
+
+  if (department) query = query.eq('department', department.code);
+
+  const { data: events, error } = await query.order('event_date', { ascending: true });
+
+  if (error) {
+    console.error('calendar-feed failed:', error);
+    return new Response('Could not load events', { status: 500 });
+  }
+
+  const calendar = buildCalendar(events, {
+    name: department ? `SPC ${department.code} Events` : 'SPC Campus Events',
+    origin: Deno.env.get('SITE_URL') ?? null,
+    feed: true
+  });
+
+  return new Response(calendar, {
+    headers: {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `inline; filename="spc-${department?.code.toLowerCase() ?? 'campus'}-events.ics"`,
+      'Cache-Control': 'public, max-age=300',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+});
@@ -0,0 +1,170 @@
+// Sends Web Push notifications to subscribed browsers.
+//
+// Called by the database (see migrations/20261018050000_web_push.sql) with
+//   { "type": "new_post", "post_id": "..." }   when a post goes live
+//   { "type": "upcoming_events" }              hourly, for events within a day
+//
+// Secrets: VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT (a mailto:
+// or https: contact). SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are provided
+// by the platform. Only callers holding the service role key, i.e. the
+// database, may send; anyone else gets a 401.
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import webpush from 'npm:web-push@3.6.7';
+
+type PushPayload = {
+  title: string;
+  body: string;
+  url: string;
+  tag: string;
+};
+
+type Post = {
+  id: string;
+  title: string;
+  type: string;
+  department: string;
+  author_id: string;
+  status: string;
+  event_date: string | null;
+};
+
+const REMINDER_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const SERVICE_ROLE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+
+const supabase = createClient(Deno.env.get('SUPABASE_URL')!, SERVICE_ROLE_KEY);
+
+webpush.setVapidDetails(
+  Deno.env.get('VAPID_SUBJECT') ?? 'mailto:admin@spc.edu.ph',
+  Deno.env.get('VAPID_PUBLIC_KEY')!,
+  Deno.env.get('VAPID_PRIVATE_KEY')!
+);
+
+// Pushes to every approved account in a department, skipping one person
+// (usually the author). Subscriptions the push service has dropped are removed.
+const pushToDepartment = async (department: string, payload: PushPayload, excludeUserId?: string) => {
+  let query = supabase
+    .from('push_subscriptions')
+    .select('id, endpoint, p256dh, auth, user_id, users!inner (department, is_approved)')
+    .eq('users.department', department)
+    .eq('users.is_approved', true);
+
+  if (excludeUserId) query = query.neq('user_id', excludeUserId);
+
+  const { data: subscriptions, error } = await query;
+  if (error) throw error;
+
+  const body = JSON.stringify(payload);
+  const expired: string[] = [];
+
+  await Promise.all(subscriptions.map(async (subscription) => {
+    try {
+      await webpush.sendNotification(
+        { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+        body
+      );
+    } catch (error) {
+      const statusCode = (error as { statusCode?: number }).statusCode;
+      if (statusCode === 404 || statusCode === 410) {
+        expired.push(subscription.id);
+      } else {
+        console.error('Push failed:', subscription.endpoint, error);
+      }
+    }
+  }));
+
+  if (expired.length > 0) {
+    await supabase.from('push_subscriptions').delete().in('id', expired);
+  }
+
+  return subscriptions.length;
+};
+
+const pushNewPost = async (postId: string) => {
+  const { data: post, error } = await supabase
+    .from('posts')
+    .select('id, title, type, department, author_id, status, event_date')
+    .eq('id', postId)
+    .maybeSingle<Post>();
+
+  if (error) throw error;
+  if (!post || post.status !== 'active') return 0;
+
+  return pushToDepartment(post.department, {
+    title: `New ${post.type === 'event' ? 'event' : 'announcement'} in ${post.department}`,
+    body: post.title,
+    url: `/post/${post.id}`,
+    tag: `post-${post.id}`
+  }, post.author_id);
+};
+
+const pushUpcomingEvents = async () => {
+  const now = new Date();
+  const until = new Date(now.getTime() + REMINDER_WINDOW_MS);
+
+  const { data: events, error } = await supabase
+    .from('posts')
+    .select('id, title, type, department, author_id, status, event_date')
+    .eq('type', 'event')
+    .eq('status', 'active')
+    .gte('event_date', now.toISOString())
+    .lte('event_date', until.toISOString())
+    .returns<Post[]>();
+
+  if (error) throw error;
+
+  let sent = 0;
+  for (const event of events) {
+    // Claim the reminder first so overlapping runs cannot both send it
+    const { data: claimed, error: claimError } = await supabase
+      .from('event_push_reminders')
+      .upsert({ post_id: event.id }, { onConflict: 'post_id', ignoreDuplicates: true })
+      .select('post_id');
+
+    if (claimError) throw claimError;
+    if (!claimed || claimed.length === 0) continue;
+
+    const startsAt = new Date(event.event_date!).toLocaleString('en-US', {
+      timeZone: 'Asia/Manila',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    sent += await pushToDepartment(event.department, {
+      title: `Upcoming event: ${event.title}`,
+      body: `Starts ${startsAt}`,
+      url: `/post/${event.id}`,
+      tag: `event-${event.id}`
+    });
+  }
+
+  return sent;
+};
+
+Deno.serve(async (request) => {
+  // The gateway accepts any project JWT, including a signed-in student's
+  if (request.headers.get('Authorization') !== `Bearer ${SERVICE_ROLE_KEY}`) {
+    return Response.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    const { type, post_id: postId } = await request.json();
+
+    let sent = 0;
+    if (type === 'new_post' && postId) {
+      sent = await pushNewPost(postId);
+    } else if (type === 'upcoming_events') {
+      sent = await pushUpcomingEvents();
+    } else {
+      return Response.json({ error: `Unknown push type: ${type}` }, { status: 400 });
+    }
+
+    return Response.json({ sent });
+  } catch (error) {
+    console.error(error);
+    return Response.json({ error: (error as Error).message }, { status: 500 });
+  }
+});
@@ -0,0 +1,176 @@
+-- Unified account model
+--
+-- Students, Department Admins and Program Heads used to live in three tables
+-- (users, admins, super_admins). Every person now has exactly one row in
+-- public.users and is told apart by `role`:
+--   'user'        Student
+--   'admin'       Department Admin (President Officer)
+--   'super_admin' Program Head
+
+-- 1. Widen the role column to cover every kind of account
+alter table public.users drop constraint if exists users_role_check;
+alter table public.users
+  alter column role set default 'user',
+  alter column is_approved set default false;
+alter table public.users
+  add constraint users_role_check check (role in ('user', 'admin', 'super_admin'));
+
+-- One Department Admin and one Program Head per department
+create unique index if not exists users_one_admin_per_department_idx
+  on public.users (department)
+  where role = 'admin';
+
+create unique index if not exists users_one_head_per_department_idx
+  on public.users (department)
+  where role = 'super_admin';
+
+-- 2. Copy Program Heads across. They were never subject to approval.
+insert into public.users (id, name, email, department, role, is_approved, approved_at, created_at)
+select id, name, email, department, 'super_admin', true, coalesce(created_at, now()), coalesce(created_at, now())
+from public.super_admins
+on conflict (id) do update
+  set role = 'super_admin',
+      is_approved = true;
+
+-- 3. Copy Department Admins across, keeping their approval state
+insert into public.users (id, name, email, department, role, is_approved, created_at)
+select id, name, email, department, 'admin', coalesce(is_approved, false), coalesce(created_at, now())
+from public.admins
+on conflict (id) do update
+  set role = 'admin',
+      is_approved = excluded.is_approved;
+
+-- 4. Posts and comments point at the single account table
+alter table public.posts drop constraint if exists posts_author_id_fkey;
+alter table public.posts
+  add constraint posts_author_id_fkey
+  foreign key (author_id) references public.users (id) on delete cascade;
+
+alter table public.comments drop constraint if exists comments_user_id_fkey;
+alter table public.comments
+  add constraint comments_user_id_fkey
+  foreign key (user_id) references public.users (id) on delete cascade;
+
+-- 5. Keep the old tables around, read-only, until the migration is verified
+alter table public.super_admins rename to super_admins_legacy;
+alter table public.admins rename to admins_legacy;
+revoke insert, update, delete on public.super_admins_legacy, public.admins_legacy from anon, authenticated;
+
+-- 6. Helpers for row level security. SECURITY DEFINER so policies on
+--    public.users can call them without recursing into themselves.
+create or replace function public.current_user_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select role from public.users where id = auth.uid();
+$$;
+
+create or replace function public.current_user_department()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select department from public.users where id = auth.uid();
+$$;
+
+alter table public.users enable row level security;
+
+drop policy if exists "Accounts are readable" on public.users;
+create policy "Accounts are readable"
+  on public.users for select
+  using (true);
+
+-- Account rows are created by the signup trigger below, never by clients
+drop policy if exists "People create their own account" on public.users;
+drop function if exists public.create_staff_account(text, text, text);
+
+drop policy if exists "People edit their own account" on public.users;
+create policy "People edit their own account"
+  on public.users for update
+  using (id = auth.uid())
+  with check (
+    id = auth.uid()
+    and role = public.current_user_role()
+    and department = public.current_user_department()
+    and is_approved = (select u.is_approved from public.users u where u.id = auth.uid())
+  );
+
+drop policy if exists "Program Heads manage their department" on public.users;
+create policy "Program Heads manage their department"
+  on public.users for update
+  using (
+    public.current_user_role() = 'super_admin'
+    and department = public.current_user_department()
+    and role <> 'super_admin'
+  );
+
+drop policy if exists "Program Heads remove accounts in their department" on public.users;
+create policy "Program Heads remove accounts in their department"
+  on public.users for delete
+  using (
+    public.current_user_role() = 'super_admin'
+    and department = public.current_user_department()
+    and role <> 'super_admin'
+  );
+
+-- 7. Every signup gets its account row here, from the full_name, department
+--    and role the app passes as signup metadata. Doing it in the database
+--    means it happens even when email confirmation leaves the client without
+--    a session. Students wait for approval. Only the department's reserved
+--    address can hold a staff role: <dept>-admin@spc.edu for its Admin, who
+--    still needs the Program Head's approval, and <dept>-head@spc.edu for its
+--    Program Head, who doesn't. Anything else, or a second Admin or Program
+--    Head for a department, aborts the signup.
+create or replace function public.create_account_for_auth_user()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  account_department text := new.raw_user_meta_data ->> 'department';
+  account_role text := coalesce(new.raw_user_meta_data ->> 'role', 'user');
+begin
+  -- People added from the Supabase dashboard have no department; their
+  -- account row is created by hand
+  if account_department is null then
+    return new;
+  end if;
+
+  if account_role not in ('user', 'admin', 'super_admin') then
+    raise exception 'Unknown role: %', account_role
+      using errcode = '22023';
+  end if;
+
+  if account_role <> 'user' and lower(new.email) <> (
+    lower(account_department)
+    || case account_role when 'admin' then '-admin' else '-head' end
+    || '@spc.edu'
+  ) then
+    raise exception 'This email can''t hold that role in %', account_department
+      using errcode = '42501';
+  end if;
+
+  insert into public.users (id, name, email, department, role, is_approved)
+  values (
+    new.id,
+    coalesce(nullif(trim(new.raw_user_meta_data ->> 'full_name'), ''), split_part(new.email, '@', 1)),
+    new.email,
+    account_department,
+    account_role,
+    account_role = 'super_admin'
+  );
+
+  return new;
+end;
+$$;
+
+drop trigger if exists create_account_for_auth_user on auth.users;
+create trigger create_account_for_auth_user
+  after insert on auth.users
+  for each row execute function public.create_account_for_auth_user();
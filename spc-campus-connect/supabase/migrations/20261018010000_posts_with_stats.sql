@@ -0,0 +1,31 @@
+-- Feed listing with its aggregates in one query
+--
+-- Dashboard, AdminPanel and Archive used to run one count(*) against comments
+-- per post. This view returns each post with its comment count and activity
+-- times so a listing is a single round trip.
+--
+-- The aggregate columns come first on purpose: `p.*` is expanded when the view
+-- is created, so columns added to posts later can be picked up with
+-- `create or replace view` (which may only append columns).
+
+create index if not exists comments_post_id_created_at_idx
+  on public.comments (post_id, created_at);
+
+create or replace view public.posts_with_stats
+with (security_invoker = true)
+as
+select
+  coalesce(stats.comment_count, 0) as comment_count,
+  stats.last_comment_at,
+  greatest(p.created_at, p.updated_at, stats.last_comment_at) as last_activity_at,
+  p.*
+from public.posts p
+left join lateral (
+  select
+    count(*)::int as comment_count,
+    max(c.created_at) as last_comment_at
+  from public.comments c
+  where c.post_id = p.id
+) stats on true;
+
+grant select on public.posts_with_stats to anon, authenticated;
@@ -0,0 +1,11 @@
+-- Department feed pagination
+--
+-- The feed asks for active posts, optionally in one department, older than a
+-- (created_at, id) cursor; id breaks ties between posts created together.
+-- These indexes serve the filtered and unfiltered case.
+
+create index if not exists posts_feed_idx
+  on public.posts (status, department, created_at desc, id desc);
+
+create index if not exists posts_status_created_at_idx
+  on public.posts (status, created_at desc, id desc);
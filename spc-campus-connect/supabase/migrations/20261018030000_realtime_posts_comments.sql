@@ -0,0 +1,27 @@
+-- Realtime for the feed and comment threads
+--
+-- Dashboard and PostDetail subscribe to postgres_changes on posts and
+-- comments. Full replica identity puts the whole old row in UPDATE and DELETE
+-- payloads, so clients can tell an archive from an edit and know which post
+-- a deleted comment belonged to.
+
+alter table public.posts replica identity full;
+alter table public.comments replica identity full;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'posts'
+  ) then
+    alter publication supabase_realtime add table public.posts;
+  end if;
+
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'comments'
+  ) then
+    alter publication supabase_realtime add table public.comments;
+  end if;
+end
+$$;
@@ -0,0 +1,155 @@
+-- In-app notifications
+--
+-- One row per recipient. Rows are written only by the triggers below, never
+-- by the client, which can read its own notifications and mark them read.
+--   'new_post'          an announcement or event was posted in your department
+--   'comment'           someone commented on a post you wrote or commented on
+--   'account_approved'  your Program Head approved your account
+
+create table if not exists public.notifications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  type text not null check (type in ('new_post', 'comment', 'account_approved')),
+  post_id uuid references public.posts (id) on delete cascade,
+  actor_id uuid references public.users (id) on delete set null,
+  message text not null,
+  read_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notifications_user_created_at_idx
+  on public.notifications (user_id, created_at desc);
+
+create index if not exists notifications_user_unread_idx
+  on public.notifications (user_id)
+  where read_at is null;
+
+alter table public.notifications enable row level security;
+
+drop policy if exists "People read their own notifications" on public.notifications;
+create policy "People read their own notifications"
+  on public.notifications for select
+  using (user_id = auth.uid());
+
+drop policy if exists "People mark their own notifications read" on public.notifications;
+create policy "People mark their own notifications read"
+  on public.notifications for update
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+-- Only read_at may change from the client
+revoke insert, update, delete on public.notifications from anon, authenticated;
+grant update (read_at) on public.notifications to authenticated;
+
+-- New active posts notify everyone approved in the post's department
+create or replace function public.notify_department_of_post()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.status <> 'active' then
+    return new;
+  end if;
+
+  insert into public.notifications (user_id, type, post_id, actor_id, message)
+  select
+    u.id,
+    'new_post',
+    new.id,
+    new.author_id,
+    format(
+      'New %s in %s: %s',
+      case when new.type = 'event' then 'event' else 'announcement' end,
+      new.department,
+      new.title
+    )
+  from public.users u
+  where u.department = new.department
+    and u.is_approved
+    and u.id <> new.author_id;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists posts_notify_department on public.posts;
+create trigger posts_notify_department
+  after insert on public.posts
+  for each row execute function public.notify_department_of_post();
+
+-- New comments notify the post's author and everyone else in the thread
+create or replace function public.notify_thread_of_comment()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  commenter_name text;
+  post_title text;
+begin
+  select name into commenter_name from public.users where id = new.user_id;
+  select title into post_title from public.posts where id = new.post_id;
+
+  insert into public.notifications (user_id, type, post_id, actor_id, message)
+  select
+    recipients.user_id,
+    'comment',
+    new.post_id,
+    new.user_id,
+    format('%s commented on "%s"', coalesce(commenter_name, 'Someone'), post_title)
+  from (
+    select author_id as user_id from public.posts where id = new.post_id
+    union
+    select user_id from public.comments where post_id = new.post_id
+  ) recipients
+  where recipients.user_id <> new.user_id;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists comments_notify_thread on public.comments;
+create trigger comments_notify_thread
+  after insert on public.comments
+  for each row execute function public.notify_thread_of_comment();
+
+-- Approval by the Program Head notifies the account holder
+create or replace function public.notify_account_approved()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.notifications (user_id, type, actor_id, message)
+  values (
+    new.id,
+    'account_approved',
+    new.approved_by,
+    'Your account has been approved. Welcome to SPC Campus Connect!'
+  );
+
+  return new;
+end;
+$$;
+
+drop trigger if exists users_notify_approval on public.users;
+create trigger users_notify_approval
+  after update of is_approved on public.users
+  for each row
+  when (new.is_approved and not old.is_approved)
+  execute function public.notify_account_approved();
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'notifications'
+  ) then
+    alter publication supabase_realtime add table public.notifications;
+  end if;
+end
+$$;
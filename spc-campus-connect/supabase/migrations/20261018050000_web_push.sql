@@ -0,0 +1,94 @@
+-- Web Push
+--
+-- Browsers that opt in from Profile Settings store their PushSubscription
+-- here. The send-push edge function (supabase/functions/send-push) delivers:
+--   * new active posts, to approved accounts in the post's department
+--   * upcoming events, once per event, when they are less than a day away
+--
+-- The database calls the function with pg_net and schedules the event sweep
+-- with pg_cron. Both read two Vault secrets, which must exist first:
+--   select vault.create_secret('https://<project-ref>.supabase.co', 'project_url');
+--   select vault.create_secret('<service role key>', 'service_role_key');
+
+create extension if not exists pg_net;
+create extension if not exists pg_cron;
+
+create table if not exists public.push_subscriptions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  endpoint text not null unique,
+  p256dh text not null,
+  auth text not null,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists push_subscriptions_user_id_idx
+  on public.push_subscriptions (user_id);
+
+alter table public.push_subscriptions enable row level security;
+
+drop policy if exists "People manage their own push subscriptions" on public.push_subscriptions;
+create policy "People manage their own push subscriptions"
+  on public.push_subscriptions for all
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+-- Events already reminded about, so the hourly sweep pushes each one once.
+-- Only the edge function (service role) touches it.
+create table if not exists public.event_push_reminders (
+  post_id uuid primary key references public.posts (id) on delete cascade,
+  sent_at timestamptz not null default now()
+);
+
+alter table public.event_push_reminders enable row level security;
+
+create or replace function public.invoke_send_push(payload jsonb)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform net.http_post(
+    url := (select decrypted_secret from vault.decrypted_secrets where name = 'project_url')
+      || '/functions/v1/send-push',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || (select decrypted_secret from vault.decrypted_secrets where name = 'service_role_key')
+    ),
+    body := payload
+  );
+end;
+$$;
+
+revoke execute on function public.invoke_send_push(jsonb) from public, anon, authenticated;
+
+create or replace function public.push_new_post()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.status = 'active' then
+    perform public.invoke_send_push(jsonb_build_object('type', 'new_post', 'post_id', new.id));
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists posts_push_new_post on public.posts;
+create trigger posts_push_new_post
+  after insert on public.posts
+  for each row execute function public.push_new_post();
+
+select cron.unschedule('push-upcoming-events')
+where exists (select 1 from cron.job where jobname = 'push-upcoming-events');
+
+select cron.schedule(
+  'push-upcoming-events',
+  '0 * * * *',
+  $$ select public.invoke_send_push('{"type": "upcoming_events"}'::jsonb) $$
+);
@@ -0,0 +1,86 @@
+-- Post attachments
+--
+-- Images and documents attached to announcements and events. Files go in the
+-- public post-attachments bucket under "<uploader id>/"; this table records
+-- them against the post so the feed can embed them as
+-- `post_attachments (...)`. The bucket limits match src/lib/attachments.js.
+
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values (
+  'post-attachments',
+  'post-attachments',
+  true,
+  10485760,
+  array[
+    'image/jpeg',
+    'image/png',
+    'image/gif',
+    'image/webp',
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+  ]
+)
+on conflict (id) do update
+  set public = excluded.public,
+      file_size_limit = excluded.file_size_limit,
+      allowed_mime_types = excluded.allowed_mime_types;
+
+-- Admins upload into their own folder and may remove only what they uploaded
+drop policy if exists "Admins upload post attachments" on storage.objects;
+create policy "Admins upload post attachments"
+  on storage.objects for insert
+  to authenticated
+  with check (
+    bucket_id = 'post-attachments'
+    and (storage.foldername(name))[1] = auth.uid()::text
+    and public.current_user_role() in ('admin', 'super_admin')
+  );
+
+drop policy if exists "Admins remove their post attachments" on storage.objects;
+create policy "Admins remove their post attachments"
+  on storage.objects for delete
+  to authenticated
+  using (
+    bucket_id = 'post-attachments'
+    and (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+create table if not exists public.post_attachments (
+  id uuid primary key default gen_random_uuid(),
+  post_id uuid not null references public.posts (id) on delete cascade,
+  path text not null,
+  url text not null,
+  name text not null,
+  mime_type text not null,
+  size integer not null check (size > 0 and size <= 10485760),
+  width integer,
+  height integer,
+  position integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists post_attachments_post_id_position_idx
+  on public.post_attachments (post_id, position);
+
+alter table public.post_attachments enable row level security;
+
+drop policy if exists "Attachments are readable" on public.post_attachments;
+create policy "Attachments are readable"
+  on public.post_attachments for select
+  using (true);
+
+-- Only the post's author attaches or removes files
+drop policy if exists "Authors manage their post attachments" on public.post_attachments;
+create policy "Authors manage their post attachments"
+  on public.post_attachments for all
+  using (
+    exists (select 1 from public.posts p where p.id = post_id and p.author_id = auth.uid())
+  )
+  with check (
+    exists (select 1 from public.posts p where p.id = post_id and p.author_id = auth.uid())
+  );
@@ -0,0 +1,154 @@
+-- Scheduled publishing and expiry
+--
+-- publish_at: when the post goes live. A post saved with a future publish_at
+--             has status 'scheduled' and stays out of the feed until then.
+-- expires_at: optional; the post is archived once it passes. Events are also
+--             archived once their event_date has passed.
+--
+-- A pg_cron job runs public.run_post_schedule() every minute to make both
+-- transitions. The feed is ordered by publish_at, so a scheduled post lands
+-- at the top when it goes live rather than at its creation time.
+
+alter table public.posts
+  add column if not exists publish_at timestamptz,
+  add column if not exists expires_at timestamptz;
+
+update public.posts set publish_at = created_at where publish_at is null;
+
+alter table public.posts
+  alter column publish_at set default now(),
+  alter column publish_at set not null;
+
+alter table public.posts drop constraint if exists posts_status_check;
+alter table public.posts
+  add constraint posts_status_check check (status in ('scheduled', 'active', 'archived'));
+
+alter table public.posts drop constraint if exists posts_expires_after_publish;
+alter table public.posts
+  add constraint posts_expires_after_publish check (expires_at is null or expires_at > publish_at);
+
+drop index if exists public.posts_feed_idx;
+drop index if exists public.posts_status_created_at_idx;
+
+create index if not exists posts_feed_idx
+  on public.posts (status, department, publish_at desc, id desc);
+
+create index if not exists posts_status_publish_at_idx
+  on public.posts (status, publish_at desc, id desc);
+
+-- Pick up the new columns (p.* is expanded when the view is created)
+create or replace view public.posts_with_stats
+with (security_invoker = true)
+as
+select
+  coalesce(stats.comment_count, 0) as comment_count,
+  stats.last_comment_at,
+  greatest(p.created_at, p.updated_at, stats.last_comment_at) as last_activity_at,
+  p.*
+from public.posts p
+left join lateral (
+  select
+    count(*)::int as comment_count,
+    max(c.created_at) as last_comment_at
+  from public.comments c
+  where c.post_id = p.id
+) stats on true;
+
+-- Only the author sees a post before it goes live
+drop policy if exists "Scheduled posts are hidden until published" on public.posts;
+create policy "Scheduled posts are hidden until published"
+  on public.posts
+  as restrictive
+  for select
+  using (status <> 'scheduled' or author_id = auth.uid());
+
+create or replace function public.run_post_schedule()
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update public.posts
+  set status = 'active'
+  where status = 'scheduled'
+    and publish_at <= now();
+
+  update public.posts
+  set status = 'archived'
+  where status = 'active'
+    and (
+      expires_at <= now()
+      or (type = 'event' and event_date < now())
+    );
+$$;
+
+revoke execute on function public.run_post_schedule() from public, anon, authenticated;
+
+select cron.unschedule('run-post-schedule')
+where exists (select 1 from cron.job where jobname = 'run-post-schedule');
+
+select cron.schedule(
+  'run-post-schedule',
+  '* * * * *',
+  $$ select public.run_post_schedule() $$
+);
+
+-- Department notifications and pushes go out when a post goes live: on
+-- insert for posts published straight away, on the scheduled -> active
+-- update for the rest. Restoring an archived post does not notify again.
+create or replace function public.notify_department_of_post()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.status <> 'active' or (tg_op = 'UPDATE' and old.status <> 'scheduled') then
+    return new;
+  end if;
+
+  insert into public.notifications (user_id, type, post_id, actor_id, message)
+  select
+    u.id,
+    'new_post',
+    new.id,
+    new.author_id,
+    format(
+      'New %s in %s: %s',
+      case when new.type = 'event' then 'event' else 'announcement' end,
+      new.department,
+      new.title
+    )
+  from public.users u
+  where u.department = new.department
+    and u.is_approved
+    and u.id <> new.author_id;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists posts_notify_department on public.posts;
+create trigger posts_notify_department
+  after insert or update of status on public.posts
+  for each row execute function public.notify_department_of_post();
+
+create or replace function public.push_new_post()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.status = 'active' and (tg_op = 'INSERT' or old.status = 'scheduled') then
+    perform public.invoke_send_push(jsonb_build_object('type', 'new_post', 'post_id', new.id));
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists posts_push_new_post on public.posts;
+create trigger posts_push_new_post
+  after insert or update of status on public.posts
+  for each row execute function public.push_new_post();
@@ -0,0 +1,70 @@
+-- Draft posts
+--
+-- AdminPanel autosaves the post being written as a 'draft' row, so it can
+-- be finished over several sessions and published later. Drafts are never
+-- in the feed and only their author can read them. Publishing is an update
+-- to 'active' (or 'scheduled'), which is when notifications go out.
+
+alter table public.posts drop constraint if exists posts_status_check;
+alter table public.posts
+  add constraint posts_status_check check (status in ('draft', 'scheduled', 'active', 'archived'));
+
+drop policy if exists "Scheduled posts are hidden until published" on public.posts;
+drop policy if exists "Unpublished posts are visible only to their author" on public.posts;
+create policy "Unpublished posts are visible only to their author"
+  on public.posts
+  as restrictive
+  for select
+  using (status not in ('draft', 'scheduled') or author_id = auth.uid());
+
+create index if not exists posts_author_drafts_idx
+  on public.posts (author_id, updated_at desc)
+  where status = 'draft';
+
+-- Going live from a draft notifies like going live from the schedule
+create or replace function public.notify_department_of_post()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.status <> 'active' or (tg_op = 'UPDATE' and old.status not in ('draft', 'scheduled')) then
+    return new;
+  end if;
+
+  insert into public.notifications (user_id, type, post_id, actor_id, message)
+  select
+    u.id,
+    'new_post',
+    new.id,
+    new.author_id,
+    format(
+      'New %s in %s: %s',
+      case when new.type = 'event' then 'event' else 'announcement' end,
+      new.department,
+      new.title
+    )
+  from public.users u
+  where u.department = new.department
+    and u.is_approved
+    and u.id <> new.author_id;
+
+  return new;
+end;
+$$;
+
+create or replace function public.push_new_post()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.status = 'active' and (tg_op = 'INSERT' or old.status in ('draft', 'scheduled')) then
+    perform public.invoke_send_push(jsonb_build_object('type', 'new_post', 'post_id', new.id));
+  end if;
+
+  return new;
+end;
+$$;
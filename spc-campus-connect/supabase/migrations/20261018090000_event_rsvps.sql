@@ -0,0 +1,146 @@
+-- Event RSVPs
+--
+-- Students answer an event post with Going, Interested or Not going; one
+-- answer per person, changed in place. An event may have a capacity: the
+-- first `capacity` people to answer Going have a place and everyone after
+-- them is on the waitlist, in the order they answered. Places aren't
+-- stored, so someone dropping out moves the waitlist up by itself.
+--
+-- event_attendees:   each RSVP with its place and waitlist flag, for the
+--                    person who gave it and for the event's author
+-- event_rsvp_counts: the totals everyone sees on the event
+
+alter table public.posts
+  add column if not exists capacity integer;
+
+alter table public.posts drop constraint if exists posts_capacity_check;
+alter table public.posts
+  add constraint posts_capacity_check check (capacity is null or capacity > 0);
+
+-- Pick up the new column (p.* is expanded when the view is created)
+create or replace view public.posts_with_stats
+with (security_invoker = true)
+as
+select
+  coalesce(stats.comment_count, 0) as comment_count,
+  stats.last_comment_at,
+  greatest(p.created_at, p.updated_at, stats.last_comment_at) as last_activity_at,
+  p.*
+from public.posts p
+left join lateral (
+  select
+    count(*)::int as comment_count,
+    max(c.created_at) as last_comment_at
+  from public.comments c
+  where c.post_id = p.id
+) stats on true;
+
+create table if not exists public.event_rsvps (
+  id uuid primary key default gen_random_uuid(),
+  post_id uuid not null references public.posts (id) on delete cascade,
+  user_id uuid not null references public.users (id) on delete cascade,
+  status text not null check (status in ('going', 'interested', 'not_going')),
+  responded_at timestamptz not null default now(),
+  unique (post_id, user_id)
+);
+
+create index if not exists event_rsvps_post_id_status_idx
+  on public.event_rsvps (post_id, status, responded_at);
+
+-- Changing an answer goes to the back of the queue; saving the same one
+-- again keeps the place
+create or replace function public.touch_event_rsvp()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.responded_at := case when new.status is distinct from old.status then now() else old.responded_at end;
+  return new;
+end;
+$$;
+
+drop trigger if exists touch_event_rsvp on public.event_rsvps;
+create trigger touch_event_rsvp
+  before update on public.event_rsvps
+  for each row execute function public.touch_event_rsvp();
+
+alter table public.event_rsvps enable row level security;
+
+drop policy if exists "RSVPs are visible to their owner and the event's author" on public.event_rsvps;
+create policy "RSVPs are visible to their owner and the event's author"
+  on public.event_rsvps for select
+  using (
+    user_id = auth.uid()
+    or exists (select 1 from public.posts p where p.id = post_id and p.author_id = auth.uid())
+  );
+
+-- Only live events take answers
+drop policy if exists "Users RSVP to live events" on public.event_rsvps;
+create policy "Users RSVP to live events"
+  on public.event_rsvps for insert
+  with check (
+    user_id = auth.uid()
+    and exists (select 1 from public.posts p where p.id = post_id and p.type = 'event' and p.status = 'active')
+  );
+
+drop policy if exists "Users change their RSVP to live events" on public.event_rsvps;
+create policy "Users change their RSVP to live events"
+  on public.event_rsvps for update
+  using (user_id = auth.uid())
+  with check (
+    user_id = auth.uid()
+    and exists (select 1 from public.posts p where p.id = post_id and p.type = 'event' and p.status = 'active')
+  );
+
+drop policy if exists "Users withdraw their RSVP" on public.event_rsvps;
+create policy "Users withdraw their RSVP"
+  on public.event_rsvps for delete
+  using (user_id = auth.uid());
+
+-- Places are ranked over every RSVP, so these views run with their owner's
+-- rights and do their own filtering
+create or replace view public.event_attendees as
+select
+  ranked.id,
+  ranked.post_id,
+  ranked.user_id,
+  ranked.status,
+  ranked.responded_at,
+  ranked.place,
+  coalesce(ranked.place > ranked.capacity, false) as waitlisted
+from (
+  select
+    r.*,
+    p.author_id as post_author_id,
+    p.capacity,
+    case
+      when r.status = 'going'
+        then row_number() over (partition by r.post_id, r.status order by r.responded_at, r.id)::int
+    end as place
+  from public.event_rsvps r
+  join public.posts p on p.id = r.post_id
+) ranked
+where ranked.user_id = auth.uid()
+  or ranked.post_author_id = auth.uid();
+
+create or replace view public.event_rsvp_counts as
+select
+  p.id as post_id,
+  p.capacity,
+  least(totals.going, coalesce(p.capacity, totals.going))::int as going_count,
+  greatest(totals.going - coalesce(p.capacity, totals.going), 0)::int as waitlist_count,
+  totals.interested::int as interested_count,
+  totals.not_going::int as not_going_count
+from public.posts p
+join lateral (
+  select
+    count(*) filter (where r.status = 'going') as going,
+    count(*) filter (where r.status = 'interested') as interested,
+    count(*) filter (where r.status = 'not_going') as not_going
+  from public.event_rsvps r
+  where r.post_id = p.id
+) totals on true
+where p.type = 'event'
+  and p.status in ('active', 'archived');
+
+grant select on public.event_attendees, public.event_rsvp_counts to authenticated;
@@ -0,0 +1,140 @@
+-- QR-code event check-in
+--
+-- The admin who posted an event shows a QR code from AdminPanel; students
+-- scan it (or type the code under it) to record that they attended. The
+-- code rotates: the display asks rotate_check_in_code() for a new one every
+-- 30 seconds and each stays valid for 45, so a photo of the screen sent to
+-- a friend outside stops working almost straight away.
+--
+-- Neither table is written by the client directly; both functions check
+-- who is calling.
+
+create table if not exists public.event_check_in_codes (
+  code text primary key,
+  post_id uuid not null references public.posts (id) on delete cascade,
+  expires_at timestamptz not null
+);
+
+create index if not exists event_check_in_codes_post_id_idx
+  on public.event_check_in_codes (post_id);
+
+-- No policies: only the functions below read or write codes
+alter table public.event_check_in_codes enable row level security;
+
+create table if not exists public.event_attendance (
+  id uuid primary key default gen_random_uuid(),
+  post_id uuid not null references public.posts (id) on delete cascade,
+  user_id uuid not null references public.users (id) on delete cascade,
+  checked_in_at timestamptz not null default now(),
+  unique (post_id, user_id)
+);
+
+create index if not exists event_attendance_post_id_idx
+  on public.event_attendance (post_id, checked_in_at);
+
+alter table public.event_attendance enable row level security;
+
+drop policy if exists "Attendance is visible to the attendee and the event's author" on public.event_attendance;
+create policy "Attendance is visible to the attendee and the event's author"
+  on public.event_attendance for select
+  using (
+    user_id = auth.uid()
+    or exists (select 1 from public.posts p where p.id = post_id and p.author_id = auth.uid())
+  );
+
+-- A fresh code for the event's QR display. Events are archived once they
+-- start, so archived ones can still take check-ins.
+create or replace function public.rotate_check_in_code(target_post_id uuid)
+returns table (code text, expires_at timestamptz)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  -- No 0/O or 1/I, for people typing the code in
+  alphabet constant text := 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  bytes bytea;
+  new_code text;
+begin
+  if not exists (
+    select 1 from public.posts p
+    where p.id = target_post_id
+      and p.author_id = auth.uid()
+      and p.type = 'event'
+      and p.status in ('active', 'archived')
+  ) then
+    raise exception 'Only the event''s author can run its check-in' using errcode = '42501';
+  end if;
+
+  delete from public.event_check_in_codes c where c.expires_at <= now();
+
+  loop
+    bytes := uuid_send(gen_random_uuid());
+    new_code := '';
+    for i in 0..5 loop
+      new_code := new_code || substr(alphabet, get_byte(bytes, i) % 32 + 1, 1);
+    end loop;
+
+    begin
+      insert into public.event_check_in_codes (code, post_id, expires_at)
+      values (new_code, target_post_id, now() + interval '45 seconds');
+      exit;
+    exception when unique_violation then
+      -- Taken by another event's live code; draw again
+    end;
+  end loop;
+
+  return query
+    select c.code, c.expires_at from public.event_check_in_codes c where c.code = new_code;
+end;
+$$;
+
+-- Records the caller's attendance at the event a live code belongs to.
+-- Checking in twice is harmless; already_checked_in says so.
+create or replace function public.check_in(check_in_code text)
+returns table (post_id uuid, title text, checked_in_at timestamptz, already_checked_in boolean)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  target_post_id uuid;
+  recorded public.event_attendance;
+  already boolean := false;
+begin
+  if auth.uid() is null then
+    raise exception 'Sign in to check in' using errcode = '42501';
+  end if;
+
+  select c.post_id into target_post_id
+  from public.event_check_in_codes c
+  where c.code = upper(trim(check_in_code))
+    and c.expires_at > now();
+
+  if target_post_id is null then
+    raise exception 'That check-in code is invalid or has expired' using errcode = 'P0002';
+  end if;
+
+  insert into public.event_attendance (post_id, user_id)
+  values (target_post_id, auth.uid())
+  on conflict on constraint event_attendance_post_id_user_id_key do nothing
+  returning * into recorded;
+
+  if recorded.id is null then
+    already := true;
+    select * into recorded
+    from public.event_attendance a
+    where a.post_id = target_post_id and a.user_id = auth.uid();
+  end if;
+
+  return query
+    select p.id, p.title, recorded.checked_in_at, already
+    from public.posts p
+    where p.id = target_post_id;
+end;
+$$;
+
+revoke execute on function public.rotate_check_in_code(uuid) from public, anon;
+revoke execute on function public.check_in(text) from public, anon;
+grant execute on function public.rotate_check_in_code(uuid) to authenticated;
+grant execute on function public.check_in(text) to authenticated;
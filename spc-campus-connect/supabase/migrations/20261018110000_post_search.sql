@@ -0,0 +1,104 @@
+-- Full-text search over posts and their comments
+--
+-- search_posts() matches a websearch-style query ("enrollment memo",
+-- "\"exam schedule\" -midterm") against post titles (weighted higher),
+-- post content and comments, and returns each hit with <mark>-highlighted
+-- snippets for the results page. It runs with the caller's rights, so
+-- posts and comments they can't read never match.
+--
+-- The vectors are computed rather than stored, so no column is added to
+-- posts (and to everything that selects posts.*); the expression indexes
+-- below make the computed vectors searchable.
+
+create or replace function public.post_search_vector(title text, content text)
+returns tsvector
+language sql
+immutable
+as $$
+  select
+    setweight(to_tsvector('english', coalesce(title, '')), 'A')
+    || setweight(to_tsvector('english', coalesce(content, '')), 'B');
+$$;
+
+create index if not exists posts_search_idx
+  on public.posts using gin (public.post_search_vector(title, content));
+
+create index if not exists comments_search_idx
+  on public.comments using gin (to_tsvector('english', content));
+
+-- filter_statuses: which of 'active' and 'archived' to search; drafts and
+-- scheduled posts are never results
+create or replace function public.search_posts(
+  search_query text,
+  filter_department text default null,
+  filter_type text default null,
+  published_from timestamptz default null,
+  published_to timestamptz default null,
+  filter_statuses text[] default array['active', 'archived'],
+  result_limit integer default 50
+)
+returns table (
+  id uuid,
+  title text,
+  type text,
+  department text,
+  status text,
+  event_date timestamptz,
+  publish_at timestamptz,
+  author_name text,
+  rank real,
+  title_headline text,
+  content_headline text,
+  comment_headline text,
+  comment_matches integer
+)
+language sql
+stable
+set search_path = public
+as $$
+  with search as (
+    select websearch_to_tsquery('english', search_query) as query
+  ),
+  comment_hits as (
+    select
+      c.post_id,
+      count(*)::int as matches,
+      (array_agg(c.content order by ts_rank(to_tsvector('english', c.content), search.query) desc))[1] as best
+    from public.comments c
+    cross join search
+    where to_tsvector('english', c.content) @@ search.query
+    group by c.post_id
+  )
+  select
+    p.id,
+    p.title,
+    p.type,
+    p.department,
+    p.status,
+    p.event_date,
+    p.publish_at,
+    u.name as author_name,
+    (ts_rank(public.post_search_vector(p.title, p.content), search.query) + coalesce(hits.matches, 0) * 0.05)::real as rank,
+    ts_headline('english', p.title, search.query, 'HighlightAll=true, StartSel=<mark>, StopSel=</mark>') as title_headline,
+    ts_headline('english', p.content, search.query, 'MaxFragments=2, MinWords=8, MaxWords=25, StartSel=<mark>, StopSel=</mark>') as content_headline,
+    case
+      when hits.best is not null
+        then ts_headline('english', hits.best, search.query, 'MinWords=8, MaxWords=20, StartSel=<mark>, StopSel=</mark>')
+    end as comment_headline,
+    coalesce(hits.matches, 0) as comment_matches
+  from public.posts p
+  cross join search
+  left join comment_hits hits on hits.post_id = p.id
+  left join public.users u on u.id = p.author_id
+  where (public.post_search_vector(p.title, p.content) @@ search.query or hits.post_id is not null)
+    and p.status = any (filter_statuses)
+    and p.status in ('active', 'archived')
+    and (filter_department is null or p.department = filter_department)
+    and (filter_type is null or p.type = filter_type)
+    and (published_from is null or p.publish_at >= published_from)
+    and (published_to is null or p.publish_at < published_to)
+  order by rank desc, p.publish_at desc
+  limit least(greatest(result_limit, 1), 100);
+$$;
+
+grant execute on function public.search_posts(text, text, text, timestamptz, timestamptz, text[], integer) to authenticated;
@@ -0,0 +1,103 @@
+-- Post tags
+--
+-- Each department keeps its own list of tags (Enrollment, Scholarships,
+-- Org Activities, Exams, ...), managed by its admins and Program Heads from
+-- AdminPanel. A post can carry any of its department's tags; post_tags
+-- links them. Listings embed them as `post_tags (tags:tag_id (...))` and
+-- posts_with_stats gains tag_ids so the feed and Archive can filter on one.
+
+create table if not exists public.tags (
+  id uuid primary key default gen_random_uuid(),
+  department text not null,
+  name text not null check (char_length(btrim(name)) between 1 and 40),
+  created_by uuid references public.users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists tags_department_name_idx
+  on public.tags (department, lower(name));
+
+alter table public.tags enable row level security;
+
+drop policy if exists "Tags are readable" on public.tags;
+create policy "Tags are readable"
+  on public.tags for select
+  using (true);
+
+drop policy if exists "Department staff manage their tags" on public.tags;
+create policy "Department staff manage their tags"
+  on public.tags for all
+  using (
+    public.current_user_role() in ('admin', 'super_admin')
+    and department = public.current_user_department()
+  )
+  with check (
+    public.current_user_role() in ('admin', 'super_admin')
+    and department = public.current_user_department()
+  );
+
+create table if not exists public.post_tags (
+  post_id uuid not null references public.posts (id) on delete cascade,
+  tag_id uuid not null references public.tags (id) on delete cascade,
+  primary key (post_id, tag_id)
+);
+
+create index if not exists post_tags_tag_id_idx
+  on public.post_tags (tag_id);
+
+alter table public.post_tags enable row level security;
+
+drop policy if exists "Post tags are readable" on public.post_tags;
+create policy "Post tags are readable"
+  on public.post_tags for select
+  using (true);
+
+-- Authors tag their own posts, with their department's tags only
+drop policy if exists "Authors tag their posts" on public.post_tags;
+create policy "Authors tag their posts"
+  on public.post_tags for insert
+  with check (
+    exists (
+      select 1
+      from public.posts p
+      join public.tags t on t.id = tag_id
+      where p.id = post_id
+        and p.author_id = auth.uid()
+        and t.department = p.department
+    )
+  );
+
+drop policy if exists "Authors untag their posts" on public.post_tags;
+create policy "Authors untag their posts"
+  on public.post_tags for delete
+  using (
+    exists (select 1 from public.posts p where p.id = post_id and p.author_id = auth.uid())
+  );
+
+-- tag_ids goes with the other aggregates ahead of p.*, so the view is
+-- rebuilt rather than replaced
+drop view if exists public.posts_with_stats;
+create view public.posts_with_stats
+with (security_invoker = true)
+as
+select
+  coalesce(stats.comment_count, 0) as comment_count,
+  stats.last_comment_at,
+  greatest(p.created_at, p.updated_at, stats.last_comment_at) as last_activity_at,
+  coalesce(tagged.tag_ids, '{}') as tag_ids,
+  p.*
+from public.posts p
+left join lateral (
+  select
+    count(*)::int as comment_count,
+    max(c.created_at) as last_comment_at
+  from public.comments c
+  where c.post_id = p.id
+) stats on true
+left join lateral (
+  select array_agg(pt.tag_id) as tag_ids
+  from public.post_tags pt
+  where pt.post_id = p.id
+) tagged on true;
+
+grant select on public.posts_with_stats to anon, authenticated;
@@ -0,0 +1,100 @@
+-- Threaded replies and @mentions on comments
+--
+-- parent_id makes a comment a reply to another comment on the same post;
+-- replies go with the comment they answer. mentions holds the ids of the
+-- people the writer picked from the @name autocomplete. Only approved people
+-- in the post's department whose @name is still in the text are notified,
+-- with a 'mention' notification in place of the usual 'comment' one.
+
+alter table public.comments
+  add column if not exists parent_id uuid references public.comments (id) on delete cascade,
+  add column if not exists mentions uuid[] not null default '{}';
+
+create index if not exists comments_parent_id_idx
+  on public.comments (parent_id);
+
+create or replace function public.check_comment_parent()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.parent_id is not null and not exists (
+    select 1 from public.comments where id = new.parent_id and post_id = new.post_id
+  ) then
+    raise exception 'A reply must be on the same post as the comment it answers'
+      using errcode = '23514';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists comments_check_parent on public.comments;
+create trigger comments_check_parent
+  before insert or update of parent_id, post_id on public.comments
+  for each row execute function public.check_comment_parent();
+
+alter table public.notifications drop constraint if exists notifications_type_check;
+alter table public.notifications
+  add constraint notifications_type_check
+  check (type in ('new_post', 'comment', 'mention', 'account_approved'));
+
+-- New comments notify the people they mention, then the post's author and
+-- everyone else in the thread. The writer of the comment being answered is
+-- told it was a reply.
+create or replace function public.notify_thread_of_comment()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  commenter_name text;
+  post_title text;
+  post_department text;
+  parent_author_id uuid;
+  mentioned_ids uuid[];
+begin
+  select name into commenter_name from public.users where id = new.user_id;
+  select title, department into post_title, post_department from public.posts where id = new.post_id;
+  select user_id into parent_author_id from public.comments where id = new.parent_id;
+
+  select coalesce(array_agg(u.id), '{}') into mentioned_ids
+  from public.users u
+  where u.id = any (new.mentions)
+    and u.id <> new.user_id
+    and u.is_approved
+    and u.department = post_department
+    and position(lower('@' || u.name) in lower(new.content)) > 0;
+
+  insert into public.notifications (user_id, type, post_id, actor_id, message)
+  select
+    mentioned.user_id,
+    'mention',
+    new.post_id,
+    new.user_id,
+    format('%s mentioned you on "%s"', coalesce(commenter_name, 'Someone'), post_title)
+  from unnest(mentioned_ids) as mentioned (user_id);
+
+  insert into public.notifications (user_id, type, post_id, actor_id, message)
+  select
+    recipients.user_id,
+    'comment',
+    new.post_id,
+    new.user_id,
+    case
+      when recipients.user_id = parent_author_id
+        then format('%s replied to your comment on "%s"', coalesce(commenter_name, 'Someone'), post_title)
+      else format('%s commented on "%s"', coalesce(commenter_name, 'Someone'), post_title)
+    end
+  from (
+    select author_id as user_id from public.posts where id = new.post_id
+    union
+    select user_id from public.comments where post_id = new.post_id
+  ) recipients
+  where recipients.user_id <> new.user_id
+    and recipients.user_id <> all (mentioned_ids);
+
+  return new;
+end;
+$$;
@@ -0,0 +1,105 @@
+-- Editing comments, with their edit history
+--
+-- People can change the text of their own comments. Every edit keeps the
+-- text it replaced in comment_revisions, which anyone who can read the
+-- comment can read too, and stamps the comment's edited_at for the "edited"
+-- marker. Revisions are written only by the trigger below.
+--
+-- People @mentioned for the first time in an edit are notified like those
+-- mentioned when the comment was posted.
+
+alter table public.comments
+  add column if not exists edited_at timestamptz;
+
+create table if not exists public.comment_revisions (
+  id uuid primary key default gen_random_uuid(),
+  comment_id uuid not null references public.comments (id) on delete cascade,
+  content text not null,
+  -- when this version was written: the comment's created_at, or the edit
+  -- that produced it
+  written_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists comment_revisions_comment_id_idx
+  on public.comment_revisions (comment_id, written_at);
+
+alter table public.comment_revisions enable row level security;
+
+drop policy if exists "Revisions are readable with their comment" on public.comment_revisions;
+create policy "Revisions are readable with their comment"
+  on public.comment_revisions for select
+  using (exists (select 1 from public.comments c where c.id = comment_id));
+
+revoke insert, update, delete on public.comment_revisions from anon, authenticated;
+
+-- Only the text (and who it mentions) may change, and only by its writer
+drop policy if exists "People edit their own comments" on public.comments;
+create policy "People edit their own comments"
+  on public.comments for update
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+revoke update on public.comments from anon, authenticated;
+grant update (content, mentions) on public.comments to authenticated;
+
+create or replace function public.record_comment_revision()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.content is distinct from old.content then
+    insert into public.comment_revisions (comment_id, content, written_at)
+    values (old.id, old.content, coalesce(old.edited_at, old.created_at));
+
+    new.edited_at := now();
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists comments_record_revision on public.comments;
+create trigger comments_record_revision
+  before update of content on public.comments
+  for each row execute function public.record_comment_revision();
+
+create or replace function public.notify_new_comment_mentions()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  commenter_name text;
+  post_title text;
+  post_department text;
+begin
+  select name into commenter_name from public.users where id = new.user_id;
+  select title, department into post_title, post_department from public.posts where id = new.post_id;
+
+  insert into public.notifications (user_id, type, post_id, actor_id, message)
+  select
+    u.id,
+    'mention',
+    new.post_id,
+    new.user_id,
+    format('%s mentioned you on "%s"', coalesce(commenter_name, 'Someone'), post_title)
+  from public.users u
+  where u.id = any (new.mentions)
+    and not (u.id = any (old.mentions))
+    and u.id <> new.user_id
+    and u.is_approved
+    and u.department = post_department
+    and position(lower('@' || u.name) in lower(new.content)) > 0;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists comments_notify_new_mentions on public.comments;
+create trigger comments_notify_new_mentions
+  after update of content, mentions on public.comments
+  for each row execute function public.notify_new_comment_mentions();
@@ -0,0 +1,119 @@
+-- Emoji reactions on posts and comments
+--
+-- A quick 👍 or "Noted" instead of a comment. Every reaction belongs to a
+-- post; one with a comment_id is on that comment rather than on the post
+-- itself, so a post's whole page of reactions comes back in one query and one
+-- realtime filter. People add and take back their own reactions, one of each
+-- kind per post or comment.
+--
+-- posts_with_stats gains reaction_counts, the post's own reactions by kind,
+-- for the feed cards.
+
+create table if not exists public.reactions (
+  id uuid primary key default gen_random_uuid(),
+  post_id uuid not null references public.posts (id) on delete cascade,
+  comment_id uuid references public.comments (id) on delete cascade,
+  user_id uuid not null references public.users (id) on delete cascade,
+  reaction text not null check (reaction in ('like', 'heart', 'party', 'wow', 'noted')),
+  created_at timestamptz not null default now(),
+  unique nulls not distinct (post_id, comment_id, user_id, reaction)
+);
+
+create index if not exists reactions_comment_id_idx
+  on public.reactions (comment_id)
+  where comment_id is not null;
+
+alter table public.reactions enable row level security;
+
+drop policy if exists "Reactions are readable with their post" on public.reactions;
+create policy "Reactions are readable with their post"
+  on public.reactions for select
+  using (exists (select 1 from public.posts p where p.id = post_id));
+
+drop policy if exists "People react to posts they can read" on public.reactions;
+create policy "People react to posts they can read"
+  on public.reactions for insert
+  with check (
+    user_id = auth.uid()
+    and exists (select 1 from public.posts p where p.id = post_id)
+  );
+
+drop policy if exists "People take back their reactions" on public.reactions;
+create policy "People take back their reactions"
+  on public.reactions for delete
+  using (user_id = auth.uid());
+
+revoke update on public.reactions from anon, authenticated;
+
+-- A comment reaction must name the comment's own post
+create or replace function public.check_reaction_comment()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.comment_id is not null and not exists (
+    select 1 from public.comments c where c.id = new.comment_id and c.post_id = new.post_id
+  ) then
+    raise exception 'Reaction comment belongs to a different post'
+      using errcode = '23514';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists reactions_check_comment on public.reactions;
+create trigger reactions_check_comment
+  before insert on public.reactions
+  for each row execute function public.check_reaction_comment();
+
+-- Realtime, with whole old rows so a removed reaction can be matched up
+alter table public.reactions replica identity full;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'reactions'
+  ) then
+    alter publication supabase_realtime add table public.reactions;
+  end if;
+end
+$$;
+
+-- reaction_counts joins the aggregates ahead of p.*, so the view is rebuilt
+drop view if exists public.posts_with_stats;
+create view public.posts_with_stats
+with (security_invoker = true)
+as
+select
+  coalesce(stats.comment_count, 0) as comment_count,
+  stats.last_comment_at,
+  greatest(p.created_at, p.updated_at, stats.last_comment_at) as last_activity_at,
+  coalesce(tagged.tag_ids, '{}') as tag_ids,
+  coalesce(reacted.reaction_counts, '{}'::jsonb) as reaction_counts,
+  p.*
+from public.posts p
+left join lateral (
+  select
+    count(*)::int as comment_count,
+    max(c.created_at) as last_comment_at
+  from public.comments c
+  where c.post_id = p.id
+) stats on true
+left join lateral (
+  select array_agg(pt.tag_id) as tag_ids
+  from public.post_tags pt
+  where pt.post_id = p.id
+) tagged on true
+left join lateral (
+  select jsonb_object_agg(kinds.reaction, kinds.total) as reaction_counts
+  from (
+    select r.reaction, count(*)::int as total
+    from public.reactions r
+    where r.post_id = p.id and r.comment_id is null
+    group by r.reaction
+  ) kinds
+) reacted on true;
+
+grant select on public.posts_with_stats to anon, authenticated;
@@ -0,0 +1,79 @@
+-- Acknowledgements for must-read posts
+--
+-- An admin can mark a post as needing acknowledgement; readers then confirm
+-- with "I have read this" on the post. An acknowledgement is a record, so it
+-- can't be changed or taken back. The post's author sees every one of them
+-- for the report in AdminPanel; everyone else only sees their own.
+
+alter table public.posts
+  add column if not exists requires_acknowledgement boolean not null default false;
+
+-- Pick up the new column (p.* is expanded when the view is created)
+create or replace view public.posts_with_stats
+with (security_invoker = true)
+as
+select
+  coalesce(stats.comment_count, 0) as comment_count,
+  stats.last_comment_at,
+  greatest(p.created_at, p.updated_at, stats.last_comment_at) as last_activity_at,
+  coalesce(tagged.tag_ids, '{}') as tag_ids,
+  coalesce(reacted.reaction_counts, '{}'::jsonb) as reaction_counts,
+  p.*
+from public.posts p
+left join lateral (
+  select
+    count(*)::int as comment_count,
+    max(c.created_at) as last_comment_at
+  from public.comments c
+  where c.post_id = p.id
+) stats on true
+left join lateral (
+  select array_agg(pt.tag_id) as tag_ids
+  from public.post_tags pt
+  where pt.post_id = p.id
+) tagged on true
+left join lateral (
+  select jsonb_object_agg(kinds.reaction, kinds.total) as reaction_counts
+  from (
+    select r.reaction, count(*)::int as total
+    from public.reactions r
+    where r.post_id = p.id and r.comment_id is null
+    group by r.reaction
+  ) kinds
+) reacted on true;
+
+create table if not exists public.post_acknowledgements (
+  id uuid primary key default gen_random_uuid(),
+  post_id uuid not null references public.posts (id) on delete cascade,
+  user_id uuid not null references public.users (id) on delete cascade,
+  acknowledged_at timestamptz not null default now(),
+  unique (post_id, user_id)
+);
+
+create index if not exists post_acknowledgements_post_id_idx
+  on public.post_acknowledgements (post_id, acknowledged_at);
+
+alter table public.post_acknowledgements enable row level security;
+
+drop policy if exists "Acknowledgements are visible to their owner and the post's author" on public.post_acknowledgements;
+create policy "Acknowledgements are visible to their owner and the post's author"
+  on public.post_acknowledgements for select
+  using (
+    user_id = auth.uid()
+    or exists (select 1 from public.posts p where p.id = post_id and p.author_id = auth.uid())
+  );
+
+drop policy if exists "People acknowledge posts that ask for it" on public.post_acknowledgements;
+create policy "People acknowledge posts that ask for it"
+  on public.post_acknowledgements for insert
+  with check (
+    user_id = auth.uid()
+    and exists (
+      select 1 from public.posts p
+      where p.id = post_id
+        and p.requires_acknowledgement
+        and p.status in ('active', 'archived')
+    )
+  );
+
+revoke update, delete on public.post_acknowledgements from anon, authenticated;
@@ -0,0 +1,489 @@
+-- Reporting and moderation
+--
+-- Readers can report a post or a comment. Reports land in the moderation
+-- queue of the post's department, where its admins and Program Head hide
+-- the post or comment, restore it (which also dismisses the report) or
+-- delete it, all through moderate_report().
+--
+-- Each department also keeps a list of banned words. A comment containing
+-- one is held: only its writer and the department's moderators can see it,
+-- and the filter files a report for it, until a moderator restores it. The
+-- thread is notified about a held comment only once it is restored.
+--
+-- comments.status: 'visible', 'held' (by the filter) or 'hidden' (by a
+--                  moderator)
+-- posts.status:    gains 'hidden'; hidden posts are seen only by their author
+--                  and the department's moderators, and only a moderator
+--                  can bring one back
+-- posts.status_before_hidden: the status a hidden post goes back to when a
+--                  moderator restores it
+
+-- Admins and the Program Head of a department moderate it
+create or replace function public.is_department_moderator(target_department text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    public.current_user_role() in ('admin', 'super_admin')
+      and public.current_user_department() = target_department,
+    false
+  );
+$$;
+
+-- Comments
+
+alter table public.comments
+  add column if not exists status text not null default 'visible';
+
+alter table public.comments drop constraint if exists comments_status_check;
+alter table public.comments
+  add constraint comments_status_check check (status in ('visible', 'held', 'hidden'));
+
+drop policy if exists "Held and hidden comments are visible only to their writer and moderators" on public.comments;
+create policy "Held and hidden comments are visible only to their writer and moderators"
+  on public.comments
+  as restrictive
+  for select
+  using (
+    status = 'visible'
+    or user_id = auth.uid()
+    or exists (
+      select 1 from public.posts p
+      where p.id = post_id and public.is_department_moderator(p.department)
+    )
+  );
+
+-- Comment counts and activity leave held and hidden comments out, so the
+-- writer and moderators see the same numbers as everyone else
+create or replace view public.posts_with_stats
+with (security_invoker = true)
+as
+select
+  coalesce(stats.comment_count, 0) as comment_count,
+  stats.last_comment_at,
+  greatest(p.created_at, p.updated_at, stats.last_comment_at) as last_activity_at,
+  coalesce(tagged.tag_ids, '{}') as tag_ids,
+  coalesce(reacted.reaction_counts, '{}'::jsonb) as reaction_counts,
+  p.*
+from public.posts p
+left join lateral (
+  select
+    count(*)::int as comment_count,
+    max(c.created_at) as last_comment_at
+  from public.comments c
+  where c.post_id = p.id and c.status = 'visible'
+) stats on true
+left join lateral (
+  select array_agg(pt.tag_id) as tag_ids
+  from public.post_tags pt
+  where pt.post_id = p.id
+) tagged on true
+left join lateral (
+  select jsonb_object_agg(kinds.reaction, kinds.total) as reaction_counts
+  from (
+    select r.reaction, count(*)::int as total
+    from public.reactions r
+    where r.post_id = p.id and r.comment_id is null
+    group by r.reaction
+  ) kinds
+) reacted on true;
+
+-- Posts
+
+alter table public.posts drop constraint if exists posts_status_check;
+alter table public.posts
+  add constraint posts_status_check check (status in ('draft', 'scheduled', 'active', 'archived', 'hidden'));
+
+alter table public.posts
+  add column if not exists status_before_hidden text;
+
+drop policy if exists "Unpublished posts are visible only to their author" on public.posts;
+create policy "Unpublished posts are visible only to their author"
+  on public.posts
+  as restrictive
+  for select
+  using (
+    status not in ('draft', 'scheduled', 'hidden')
+    or author_id = auth.uid()
+    or (status = 'hidden' and public.is_department_moderator(department))
+  );
+
+create or replace function public.guard_hidden_post()
+returns trigger
+language plpgsql
+as $$
+begin
+  if old.status = 'hidden' and new.status <> 'hidden' and not public.is_department_moderator(old.department) then
+    raise exception 'Only a moderator can restore a hidden post'
+      using errcode = '42501';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists posts_guard_hidden on public.posts;
+create trigger posts_guard_hidden
+  before update of status on public.posts
+  for each row execute function public.guard_hidden_post();
+
+-- Banned words
+
+create table if not exists public.banned_words (
+  id uuid primary key default gen_random_uuid(),
+  department text not null,
+  word text not null check (char_length(btrim(word)) between 1 and 60),
+  created_by uuid references public.users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists banned_words_department_word_idx
+  on public.banned_words (department, lower(word));
+
+alter table public.banned_words enable row level security;
+
+drop policy if exists "Moderators manage their department's banned words" on public.banned_words;
+create policy "Moderators manage their department's banned words"
+  on public.banned_words for all
+  using (public.is_department_moderator(department))
+  with check (public.is_department_moderator(department));
+
+-- The first of a department's banned words found in text, as a whole word
+-- or phrase in any case, or null
+create or replace function public.find_banned_word(target_department text, text_to_check text)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select w.word
+  from public.banned_words w
+  where w.department = target_department
+    and text_to_check ~* (
+      '(^|[^[:alnum:]_])'
+      || regexp_replace(btrim(w.word), '([.^$*+?(){}|\[\]\\])', '\\\1', 'g')
+      || '([^[:alnum:]_]|$)'
+    )
+  order by w.created_at
+  limit 1;
+$$;
+
+-- Reports
+
+create table if not exists public.reports (
+  id uuid primary key default gen_random_uuid(),
+  post_id uuid not null references public.posts (id) on delete cascade,
+  -- set when the report is about one of the post's comments
+  comment_id uuid references public.comments (id) on delete cascade,
+  department text not null,
+  -- null when the banned-word filter filed it
+  reporter_id uuid references public.users (id) on delete cascade,
+  reason text not null check (char_length(btrim(reason)) between 1 and 500),
+  status text not null default 'open' check (status in ('open', 'resolved')),
+  resolution text check (resolution in ('hidden', 'restored')),
+  resolved_by uuid references public.users (id) on delete set null,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+-- One open report per person (or the filter) per post or comment
+create unique index if not exists reports_open_idx
+  on public.reports (post_id, comment_id, reporter_id) nulls not distinct
+  where status = 'open';
+
+create index if not exists reports_department_open_idx
+  on public.reports (department, created_at)
+  where status = 'open';
+
+alter table public.reports enable row level security;
+
+drop policy if exists "Reports are visible to their reporter and the department's moderators" on public.reports;
+create policy "Reports are visible to their reporter and the department's moderators"
+  on public.reports for select
+  using (reporter_id = auth.uid() or public.is_department_moderator(department));
+
+drop policy if exists "People report what they can read" on public.reports;
+create policy "People report what they can read"
+  on public.reports for insert
+  with check (
+    reporter_id = auth.uid()
+    and status = 'open'
+    and resolution is null
+    and exists (select 1 from public.posts p where p.id = post_id and p.department = reports.department)
+    and (
+      comment_id is null
+      or exists (select 1 from public.comments c where c.id = comment_id and c.post_id = reports.post_id)
+    )
+  );
+
+revoke update, delete on public.reports from anon, authenticated;
+
+-- Holding comments with banned words
+
+create or replace function public.hold_banned_comment()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  post_department text;
+begin
+  -- Writers can't pick their own status; moderators change it with
+  -- moderate_report()
+  if tg_op = 'INSERT' then
+    new.status := 'visible';
+  end if;
+
+  if new.status <> 'visible' then
+    return new;
+  end if;
+
+  select department into post_department from public.posts where id = new.post_id;
+
+  if public.find_banned_word(post_department, new.content) is not null then
+    new.status := 'held';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists comments_hold_banned on public.comments;
+create trigger comments_hold_banned
+  before insert or update of content on public.comments
+  for each row execute function public.hold_banned_comment();
+
+create or replace function public.report_held_comment()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  post_department text;
+begin
+  if new.status <> 'held' or (tg_op = 'UPDATE' and old.status = 'held') then
+    return new;
+  end if;
+
+  select department into post_department from public.posts where id = new.post_id;
+
+  insert into public.reports (post_id, comment_id, department, reporter_id, reason)
+  values (
+    new.post_id,
+    new.id,
+    post_department,
+    null,
+    format('Held for containing "%s"', public.find_banned_word(post_department, new.content))
+  )
+  on conflict do nothing;
+
+  return new;
+end;
+$$;
+
+-- Not "update of status": an edit is held by the trigger above, not by
+-- naming the column
+drop trigger if exists comments_report_held on public.comments;
+create trigger comments_report_held
+  after insert or update on public.comments
+  for each row execute function public.report_held_comment();
+
+-- The thread hears about a comment once it is visible: when it is posted,
+-- or when one held as it was posted is restored. An edit that was held had
+-- already been seen, so restoring it (edited_at is set) stays quiet.
+create or replace function public.notify_thread_of_comment()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  commenter_name text;
+  post_title text;
+  post_department text;
+  parent_author_id uuid;
+  mentioned_ids uuid[];
+begin
+  if new.status <> 'visible' or (tg_op = 'UPDATE' and (old.status <> 'held' or old.edited_at is not null)) then
+    return new;
+  end if;
+
+  select name into commenter_name from public.users where id = new.user_id;
+  select title, department into post_title, post_department from public.posts where id = new.post_id;
+  select user_id into parent_author_id from public.comments where id = new.parent_id;
+
+  select coalesce(array_agg(u.id), '{}') into mentioned_ids
+  from public.users u
+  where u.id = any (new.mentions)
+    and u.id <> new.user_id
+    and u.is_approved
+    and u.department = post_department
+    and position(lower('@' || u.name) in lower(new.content)) > 0;
+
+  insert into public.notifications (user_id, type, post_id, actor_id, message)
+  select
+    mentioned.user_id,
+    'mention',
+    new.post_id,
+    new.user_id,
+    format('%s mentioned you on "%s"', coalesce(commenter_name, 'Someone'), post_title)
+  from unnest(mentioned_ids) as mentioned (user_id);
+
+  insert into public.notifications (user_id, type, post_id, actor_id, message)
+  select
+    recipients.user_id,
+    'comment',
+    new.post_id,
+    new.user_id,
+    case
+      when recipients.user_id = parent_author_id
+        then format('%s replied to your comment on "%s"', coalesce(commenter_name, 'Someone'), post_title)
+      else format('%s commented on "%s"', coalesce(commenter_name, 'Someone'), post_title)
+    end
+  from (
+    select author_id as user_id from public.posts where id = new.post_id
+    union
+    select user_id from public.comments where post_id = new.post_id
+  ) recipients
+  where recipients.user_id <> new.user_id
+    and recipients.user_id <> all (mentioned_ids);
+
+  return new;
+end;
+$$;
+
+drop trigger if exists comments_notify_thread on public.comments;
+create trigger comments_notify_thread
+  after insert or update of status on public.comments
+  for each row execute function public.notify_thread_of_comment();
+
+-- Edits held by the filter don't notify newly mentioned people either
+create or replace function public.notify_new_comment_mentions()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  commenter_name text;
+  post_title text;
+  post_department text;
+begin
+  if new.status <> 'visible' then
+    return new;
+  end if;
+
+  select name into commenter_name from public.users where id = new.user_id;
+  select title, department into post_title, post_department from public.posts where id = new.post_id;
+
+  insert into public.notifications (user_id, type, post_id, actor_id, message)
+  select
+    u.id,
+    'mention',
+    new.post_id,
+    new.user_id,
+    format('%s mentioned you on "%s"', coalesce(commenter_name, 'Someone'), post_title)
+  from public.users u
+  where u.id = any (new.mentions)
+    and not (u.id = any (old.mentions))
+    and u.id <> new.user_id
+    and u.is_approved
+    and u.department = post_department
+    and position(lower('@' || u.name) in lower(new.content)) > 0;
+
+  return new;
+end;
+$$;
+
+-- Acting on a report
+
+-- action: 'hide' or 'restore' the reported post or comment, closing every
+-- open report on it, or 'delete' it (its reports go with it). Restoring a
+-- hidden post makes it active again.
+-- Returns the storage paths of a deleted post's attachments, which the caller
+-- removes through the Storage API; for anything else the list is empty.
+create or replace function public.moderate_report(target_report_id uuid, moderation_action text)
+returns text[]
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  target public.reports;
+  attachment_paths text[];
+begin
+  select * into target from public.reports where id = target_report_id;
+
+  if target.id is null or not public.is_department_moderator(target.department) then
+    raise exception 'Only the department''s moderators can act on this report'
+      using errcode = '42501';
+  end if;
+
+  if moderation_action not in ('hide', 'restore', 'delete') then
+    raise exception 'Unknown moderation action: %', moderation_action
+      using errcode = '22023';
+  end if;
+
+  if moderation_action = 'delete' then
+    if target.comment_id is not null then
+      delete from public.comments where id = target.comment_id;
+      return '{}';
+    end if;
+
+    select coalesce(array_agg(path), '{}') into attachment_paths
+    from public.post_attachments
+    where post_id = target.post_id;
+
+    delete from public.posts where id = target.post_id;
+    return attachment_paths;
+  end if;
+
+  if target.comment_id is not null then
+    update public.comments
+    set status = case when moderation_action = 'hide' then 'hidden' else 'visible' end
+    where id = target.comment_id;
+  elsif moderation_action = 'hide' then
+    update public.posts
+    set status_before_hidden = status, status = 'hidden'
+    where id = target.post_id and status <> 'hidden';
+  else
+    update public.posts
+    set status = coalesce(status_before_hidden, 'active'), status_before_hidden = null
+    where id = target.post_id and status = 'hidden';
+  end if;
+
+  update public.reports
+  set
+    status = 'resolved',
+    resolution = case when moderation_action = 'hide' then 'hidden' else 'restored' end,
+    resolved_by = auth.uid(),
+    resolved_at = now()
+  where post_id = target.post_id
+    and comment_id is not distinct from target.comment_id
+    and status = 'open';
+
+  return '{}';
+end;
+$$;
+
+revoke execute on function public.moderate_report(uuid, text) from public, anon;
+grant execute on function public.moderate_report(uuid, text) to authenticated;
+
+-- Attachments are filed under their uploader's id, and posts are written in
+-- their author's department, so that department's moderators may remove them
+drop policy if exists "Moderators remove their department's post attachments" on storage.objects;
+create policy "Moderators remove their department's post attachments"
+  on storage.objects for delete
+  to authenticated
+  using (
+    bucket_id = 'post-attachments'
+    and public.is_department_moderator(
+      (select department from public.users where id::text = (storage.foldername(name))[1])
+    )
+  );
@@ -0,0 +1,26 @@
+-- Keeping posts.updated_at current
+--
+-- Nothing in the database set updated_at on edits, so it stayed at its
+-- insert value. The iCalendar export derives an event's SEQUENCE and
+-- LAST-MODIFIED from it (see src/lib/ics.js and the calendar-feed function),
+-- and posts_with_stats.last_activity_at, the Drafts tab's "Last saved" and
+-- the Archive's "Archived" dates read it too. Every update now stamps it,
+-- like the memory backend's `touch: 'updated_at'`.
+
+alter table public.posts
+  add column if not exists updated_at timestamptz not null default now();
+
+create or replace function public.touch_post()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists touch_post on public.posts;
+create trigger touch_post
+  before update on public.posts
+  for each row execute function public.touch_post();